@@ -0,0 +1,114 @@
+import React from "react";
+import { TRIM_MAX_DB, TRIM_MIN_DB, channelRouting, formatPan, withChannelRouting } from "./audioRouting.js";
+
+function formatTrim(db) {
+  return `${db > 0 ? "+" : ""}${db.toFixed(1)} dB`;
+}
+
+function ChannelStrip({ index, channel, disabled, onChange }) {
+  return (
+    <li className="rounded-xl bg-white/5 p-2 ring-1 ring-white/10">
+      <label className="flex items-center gap-2 text-sm text-neutral-200">
+        <input
+          type="checkbox"
+          checked={channel.record}
+          disabled={disabled}
+          onChange={(e) => onChange({ record: e.target.checked })}
+        />
+        Input {index + 1}
+      </label>
+      <div className="mt-2 grid grid-cols-2 gap-3">
+        <label className="block">
+          <div className="mb-1 flex items-center justify-between text-xs font-medium text-neutral-300">
+            <span>Pan</span>
+            <span className="tabular-nums">{formatPan(channel.pan)}</span>
+          </div>
+          <input
+            type="range"
+            min={-100}
+            max={100}
+            step={5}
+            value={Math.round(channel.pan * 100)}
+            disabled={disabled || !channel.record}
+            onChange={(e) => onChange({ pan: Number(e.target.value) / 100 })}
+            onDoubleClick={() => onChange({ pan: 0 })}
+            className="w-full disabled:opacity-50"
+          />
+        </label>
+        <label className="block">
+          <div className="mb-1 flex items-center justify-between text-xs font-medium text-neutral-300">
+            <span>Trim</span>
+            <span className="tabular-nums">{formatTrim(channel.trimDb)}</span>
+          </div>
+          <input
+            type="range"
+            min={TRIM_MIN_DB}
+            max={TRIM_MAX_DB}
+            step={0.5}
+            value={channel.trimDb}
+            disabled={disabled || !channel.record}
+            onChange={(e) => onChange({ trimDb: Number(e.target.value) })}
+            onDoubleClick={() => onChange({ trimDb: 0 })}
+            className="w-full disabled:opacity-50"
+          />
+        </label>
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Input channel routing (see audioRouting.js). Switching it on or off reopens
+ * the mic; trim and pan apply right away, also mid-take.
+ *
+ * `channelCount`: channels the open mic delivers (null before it is open).
+ */
+export default function AudioRoutingSettings({ routing, channelCount, disabled, onChange }) {
+  const count = channelCount || 1;
+  const isAnyRecorded = Array.from({ length: count }, (_, i) => channelRouting(routing, i)).some((c) => c.record);
+  return (
+    <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="text-sm font-semibold text-neutral-100">Input routing</div>
+      <label className="mt-3 flex items-center gap-2 text-sm text-neutral-200">
+        <input
+          type="checkbox"
+          checked={routing.enabled}
+          disabled={disabled}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+        />
+        Route input channels to a stereo mix
+      </label>
+      <div className="mt-1 text-[11px] text-neutral-400">
+        Off records the microphone exactly as the browser delivers it.
+      </div>
+
+      {routing.enabled && (
+        <>
+          <ul className="mt-3 space-y-2">
+            {Array.from({ length: count }, (_, i) => (
+              <ChannelStrip
+                key={i}
+                index={i}
+                channel={channelRouting(routing, i)}
+                disabled={!channelCount}
+                onChange={(patch) => onChange({ channels: withChannelRouting(routing, i, patch).channels })}
+              />
+            ))}
+          </ul>
+          {channelCount === 1 && (
+            <div className="mt-2 text-[11px] text-amber-200">
+              Only one input channel is coming through. The interface (or this browser) may be delivering a mono mix;
+              check its channel settings, then pick the input again.
+            </div>
+          )}
+          {!isAnyRecorded && (
+            <div className="mt-2 text-[11px] text-amber-200">No input is selected, so takes will be silent.</div>
+          )}
+          <div className="mt-2 text-[11px] text-neutral-400">
+            Centre puts an input on both sides at full level. Double-click a slider to reset it.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React from "react";
+import { availableControls } from "./cameraControls.js";
+
+const selectClass =
+  "w-full rounded-lg bg-white/10 px-2 py-1 text-sm text-neutral-100 ring-1 ring-white/10 disabled:cursor-not-allowed disabled:opacity-50";
+const buttonClass =
+  "rounded-lg bg-white/10 px-2 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 disabled:cursor-not-allowed disabled:opacity-50";
+
+const MODE_LABELS = { continuous: "Auto", manual: "Manual", "single-shot": "Once", none: "Off" };
+
+function decimalsOf(step) {
+  return step >= 1 ? 0 : Math.min(3, Math.ceil(-Math.log10(step)));
+}
+
+function formatValue(control, value) {
+  if (control.key === "exposureTime") return `${(value / 10).toFixed(1)} ms`; // in 100 µs units
+  if (control.key === "colorTemperature") return `${Math.round(value)} K`;
+  if (control.key === "zoom") return `${value.toFixed(1)}×`;
+  return value.toFixed(decimalsOf(control.step));
+}
+
+/**
+ * Camera adjustments the open camera offers (see cameraControls.js). They
+ * apply live, also mid-take. `settings`: what the camera reports now, shown
+ * for controls that weren't changed. `onAllowPanTiltZoom`: reopens the camera
+ * with pan/tilt/zoom; left out once it was asked for (or while recording).
+ */
+export default function CameraControls({
+  capabilities,
+  settings,
+  values,
+  disabled,
+  onChange,
+  onReset,
+  onAllowPanTiltZoom
+}) {
+  const controls = availableControls(capabilities);
+  const current = (key) => values[key] ?? settings?.[key];
+
+  return (
+    <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-semibold text-neutral-100">Camera</div>
+        <button
+          type="button"
+          disabled={disabled || !Object.keys(values).length}
+          onClick={onReset}
+          className={buttonClass}
+        >
+          Reset
+        </button>
+      </div>
+
+      {controls.length === 0 ? (
+        <div className="mt-2 text-[11px] text-neutral-400">
+          This camera (or this browser) doesn't offer focus, exposure or other adjustments.
+        </div>
+      ) : (
+        <div className="mt-3 grid grid-cols-2 gap-3">
+          {controls.map((c) => {
+            const value = current(c.key);
+            if (c.type === "mode") {
+              return (
+                <label key={c.key} className="block">
+                  <div className="mb-1 text-xs font-medium text-neutral-300">{c.label}</div>
+                  <select
+                    value={value ?? ""}
+                    disabled={disabled}
+                    onChange={(e) => onChange(c.key, e.target.value)}
+                    className={selectClass}
+                  >
+                    {value === undefined && <option value="">—</option>}
+                    {c.modes.map((m) => (
+                      <option key={m} value={m}>
+                        {MODE_LABELS[m] || m}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              );
+            }
+            if (c.type === "toggle") {
+              return (
+                <label key={c.key} className="col-span-2 flex items-center gap-2 text-sm text-neutral-200">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(value)}
+                    disabled={disabled}
+                    onChange={(e) => onChange(c.key, e.target.checked)}
+                  />
+                  {c.label}
+                </label>
+              );
+            }
+            // A manual value the camera has no manual mode for can't be set.
+            const mode = c.mode && controls.find((m) => m.key === c.mode);
+            const isLocked = mode && !mode.modes.includes("manual");
+            const shown = Number.isFinite(value) ? value : c.min;
+            return (
+              <label key={c.key} className="block">
+                <div className="mb-1 flex items-center justify-between text-xs font-medium text-neutral-300">
+                  <span>{c.label}</span>
+                  <span className="tabular-nums">{Number.isFinite(value) ? formatValue(c, value) : "—"}</span>
+                </div>
+                <input
+                  type="range"
+                  min={c.min}
+                  max={c.max}
+                  step={c.step}
+                  value={shown}
+                  disabled={disabled || isLocked}
+                  onChange={(e) => onChange(c.key, Number(e.target.value))}
+                  className="w-full disabled:opacity-50"
+                />
+              </label>
+            );
+          })}
+        </div>
+      )}
+
+      {controls.length > 0 && (
+        <div className="mt-2 text-[11px] text-neutral-400">
+          Saved for this camera and restored when it opens. Moving focus distance, exposure time or color temperature
+          switches that setting to manual.
+        </div>
+      )}
+
+      {onAllowPanTiltZoom && (
+        <div className="mt-2 flex items-center justify-between gap-2 text-[11px] text-neutral-400">
+          <span>Pan, tilt and zoom need a permission of their own; allowing them reopens the camera.</span>
+          <button type="button" disabled={disabled} onClick={onAllowPanTiltZoom} className={buttonClass}>
+            Allow
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
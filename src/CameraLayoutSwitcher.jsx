@@ -0,0 +1,52 @@
+import React from "react";
+import { CAMERA_LAYOUTS } from "./cameraLayout.js";
+
+/**
+ * Layout buttons for two-source takes (second camera or shared screen). They
+ * stay live while recording; a switch is recorded as a cut.
+ */
+export default function CameraLayoutSwitcher({ layout, swap, isRecording, onChange, onMoveInset }) {
+  return (
+    <div className="mb-4 flex flex-wrap items-center justify-between gap-2 rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="text-sm font-semibold text-neutral-100">
+        Layout
+        {isRecording && <span className="ml-2 text-xs font-normal text-neutral-400">switching cuts the take</span>}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        {CAMERA_LAYOUTS.map((l) => (
+          <button
+            key={l.id}
+            type="button"
+            onClick={() => onChange({ layout: l.id })}
+            aria-pressed={layout === l.id}
+            className={`rounded-full px-3 py-1 text-xs font-semibold ring-1 transition ${
+              layout === l.id
+                ? "bg-emerald-500/20 text-emerald-200 ring-emerald-400/30"
+                : "bg-white/10 text-neutral-100 ring-white/10 hover:bg-white/15"
+            }`}
+          >
+            {l.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => onChange({ swap: !swap })}
+          aria-pressed={swap}
+          className="rounded-full bg-white/10 px-3 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15"
+          title="Swap which source is the main one"
+        >
+          Swap
+        </button>
+        {layout === "pip" && (
+          <button
+            type="button"
+            onClick={onMoveInset}
+            className="rounded-full bg-white/10 px-3 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15"
+          >
+            Move inset
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
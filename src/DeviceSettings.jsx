@@ -0,0 +1,76 @@
+import React from "react";
+
+function DeviceSelect({ label, value, inputs, disabled, onChange, emptyLabel = "System default" }) {
+  const missing = value && !inputs.some((d) => d.deviceId === value);
+  return (
+    <label className="block">
+      <div className="mb-1 text-xs font-medium text-neutral-300">{label}</div>
+      <select
+        value={value}
+        disabled={disabled}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full rounded-xl bg-white/10 px-3 py-2 text-sm text-neutral-100 ring-1 ring-white/10 disabled:cursor-not-allowed disabled:opacity-50"
+      >
+        <option value="">{emptyLabel}</option>
+        {missing && <option value={value}>Saved device (not connected)</option>}
+        {inputs.map((d) => (
+          <option key={d.deviceId} value={d.deviceId}>
+            {d.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default function DeviceSettings({
+  videoInputs,
+  audioInputs,
+  prefs,
+  disabled,
+  onSelect,
+  separateCameraFiles,
+  onSeparateCameraFilesChange
+}) {
+  return (
+    <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="text-sm font-semibold text-neutral-100">Inputs</div>
+      <div className="mt-3 space-y-3">
+        <DeviceSelect
+          label="Camera"
+          value={prefs.videoDeviceId}
+          inputs={videoInputs}
+          disabled={disabled}
+          onChange={(id) => onSelect({ videoDeviceId: id })}
+        />
+        <DeviceSelect
+          label="Second camera (e.g. fretboard close-up)"
+          value={prefs.secondVideoDeviceId}
+          inputs={videoInputs.filter((d) => d.deviceId !== prefs.videoDeviceId)}
+          disabled={disabled}
+          emptyLabel="None"
+          onChange={(id) => onSelect({ secondVideoDeviceId: id })}
+        />
+        {prefs.secondVideoDeviceId && (
+          <label className="flex items-center gap-2 text-sm text-neutral-200">
+            <input
+              type="checkbox"
+              checked={separateCameraFiles}
+              disabled={disabled}
+              onChange={(e) => onSeparateCameraFilesChange(e.target.checked)}
+            />
+            Also save each camera as its own file
+          </label>
+        )}
+        <DeviceSelect
+          label="Microphone / audio interface"
+          value={prefs.audioDeviceId}
+          inputs={audioInputs}
+          disabled={disabled}
+          onChange={(id) => onSelect({ audioDeviceId: id })}
+        />
+      </div>
+      {disabled && <div className="mt-2 text-[11px] text-neutral-400">Inputs can't be changed while recording.</div>}
+    </div>
+  );
+}
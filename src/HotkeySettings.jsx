@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from "react";
+import { DEFAULT_HOTKEYS, HOTKEY_ACTIONS, bindKey, bindMidi, describeKey, describeMidiBinding } from "./hotkeys.js";
+
+const buttonClass =
+  "rounded-lg bg-white/10 px-2 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 disabled:cursor-not-allowed disabled:opacity-50";
+const learningClass =
+  "rounded-lg bg-amber-500/20 px-2 py-1 text-xs font-semibold text-amber-100 ring-1 ring-amber-400/30 transition";
+
+/**
+ * Remaps the keyboard shortcuts and learns MIDI footswitch controls. Key
+ * capture happens here; MIDI learn is done by the parent, which owns the MIDI
+ * inputs (`learningMidi` is the action waiting for a press).
+ */
+export default function HotkeySettings({ settings, isMidiSupported, midiInputs, learningMidi, onChange, onLearnMidi }) {
+  const [capturingKey, setCapturingKey] = useState(null); // action waiting for a key
+
+  // Closing the settings cancels a pending MIDI learn.
+  useEffect(() => () => onLearnMidi(null), []);
+
+  useEffect(() => {
+    if (!capturingKey) return undefined;
+    function onKeyDown(e) {
+      // Capture phase on window, so the shortcut itself doesn't fire.
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (e.code !== "Escape") onChange(bindKey(settings, capturingKey, e.code));
+      setCapturingKey(null);
+    }
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => window.removeEventListener("keydown", onKeyDown, true);
+  }, [capturingKey, settings, onChange]);
+
+  return (
+    <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-semibold text-neutral-100">Shortcuts & footswitch</div>
+        <button
+          type="button"
+          onClick={() => onChange({ ...settings, keys: { ...DEFAULT_HOTKEYS.keys } })}
+          className={buttonClass}
+        >
+          Default keys
+        </button>
+      </div>
+
+      <div className="mt-3 space-y-2">
+        {HOTKEY_ACTIONS.map((action) => (
+          <div key={action.id} className="flex items-center justify-between gap-2">
+            <div className="min-w-0 flex-1 truncate text-sm text-neutral-200">{action.label}</div>
+            <button
+              type="button"
+              onClick={() => setCapturingKey(capturingKey === action.id ? null : action.id)}
+              className={capturingKey === action.id ? learningClass : buttonClass}
+              title="Click, then press a key (Esc to cancel)"
+            >
+              {capturingKey === action.id ? "Press a key…" : describeKey(settings.keys[action.id])}
+            </button>
+            {settings.midiEnabled && (
+              <button
+                type="button"
+                onClick={() => onLearnMidi(learningMidi === action.id ? null : action.id)}
+                className={learningMidi === action.id ? learningClass : buttonClass}
+                title="Click, then press the pedal"
+              >
+                {learningMidi === action.id ? "Press pedal…" : describeMidiBinding(settings.midi[action.id])}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <label className="mt-3 flex items-center gap-2 text-sm text-neutral-200">
+        <input
+          type="checkbox"
+          checked={settings.midiEnabled}
+          disabled={!isMidiSupported}
+          onChange={(e) => onChange({ ...settings, midiEnabled: e.target.checked })}
+        />
+        MIDI foot controller
+      </label>
+      {settings.midiEnabled && (
+        <div className="mt-1 flex items-center justify-between gap-2 text-[11px] text-neutral-400">
+          <span className="truncate">{midiInputs.length ? midiInputs.join(", ") : "No MIDI inputs connected"}</span>
+          {HOTKEY_ACTIONS.some(({ id }) => settings.midi[id]) && (
+            <button
+              type="button"
+              onClick={() => onChange(HOTKEY_ACTIONS.reduce((s, { id }) => bindMidi(s, id, null), settings))}
+              className={buttonClass}
+            >
+              Clear pedals
+            </button>
+          )}
+        </div>
+      )}
+      <div className="mt-1 text-[11px] text-neutral-400">
+        {isMidiSupported
+          ? "Shortcuts work anywhere except in text fields. Set latching pedals to momentary."
+          : "Web MIDI isn't available in this browser; keyboard shortcuts still work."}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import React, { useEffect, useRef } from "react";
+import * as Progress from "@radix-ui/react-progress";
+import { METER_VIEWS, ampToDb, formatLoudness } from "./loudnessMeter.js";
+
+const FLOOR_DB = -60;
+const SPECTRUM_FLOOR_DB = -100;
+
+function dbToPct(db, floor = FLOOR_DB) {
+  if (!Number.isFinite(db)) return 0;
+  return Math.max(0, Math.min(100, ((db - floor) / -floor) * 100));
+}
+
+function Readout({ label, value, unit, warn }) {
+  return (
+    <div className="rounded-lg bg-white/5 px-2 py-1 ring-1 ring-white/10">
+      <div className="text-[10px] uppercase tracking-wide text-neutral-400">{label}</div>
+      <div className={`text-sm font-semibold tabular-nums ${warn ? "text-red-200" : "text-neutral-100"}`}>
+        {value} <span className="text-[10px] font-normal text-neutral-400">{unit}</span>
+      </div>
+    </div>
+  );
+}
+
+function ChannelBar({ label, level }) {
+  const rmsPct = dbToPct(ampToDb(level.rms));
+  const peakPct = dbToPct(ampToDb(level.peak));
+  const truePeakDb = ampToDb(level.truePeak);
+  return (
+    <div className="flex items-center gap-2">
+      <div className="w-3 text-[11px] font-semibold text-neutral-400">{label}</div>
+      <div className="relative flex-1">
+        <Progress.Root
+          value={rmsPct}
+          className="relative h-2 w-full overflow-hidden rounded-full bg-white/10 ring-1 ring-white/10"
+        >
+          <Progress.Indicator
+            className="h-full w-full origin-left bg-emerald-400/80"
+            style={{ transform: `translateX(-${100 - rmsPct}%)` }}
+          />
+        </Progress.Root>
+        <div
+          className="pointer-events-none absolute -top-1 bottom-[-4px] w-[2px] rounded bg-white/70"
+          style={{ left: `${peakPct}%` }}
+        />
+        {/* -1 dBTP and above */}
+        <div
+          className="pointer-events-none absolute inset-y-0 right-0 rounded-r-full bg-red-500/10"
+          style={{ width: `${100 - dbToPct(-1)}%` }}
+        />
+      </div>
+      <div
+        className={`w-16 text-right text-[11px] tabular-nums ${truePeakDb > -1 ? "text-red-200" : "text-neutral-300"}`}
+      >
+        {formatLoudness(truePeakDb)} dBTP
+      </div>
+    </div>
+  );
+}
+
+function SpectrumCanvas({ spectrum, mode }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !spectrum) return;
+    const g = canvas.getContext("2d");
+    const W = canvas.width;
+    const H = canvas.height;
+    const n = spectrum.length;
+
+    if (mode === "spectrogram") {
+      // Scroll left one column per report; low frequencies at the bottom.
+      g.drawImage(canvas, -2, 0);
+      for (let b = 0; b < n; b += 1) {
+        const t = dbToPct(spectrum[b], SPECTRUM_FLOOR_DB) / 100;
+        g.fillStyle = `hsl(${260 - t * 220}, 90%, ${t * 60}%)`;
+        const y0 = H - ((b + 1) / n) * H;
+        g.fillRect(W - 2, y0, 2, Math.ceil(H / n));
+      }
+      return;
+    }
+
+    g.clearRect(0, 0, W, H);
+    const barW = W / n;
+    for (let b = 0; b < n; b += 1) {
+      const h = (dbToPct(spectrum[b], SPECTRUM_FLOOR_DB) / 100) * H;
+      g.fillStyle = "rgba(52, 211, 153, 0.8)";
+      g.fillRect(b * barW, H - h, Math.max(1, barW - 1), h);
+    }
+  }, [spectrum, mode]);
+
+  // A fresh canvas per mode, so the spectrogram doesn't start on old bars.
+  return (
+    <canvas
+      key={mode}
+      ref={canvasRef}
+      width={480}
+      height={96}
+      className="h-24 w-full rounded-lg bg-black/40 ring-1 ring-white/10"
+    />
+  );
+}
+
+/**
+ * LUFS (momentary / short-term / integrated), true peak and per-channel
+ * meters from the AudioWorklet meter, plus the spectrum views.
+ */
+export default function LoudnessMeter({ report, view, onViewChange, onReset }) {
+  const channelLabels = report.channels.length > 1 ? ["L", "R"] : ["M"];
+  const maxTruePeakDb = ampToDb(report.maxTruePeak);
+
+  return (
+    <div className="mt-3 space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-1">
+          {METER_VIEWS.map((v) => (
+            <button
+              key={v.id}
+              type="button"
+              onClick={() => onViewChange(v.id)}
+              aria-pressed={view === v.id}
+              className={`rounded-full px-2 py-0.5 text-[11px] font-semibold ring-1 transition ${
+                view === v.id
+                  ? "bg-emerald-500/20 text-emerald-200 ring-emerald-400/30"
+                  : "bg-white/10 text-neutral-100 ring-white/10 hover:bg-white/15"
+              }`}
+            >
+              {v.label}
+            </button>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={onReset}
+          className="rounded-full bg-white/10 px-2 py-0.5 text-[11px] font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15"
+          title="Restart integrated loudness and max true peak"
+        >
+          Reset
+        </button>
+      </div>
+
+      <div className="grid grid-cols-4 gap-2">
+        <Readout label="Momentary" value={formatLoudness(report.momentary)} unit="LUFS" />
+        <Readout label="Short-term" value={formatLoudness(report.shortTerm)} unit="LUFS" />
+        <Readout label="Integrated" value={formatLoudness(report.integrated)} unit="LUFS" />
+        <Readout label="True peak" value={formatLoudness(maxTruePeakDb)} unit="dBTP" warn={maxTruePeakDb > -1} />
+      </div>
+
+      {view === "meters" ? (
+        <div className="space-y-2">
+          {report.channels.map((level, i) => (
+            <ChannelBar key={channelLabels[i]} label={channelLabels[i]} level={level} />
+          ))}
+          <div className="text-[11px] text-neutral-400">
+            Tip: keep true peak under -1 dBTP; most platforms normalize to around -14 LUFS integrated.
+          </div>
+        </div>
+      ) : (
+        <SpectrumCanvas spectrum={report.spectrum} mode={view} />
+      )}
+    </div>
+  );
+}
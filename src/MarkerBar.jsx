@@ -0,0 +1,34 @@
+import React from "react";
+import { MARKER_PRESETS } from "./takeMarkers.js";
+import { formatDuration } from "./takeFiles.js";
+
+/**
+ * Drop a labelled marker at the current point of the take. Markers (and clip
+ * events from the meter) end up as chapters when the take is saved.
+ */
+export default function MarkerBar({ count, lastMarker, onAdd }) {
+  return (
+    <div className="mb-4 flex flex-wrap items-center justify-between gap-2 rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="text-sm font-semibold text-neutral-100">
+        Markers
+        <span className="ml-2 text-xs font-normal text-neutral-400">
+          {count === 0
+            ? "none yet"
+            : `${count} so far${lastMarker ? ` • ${lastMarker.label} at ${formatDuration(lastMarker.timeMs)}` : ""}`}
+        </span>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        {MARKER_PRESETS.map((label) => (
+          <button
+            key={label}
+            type="button"
+            onClick={() => onAdd(label)}
+            className="rounded-full bg-white/10 px-3 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15"
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
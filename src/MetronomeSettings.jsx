@@ -0,0 +1,141 @@
+import React from "react";
+
+const SUBDIVISIONS = [
+  { value: 1, label: "Beats only" },
+  { value: 2, label: "2 per beat" },
+  { value: 3, label: "3 per beat (triplets)" },
+  { value: 4, label: "4 per beat" }
+];
+
+const selectClass = "w-full rounded-lg bg-white/10 px-2 py-1 text-sm text-neutral-100 ring-1 ring-white/10";
+
+export default function MetronomeSettings({ settings, isRunning, onChange, onToggle, isRecording }) {
+  return (
+    <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-semibold text-neutral-100">Metronome</div>
+        <button
+          type="button"
+          onClick={onToggle}
+          className={`rounded-lg px-2 py-1 text-xs font-semibold ring-1 transition ${
+            isRunning
+              ? "bg-emerald-500/20 text-emerald-200 ring-emerald-400/30 hover:bg-emerald-500/30"
+              : "bg-white/10 text-neutral-100 ring-white/10 hover:bg-white/15"
+          }`}
+          aria-pressed={isRunning}
+        >
+          {isRunning ? "Click on" : "Click off"}
+        </button>
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 gap-3">
+        <label className="block">
+          <div className="mb-1 text-xs font-medium text-neutral-300">Tempo (quarter notes/min)</div>
+          <input
+            type="number"
+            min={20}
+            max={300}
+            value={settings.bpm}
+            onChange={(e) => onChange({ bpm: e.target.value })}
+            className={`${selectClass} tabular-nums`}
+          />
+        </label>
+        <label className="block">
+          <div className="mb-1 text-xs font-medium text-neutral-300">Time signature</div>
+          <div className="flex items-center gap-1">
+            <select
+              value={settings.beatsPerBar}
+              onChange={(e) => onChange({ beatsPerBar: e.target.value })}
+              className={selectClass}
+            >
+              {Array.from({ length: 12 }, (_, i) => i + 1).map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+            <span className="text-neutral-400">/</span>
+            <select
+              value={settings.beatUnit}
+              onChange={(e) => onChange({ beatUnit: e.target.value })}
+              className={selectClass}
+            >
+              {[2, 4, 8].map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </div>
+        </label>
+        <label className="block">
+          <div className="mb-1 text-xs font-medium text-neutral-300">Subdivision</div>
+          <select
+            value={settings.subdivision}
+            onChange={(e) => onChange({ subdivision: e.target.value })}
+            className={selectClass}
+          >
+            {SUBDIVISIONS.map((s) => (
+              <option key={s.value} value={s.value}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <div className="mb-1 text-xs font-medium text-neutral-300">Count-in</div>
+          <select
+            value={settings.countInBars}
+            onChange={(e) => onChange({ countInBars: e.target.value })}
+            className={selectClass}
+          >
+            {[0, 1, 2, 4].map((n) => (
+              <option key={n} value={n}>
+                {n === 0 ? "None" : `${n} bar${n > 1 ? "s" : ""}`}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <label className="mt-3 block">
+        <div className="mb-1 flex items-center justify-between text-xs font-medium text-neutral-300">
+          <span>Click volume</span>
+          <span className="tabular-nums">{Math.round(settings.volume * 100)}%</span>
+        </div>
+        <input
+          type="range"
+          min={0}
+          max={1}
+          step={0.05}
+          value={settings.volume}
+          onChange={(e) => onChange({ volume: e.target.value })}
+          className="w-full"
+        />
+      </label>
+
+      <label className="mt-3 flex items-center gap-2 text-sm text-neutral-200">
+        <input
+          type="checkbox"
+          checked={settings.accentDownbeat}
+          onChange={(e) => onChange({ accentDownbeat: e.target.checked })}
+        />
+        Accent the first beat
+      </label>
+      <label className="mt-2 flex items-center gap-2 text-sm text-neutral-200">
+        <input
+          type="checkbox"
+          checked={settings.printToRecording}
+          disabled={isRecording}
+          onChange={(e) => onChange({ printToRecording: e.target.checked })}
+        />
+        Print the click into the recording
+      </label>
+      <div className="mt-1 text-[11px] text-neutral-400">
+        {settings.printToRecording
+          ? "The click is mixed into the recorded audio (the mic then goes through Web Audio)."
+          : "The click only plays on your output — use headphones so it doesn't bleed into the mic."}
+      </div>
+    </div>
+  );
+}
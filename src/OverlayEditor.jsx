@@ -0,0 +1,188 @@
+import React, { useEffect, useRef, useState } from "react";
+import { OVERLAY_IDS, OVERLAY_LABELS } from "./overlays.js";
+
+const buttonClass =
+  "rounded-lg bg-white/10 px-2 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15";
+
+/**
+ * Where the video content sits inside the preview element for object-fit
+ * contain/cover, in element pixels.
+ */
+function contentRect(el, frameW, frameH, fitMode) {
+  const W = el.clientWidth;
+  const H = el.clientHeight;
+  const scale = fitMode === "cover" ? Math.max(W / frameW, H / frameH) : Math.min(W / frameW, H / frameH);
+  const w = frameW * scale;
+  const h = frameH * scale;
+  return { left: (W - w) / 2, top: (H - h) / 2, width: w, height: h };
+}
+
+/**
+ * Drag handles over the live preview for the compositor's overlays, with an
+ * opacity/size strip for the selected one. Changes apply (and record) live.
+ *
+ * `inset` is the picture-in-picture camera's placement (null when it isn't
+ * shown); it can be moved and resized from its corner.
+ */
+export default function OverlayEditor({ compositor, settings, inset, fitMode, onChange, onInsetChange, onDone }) {
+  const ref = useRef(null);
+  const dragRef = useRef(null); // { id, mode, startX, startY, origin: {x, y, w}, rect }
+  const [layout, setLayout] = useState({ rects: {}, content: null });
+  const [selected, setSelected] = useState(null);
+
+  // Rects depend on text metrics and the logo, so read them back from the compositor.
+  useEffect(() => {
+    let raf = 0;
+    let last = "";
+    const update = () => {
+      const el = ref.current;
+      if (el && compositor) {
+        const next = {
+          rects: compositor.getOverlayRects(),
+          content: contentRect(el, compositor.canvas.width, compositor.canvas.height, fitMode)
+        };
+        const key = JSON.stringify(next);
+        if (key !== last) {
+          last = key;
+          setLayout(next);
+        }
+      }
+      raf = requestAnimationFrame(update);
+    };
+    update();
+    return () => cancelAnimationFrame(raf);
+  }, [compositor, fitMode]);
+
+  function handlePointerDown(id, mode = "move") {
+    return (e) => {
+      e.stopPropagation();
+      e.currentTarget.setPointerCapture(e.pointerId);
+      setSelected(id);
+      const placement = id === "inset" ? inset : settings[id];
+      dragRef.current = {
+        id,
+        mode,
+        startX: e.clientX,
+        startY: e.clientY,
+        origin: { x: placement.x, y: placement.y, w: placement.w },
+        rect: layout.rects[id]
+      };
+    };
+  }
+
+  function handlePointerMove(e) {
+    const drag = dragRef.current;
+    const content = layout.content;
+    if (!drag || !content) return;
+    const dx = (e.clientX - drag.startX) / content.width;
+    const dy = (e.clientY - drag.startY) / content.height;
+    if (drag.mode === "resize") {
+      onInsetChange({ ...inset, w: Math.max(0.1, Math.min(0.6, 1 - drag.origin.x, drag.origin.w + dx)) });
+      return;
+    }
+    const x = Math.max(0, Math.min(1 - drag.rect.w, drag.origin.x + dx));
+    const y = Math.max(0, Math.min(1 - drag.rect.h, drag.origin.y + dy));
+    if (drag.id === "inset") onInsetChange({ ...inset, x, y });
+    else onChange({ [drag.id]: { ...settings[drag.id], x, y } });
+  }
+
+  function handlePointerUp() {
+    dragRef.current = null;
+  }
+
+  const content = layout.content;
+  const selectedSettings = selected && selected !== "inset" ? settings[selected] : null;
+  const insetRect = inset ? layout.rects.inset : null;
+
+  return (
+    <div ref={ref} className="absolute inset-0 z-[5]" onPointerDown={() => setSelected(null)}>
+      {content && insetRect && (
+        <div
+          onPointerDown={handlePointerDown("inset")}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          className={`absolute cursor-move touch-none rounded border-2 border-dashed ${
+            selected === "inset" ? "border-amber-300 bg-amber-300/10" : "border-white/60 hover:border-white"
+          }`}
+          style={{
+            left: content.left + insetRect.x * content.width,
+            top: content.top + insetRect.y * content.height,
+            width: insetRect.w * content.width,
+            height: insetRect.h * content.height
+          }}
+          title="Drag to move the second camera; drag the corner to resize it"
+        >
+          <div
+            onPointerDown={handlePointerDown("inset", "resize")}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            className="absolute -bottom-2 -right-2 h-4 w-4 cursor-nwse-resize touch-none rounded-sm bg-amber-300 ring-2 ring-black/40"
+          />
+        </div>
+      )}
+      {content &&
+        OVERLAY_IDS.map((id) => {
+          const r = layout.rects[id];
+          if (!r) return null;
+          return (
+            <div
+              key={id}
+              onPointerDown={handlePointerDown(id)}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              className={`absolute cursor-move touch-none rounded border-2 border-dashed ${
+                selected === id ? "border-amber-300 bg-amber-300/10" : "border-white/60 hover:border-white"
+              }`}
+              style={{
+                left: content.left + r.x * content.width,
+                top: content.top + r.y * content.height,
+                width: r.w * content.width,
+                height: r.h * content.height
+              }}
+              title={`Drag to move the ${OVERLAY_LABELS[id].toLowerCase()}`}
+            />
+          );
+        })}
+
+      <div
+        className="absolute inset-x-0 top-20 z-10 mx-auto flex w-fit max-w-[95%] flex-wrap items-center gap-3 rounded-xl bg-neutral-900/90 px-3 py-2 text-xs text-neutral-200 ring-1 ring-white/10 backdrop-blur"
+        onPointerDown={(e) => e.stopPropagation()}
+      >
+        {selectedSettings ? (
+          <>
+            <span className="font-semibold">{OVERLAY_LABELS[selected]}</span>
+            <label className="flex items-center gap-2">
+              Opacity
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.05}
+                value={selectedSettings.opacity}
+                onChange={(e) => onChange({ [selected]: { ...selectedSettings, opacity: Number(e.target.value) } })}
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              Size
+              <input
+                type="range"
+                min={0.02}
+                max={0.3}
+                step={0.005}
+                value={selectedSettings.size}
+                onChange={(e) => onChange({ [selected]: { ...selectedSettings, size: Number(e.target.value) } })}
+              />
+            </label>
+          </>
+        ) : selected === "inset" ? (
+          <span className="font-semibold">Second camera</span>
+        ) : (
+          <span className="text-neutral-400">Drag an overlay to move it; tap one to change its opacity and size.</span>
+        )}
+        <button type="button" onClick={onDone} className={buttonClass}>
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
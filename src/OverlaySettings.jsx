@@ -0,0 +1,157 @@
+import React, { useRef } from "react";
+import { readLogoFile } from "./overlays.js";
+
+const inputClass =
+  "w-full rounded-lg bg-white/10 px-2 py-1 text-sm text-neutral-100 ring-1 ring-white/10 disabled:cursor-not-allowed disabled:opacity-50";
+const buttonClass =
+  "rounded-lg bg-white/10 px-2 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 disabled:cursor-not-allowed disabled:opacity-50";
+
+function OpacitySlider({ value, onChange }) {
+  return (
+    <label className="mt-2 block">
+      <div className="mb-1 flex items-center justify-between text-[11px] text-neutral-400">
+        <span>Opacity</span>
+        <span className="tabular-nums">{Math.round(value * 100)}%</span>
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={1}
+        step={0.05}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="w-full"
+      />
+    </label>
+  );
+}
+
+function OverlayToggle({ checked, onChange, children }) {
+  return (
+    <label className="flex items-center gap-2 text-sm text-neutral-200">
+      <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} />
+      {children}
+    </label>
+  );
+}
+
+export default function OverlaySettings({ settings, isRecording, onChange, onEditLayout, onError }) {
+  const fileRef = useRef(null);
+  const { watermark, lowerThird, timecode } = settings;
+
+  function patch(id, values) {
+    onChange({ [id]: { ...settings[id], ...values } });
+  }
+
+  async function pickLogo(file) {
+    if (!file) return;
+    try {
+      patch("watermark", { logo: await readLogoFile(file), enabled: true });
+    } catch (e) {
+      onError(e?.message || "Couldn't load that logo.");
+    }
+  }
+
+  return (
+    <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-semibold text-neutral-100">Overlays</div>
+        <button
+          type="button"
+          disabled={!settings.enabled}
+          onClick={onEditLayout}
+          className={buttonClass}
+          title="Drag overlays and set their opacity on the preview"
+        >
+          Edit on preview
+        </button>
+      </div>
+
+      <label className="mt-3 flex items-center gap-2 text-sm text-neutral-200">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          disabled={isRecording}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+        />
+        Burn overlays into the recording
+      </label>
+      <div className="mt-1 text-[11px] text-neutral-400">
+        The camera is drawn through a canvas, and the preview shows exactly what is recorded.
+        {isRecording ? " Can't be switched while recording." : ""}
+      </div>
+
+      {settings.enabled && (
+        <div className="mt-3 space-y-3">
+          <OverlayToggle checked={settings.mirror} onChange={(mirror) => onChange({ mirror })}>
+            Mirror the camera horizontally
+          </OverlayToggle>
+
+          <div className="rounded-xl bg-white/5 p-2 ring-1 ring-white/10">
+            <OverlayToggle checked={watermark.enabled} onChange={(enabled) => patch("watermark", { enabled })}>
+              Watermark / logo
+            </OverlayToggle>
+            <input
+              value={watermark.text}
+              onChange={(e) => patch("watermark", { text: e.target.value })}
+              placeholder="Channel name (used when there is no logo)"
+              className={`${inputClass} mt-2`}
+            />
+            <div className="mt-2 flex items-center gap-2">
+              <button type="button" onClick={() => fileRef.current?.click()} className={buttonClass}>
+                {watermark.logo ? "Replace logo" : "Choose logo"}
+              </button>
+              {watermark.logo && (
+                <>
+                  <img src={watermark.logo} alt="" className="h-6 w-auto rounded bg-black/40" />
+                  <button type="button" onClick={() => patch("watermark", { logo: "" })} className={buttonClass}>
+                    Remove
+                  </button>
+                </>
+              )}
+              <input
+                ref={fileRef}
+                type="file"
+                accept="image/*"
+                className="hidden"
+                onChange={(e) => {
+                  pickLogo(e.target.files?.[0]);
+                  e.target.value = "";
+                }}
+              />
+            </div>
+            <OpacitySlider value={watermark.opacity} onChange={(opacity) => patch("watermark", { opacity })} />
+          </div>
+
+          <div className="rounded-xl bg-white/5 p-2 ring-1 ring-white/10">
+            <OverlayToggle checked={lowerThird.enabled} onChange={(enabled) => patch("lowerThird", { enabled })}>
+              Song lower third
+            </OverlayToggle>
+            <div className="mt-2 grid grid-cols-2 gap-2">
+              <input
+                value={lowerThird.title}
+                onChange={(e) => patch("lowerThird", { title: e.target.value })}
+                placeholder="Song title"
+                className={inputClass}
+              />
+              <input
+                value={lowerThird.artist}
+                onChange={(e) => patch("lowerThird", { artist: e.target.value })}
+                placeholder="Artist"
+                className={inputClass}
+              />
+            </div>
+            <OpacitySlider value={lowerThird.opacity} onChange={(opacity) => patch("lowerThird", { opacity })} />
+          </div>
+
+          <div className="rounded-xl bg-white/5 p-2 ring-1 ring-white/10">
+            <OverlayToggle checked={timecode.enabled} onChange={(enabled) => patch("timecode", { enabled })}>
+              Running timecode
+            </OverlayToggle>
+            <OpacitySlider value={timecode.opacity} onChange={(opacity) => patch("timecode", { opacity })} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
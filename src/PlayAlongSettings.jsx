@@ -0,0 +1,183 @@
+import React, { useRef } from "react";
+import { PLAY_ALONG_MODES } from "./playAlong.js";
+import { formatBytes } from "./takeFiles.js";
+
+const selectClass =
+  "w-full rounded-lg bg-white/10 px-2 py-1 text-sm text-neutral-100 ring-1 ring-white/10 disabled:cursor-not-allowed disabled:opacity-50";
+const buttonClass =
+  "rounded-lg bg-white/10 px-2 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 disabled:cursor-not-allowed disabled:opacity-50";
+
+function LevelSlider({ label, value, onChange }) {
+  return (
+    <label className="block">
+      <div className="mb-1 flex items-center justify-between text-xs font-medium text-neutral-300">
+        <span>{label}</span>
+        <span className="tabular-nums">{Math.round(value * 100)}%</span>
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={1}
+        step={0.05}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="w-full"
+      />
+    </label>
+  );
+}
+
+function formatMs(sec) {
+  return `${Math.round(sec * 1000)} ms`;
+}
+
+/**
+ * Play-along backing track (see playAlong.js). The track, mode and stem
+ * export are fixed for a take; the levels apply right away.
+ *
+ * `latency`: what the last take compensated, `{ outputSec, inputSec }` or null.
+ */
+export default function PlayAlongSettings({
+  settings,
+  tracks,
+  latency,
+  isRecording,
+  onChange,
+  onAddTrack,
+  onRemoveTrack,
+  onError
+}) {
+  const fileRef = useRef(null);
+  const selected = tracks.find((t) => t.id === settings.trackId) || null;
+
+  async function pickTrack(file) {
+    if (!file) return;
+    try {
+      const track = await onAddTrack(file);
+      onChange({ trackId: track.id, enabled: true });
+    } catch (e) {
+      onError(e?.message || "Couldn't store that file.");
+    }
+  }
+
+  async function removeSelected() {
+    if (!selected) return;
+    try {
+      await onRemoveTrack(selected.id);
+      onChange({ trackId: null });
+    } catch (e) {
+      onError(e?.message || "Couldn't remove the backing track.");
+    }
+  }
+
+  return (
+    <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-semibold text-neutral-100">Play-along</div>
+        <button type="button" disabled={isRecording} onClick={() => fileRef.current?.click()} className={buttonClass}>
+          Add track…
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="audio/mpeg,audio/wav,audio/x-wav,audio/ogg,.mp3,.wav,.ogg"
+          className="hidden"
+          onChange={(e) => {
+            pickTrack(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      <label className="mt-3 flex items-center gap-2 text-sm text-neutral-200">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          disabled={isRecording || !selected}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+        />
+        Play a backing track with each take
+      </label>
+      <div className="mt-1 text-[11px] text-neutral-400">
+        {tracks.length
+          ? "It starts with the recording (after any count-in) and stops with it."
+          : "Add an MP3, WAV or OGG file; it is kept in this browser's storage."}
+      </div>
+
+      {tracks.length > 0 && (
+        <div className="mt-3 space-y-3">
+          <label className="block">
+            <div className="mb-1 text-xs font-medium text-neutral-300">Track</div>
+            <div className="flex items-center gap-2">
+              <select
+                value={settings.trackId || ""}
+                disabled={isRecording}
+                onChange={(e) => onChange({ trackId: e.target.value || null })}
+                className={selectClass}
+              >
+                {!selected && <option value="">Choose a track…</option>}
+                {tracks.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.name} ({formatBytes(t.size)})
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                disabled={isRecording || !selected}
+                onClick={removeSelected}
+                className={buttonClass}
+              >
+                Remove
+              </button>
+            </div>
+          </label>
+
+          <label className="block">
+            <div className="mb-1 text-xs font-medium text-neutral-300">Playback</div>
+            <select
+              value={settings.mode}
+              disabled={isRecording}
+              onChange={(e) => onChange({ mode: e.target.value })}
+              className={selectClass}
+            >
+              {PLAY_ALONG_MODES.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div className="grid grid-cols-2 gap-3">
+            <LevelSlider label="Headphone level" value={settings.volume} onChange={(volume) => onChange({ volume })} />
+            {settings.mode === "mix" && (
+              <LevelSlider
+                label="Level in the take"
+                value={settings.mixLevel}
+                onChange={(mixLevel) => onChange({ mixLevel })}
+              />
+            )}
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-neutral-200">
+            <input
+              type="checkbox"
+              checked={settings.exportStem}
+              disabled={isRecording}
+              onChange={(e) => onChange({ exportStem: e.target.checked })}
+            />
+            Save the backing track as an aligned stem
+          </label>
+
+          <div className="text-[11px] text-neutral-400">
+            Use headphones: with speakers the mic picks the track up as well.
+            {latency
+              ? ` Last take compensated ${formatMs(latency.outputSec)} output + ${formatMs(latency.inputSec)} input latency.`
+              : ""}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
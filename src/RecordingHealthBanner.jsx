@@ -0,0 +1,35 @@
+import React from "react";
+
+/**
+ * What happened to the current (or last) take: disconnects, stalls,
+ * backgrounding, low storage. Stays until dismissed or the next take starts.
+ */
+export default function RecordingHealthBanner({ events, isRecording, onDismiss }) {
+  const hasError = events.some((e) => e.severity === "error");
+  return (
+    <div
+      className={`mb-4 rounded-2xl p-3 text-sm ring-1 ${
+        hasError ? "bg-red-500/15 text-red-100 ring-red-500/30" : "bg-amber-500/15 text-amber-100 ring-amber-500/30"
+      }`}
+      role="status"
+    >
+      <div className="flex items-center justify-between gap-2">
+        <div className="font-semibold">{isRecording ? "This take" : "Last take"}</div>
+        {!isRecording && (
+          <button
+            type="button"
+            onClick={onDismiss}
+            className="rounded-lg bg-white/10 px-2 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15"
+          >
+            Dismiss
+          </button>
+        )}
+      </div>
+      <ul className="mt-1 list-disc space-y-0.5 pl-5">
+        {events.map((e, i) => (
+          <li key={i}>{e.message}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
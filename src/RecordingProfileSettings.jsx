@@ -0,0 +1,276 @@
+import React, { useState } from "react";
+import {
+  AUDIO_BITRATES,
+  DEFAULT_PROFILE,
+  ENGINES,
+  RESOLUTION_PRESETS,
+  VIDEO_BITRATES,
+  WEBCODECS_CONTAINERS,
+  formatBitrate,
+  isPresetSupported,
+  pickMimeType
+} from "./recordingProfiles.js";
+import { isWebCodecsRecordingSupported } from "./webCodecsRecorder.js";
+import { WAV_SIDECAR_FORMATS, isWavSidecarSupported } from "./wavSidecar.js";
+import { MAX_AV_OFFSET_MS, clampAvOffset, formatAvOffset } from "./avSync.js";
+import { describeMimeType } from "./takeFiles.js";
+
+const selectClass =
+  "w-full rounded-lg bg-white/10 px-2 py-1 text-sm text-neutral-100 ring-1 ring-white/10 disabled:cursor-not-allowed disabled:opacity-50";
+const buttonClass =
+  "rounded-lg bg-white/10 px-2 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 disabled:cursor-not-allowed disabled:opacity-50";
+
+function Field({ label, children }) {
+  return (
+    <label className="block">
+      <div className="mb-1 text-xs font-medium text-neutral-300">{label}</div>
+      {children}
+    </label>
+  );
+}
+
+export default function RecordingProfileSettings({
+  profiles,
+  supportedMimeTypes,
+  capabilities,
+  liveSettings,
+  disabled,
+  onProfileChange,
+  onCalibrateSync
+}) {
+  const [newName, setNewName] = useState("");
+  const profile = profiles.activeProfile;
+  const webCodecsSupported = isWebCodecsRecordingSupported();
+  const isWebCodecs = profile.engine === "webcodecs";
+  // MediaRecorder MP4 is recorded in one piece (see startMediaRecorder in recorder.js).
+  const isOnePieceMp4 = (!isWebCodecs || !webCodecsSupported) && pickMimeType(profile.mimeType).includes("mp4");
+
+  function apply(next) {
+    if (next) onProfileChange(next);
+  }
+
+  return (
+    <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="text-sm font-semibold text-neutral-100">Recording profile</div>
+
+      <div className="mt-3 flex items-center gap-2">
+        <select
+          value={profile.id}
+          disabled={disabled}
+          onChange={(e) => apply(profiles.selectProfile(e.target.value))}
+          className={selectClass}
+        >
+          {profiles.profiles.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          disabled={disabled || profile.id === DEFAULT_PROFILE.id}
+          onClick={() => apply(profiles.deleteProfile(profile.id))}
+          className={buttonClass}
+        >
+          Delete
+        </button>
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 gap-3">
+        <div className="col-span-2">
+          <Field label="Encoder">
+            <select
+              value={profile.engine}
+              disabled={disabled}
+              onChange={(e) => apply(profiles.updateActiveProfile({ engine: e.target.value }))}
+              className={selectClass}
+            >
+              {ENGINES.map((engine) => (
+                <option key={engine.id} value={engine.id}>
+                  {engine.label}
+                  {engine.id === "webcodecs" && !webCodecsSupported ? " (unsupported here)" : ""}
+                </option>
+              ))}
+            </select>
+          </Field>
+        </div>
+        <Field label="Resolution">
+          <select
+            value={profile.resolutionId}
+            disabled={disabled}
+            onChange={(e) => apply(profiles.updateActiveProfile({ resolutionId: e.target.value }))}
+            className={selectClass}
+          >
+            {RESOLUTION_PRESETS.map((p) => {
+              const supported = isPresetSupported(p, capabilities);
+              return (
+                <option key={p.id} value={p.id} disabled={!supported && p.id !== profile.resolutionId}>
+                  {p.label}
+                  {supported ? "" : " (camera can't)"}
+                </option>
+              );
+            })}
+          </select>
+        </Field>
+        {isWebCodecs ? (
+          <Field label="Format">
+            <select
+              value={profile.webCodecsContainer}
+              disabled={disabled}
+              onChange={(e) => apply(profiles.updateActiveProfile({ webCodecsContainer: e.target.value }))}
+              className={selectClass}
+            >
+              {WEBCODECS_CONTAINERS.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          </Field>
+        ) : (
+          <Field label="Format">
+            <select
+              value={profile.mimeType}
+              disabled={disabled}
+              onChange={(e) => apply(profiles.updateActiveProfile({ mimeType: e.target.value }))}
+              className={selectClass}
+            >
+              <option value="">Automatic (MP4, else WebM)</option>
+              {profile.mimeType && !supportedMimeTypes.includes(profile.mimeType) && (
+                <option value={profile.mimeType}>{describeMimeType(profile.mimeType)} (unsupported here)</option>
+              )}
+              {supportedMimeTypes.map((t) => (
+                <option key={t} value={t}>
+                  {describeMimeType(t)}
+                </option>
+              ))}
+            </select>
+          </Field>
+        )}
+        <Field label="Video bitrate">
+          <select
+            value={profile.videoBitsPerSecond ?? ""}
+            disabled={disabled}
+            onChange={(e) =>
+              apply(profiles.updateActiveProfile({ videoBitsPerSecond: Number(e.target.value) || null }))
+            }
+            className={selectClass}
+          >
+            <option value="">{isWebCodecs ? "Auto (12 Mbps)" : "Auto (12 → 2.5 Mbps)"}</option>
+            {VIDEO_BITRATES.map((b) => (
+              <option key={b} value={b}>
+                {formatBitrate(b)}
+              </option>
+            ))}
+          </select>
+        </Field>
+        <Field label="Audio bitrate">
+          <select
+            value={profile.audioBitsPerSecond ?? ""}
+            disabled={disabled}
+            onChange={(e) =>
+              apply(profiles.updateActiveProfile({ audioBitsPerSecond: Number(e.target.value) || null }))
+            }
+            className={selectClass}
+          >
+            <option value="">Auto</option>
+            {AUDIO_BITRATES.map((b) => (
+              <option key={b} value={b}>
+                {formatBitrate(b)}
+              </option>
+            ))}
+          </select>
+        </Field>
+        <div className="col-span-2">
+          <Field label="Lossless audio sidecar">
+            <select
+              value={profile.wavSidecar}
+              disabled={disabled || !isWavSidecarSupported()}
+              onChange={(e) => apply(profiles.updateActiveProfile({ wavSidecar: e.target.value }))}
+              className={selectClass}
+            >
+              {WAV_SIDECAR_FORMATS.map((f) => (
+                <option key={f.id} value={f.id}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </Field>
+        </div>
+        <div className="col-span-2">
+          <Field label="A/V sync correction (ms the audio is late)">
+            <div className="flex items-center gap-2">
+              <input
+                type="number"
+                min={-MAX_AV_OFFSET_MS}
+                max={MAX_AV_OFFSET_MS}
+                step={1}
+                value={profile.avOffsetMs}
+                disabled={disabled}
+                onChange={(e) => apply(profiles.updateActiveProfile({ avOffsetMs: clampAvOffset(e.target.value) }))}
+                className={`${selectClass} tabular-nums`}
+              />
+              <button type="button" disabled={disabled} onClick={onCalibrateSync} className={buttonClass}>
+                Calibrate…
+              </button>
+            </div>
+          </Field>
+        </div>
+      </div>
+
+      <form
+        className="mt-3 flex items-center gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (!newName.trim()) return;
+          apply(profiles.saveProfileAs(newName));
+          setNewName("");
+        }}
+      >
+        <input
+          value={newName}
+          disabled={disabled}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New profile name"
+          className={selectClass}
+        />
+        <button type="submit" disabled={disabled || !newName.trim()} className={buttonClass}>
+          Save as
+        </button>
+      </form>
+
+      {isWebCodecs && !webCodecsSupported && (
+        <div className="mt-2 text-[11px] text-amber-200">
+          WebCodecs recording isn't available in this browser; takes will use MediaRecorder.
+        </div>
+      )}
+
+      {isOnePieceMp4 && (
+        <div className="mt-2 text-[11px] text-neutral-400">
+          MP4 from MediaRecorder is written in one piece for correct timing, so a crash or reload mid-take loses it.
+          {webCodecsSupported ? " Use the WebCodecs engine to keep MP4 takes safe while recording." : ""}
+        </div>
+      )}
+
+      {profile.wavSidecar !== "off" && (
+        <div className="mt-2 text-[11px] text-neutral-400">
+          The mic is also recorded untouched at its own sample rate and saved as{" "}
+          <span className="font-mono">rec-….wav</span> next to the take, starting at its first frame.
+        </div>
+      )}
+
+      {profile.avOffsetMs !== 0 && (
+        <div className="mt-2 text-[11px] text-neutral-400">
+          Takes are measured {formatAvOffset(profile.avOffsetMs)}; their audio is moved to match when they are saved.
+        </div>
+      )}
+
+      {liveSettings?.width && (
+        <div className="mt-2 text-[11px] text-neutral-400">
+          Camera is delivering {liveSettings.width}×{liveSettings.height}
+          {liveSettings.frameRate ? ` @ ${Math.round(liveSettings.frameRate)} fps` : ""}.
+        </div>
+      )}
+    </div>
+  );
+}
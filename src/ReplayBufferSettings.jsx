@@ -0,0 +1,63 @@
+import React from "react";
+import { REPLAY_MEMORY_CAPS_MB, REPLAY_MINUTES } from "./replayBuffer.js";
+
+const selectClass =
+  "w-full rounded-lg bg-white/10 px-2 py-1 text-sm text-neutral-100 ring-1 ring-white/10 disabled:cursor-not-allowed disabled:opacity-50";
+
+function formatMinutes(m) {
+  return m < 1 ? `${m * 60} s` : `${m} min`;
+}
+
+export default function ReplayBufferSettings({ settings, isSupported, onChange }) {
+  return (
+    <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="text-sm font-semibold text-neutral-100">Replay buffer</div>
+      <label className="mt-3 flex items-center gap-2 text-sm text-neutral-200">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          disabled={!isSupported}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+        />
+        Keep the last few minutes, even when not recording
+      </label>
+      <div className="mt-3 grid grid-cols-2 gap-3">
+        <label className="block">
+          <div className="mb-1 text-xs font-medium text-neutral-300">Length</div>
+          <select
+            value={settings.minutes}
+            disabled={!isSupported}
+            onChange={(e) => onChange({ minutes: e.target.value })}
+            className={selectClass}
+          >
+            {REPLAY_MINUTES.map((m) => (
+              <option key={m} value={m}>
+                {formatMinutes(m)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <div className="mb-1 text-xs font-medium text-neutral-300">Memory cap</div>
+          <select
+            value={settings.maxMb}
+            disabled={!isSupported}
+            onChange={(e) => onChange({ maxMb: e.target.value })}
+            className={selectClass}
+          >
+            {REPLAY_MEMORY_CAPS_MB.map((mb) => (
+              <option key={mb} value={mb}>
+                {mb >= 1000 ? `${mb / 1000} GB` : `${mb} MB`}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="mt-1 text-[11px] text-neutral-400">
+        {isSupported
+          ? "“Save that!” keeps the buffered window as a take without stopping the buffer. Uses the profile's WebCodecs container and bitrate; the memory cap wins over the length."
+          : "Needs WebCodecs (Chrome or Edge)."}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,396 @@
+import React, { useEffect, useRef, useState } from "react";
+import * as Progress from "@radix-ui/react-progress";
+import { captureFilmstrip, decodeLevels, findDeadAir } from "./takeAnalysis.js";
+import { canReencodeTrim, reencodeTrim, trimTake } from "./takeTrim.js";
+import { describeMimeType, formatBytes } from "./takeFiles.js";
+import { useObjectUrl } from "./useObjectUrl.js";
+
+const buttonClass =
+  "rounded-lg bg-white/10 px-3 py-1.5 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 disabled:cursor-not-allowed disabled:opacity-50";
+
+const MIN_LENGTH_SEC = 0.5;
+const FILMSTRIP_FRAMES = 10;
+
+function formatTime(sec) {
+  if (!Number.isFinite(sec) || sec < 0) return "—";
+  const m = Math.floor(sec / 60);
+  const s = (sec - m * 60).toFixed(1).padStart(4, "0");
+  return `${m}:${s}`;
+}
+
+function Waveform({ levels }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !levels) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.max(1, Math.round(canvas.clientWidth * dpr));
+    canvas.height = Math.max(1, Math.round(canvas.clientHeight * dpr));
+    const g = canvas.getContext("2d");
+    g.clearRect(0, 0, canvas.width, canvas.height);
+    g.fillStyle = "rgba(52, 211, 153, 0.85)";
+
+    const perColumn = levels.peak.length / canvas.width;
+    const mid = canvas.height / 2;
+    for (let x = 0; x < canvas.width; x += 1) {
+      let max = 0;
+      const end = Math.min(levels.peak.length, Math.ceil((x + 1) * perColumn));
+      for (let i = Math.floor(x * perColumn); i < end; i += 1) max = Math.max(max, levels.peak[i]);
+      const h = Math.max(1, max * mid);
+      g.fillRect(x, mid - h, 1, h * 2);
+    }
+  }, [levels]);
+
+  return <canvas ref={canvasRef} className="pointer-events-none absolute inset-0 h-full w-full" />;
+}
+
+function Filmstrip({ frames }) {
+  const [urls, setUrls] = useState([]);
+  useEffect(() => {
+    const next = frames.map((f) => (f ? URL.createObjectURL(f) : ""));
+    setUrls(next);
+    return () => next.forEach((u) => u && URL.revokeObjectURL(u));
+  }, [frames]);
+
+  return (
+    <div className="pointer-events-none absolute inset-0 flex opacity-60">
+      {urls.map((u, i) => (
+        <div key={i} className="h-full min-w-0 flex-1 bg-black">
+          {u && <img src={u} alt="" className="h-full w-full object-cover" />}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Timeline({ duration, range, playhead, levels, frames, onRangeChange, onSeek }) {
+  const ref = useRef(null);
+  const dragRef = useRef(null); // "start" | "end" | null
+
+  const pct = (t) => `${duration > 0 ? (t / duration) * 100 : 0}%`;
+
+  function timeAt(clientX) {
+    const rect = ref.current.getBoundingClientRect();
+    return Math.min(duration, Math.max(0, ((clientX - rect.left) / rect.width) * duration));
+  }
+
+  function handlePointerDown(which) {
+    return (e) => {
+      e.stopPropagation();
+      e.currentTarget.setPointerCapture(e.pointerId);
+      dragRef.current = which;
+    };
+  }
+
+  function handlePointerMove(e) {
+    const which = dragRef.current;
+    if (!which) return;
+    const t = timeAt(e.clientX);
+    if (which === "start") onRangeChange({ ...range, start: Math.min(t, range.end - MIN_LENGTH_SEC) });
+    else onRangeChange({ ...range, end: Math.max(t, range.start + MIN_LENGTH_SEC) });
+  }
+
+  const handleClass =
+    "absolute inset-y-0 z-10 w-3 -translate-x-1/2 cursor-ew-resize touch-none rounded bg-amber-400 shadow ring-1 ring-amber-200/60";
+
+  return (
+    <div
+      ref={ref}
+      className="relative h-20 w-full select-none overflow-hidden rounded-lg bg-black ring-1 ring-white/10"
+      onPointerDown={(e) => onSeek(timeAt(e.clientX))}
+      onPointerMove={handlePointerMove}
+      onPointerUp={() => (dragRef.current = null)}
+    >
+      <Filmstrip frames={frames} />
+      <Waveform levels={levels} />
+      <div className="pointer-events-none absolute inset-y-0 left-0 bg-black/70" style={{ width: pct(range.start) }} />
+      <div
+        className="pointer-events-none absolute inset-y-0 right-0 bg-black/70"
+        style={{ width: `calc(100% - ${pct(range.end)})` }}
+      />
+      <div className="pointer-events-none absolute inset-y-0 w-px bg-white" style={{ left: pct(playhead) }} />
+      <div
+        role="slider"
+        aria-label="Trim start"
+        aria-valuenow={range.start}
+        className={handleClass}
+        style={{ left: pct(range.start) }}
+        onPointerDown={handlePointerDown("start")}
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => (dragRef.current = null)}
+      />
+      <div
+        role="slider"
+        aria-label="Trim end"
+        aria-valuenow={range.end}
+        className={handleClass}
+        style={{ left: pct(range.end) }}
+        onPointerDown={handlePointerDown("end")}
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => (dragRef.current = null)}
+      />
+    </div>
+  );
+}
+
+/**
+ * Shown after Stop: play the take, trim the dead air, then keep, retake or
+ * discard it. Keeping hands `{ blob, mimeType, durationMs, startSec }` to
+ * `onKeep`, where `startSec` is where the kept part began in the original.
+ */
+export default function ReviewScreen({ take, frameRate, onKeep, onRetake, onDiscard, onError }) {
+  const videoRef = useRef(null);
+  const url = useObjectUrl(take.blob);
+  const touchedRef = useRef(false);
+
+  const [mediaDuration, setMediaDuration] = useState(null); // from the player, once loaded
+  const duration = mediaDuration ?? (take.durationMs || 0) / 1000;
+  const [range, setRange] = useState({ start: 0, end: duration });
+  const [playhead, setPlayhead] = useState(0);
+  const [levels, setLevels] = useState(null);
+  const [frames, setFrames] = useState([]);
+  const [suggestion, setSuggestion] = useState(null);
+  const [mode, setMode] = useState("fast"); // "fast" (keyframe, no re-encode) | "exact" (re-encode)
+  const [progress, setProgress] = useState(null); // 0..1 while exporting
+  const [isConfirmingDiscard, setIsConfirmingDiscard] = useState(false);
+
+  const canReencode = canReencodeTrim();
+  const isExporting = progress !== null;
+  const isTrimmed = range.start > 0.05 || range.end < duration - 0.05;
+
+  useEffect(() => {
+    let cancelled = false;
+    decodeLevels(take.blob, { durationSec: take.durationMs / 1000 }).then((result) => {
+      if (cancelled || !result) return;
+      setLevels(result);
+      const found = findDeadAir(result);
+      setSuggestion(found);
+      // Cut the dead air by default unless the user already moved the handles.
+      if (found && !touchedRef.current) setRange({ start: found.startSec, end: found.endSec });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [take.blob, take.durationMs]);
+
+  useEffect(() => {
+    if (!mediaDuration) return undefined;
+    let cancelled = false;
+    captureFilmstrip(take.blob, mediaDuration, FILMSTRIP_FRAMES).then((result) => {
+      if (!cancelled) setFrames(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [take.blob, mediaDuration]);
+
+  function handleLoadedMetadata() {
+    const d = videoRef.current?.duration;
+    if (!Number.isFinite(d) || d <= 0) return;
+    setMediaDuration(d);
+    setRange((r) => (touchedRef.current || suggestion ? { ...r, end: Math.min(r.end || d, d) } : { start: 0, end: d }));
+  }
+
+  function changeRange(next) {
+    touchedRef.current = true;
+    setRange(next);
+  }
+
+  function seek(t) {
+    const video = videoRef.current;
+    if (!video) return;
+    video.currentTime = t;
+    setPlayhead(t);
+  }
+
+  function playSelection() {
+    const video = videoRef.current;
+    if (!video) return;
+    video.currentTime = range.start;
+    video.play().catch(() => {});
+  }
+
+  function handleTimeUpdate() {
+    const video = videoRef.current;
+    if (!video) return;
+    setPlayhead(video.currentTime);
+    if (!video.paused && video.currentTime >= range.end) video.pause();
+  }
+
+  async function keep() {
+    if (!isTrimmed) {
+      onKeep({ blob: take.blob, mimeType: take.mimeType, durationMs: take.durationMs, startSec: 0 });
+      return;
+    }
+    videoRef.current?.pause();
+    setProgress(0);
+    try {
+      const opts = { startSec: range.start, endSec: range.end };
+      const result =
+        mode === "exact"
+          ? await reencodeTrim(take.blob, take.mimeType, { ...opts, frameRate, onProgress: setProgress })
+          : await trimTake(take.blob, take.mimeType, opts);
+      onKeep({
+        blob: result.blob,
+        mimeType: result.mimeType || take.mimeType,
+        durationMs: result.durationMs,
+        startSec: result.startSec ?? range.start
+      });
+    } catch (e) {
+      onError(e?.message || "Couldn't trim this take.");
+      setProgress(null);
+    }
+  }
+
+  return (
+    <div className="absolute inset-0 z-20 flex items-center justify-center bg-black/60 p-4">
+      <div className="flex max-h-full w-full max-w-3xl flex-col rounded-2xl bg-neutral-900/95 p-5 ring-1 ring-white/10 backdrop-blur">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <div className="text-base font-semibold text-neutral-100">Review take</div>
+            <div className="mt-0.5 text-xs text-neutral-400">
+              {formatTime(duration)} • {formatBytes(take.blob.size)} • {describeMimeType(take.mimeType)}
+            </div>
+          </div>
+          <button onClick={playSelection} disabled={!url || isExporting} className={buttonClass} type="button">
+            Play selection
+          </button>
+        </div>
+
+        <div className="mt-4 min-h-0 flex-1">
+          {url && (
+            <video
+              ref={videoRef}
+              src={url}
+              controls
+              playsInline
+              onLoadedMetadata={handleLoadedMetadata}
+              onTimeUpdate={handleTimeUpdate}
+              className="max-h-[50dvh] w-full rounded-lg bg-black"
+            />
+          )}
+        </div>
+
+        <div className="mt-4">
+          <Timeline
+            duration={duration}
+            range={range}
+            playhead={playhead}
+            levels={levels}
+            frames={frames}
+            onRangeChange={changeRange}
+            onSeek={seek}
+          />
+          <div className="mt-2 flex flex-wrap items-center justify-between gap-2 text-xs text-neutral-300">
+            <div className="tabular-nums">
+              In {formatTime(range.start)} • Out {formatTime(range.end)} • Length {formatTime(range.end - range.start)}
+            </div>
+            <div className="flex items-center gap-2">
+              {suggestion && (
+                <button
+                  onClick={() => changeRange({ start: suggestion.startSec, end: suggestion.endSec })}
+                  disabled={isExporting}
+                  className={buttonClass}
+                  type="button"
+                >
+                  Trim dead air
+                </button>
+              )}
+              <button
+                onClick={() => changeRange({ start: 0, end: duration })}
+                disabled={isExporting || !isTrimmed}
+                className={buttonClass}
+                type="button"
+              >
+                Full take
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {isTrimmed && (
+          <div className="mt-3 rounded-xl bg-white/5 p-3 ring-1 ring-white/10">
+            <div className="flex flex-wrap gap-4 text-sm text-neutral-200">
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="trim-mode"
+                  checked={mode === "fast"}
+                  disabled={isExporting}
+                  onChange={() => setMode("fast")}
+                />
+                Fast (no re-encode)
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="trim-mode"
+                  checked={mode === "exact"}
+                  disabled={isExporting || !canReencode}
+                  onChange={() => setMode("exact")}
+                />
+                Exact (re-encode)
+              </label>
+            </div>
+            <div className="mt-1 text-[11px] text-neutral-400">
+              {mode === "fast"
+                ? "Keeps the original quality; the start snaps back to the previous keyframe (up to ~2 s earlier)."
+                : `Frame-accurate, but re-encodes in real time (about ${formatTime(range.end - range.start)}).`}
+              {!canReencode && " Exact trimming isn't available in this browser."}
+            </div>
+          </div>
+        )}
+
+        {isExporting && mode === "exact" && (
+          <Progress.Root
+            value={Math.round(progress * 100)}
+            className="relative mt-3 h-2 w-full overflow-hidden rounded-full bg-white/10 ring-1 ring-white/10"
+          >
+            <Progress.Indicator
+              className="h-full w-full origin-left bg-emerald-400/80 transition-transform"
+              style={{ transform: `translateX(-${100 - Math.round(progress * 100)}%)` }}
+            />
+          </Progress.Root>
+        )}
+
+        <div className="mt-4 flex flex-wrap items-center justify-end gap-2">
+          {isConfirmingDiscard ? (
+            <>
+              <button
+                onClick={onDiscard}
+                className="rounded-lg bg-red-500 px-3 py-1.5 text-xs font-bold text-red-950 transition hover:bg-red-400"
+                type="button"
+              >
+                Confirm discard
+              </button>
+              <button onClick={() => setIsConfirmingDiscard(false)} className={buttonClass} type="button">
+                Cancel
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={() => setIsConfirmingDiscard(true)}
+              disabled={isExporting}
+              className={buttonClass}
+              type="button"
+            >
+              Discard
+            </button>
+          )}
+          <button onClick={onRetake} disabled={isExporting} className={buttonClass} type="button">
+            Retake
+          </button>
+          <button
+            onClick={keep}
+            disabled={isExporting}
+            className="rounded-lg bg-emerald-400 px-3 py-1.5 text-xs font-bold text-emerald-950 transition hover:bg-emerald-300 disabled:cursor-not-allowed disabled:opacity-50"
+            type="button"
+          >
+            {isExporting ? "Trimming…" : isTrimmed ? "Keep trimmed" : "Keep"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
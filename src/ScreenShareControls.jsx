@@ -0,0 +1,53 @@
+import React from "react";
+
+/**
+ * Shared-audio options while a screen/tab is shared. The mix is built when
+ * recording starts, so "include" is fixed for the take; the level stays live.
+ */
+export default function ScreenShareControls({ settings, hasAudio, isRecording, onChange, onStop }) {
+  return (
+    <div className="mb-4 rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm font-semibold text-neutral-100">Screen share</div>
+        <button
+          type="button"
+          onClick={onStop}
+          className="rounded-full bg-white/10 px-3 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15"
+        >
+          Stop sharing
+        </button>
+      </div>
+      {hasAudio ? (
+        <div className="mt-2 flex flex-wrap items-center gap-3 text-sm text-neutral-200">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.includeAudio}
+              disabled={isRecording}
+              onChange={(e) => onChange({ includeAudio: e.target.checked })}
+            />
+            Mix shared audio into the take
+          </label>
+          <label className="flex flex-1 items-center gap-2 text-xs text-neutral-300">
+            Level
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              value={settings.audioLevel}
+              disabled={!settings.includeAudio}
+              onChange={(e) => onChange({ audioLevel: Number(e.target.value) })}
+              className="flex-1"
+            />
+            <span className="w-9 text-right tabular-nums">{Math.round(settings.audioLevel * 100)}%</span>
+          </label>
+        </div>
+      ) : (
+        <div className="mt-1 text-[11px] text-neutral-400">
+          No audio is being shared. To include it, share a tab and turn on its audio in the browser's picker.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React from "react";
+
+function Slider({ label, value, unit, min, max, step, disabled, onChange }) {
+  return (
+    <label className="mt-3 block">
+      <div className="mb-1 flex items-center justify-between text-xs font-medium text-neutral-300">
+        <span>{label}</span>
+        <span className="tabular-nums">
+          {value} {unit}
+        </span>
+      </div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        disabled={disabled}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="w-full disabled:opacity-50"
+      />
+    </label>
+  );
+}
+
+/**
+ * Threshold, silence and pre-roll for sound-activated recording. Changes
+ * apply the next time it is armed.
+ */
+export default function SoundTriggerSettings({ settings, isArmed, onChange }) {
+  return (
+    <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="text-sm font-semibold text-neutral-100">Sound-activated recording</div>
+      <Slider
+        label="Start when the input peaks above"
+        value={settings.thresholdDb}
+        unit="dBFS"
+        min={-60}
+        max={-6}
+        step={1}
+        disabled={isArmed}
+        onChange={(thresholdDb) => onChange({ thresholdDb })}
+      />
+      <Slider
+        label="Stop after silence of"
+        value={settings.silenceSec}
+        unit="s"
+        min={1}
+        max={30}
+        step={1}
+        disabled={isArmed}
+        onChange={(silenceSec) => onChange({ silenceSec })}
+      />
+      <Slider
+        label="Keep before the first sound (pre-roll)"
+        value={settings.preRollSec}
+        unit="s"
+        min={0}
+        max={10}
+        step={0.5}
+        disabled={isArmed}
+        onChange={(preRollSec) => onChange({ preRollSec })}
+      />
+      <div className="mt-1 text-[11px] text-neutral-400">
+        The take is cut at a keyframe, so a little more than the pre-roll may stay: up to 1 s in Chromium browsers
+        (Chrome, Edge; 2 s with the WebCodecs engine), where keyframe spacing can be asked for. Elsewhere it can be
+        several seconds.
+      </div>
+      <div className="mt-1 text-[11px] text-neutral-400">
+        {isArmed
+          ? "Disarm to change these."
+          : "Arm next to Start Recording. Each attempt becomes its own take, saved without review."}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useState } from "react";
+import { CALIBRATION_CUES_SEC, CALIBRATION_METHODS, analyzeCalibrationClip, formatAvOffset } from "./avSync.js";
+import { readTrackStarts } from "./takeTrim.js";
+
+const buttonClass =
+  "rounded-lg bg-white/10 px-3 py-1.5 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 disabled:cursor-not-allowed disabled:opacity-50";
+const primaryClass =
+  "rounded-lg bg-emerald-500 px-3 py-1.5 text-xs font-bold text-emerald-950 transition hover:bg-emerald-400 disabled:cursor-not-allowed disabled:opacity-50";
+
+const INSTRUCTIONS = {
+  flash:
+    "Turn the volume up and keep the camera where it sees the light of the screen (your face is enough). The screen flashes and beeps three times.",
+  clap: "Stand where the camera and mic pick you up well, in good light, and clap sharply each time the prompt says so."
+};
+
+const NOT_FOUND = {
+  flash: "No flash and beep were found together. Turn the volume up, dim the room and try again.",
+  clap: "No clap was found. Clap closer to the camera and mic, with your hands in view."
+};
+
+/**
+ * A/V sync calibration wizard (see avSync.js). `onRecord({ method, onCue,
+ * onFlash })` records the clip with the active profile and resolves to
+ * `{ blob, mimeType }`; `onSave(offsetMs)` stores the result on the profile.
+ */
+export default function SyncCalibration({ profile, frameRate, onRecord, onSave, onClose }) {
+  const [method, setMethod] = useState("flash");
+  const [phase, setPhase] = useState("intro"); // "intro" | "recording" | "analyzing" | "done"
+  const [cue, setCue] = useState(null); // index of the clap prompt showing
+  const [isFlashing, setIsFlashing] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  async function run() {
+    setError("");
+    setResult(null);
+    setPhase("recording");
+    try {
+      const clip = await onRecord({ method, onCue: setCue, onFlash: setIsFlashing });
+      setCue(null);
+      setPhase("analyzing");
+      const { audioSec } = await readTrackStarts(clip.blob, clip.mimeType);
+      if (audioSec === null) throw new Error("The calibration clip has no audio.");
+      const measured = await analyzeCalibrationClip(clip.blob, { method, frameRate, audioStartSec: audioSec });
+      if (!measured) throw new Error(NOT_FOUND[method]);
+      setResult(measured);
+      setPhase("done");
+    } catch (e) {
+      setCue(null);
+      setIsFlashing(false);
+      setError(e?.message || "The calibration failed.");
+      setPhase("intro");
+    }
+  }
+
+  const isBusy = phase === "recording" || phase === "analyzing";
+
+  return (
+    <div className="absolute inset-0 z-20 flex items-center justify-center bg-black/40 p-4">
+      {isFlashing && <div className="fixed inset-0 z-50 bg-white" />}
+      <div className="w-full max-w-md rounded-2xl bg-neutral-900/90 p-5 ring-1 ring-white/10 backdrop-blur">
+        <div className="text-base font-semibold text-neutral-100">A/V sync calibration</div>
+        <div className="mt-0.5 text-xs text-neutral-400">
+          Profile “{profile.name}”, now {formatAvOffset(profile.avOffsetMs)}
+        </div>
+
+        <div className="mt-4 flex gap-2">
+          {CALIBRATION_METHODS.map((m) => (
+            <button
+              key={m.id}
+              type="button"
+              disabled={isBusy}
+              onClick={() => setMethod(m.id)}
+              aria-pressed={method === m.id}
+              className={`${buttonClass} ${method === m.id ? "bg-white/20 ring-white/30" : ""}`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+        <div className="mt-2 text-sm text-neutral-300">{INSTRUCTIONS[method]}</div>
+
+        {phase === "recording" && (
+          <div className="mt-4 text-center text-2xl font-bold text-neutral-100">
+            {method === "clap" && cue !== null ? `Clap! (${cue + 1}/${CALIBRATION_CUES_SEC.length})` : "Recording…"}
+          </div>
+        )}
+        {phase === "analyzing" && <div className="mt-4 text-sm text-neutral-300">Looking for the events…</div>}
+
+        {phase === "done" && result && (
+          <div className="mt-4 rounded-xl bg-white/5 p-3 text-sm text-neutral-200 ring-1 ring-white/10">
+            <div className="font-semibold">Measured: {formatAvOffset(result.offsetMs)}</div>
+            <div className="mt-1 text-xs text-neutral-400">
+              {result.events.length} of {CALIBRATION_CUES_SEC.length} events found
+              {result.events.length > 1 ? `, ${result.spreadMs} ms apart at most` : ""}.
+            </div>
+            {(result.events.length < 2 || result.spreadMs > 1000 / frameRate) && (
+              <div className="mt-1 text-xs text-amber-200">
+                The events don't agree well; another run may give a steadier result.
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && <div className="mt-3 text-xs text-red-300">{error}</div>}
+
+        <div className="mt-5 flex items-center justify-end gap-2">
+          <button type="button" disabled={isBusy} onClick={onClose} className={buttonClass}>
+            {phase === "done" ? "Don't save" : "Cancel"}
+          </button>
+          <button
+            type="button"
+            disabled={isBusy}
+            onClick={run}
+            className={phase === "done" ? buttonClass : primaryClass}
+          >
+            {phase === "done" ? "Run again" : "Start"}
+          </button>
+          {phase === "done" && result && (
+            <button type="button" onClick={() => onSave(result.offsetMs)} className={primaryClass}>
+              Save to profile
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,227 @@
+import React, { useState } from "react";
+import { downloadMarkerSidecars } from "./takeMarkers.js";
+import {
+  describeMimeType,
+  downloadBlob,
+  formatBytes,
+  formatDuration,
+  makeSidecarFilename,
+  makeTakeFilename
+} from "./takeFiles.js";
+import { useObjectUrl } from "./useObjectUrl.js";
+
+const buttonClass =
+  "rounded-lg bg-white/10 px-2 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 disabled:cursor-not-allowed disabled:opacity-50";
+
+function Poster({ blob }) {
+  const url = useObjectUrl(blob);
+  return (
+    <div className="h-16 w-28 shrink-0 overflow-hidden rounded-lg bg-black ring-1 ring-white/10">
+      {url && <img src={url} alt="" className="h-full w-full object-cover" />}
+    </div>
+  );
+}
+
+function Player({ take, blob, onClose }) {
+  const url = useObjectUrl(blob);
+  return (
+    <div className="absolute inset-0 z-10 flex items-center justify-center bg-black/80 p-4">
+      <div className="w-full max-w-3xl rounded-2xl bg-neutral-900/95 p-4 ring-1 ring-white/10">
+        <div className="mb-3 flex items-center justify-between gap-3">
+          <div className="truncate text-sm font-semibold text-neutral-100">{take.name}</div>
+          <button onClick={onClose} className={buttonClass} type="button">
+            Close
+          </button>
+        </div>
+        {url && <video src={url} controls autoPlay playsInline className="max-h-[70dvh] w-full rounded-lg bg-black" />}
+      </div>
+    </div>
+  );
+}
+
+function TakeRow({ take, library, onPlay, onError }) {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draftName, setDraftName] = useState(take.name);
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const canShare = typeof navigator !== "undefined" && typeof navigator.share === "function";
+
+  async function run(action) {
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (e) {
+      if (e?.name !== "AbortError") onError(e?.message || "Something went wrong with this take.");
+    } finally {
+      setIsBusy(false);
+    }
+  }
+
+  function commitRename() {
+    const name = draftName.trim();
+    setIsRenaming(false);
+    if (!name || name === take.name) {
+      setDraftName(take.name);
+      return;
+    }
+    run(() => library.renameTake(take.id, name));
+  }
+
+  async function download() {
+    const blob = await library.loadTakeBlob(take.id);
+    downloadBlob(blob, makeTakeFilename(take.name, take.mimeType));
+    downloadMarkerSidecars({ ...take, recordedAt: take.createdAt });
+    if (take.wavSize)
+      downloadBlob(await library.loadTakeSidecar(take.id, "wav"), makeSidecarFilename(take.name, "wav"));
+    if (take.backingSize) {
+      downloadBlob(await library.loadTakeSidecar(take.id, "backing"), makeSidecarFilename(take.name, "backing.wav"));
+    }
+  }
+
+  async function share() {
+    const blob = await library.loadTakeBlob(take.id);
+    const file = new File([blob], makeTakeFilename(take.name, take.mimeType), { type: blob.type || take.mimeType });
+    if (navigator.canShare && !navigator.canShare({ files: [file] })) {
+      throw new Error("This browser can't share video files. Use Download instead.");
+    }
+    await navigator.share({ files: [file], title: take.name });
+  }
+
+  return (
+    <li className="flex gap-3 rounded-xl bg-white/5 p-3 ring-1 ring-white/10">
+      <Poster blob={take.poster} />
+      <div className="min-w-0 flex-1">
+        {isRenaming ? (
+          <input
+            autoFocus
+            value={draftName}
+            onChange={(e) => setDraftName(e.target.value)}
+            onBlur={commitRename}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") commitRename();
+              if (e.key === "Escape") {
+                setDraftName(take.name);
+                setIsRenaming(false);
+              }
+            }}
+            className="w-full rounded-lg bg-white/10 px-2 py-1 text-sm text-neutral-100 ring-1 ring-white/20"
+          />
+        ) : (
+          <div className="truncate text-sm font-medium text-neutral-100">{take.name}</div>
+        )}
+        <div className="mt-0.5 text-xs text-neutral-400">
+          {new Date(take.createdAt).toLocaleString()} • {formatDuration(take.durationMs)} • {formatBytes(take.size)}
+        </div>
+        <div className="truncate text-[11px] text-neutral-500">
+          {describeMimeType(take.mimeType)}
+          {take.markers?.length > 0 && ` • ${take.markers.length} marker${take.markers.length === 1 ? "" : "s"}`}
+          {take.wavSize > 0 && ` • WAV ${formatBytes(take.wavSize)}`}
+          {take.backingSize > 0 && " • backing stem"}
+        </div>
+
+        <div className="mt-2 flex flex-wrap items-center gap-2">
+          <button onClick={() => run(onPlay)} disabled={isBusy} className={buttonClass} type="button">
+            Play
+          </button>
+          <button
+            onClick={() => {
+              setDraftName(take.name);
+              setIsRenaming(true);
+            }}
+            disabled={isBusy}
+            className={buttonClass}
+            type="button"
+          >
+            Rename
+          </button>
+          <button onClick={() => run(download)} disabled={isBusy} className={buttonClass} type="button">
+            Download
+          </button>
+          {canShare && (
+            <button onClick={() => run(share)} disabled={isBusy} className={buttonClass} type="button">
+              Share
+            </button>
+          )}
+          {isConfirmingDelete ? (
+            <>
+              <button
+                onClick={() => run(() => library.removeTake(take.id))}
+                disabled={isBusy}
+                className="rounded-lg bg-red-500 px-2 py-1 text-xs font-bold text-red-950 transition hover:bg-red-400 disabled:opacity-50"
+                type="button"
+              >
+                Confirm delete
+              </button>
+              <button onClick={() => setIsConfirmingDelete(false)} className={buttonClass} type="button">
+                Keep
+              </button>
+            </>
+          ) : (
+            <button onClick={() => setIsConfirmingDelete(true)} disabled={isBusy} className={buttonClass} type="button">
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+    </li>
+  );
+}
+
+export default function TakeLibrary({ library, onClose, onError }) {
+  const [playing, setPlaying] = useState(null); // { take, blob }
+
+  const { storage } = library;
+  const usagePct = storage?.quota ? Math.min(100, (storage.usage / storage.quota) * 100) : 0;
+
+  return (
+    <div className="absolute inset-0 z-20 flex items-center justify-center p-4">
+      <div className="relative flex max-h-full w-full max-w-2xl flex-col rounded-2xl bg-neutral-900/90 p-5 ring-1 ring-white/10 backdrop-blur">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <div className="text-base font-semibold text-neutral-100">Library</div>
+            <div className="mt-0.5 text-xs text-neutral-400">
+              {storage
+                ? `${formatBytes(storage.usage)} used of ${formatBytes(storage.quota)} available (${usagePct.toFixed(1)}%)`
+                : "Storage usage unavailable in this browser"}
+            </div>
+          </div>
+          <button onClick={onClose} className={buttonClass} type="button">
+            Close
+          </button>
+        </div>
+
+        {storage?.quota > 0 && (
+          <div className="mt-3 h-1.5 w-full overflow-hidden rounded-full bg-white/10">
+            <div
+              className={`h-full ${usagePct > 90 ? "bg-red-400" : "bg-emerald-400/80"}`}
+              style={{ width: `${usagePct}%` }}
+            />
+          </div>
+        )}
+
+        <div className="mt-4 min-h-0 flex-1 overflow-y-auto">
+          {library.isLoading ? (
+            <div className="text-sm text-neutral-400">Loading…</div>
+          ) : library.takes.length === 0 ? (
+            <div className="text-sm text-neutral-400">No takes yet. Recordings you make will show up here.</div>
+          ) : (
+            <ul className="space-y-2">
+              {library.takes.map((take) => (
+                <TakeRow
+                  key={take.id}
+                  take={take}
+                  library={library}
+                  onError={onError}
+                  onPlay={async () => setPlaying({ take, blob: await library.loadTakeBlob(take.id) })}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {playing && <Player take={playing.take} blob={playing.blob} onClose={() => setPlaying(null)} />}
+      </div>
+    </div>
+  );
+}
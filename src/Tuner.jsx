@@ -0,0 +1,197 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  REFERENCE_PITCHES,
+  TUNING_PRESETS,
+  centsFrom,
+  detectPitch,
+  frequencyToNote,
+  midiToNoteName,
+  minFrequencyFor
+} from "./pitch.js";
+
+const STORAGE_KEY = "hfr.tuner";
+const DETECT_INTERVAL_MS = 60;
+const SMOOTHING_WINDOW = 5;
+const IN_TUNE_CENTS = 5;
+
+function loadTunerPrefs() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return {
+      a4: REFERENCE_PITCHES.includes(parsed.a4) ? parsed.a4 : 440,
+      presetId: TUNING_PRESETS.some((p) => p.id === parsed.presetId) ? parsed.presetId : "standard"
+    };
+  } catch {
+    return { a4: 440, presetId: "standard" };
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Chromatic tuner reading from the recorder's AnalyserNode, so players tune
+ * through the exact mic/interface chain they are about to record with.
+ */
+export default function Tuner({ analyserRef }) {
+  const [prefs, setPrefs] = useState(loadTunerPrefs);
+  const [frequency, setFrequency] = useState(null);
+
+  const recentRef = useRef([]);
+  const rafRef = useRef(null);
+  const minFrequencyRef = useRef(null); // for the rAF loop, which outlives renders
+
+  const preset = TUNING_PRESETS.find((p) => p.id === prefs.presetId) || TUNING_PRESETS[0];
+  minFrequencyRef.current = minFrequencyFor(preset, prefs.a4);
+
+  useEffect(() => {
+    let lastDetectAt = 0;
+    let buf = null;
+
+    const tick = (now) => {
+      rafRef.current = requestAnimationFrame(tick);
+      if (now - lastDetectAt < DETECT_INTERVAL_MS) return;
+      lastDetectAt = now;
+
+      const analyser = analyserRef.current;
+      if (!analyser || typeof analyser.getFloatTimeDomainData !== "function") return;
+      if (!buf || buf.length !== analyser.fftSize) buf = new Float32Array(analyser.fftSize);
+      analyser.getFloatTimeDomainData(buf);
+
+      const result = detectPitch(buf, analyser.context.sampleRate, { minFrequency: minFrequencyRef.current });
+      const recent = recentRef.current;
+      if (result) {
+        recent.push(result.frequency);
+        if (recent.length > SMOOTHING_WINDOW) recent.shift();
+        setFrequency(median(recent));
+      } else if (recent.length) {
+        // Let the last reading fade out rather than flicker between notes.
+        recent.shift();
+        setFrequency(recent.length ? median(recent) : null);
+      }
+    };
+
+    rafRef.current = requestAnimationFrame(tick);
+    return () => {
+      cancelAnimationFrame(rafRef.current);
+      rafRef.current = null;
+      recentRef.current = [];
+    };
+  }, [analyserRef]);
+
+  function updatePrefs(patch) {
+    setPrefs((prev) => {
+      const next = { ...prev, ...patch };
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      } catch {
+        // ignore
+      }
+      return next;
+    });
+  }
+
+  const note = frequency ? frequencyToNote(frequency, prefs.a4) : null;
+
+  // With a tuning preset, judge against the nearest string instead of the
+  // nearest semitone so a badly flat string still points at its target.
+  let targetMidi = null;
+  let cents = note?.cents ?? 0;
+  if (frequency && preset.notes.length) {
+    targetMidi = preset.notes.reduce((best, midi) =>
+      Math.abs(centsFrom(frequency, midi, prefs.a4)) < Math.abs(centsFrom(frequency, best, prefs.a4)) ? midi : best
+    );
+    cents = centsFrom(frequency, targetMidi, prefs.a4);
+  }
+  const displayNote = targetMidi != null ? midiToNoteName(targetMidi) : note;
+  const clampedCents = Math.max(-50, Math.min(50, cents));
+  const inTune = frequency && Math.abs(cents) <= IN_TUNE_CENTS;
+
+  return (
+    <div className="mt-3 rounded-xl bg-black/30 p-3 ring-1 ring-white/10">
+      <div className="flex items-end justify-between gap-3">
+        <div className="flex items-baseline gap-1">
+          <span className={`text-4xl font-bold tabular-nums ${inTune ? "text-emerald-300" : "text-neutral-100"}`}>
+            {displayNote ? displayNote.name : "–"}
+          </span>
+          <span className="text-lg text-neutral-400">{displayNote ? displayNote.octave : ""}</span>
+        </div>
+        <div className="text-right text-xs tabular-nums text-neutral-300">
+          <div>{frequency ? `${frequency.toFixed(1)} Hz` : "Play a string"}</div>
+          <div className={inTune ? "text-emerald-300" : ""}>
+            {frequency ? `${cents > 0 ? "+" : ""}${cents.toFixed(0)} cents` : " "}
+          </div>
+        </div>
+      </div>
+
+      {/* Cents needle (-50..+50) */}
+      <div className="relative mt-3 h-3 w-full rounded-full bg-white/10 ring-1 ring-white/10">
+        <div className="absolute inset-y-0 left-1/2 w-[10%] -translate-x-1/2 rounded-full bg-emerald-400/20" />
+        <div className="absolute -bottom-1 -top-1 left-1/2 w-px bg-white/40" />
+        {frequency && (
+          <div
+            className={`absolute -bottom-1 -top-1 w-[3px] -translate-x-1/2 rounded ${inTune ? "bg-emerald-300" : "bg-amber-300"}`}
+            style={{ left: `${50 + clampedCents}%` }}
+          />
+        )}
+      </div>
+
+      {preset.notes.length > 0 && (
+        <div className="mt-3 flex flex-wrap gap-1.5">
+          {preset.notes.map((midi, i) => {
+            const n = midiToNoteName(midi);
+            const active = midi === targetMidi;
+            return (
+              <span
+                key={`${midi}-${i}`}
+                className={`rounded-md px-2 py-0.5 text-xs font-semibold ring-1 ${
+                  active
+                    ? inTune
+                      ? "bg-emerald-500/25 text-emerald-200 ring-emerald-400/40"
+                      : "bg-amber-500/20 text-amber-100 ring-amber-400/40"
+                    : "bg-white/5 text-neutral-300 ring-white/10"
+                }`}
+              >
+                {n.name}
+                {n.octave}
+              </span>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="mt-3 grid grid-cols-2 gap-2">
+        <label className="block">
+          <div className="mb-1 text-[11px] text-neutral-400">Tuning</div>
+          <select
+            value={prefs.presetId}
+            onChange={(e) => updatePrefs({ presetId: e.target.value })}
+            className="w-full rounded-lg bg-white/10 px-2 py-1 text-xs text-neutral-100 ring-1 ring-white/10"
+          >
+            {TUNING_PRESETS.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <div className="mb-1 text-[11px] text-neutral-400">Reference (A4)</div>
+          <select
+            value={prefs.a4}
+            onChange={(e) => updatePrefs({ a4: Number(e.target.value) })}
+            className="w-full rounded-lg bg-white/10 px-2 py-1 text-xs text-neutral-100 ring-1 ring-white/10"
+          >
+            {REFERENCE_PITCHES.map((hz) => (
+              <option key={hz} value={hz}>
+                {hz} Hz
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React from "react";
+import { formatBytes } from "./takeFiles.js";
+
+const buttonClass =
+  "rounded-lg bg-white/10 px-2 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 disabled:cursor-not-allowed disabled:opacity-50";
+
+const STATUS_LABELS = {
+  queued: "Queued",
+  uploading: "Uploading",
+  waiting: "Waiting to retry",
+  failed: "Failed",
+  done: "Uploaded"
+};
+
+function UploadRow({ entry, canRetry, onRetry, onRemove }) {
+  const pct = entry.size ? Math.min(100, (entry.offset / entry.size) * 100) : 0;
+  return (
+    <li className="rounded-xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="flex items-center justify-between gap-3">
+        <div className="min-w-0 truncate text-sm font-semibold text-neutral-100">{entry.name}</div>
+        <div
+          className={`shrink-0 text-xs font-semibold ${
+            entry.status === "failed"
+              ? "text-red-300"
+              : entry.status === "done"
+                ? "text-emerald-300"
+                : entry.status === "waiting"
+                  ? "text-amber-200"
+                  : "text-neutral-300"
+          }`}
+        >
+          {STATUS_LABELS[entry.status] || entry.status}
+        </div>
+      </div>
+      <div className="mt-2 h-1.5 w-full overflow-hidden rounded-full bg-white/10">
+        <div
+          className={`h-full ${entry.status === "failed" ? "bg-red-400" : "bg-emerald-400/80"}`}
+          style={{ width: `${pct}%` }}
+        />
+      </div>
+      <div className="mt-1 text-xs text-neutral-400 tabular-nums">
+        {formatBytes(entry.offset)} of {formatBytes(entry.size)} ({pct.toFixed(0)}%)
+      </div>
+      {entry.error && entry.status !== "done" && <div className="mt-1 text-xs text-red-200">{entry.error}</div>}
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        {(entry.status === "failed" || entry.status === "waiting") && (
+          <button onClick={() => onRetry(entry)} disabled={!canRetry} className={buttonClass} type="button">
+            Retry now
+          </button>
+        )}
+        <button onClick={() => onRemove(entry)} className={buttonClass} type="button">
+          {entry.status === "done" ? "Remove from list" : "Cancel upload"}
+        </button>
+      </div>
+    </li>
+  );
+}
+
+/**
+ * The upload queue: progress of each take going to the upload server. Takes
+ * stay in the Library whatever happens here.
+ */
+export default function UploadQueue({ uploads, onClose }) {
+  const hasFinished = uploads.entries.some((e) => e.status === "done");
+  return (
+    <div className="absolute inset-0 z-20 flex items-center justify-center p-4">
+      <div className="relative flex max-h-full w-full max-w-2xl flex-col rounded-2xl bg-neutral-900/90 p-5 ring-1 ring-white/10 backdrop-blur">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <div className="text-base font-semibold text-neutral-100">Uploads</div>
+            <div className="mt-0.5 text-xs text-neutral-400">
+              {uploads.isEnabled
+                ? `${uploads.pendingCount} waiting or in progress`
+                : "Uploading is off or has no valid endpoint (Settings); queued takes wait until it's back."}
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {hasFinished && (
+              <button onClick={uploads.clearFinished} className={buttonClass} type="button">
+                Clear finished
+              </button>
+            )}
+            <button onClick={onClose} className={buttonClass} type="button">
+              Close
+            </button>
+          </div>
+        </div>
+
+        <div className="mt-4 min-h-0 flex-1 overflow-y-auto">
+          {uploads.entries.length === 0 ? (
+            <div className="text-sm text-neutral-400">Nothing uploaded yet. New takes show up here.</div>
+          ) : (
+            <ul className="space-y-2">
+              {uploads.entries.map((entry) => (
+                <UploadRow
+                  key={entry.id}
+                  entry={entry}
+                  canRetry={uploads.isEnabled}
+                  onRetry={uploads.retry}
+                  onRemove={uploads.remove}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
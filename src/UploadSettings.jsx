@@ -0,0 +1,52 @@
+import React from "react";
+import { isValidEndpoint } from "./uploadQueue.js";
+
+const inputClass =
+  "w-full rounded-lg bg-white/10 px-2 py-1 text-sm text-neutral-100 ring-1 ring-white/10 placeholder:text-neutral-500";
+
+export default function UploadSettings({ settings, onChange }) {
+  const hasBadEndpoint = settings.endpoint !== "" && !isValidEndpoint(settings.endpoint);
+  return (
+    <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+      <div className="text-sm font-semibold text-neutral-100">Upload to server</div>
+      <label className="mt-3 flex items-center gap-2 text-sm text-neutral-200">
+        <input type="checkbox" checked={settings.enabled} onChange={(e) => onChange({ enabled: e.target.checked })} />
+        Upload every take
+      </label>
+      <label className="mt-3 block">
+        <div className="mb-1 text-xs font-medium text-neutral-300">tus endpoint</div>
+        <input
+          type="url"
+          value={settings.endpoint}
+          placeholder="https://uploads.example.com/files/"
+          onChange={(e) => onChange({ endpoint: e.target.value })}
+          className={inputClass}
+        />
+      </label>
+      {hasBadEndpoint && <div className="mt-1 text-[11px] text-red-300">Enter an http(s) URL.</div>}
+      <label className="mt-3 block">
+        <div className="mb-1 text-xs font-medium text-neutral-300">Token</div>
+        <input
+          type="password"
+          value={settings.token}
+          autoComplete="off"
+          placeholder="Sent as a Bearer token"
+          onChange={(e) => onChange({ token: e.target.value })}
+          className={inputClass}
+        />
+      </label>
+      <label className="mt-3 flex items-center gap-2 text-sm text-neutral-200">
+        <input
+          type="checkbox"
+          checked={settings.whileRecording}
+          onChange={(e) => onChange({ whileRecording: e.target.checked })}
+        />
+        Upload while recording
+      </label>
+      <div className="mt-1 text-[11px] text-neutral-400">
+        While recording, the server gets the take as recorded (WebM without a seek index); trimmed takes are uploaded
+        again from the Library. Interrupted uploads resume where they stopped. The server must allow CORS from this app.
+      </div>
+    </div>
+  );
+}
@@ -1,22 +1,171 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import * as Progress from "@radix-ui/react-progress";
 import { useInstallPrompt } from "./useInstallPrompt.js";
+import { loadDevicePrefs, useMediaDevices } from "./useMediaDevices.js";
+import DeviceSettings from "./DeviceSettings.jsx";
+import CameraControls from "./CameraControls.jsx";
+import AudioRoutingSettings from "./AudioRoutingSettings.jsx";
+import { useTakeLibrary } from "./useTakeLibrary.js";
+import { useBackingTracks } from "./useBackingTracks.js";
+import TakeLibrary from "./TakeLibrary.jsx";
+import ReviewScreen from "./ReviewScreen.jsx";
+import Tuner from "./Tuner.jsx";
+import { pitchWindowSize } from "./pitch.js";
+import LoudnessMeter from "./LoudnessMeter.jsx";
+import { ampToDb, createLoudnessMeter, formatLoudness, isLoudnessMeterSupported } from "./loudnessMeter.js";
+import MetronomeSettings from "./MetronomeSettings.jsx";
+import PlayAlongSettings from "./PlayAlongSettings.jsx";
+import RecordingProfileSettings from "./RecordingProfileSettings.jsx";
+import SyncCalibration from "./SyncCalibration.jsx";
+import OverlaySettings from "./OverlaySettings.jsx";
+import OverlayEditor from "./OverlayEditor.jsx";
+import CameraLayoutSwitcher from "./CameraLayoutSwitcher.jsx";
+import ScreenShareControls from "./ScreenShareControls.jsx";
+import MarkerBar from "./MarkerBar.jsx";
+import HotkeySettings from "./HotkeySettings.jsx";
+import SoundTriggerSettings from "./SoundTriggerSettings.jsx";
+import ReplayBufferSettings from "./ReplayBufferSettings.jsx";
+import RecordingHealthBanner from "./RecordingHealthBanner.jsx";
+import UploadSettings from "./UploadSettings.jsx";
+import UploadQueue from "./UploadQueue.jsx";
+import { useUploadQueue } from "./useUploadQueue.js";
+import { loadUploadSettings, normalizeUploadSettings, saveUploadSettings, uploadTargetOf } from "./uploadQueue.js";
+import {
+  MAX_INPUT_CHANNELS,
+  createAudioRouter,
+  inputChannelCount,
+  loadAudioRouting,
+  normalizeAudioRouting,
+  saveAudioRouting
+} from "./audioRouting.js";
+import { createCompositor } from "./compositor.js";
+import { loadOverlaySettings, normalizeOverlaySettings, saveOverlaySettings } from "./overlays.js";
+import { loadCameraLayout, normalizeCameraLayout, saveCameraLayout } from "./cameraLayout.js";
+import {
+  buildCameraConstraints,
+  cameraDefaults,
+  loadCameraControls,
+  needsPanTiltZoom,
+  normalizeCameraControls,
+  saveCameraControls,
+  withCameraControl
+} from "./cameraControls.js";
+import { startCameraRecorders } from "./cameraFiles.js";
+import { actionForKey, actionForMidi, bindMidi, loadHotkeys, saveHotkeys } from "./hotkeys.js";
+import { isMidiSupported, openMidiInputs } from "./midiInput.js";
+import {
+  createSoundTrigger,
+  loadSoundTriggerSettings,
+  normalizeSoundTriggerSettings,
+  saveSoundTriggerSettings
+} from "./soundTrigger.js";
+import { createPreRollBuffer } from "./preRoll.js";
+import {
+  createReplayBuffer,
+  isReplayBufferSupported,
+  loadReplaySettings,
+  normalizeReplaySettings,
+  saveReplaySettings
+} from "./replayBuffer.js";
+import { shiftTakeAudio, trimTake } from "./takeTrim.js";
+import { CALIBRATION_CUES_SEC, CALIBRATION_LENGTH_SEC } from "./avSync.js";
+import { createHealthMonitor } from "./recordingHealth.js";
+import { downloadMarkerSidecars, embedChapters, markersToChapters, shiftMarkers } from "./takeMarkers.js";
+import {
+  isScreenCaptureSupported,
+  loadScreenCaptureSettings,
+  normalizeScreenCaptureSettings,
+  requestScreenCapture,
+  saveScreenCaptureSettings
+} from "./screenCapture.js";
+import { useRecordingProfiles } from "./useRecordingProfiles.js";
+import {
+  WEBCODECS_DEFAULT_BITRATES,
+  formatBitrate,
+  getResolutionPreset,
+  listSupportedMimeTypes,
+  pickMimeType
+} from "./recordingProfiles.js";
+import {
+  buildVideoSizeConstraints,
+  createMediaRecorder,
+  createRecorder,
+  makeSeekable,
+  startMediaRecorder
+} from "./recorder.js";
+import { storageSink, uploadSink } from "./recorderSinks.js";
+import { contextTimeAt, makeWavFile, startWavSidecar } from "./wavSidecar.js";
+import {
+  createBackingPlayer,
+  decodeBackingTrack,
+  loadPlayAlongSettings,
+  measureLatency,
+  normalizePlayAlongSettings,
+  renderBackingStem,
+  savePlayAlongSettings
+} from "./playAlong.js";
+import {
+  createMetronome,
+  loadMetronomeSettings,
+  normalizeMetronomeSettings,
+  saveMetronomeSettings,
+  secondsPerBeat
+} from "./metronome.js";
+import {
+  capturePoster,
+  describeMimeType,
+  downloadBlob,
+  formatBytes,
+  formatDuration,
+  makeTakeBaseName,
+  makeSidecarFilename,
+  makeTakeFilename,
+  posterFromBlob
+} from "./takeFiles.js";
+import { deleteSession, listUnfinishedSessions, loadBackingTrack, loadSessionBlob } from "./recordingStore.js";
+
+const AUTO_DOWNLOAD_KEY = "hfr.autoDownload";
+const REVIEW_KEY = "hfr.reviewTakes";
 
 export default function VideoRecorder() {
   const videoRef = useRef(null);
   const fullscreenContainerRef = useRef(null);
 
   const streamRef = useRef(null); // camera+mic stream (raw)
-  const recorderRef = useRef(null);
-  const chunksRef = useRef([]);
+  const secondStreamRef = useRef(null); // optional second camera (video only)
+  const cameraOpenSettingsRef = useRef(null); // camera's getSettings() as opened, for resetting its controls
+  const wantsPanTiltZoomRef = useRef(false); // the user allowed pan/tilt/zoom in the camera panel
+  const screenStreamRef = useRef(null); // shared screen/window/tab (getDisplayMedia)
   const timerIntervalRef = useRef(null);
 
   const audioContextRef = useRef(null);
   const analyserRef = useRef(null);
-  const meterRafRef = useRef(null);
   const lastClipAtMsRef = useRef(0);
   const meterLastUiUpdateMsRef = useRef(0);
-
+  const micSourceRef = useRef(null); // mic input as recorded: the routed mix while input routing is on
+  const audioRouterRef = useRef(null); // see audioRouting.js
+  const loudnessMeterRef = useRef(null); // Promise of the AudioWorklet meter (see loudnessMeter.js)
+  const clickBusRef = useRef(null); // metronome output → speakers/headphones
+  const recordMixRef = useRef(null); // mic + click/shared audio destination when either is mixed in
+  const screenAudioGainRef = useRef(null); // shared audio level into the record mix
+  const backingSendRef = useRef(null); // play-along track into the record mix
+  const metronomeRef = useRef(null);
+  const countInRef = useRef(null); // { timers, resolve } while counting in
+  const compositorRef = useRef(null); // canvas stage for overlays / two cameras (what is previewed and recorded)
+  const cameraRecordersRef = useRef(null); // per-camera files while recording
+  const wavSidecarRef = useRef(null); // lossless mic capture while recording (see wavSidecar.js)
+  const backingPlayerRef = useRef(null); // { trackId, ctx, player: Promise } decoded play-along track (see playAlong.js)
+  const backingTakeRef = useRef(null); // { player, leadSec, exportStem } while a take plays along
+  const takeStartRef = useRef(null); // performance.now() at recorder.start; markers are timed from here
+  const markersRef = useRef([]); // markers + clip events of the current take (see takeMarkers.js)
+  const wasOverRef = useRef(false);
+  const handlersRef = useRef(null); // latest event handlers for window/MIDI/meter callbacks that outlive renders
+  const preRollRef = useRef(null); // rolling pre-roll recorder while armed (see preRoll.js)
+  const soundTriggerRef = useRef(null); // level trigger while armed (see soundTrigger.js)
+  const replayBufferRef = useRef(null); // always-on buffer of the last few minutes (see replayBuffer.js)
+  const healthMonitorRef = useRef(null); // wake lock + input/storage/visibility watch while recording
+
+  const [engine] = useState(createRecorder); // headless capture engine (see recorder.js)
   const [isReady, setIsReady] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
   const [elapsedSec, setElapsedSec] = useState(0);
@@ -27,11 +176,76 @@ export default function VideoRecorder() {
   const [rms, setRms] = useState(0);
   const [peak, setPeak] = useState(0);
   const [isClipping, setIsClipping] = useState(false);
+  const [lastMarker, setLastMarker] = useState(null);
+  const [markerCount, setMarkerCount] = useState(0);
   const [isAudioMeterEnabled, setIsAudioMeterEnabled] = useState(false);
+  const [loudness, setLoudness] = useState(null); // latest worklet meter report
+  const [meterView, setMeterView] = useState("meters");
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [isSyncCalibrationOpen, setIsSyncCalibrationOpen] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [recoverableSessions, setRecoverableSessions] = useState([]);
+  const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+  const [isTunerOpen, setIsTunerOpen] = useState(false);
+  const [metronomeSettings, setMetronomeSettings] = useState(loadMetronomeSettings);
+  const [isMetronomeRunning, setIsMetronomeRunning] = useState(false);
+  const [countInBeat, setCountInBeat] = useState(null); // beat number shown during count-in
+  const [beatFlash, setBeatFlash] = useState(null); // "accent" | "beat" | null
+  const [videoCapabilities, setVideoCapabilities] = useState(null);
+  const [liveVideoSettings, setLiveVideoSettings] = useState(null);
+  const [cameraControls, setCameraControls] = useState({}); // the camera's saved adjustments (see cameraControls.js)
+  const [isPanTiltZoomAsked, setIsPanTiltZoomAsked] = useState(false); // the open camera was asked for pan/tilt/zoom
+  const [negotiated, setNegotiated] = useState(null); // what the recorder actually got
+  const [overlaySettings, setOverlaySettings] = useState(loadOverlaySettings);
+  const [isEditingOverlays, setIsEditingOverlays] = useState(false);
+  const [cameraLayout, setCameraLayout] = useState(loadCameraLayout);
+  const [isDualCamera, setIsDualCamera] = useState(false);
+  const [isScreenSharing, setIsScreenSharing] = useState(false);
+  const [screenSettings, setScreenSettings] = useState(loadScreenCaptureSettings);
+  const [isAutoDownloadEnabled, setIsAutoDownloadEnabled] = useState(() => {
+    try {
+      return localStorage.getItem(AUTO_DOWNLOAD_KEY) === "1";
+    } catch {
+      return false;
+    }
+  });
+
+  const [isReviewEnabled, setIsReviewEnabled] = useState(() => {
+    try {
+      return localStorage.getItem(REVIEW_KEY) !== "0";
+    } catch {
+      return true;
+    }
+  });
+  const [review, setReview] = useState(null); // take waiting in the review screen
+  const [hotkeys, setHotkeys] = useState(loadHotkeys);
+  const [midiInputs, setMidiInputs] = useState([]);
+  const [learningMidi, setLearningMidi] = useState(null); // action id waiting for a pedal press
+  const [isRetakeQueued, setIsRetakeQueued] = useState(false);
+  const [isArmed, setIsArmed] = useState(false); // sound-activated recording
+  const [soundTriggerSettings, setSoundTriggerSettings] = useState(loadSoundTriggerSettings);
+  const [replaySettings, setReplaySettings] = useState(loadReplaySettings);
+  const [isSavingReplay, setIsSavingReplay] = useState(false);
+  const [healthEvents, setHealthEvents] = useState([]); // [{ message, severity }] for the current/last take
+  const [uploadSettings, setUploadSettings] = useState(loadUploadSettings);
+  const [audioRouting, setAudioRouting] = useState(loadAudioRouting);
+  const [playAlongSettings, setPlayAlongSettings] = useState(loadPlayAlongSettings);
+  const [playAlongLatency, setPlayAlongLatency] = useState(null); // what the last take compensated
+  const [inputChannels, setInputChannels] = useState(null); // channels the open mic delivers
+  const [isUploadQueueOpen, setIsUploadQueueOpen] = useState(false);
 
   const { canInstall, promptToInstall } = useInstallPrompt();
+  const devices = useMediaDevices({ onDeviceChange: handleDeviceChange });
+  const library = useTakeLibrary();
+  const backingTracks = useBackingTracks();
+  const uploads = useUploadQueue(uploadSettings);
+  const profiles = useRecordingProfiles();
 
   const supportsMediaRecorder = typeof window !== "undefined" && "MediaRecorder" in window;
+  const supportedMimeTypes = useMemo(
+    () => (supportsMediaRecorder ? listSupportedMimeTypes() : []),
+    [supportsMediaRecorder]
+  );
 
   function ampToDbfs(amp) {
     if (!Number.isFinite(amp) || amp <= 0) return Number.NEGATIVE_INFINITY;
@@ -49,57 +263,33 @@ export default function VideoRecorder() {
     return `${mm}:${ss}`;
   }, [elapsedSec]);
 
-  function pad2(n) {
-    return String(n).padStart(2, "0");
-  }
-
-  function makeTimestampedFilename(ext) {
-    const d = new Date();
-    const yyyy = d.getFullYear();
-    const mm = pad2(d.getMonth() + 1);
-    const dd = pad2(d.getDate());
-    const hh = pad2(d.getHours());
-    const mi = pad2(d.getMinutes());
-    const ss = pad2(d.getSeconds());
-    return `rec-${yyyy}${mm}${dd}-${hh}${mi}${ss}.${ext}`;
-  }
-
-  function pickMimeType() {
-    const candidates = [
-      // Prefer mp4 if supported
-      "video/mp4;codecs=avc1.42E01E,mp4a.40.2",
-      "video/mp4",
-      // WebM fallbacks
-      "video/webm;codecs=vp9,opus",
-      "video/webm;codecs=vp8,opus",
-      "video/webm"
-    ];
-
-    for (const t of candidates) {
-      try {
-        if (window.MediaRecorder && window.MediaRecorder.isTypeSupported(t)) return t;
-      } catch {
-        // ignore and continue
-      }
-    }
-    return "";
-  }
-
   function cleanupStreamOnly() {
-    if (streamRef.current) {
-      for (const track of streamRef.current.getTracks()) track.stop();
-      streamRef.current = null;
+    engine.close();
+    streamRef.current = null;
+    if (secondStreamRef.current) {
+      for (const track of secondStreamRef.current.getTracks()) track.stop();
+      secondStreamRef.current = null;
     }
+    setIsDualCamera(false);
     if (videoRef.current) {
       videoRef.current.srcObject = null;
     }
+    // The pre-roll records the old tracks; arm again on the new ones.
+    stopPreRoll();
+    setIsArmed(false);
   }
 
   function cleanupAudioGraph() {
-    if (meterRafRef.current) {
-      cancelAnimationFrame(meterRafRef.current);
-      meterRafRef.current = null;
-    }
+    engine.stopLevels();
+    cancelCountIn();
+    loudnessMeterRef.current?.then((meter) => meter.destroy()).catch(() => {});
+    loudnessMeterRef.current = null;
+    setLoudness(null);
+    metronomeRef.current?.stop();
+    metronomeRef.current = null;
+    setIsMetronomeRunning(false);
+    releaseRecordMix();
+    releaseBackingPlayer();
     try {
       if (audioContextRef.current) {
         audioContextRef.current.close().catch(() => {});
@@ -109,6 +299,9 @@ export default function VideoRecorder() {
     } finally {
       audioContextRef.current = null;
       analyserRef.current = null;
+      micSourceRef.current = null;
+      audioRouterRef.current = null;
+      clickBusRef.current = null;
       lastClipAtMsRef.current = 0;
       meterLastUiUpdateMsRef.current = 0;
       setIsAudioMeterEnabled(false);
@@ -118,58 +311,26 @@ export default function VideoRecorder() {
     }
   }
 
+  // The rAF analyser loop runs in the engine; levels come back through handleLevel.
   function startMeterLoop() {
-    if (meterRafRef.current) return;
-    const analyser = analyserRef.current;
-    if (!analyser) return;
-
-    const hasFloat = typeof analyser.getFloatTimeDomainData === "function";
-    const floatBuf = hasFloat ? new Float32Array(analyser.fftSize) : null;
-    const byteBuf = !hasFloat ? new Uint8Array(analyser.fftSize) : null;
-
-    const tick = () => {
-      const a = analyserRef.current;
-      if (!a) return;
-
-      let localPeak = 0;
-      let sumSq = 0;
-
-      if (floatBuf) {
-        a.getFloatTimeDomainData(floatBuf);
-        for (let i = 0; i < floatBuf.length; i += 1) {
-          const v = floatBuf[i];
-          const av = Math.abs(v);
-          if (av > localPeak) localPeak = av;
-          sumSq += v * v;
-        }
-      } else if (byteBuf) {
-        a.getByteTimeDomainData(byteBuf);
-        for (let i = 0; i < byteBuf.length; i += 1) {
-          const v = (byteBuf[i] - 128) / 128;
-          const av = Math.abs(v);
-          if (av > localPeak) localPeak = av;
-          sumSq += v * v;
-        }
-      }
-
-      const localRms = Math.sqrt(sumSq / Math.max(1, analyser.fftSize));
-
-      const now = performance.now();
-      if (localPeak >= 0.98) lastClipAtMsRef.current = now;
-      const clipHold = now - lastClipAtMsRef.current < 900;
-
-      // Throttle UI updates to avoid excessive renders
-      if (now - meterLastUiUpdateMsRef.current > 50) {
-        meterLastUiUpdateMsRef.current = now;
-        setRms(localRms);
-        setPeak(localPeak);
-        setIsClipping(clipHold);
-      }
-
-      meterRafRef.current = requestAnimationFrame(tick);
-    };
+    if (analyserRef.current) engine.startLevels(analyserRef.current);
+  }
 
-    meterRafRef.current = requestAnimationFrame(tick);
+  function handleLevel({ rms: localRms, peak: localPeak, atMs: now }) {
+    soundTriggerRef.current?.feed(localPeak, now);
+    if (localPeak >= 0.98) {
+      if (now - lastClipAtMsRef.current >= 900) addMarker("Clip", "clip");
+      lastClipAtMsRef.current = now;
+    }
+    const clipHold = now - lastClipAtMsRef.current < 900;
+
+    // Throttle UI updates to avoid excessive renders
+    if (now - meterLastUiUpdateMsRef.current > 50) {
+      meterLastUiUpdateMsRef.current = now;
+      setRms(localRms);
+      setPeak(localPeak);
+      setIsClipping(clipHold);
+    }
   }
 
   async function enableAudioMeter() {
@@ -184,13 +345,263 @@ export default function VideoRecorder() {
 
       if (audioContextRef.current?.state === "running") {
         setIsAudioMeterEnabled(true);
-        startMeterLoop();
+        // The rAF analyser loop is the fallback where AudioWorklet isn't available.
+        if (!(await startLoudnessMeter())) startMeterLoop();
       }
     } catch {
       // ignore; meter is optional
     }
   }
 
+  async function startLoudnessMeter() {
+    const ctx = audioContextRef.current;
+    if (!loudnessMeterRef.current) {
+      if (!isLoudnessMeterSupported(ctx) || !micSourceRef.current) return false;
+      loudnessMeterRef.current = createLoudnessMeter(ctx, micSourceRef.current, handleLoudnessReport);
+    }
+    try {
+      const meter = await loudnessMeterRef.current;
+      meter.setSpectrumEnabled(meterView !== "meters");
+      return true;
+    } catch {
+      loudnessMeterRef.current = null;
+      return false;
+    }
+  }
+
+  function handleLoudnessReport(report) {
+    const rmsMax = Math.max(...report.channels.map((c) => c.rms));
+    const peakMax = Math.max(...report.channels.map((c) => c.peak));
+    soundTriggerRef.current?.feed(peakMax, performance.now());
+    setLoudness(report);
+    setRms(rmsMax);
+    setPeak(peakMax);
+    setIsClipping(report.isOver);
+    if (report.isOver && !wasOverRef.current) {
+      addMarker(`Clip (${formatLoudness(ampToDb(report.maxTruePeak))} dBTP)`, "clip");
+    }
+    wasOverRef.current = report.isOver;
+  }
+
+  // Refs only: also called from the meter callbacks, which outlive renders.
+  function addMarker(label, kind = "marker") {
+    if (takeStartRef.current === null) return;
+    const marker = { timeMs: Math.round(performance.now() - takeStartRef.current), label, kind };
+    markersRef.current.push(marker);
+    setMarkerCount(markersRef.current.length);
+    if (kind === "marker") setLastMarker(marker);
+  }
+
+  function changeMeterView(view) {
+    setMeterView(view);
+    loudnessMeterRef.current?.then((meter) => meter.setSpectrumEnabled(view !== "meters")).catch(() => {});
+  }
+
+  function resetLoudness() {
+    loudnessMeterRef.current?.then((meter) => meter.reset()).catch(() => {});
+  }
+
+  async function toggleTuner() {
+    if (isTunerOpen) {
+      setIsTunerOpen(false);
+      return;
+    }
+    // The tuner reads the same analyser as the meter.
+    await enableAudioMeter();
+    setIsTunerOpen(true);
+  }
+
+  function flashBeat(kind, delayMs) {
+    setTimeout(() => {
+      setBeatFlash(kind);
+      setTimeout(() => setBeatFlash((k) => (k === kind ? null : k)), 90);
+    }, delayMs);
+  }
+
+  function ensureMetronome() {
+    const ctx = audioContextRef.current;
+    if (!ctx || !clickBusRef.current) return null;
+    if (!metronomeRef.current) {
+      const metronome = createMetronome(ctx, clickBusRef.current, {
+        onTick: ({ time, sub, isAccent }) => {
+          if (sub === 0) flashBeat(isAccent ? "accent" : "beat", metronome.msUntil(time));
+        }
+      });
+      metronomeRef.current = metronome;
+    }
+    metronomeRef.current.setSettings(metronomeSettings);
+    clickBusRef.current.gain.value = metronomeSettings.volume;
+    return metronomeRef.current;
+  }
+
+  async function toggleMetronome() {
+    if (isMetronomeRunning) {
+      metronomeRef.current?.stop();
+      setIsMetronomeRunning(false);
+      return;
+    }
+    await enableAudioMeter();
+    const metronome = ensureMetronome();
+    if (!metronome) {
+      setError('The metronome needs audio output; tap "Enable meter" first.');
+      return;
+    }
+    metronome.start();
+    setIsMetronomeRunning(true);
+  }
+
+  function updateMetronomeSettings(patch) {
+    const next = normalizeMetronomeSettings({ ...metronomeSettings, ...patch });
+    setMetronomeSettings(next);
+    saveMetronomeSettings(next);
+    metronomeRef.current?.setSettings(next);
+    if (clickBusRef.current) clickBusRef.current.gain.value = next.volume;
+  }
+
+  /**
+   * Points the preview at the compositor's canvas when overlays are on or a
+   * second camera is open (so the preview is exactly what gets recorded), or
+   * at the raw camera otherwise.
+   */
+  function attachPreview(settings = overlaySettings, profile = profiles.activeProfile) {
+    const stream = streamRef.current;
+    // A shared screen takes the second-source slot while it is shared.
+    const screenStream = screenStreamRef.current;
+    const secondStream = screenStream || secondStreamRef.current;
+    const needsCompositor = settings.enabled || Boolean(secondStream);
+    const frameRate = getResolutionPreset(profile.resolutionId).frameRate;
+    // The recorder holds the canvas track, so keep the compositor for the rest of the take.
+    const isTakeRunning = engine.isRecording || Boolean(preRollRef.current);
+    let compositor = compositorRef.current;
+    if (compositor && !isTakeRunning && (!needsCompositor || compositor.frameRate !== frameRate)) {
+      compositor.destroy();
+      compositor = null;
+    }
+    if (needsCompositor && stream) {
+      compositor = compositor || createCompositor({ frameRate });
+      compositor.setSettings(settings);
+      compositor.setLayout(cameraLayout);
+      compositor.setSources([stream, secondStream], ["camera", screenStream ? "screen" : "camera"]);
+    }
+    compositorRef.current = compositor;
+
+    const video = videoRef.current;
+    const previewStream = compositor ? compositor.stream : stream;
+    if (video && video.srcObject !== previewStream) {
+      video.srcObject = previewStream;
+      video.play().catch(() => {});
+    }
+  }
+
+  function updateOverlaySettings(patch) {
+    const next = normalizeOverlaySettings({ ...overlaySettings, ...patch });
+    setOverlaySettings(next);
+    saveOverlaySettings(next);
+    if (next.enabled !== overlaySettings.enabled) attachPreview(next);
+    else compositorRef.current?.setSettings(next);
+    if (!next.enabled && !secondStreamRef.current) setIsEditingOverlays(false);
+  }
+
+  async function startScreenShare() {
+    try {
+      const screen = await requestScreenCapture();
+      screenStreamRef.current = screen;
+      // Fires when the user stops sharing from the browser's own UI, too.
+      screen.getVideoTracks()[0]?.addEventListener("ended", () => {
+        if (screenStreamRef.current !== screen) return;
+        endScreenShare();
+        if (engine.isRecording) setNotice("Screen sharing stopped; the take continues with the camera only.");
+      });
+      setIsScreenSharing(true);
+    } catch (e) {
+      if (e?.name !== "NotAllowedError") setError(e?.message || "Couldn't start screen sharing.");
+    }
+  }
+
+  function endScreenShare() {
+    const screen = screenStreamRef.current;
+    if (!screen) return;
+    screenStreamRef.current = null;
+    for (const track of screen.getTracks()) track.stop();
+    setIsScreenSharing(false);
+  }
+
+  function updateScreenSettings(patch) {
+    const next = normalizeScreenCaptureSettings({ ...screenSettings, ...patch });
+    setScreenSettings(next);
+    saveScreenCaptureSettings(next);
+    if (screenAudioGainRef.current) screenAudioGainRef.current.gain.value = next.audioLevel;
+  }
+
+  function updateCameraLayout(patch) {
+    const next = normalizeCameraLayout({ ...cameraLayout, ...patch });
+    setCameraLayout(next);
+    saveCameraLayout(next);
+    compositorRef.current?.setLayout(next);
+  }
+
+  /**
+   * Plays `countInBars` bars of click and resolves on the downbeat where the
+   * take should begin: true to go ahead, false if cancelled.
+   */
+  function runCountIn() {
+    const bars = metronomeSettings.countInBars;
+    const metronome = bars > 0 ? ensureMetronome() : null;
+    if (!metronome) return Promise.resolve(true);
+
+    const ctx = audioContextRef.current;
+    const beatSec = secondsPerBeat(metronomeSettings);
+    const beats = bars * metronomeSettings.beatsPerBar;
+    const t0 = metronome.start(ctx.currentTime + 0.1);
+    const recordAt = t0 + beats * beatSec;
+    // Count-in only: the click ends when recording begins.
+    if (!isMetronomeRunning) metronome.stopAt(recordAt);
+
+    return new Promise((resolve) => {
+      const timers = [];
+      for (let i = 0; i < beats; i += 1) {
+        const beatNumber = (i % metronomeSettings.beatsPerBar) + 1;
+        timers.push(setTimeout(() => setCountInBeat(beatNumber), metronome.msUntil(t0 + i * beatSec)));
+      }
+      timers.push(
+        setTimeout(() => {
+          countInRef.current = null;
+          setCountInBeat(null);
+          resolve(true);
+        }, metronome.msUntil(recordAt))
+      );
+      countInRef.current = { timers, resolve };
+      setCountInBeat(0);
+    });
+  }
+
+  function cancelCountIn() {
+    const countIn = countInRef.current;
+    if (!countIn) return false;
+    countInRef.current = null;
+    for (const t of countIn.timers) clearTimeout(t);
+    setCountInBeat(null);
+    if (!isMetronomeRunning) metronomeRef.current?.stop();
+    countIn.resolve(false);
+    return true;
+  }
+
+  function releaseRecordMix() {
+    const mix = recordMixRef.current;
+    if (!mix) return;
+    recordMixRef.current = null;
+    try {
+      micSourceRef.current?.disconnect(mix);
+      clickBusRef.current?.disconnect(mix);
+      screenAudioGainRef.current?.disconnect();
+      backingSendRef.current?.disconnect();
+    } catch {
+      // ignore
+    }
+    screenAudioGainRef.current = null;
+    backingSendRef.current = null;
+  }
+
   function stopTimer() {
     if (timerIntervalRef.current) {
       clearInterval(timerIntervalRef.current);
@@ -207,7 +618,7 @@ export default function VideoRecorder() {
     }, 250);
   }
 
-  async function initMedia() {
+  async function initMedia(selection = loadDevicePrefs(), profile = profiles.activeProfile, routing = audioRouting) {
     setError("");
     setIsInitializing(true);
     setIsReady(false);
@@ -217,37 +628,50 @@ export default function VideoRecorder() {
     cleanupAudioGraph();
 
     try {
-      if (!navigator.mediaDevices?.getUserMedia) {
-        throw new Error("Your browser does not support camera/microphone access (getUserMedia).");
+      // A saved device that is unplugged (or held by another app) shouldn't
+      // leave the recorder dead; the engine falls back to the system defaults.
+      // Pan/tilt/zoom prompts for its own permission, so only once it is wanted.
+      const panTiltZoom = wantsPanTiltZoomRef.current || needsPanTiltZoom(loadCameraControls(selection.videoDeviceId));
+      const { stream, usedDefaults } = await engine.open(selection, profile, {
+        ...(routing.enabled ? { audioChannelCount: MAX_INPUT_CHANNELS } : {}),
+        panTiltZoom
+      });
+      setIsPanTiltZoomAsked(panTiltZoom);
+      if (usedDefaults) {
+        setNotice("The selected camera or microphone isn't available, so the system default is being used.");
       }
-
-      // Attempt 1080p by default (browser may downscale)
-      const constraints = {
-        video: {
-          width: { ideal: 1920 },
-          height: { ideal: 1080 },
-          frameRate: { ideal: 30, max: 60 },
-          facingMode: "user"
-        },
-        audio: {
-          // Request "raw" mic without browser processing.
-          // Note: Some mobile browsers may not honor all of these.
-          echoCancellation: false,
-          noiseSuppression: false,
-          autoGainControl: false
-        }
-      };
-
-      const stream = await navigator.mediaDevices.getUserMedia(constraints);
       streamRef.current = stream;
+      const micTrack = stream.getAudioTracks()[0];
+      setInputChannels(micTrack ? inputChannelCount(micTrack) : null);
+      const videoTrack = stream.getVideoTracks()[0];
+      cameraOpenSettingsRef.current = videoTrack?.getSettings?.() || null;
+      setCameraControls(await restoreCameraControls(videoTrack, profile));
+
+      // Labels are only exposed once permission has been granted.
+      devices.refresh();
+      readVideoTrackInfo();
+
+      // Optional second camera (video only), composited with the first.
+      const secondId = selection.secondVideoDeviceId;
+      if (secondId && secondId !== stream.getVideoTracks()[0]?.getSettings?.().deviceId) {
+        try {
+          secondStreamRef.current = await navigator.mediaDevices.getUserMedia({
+            video: { ...buildVideoSizeConstraints(profile), deviceId: { exact: secondId } },
+            audio: false
+          });
+          await restoreCameraControls(secondStreamRef.current.getVideoTracks()[0], profile);
+          setIsDualCamera(true);
+        } catch {
+          setNotice("The second camera couldn't be opened (unplugged or in use), so only one camera is shown.");
+        }
+      }
 
       // Attach preview (muted to avoid echo)
       if (videoRef.current) {
-        videoRef.current.srcObject = stream;
         videoRef.current.muted = true;
         videoRef.current.playsInline = true;
-        await videoRef.current.play().catch(() => {});
       }
+      attachPreview(overlaySettings, profile);
 
       // Audio meter graph is optional and only enabled on user gesture.
 
@@ -266,8 +690,128 @@ export default function VideoRecorder() {
     }
   }
 
+  function readVideoTrackInfo() {
+    const track = streamRef.current?.getVideoTracks()[0];
+    setVideoCapabilities(track?.getCapabilities?.() || null);
+    setLiveVideoSettings(track?.getSettings?.() || null);
+  }
+
+  // applyConstraints replaces what was asked before, so the size and the
+  // camera controls always go together.
+  function buildVideoTrackConstraints(profile, controls) {
+    return { ...buildVideoSizeConstraints(profile), advanced: buildCameraConstraints(controls) };
+  }
+
+  // Applies what was saved for this camera (see cameraControls.js); resolves to the values applied.
+  async function restoreCameraControls(track, profile) {
+    const deviceId = track?.getSettings?.().deviceId;
+    if (!deviceId || !track.getCapabilities) return {};
+    const saved = normalizeCameraControls(loadCameraControls(deviceId), track.getCapabilities());
+    if (!Object.keys(saved).length) return {};
+    try {
+      await track.applyConstraints(buildVideoTrackConstraints(profile, saved));
+    } catch {
+      setNotice("Couldn't restore the saved camera settings; the camera is on its own settings.");
+    }
+    return saved;
+  }
+
+  async function updateCameraControl(key, value) {
+    const track = streamRef.current?.getVideoTracks()[0];
+    if (!track) return;
+    const next = withCameraControl(cameraControls, key, value);
+    setCameraControls(next);
+    const deviceId = track.getSettings?.().deviceId;
+    if (deviceId) saveCameraControls(deviceId, next);
+    try {
+      await track.applyConstraints(buildVideoTrackConstraints(profiles.activeProfile, next));
+    } catch {
+      setNotice("The camera didn't accept that setting.");
+    }
+    readVideoTrackInfo();
+  }
+
+  // Reopens the camera, this time asking for pan/tilt/zoom.
+  function allowPanTiltZoom() {
+    wantsPanTiltZoomRef.current = true;
+    initMedia();
+  }
+
+  // Back to automatic modes and the values the camera opened with; forgets what was saved.
+  async function resetCameraControls() {
+    const track = streamRef.current?.getVideoTracks()[0];
+    if (!track) return;
+    setCameraControls({});
+    const deviceId = track.getSettings?.().deviceId;
+    if (deviceId) saveCameraControls(deviceId, {});
+    const defaults = cameraDefaults(track.getCapabilities?.(), cameraOpenSettingsRef.current);
+    try {
+      await track.applyConstraints(buildVideoTrackConstraints(profiles.activeProfile, defaults));
+    } catch {
+      // ignore; the saved settings are gone either way
+    }
+    readVideoTrackInfo();
+  }
+
+  async function applyRecordingProfile(profile) {
+    // Codec and bitrate apply on the next take; resolution/frame rate are
+    // renegotiated on the live camera track now.
+    const track = streamRef.current?.getVideoTracks()[0];
+    if (!track) return;
+    try {
+      await track.applyConstraints(buildVideoTrackConstraints(profile, cameraControls));
+      readVideoTrackInfo();
+      attachPreview(overlaySettings, profile);
+    } catch {
+      await initMedia(undefined, profile);
+    }
+  }
+
+  async function selectDevices(patch) {
+    const next = devices.updatePrefs(patch);
+    setNotice("");
+    await initMedia(next);
+  }
+
+  function activeDeviceIds() {
+    const streams = [streamRef.current, secondStreamRef.current].filter(Boolean);
+    return streams
+      .flatMap((stream) => stream.getTracks())
+      .map((t) => t.getSettings?.().deviceId)
+      .filter(Boolean);
+  }
+
+  function handleDeviceChange({ added, removed }) {
+    const names = (list) => list.map((d) => d.label).join(", ");
+
+    const activeIds = activeDeviceIds();
+    const lost = removed.filter((d) => activeIds.includes(d.deviceId));
+    if (lost.length) {
+      setNotice(
+        isRecording
+          ? `${names(lost)} was disconnected while recording. Check the take after you stop.`
+          : `${names(lost)} was disconnected. Reconnect it or pick another input in Settings.`
+      );
+      return;
+    }
+
+    const { videoDeviceId, audioDeviceId, secondVideoDeviceId } = devices.prefs;
+    const preferredBack = added.filter((d) => [videoDeviceId, audioDeviceId, secondVideoDeviceId].includes(d.deviceId));
+    if (preferredBack.length && !isRecording && !isInitializing) {
+      setNotice(`${names(preferredBack)} reconnected.`);
+      initMedia();
+      return;
+    }
+
+    if (added.length) {
+      setNotice(`New input detected: ${names(added)}. Select it in Settings to use it.`);
+    }
+  }
+
   function ensureAudioGraph(rawStream) {
-    // Monitoring-only graph (does not feed MediaRecorder)
+    // Monitoring-only graph. It only feeds MediaRecorder when the metronome
+    // click is printed into the take or input routing is on (see
+    // buildTakeStream).
     if (audioContextRef.current && analyserRef.current) {
       return;
     }
@@ -286,8 +830,15 @@ export default function VideoRecorder() {
 
     const source = ctx.createMediaStreamSource(micOnly);
 
+    // With input routing on, everything below (meters, tuner, recording) gets the routed mix.
+    let input = source;
+    if (audioRouting.enabled) {
+      audioRouterRef.current = createAudioRouter(ctx, source, inputChannelCount(audioTrack), audioRouting);
+      input = audioRouterRef.current.output;
+    }
+
     const analyser = ctx.createAnalyser();
-    analyser.fftSize = 2048;
+    analyser.fftSize = pitchWindowSize(ctx.sampleRate); // long enough for the tuner's lowest strings
     analyser.smoothingTimeConstant = 0.2;
     analyserRef.current = analyser;
 
@@ -295,33 +846,198 @@ export default function VideoRecorder() {
     // routing microphone audio to speakers (avoids echo).
     const silent = ctx.createGain();
     silent.gain.value = 0;
-    source.connect(analyser);
+    input.connect(analyser);
     analyser.connect(silent);
     silent.connect(ctx.destination);
+    micSourceRef.current = input;
+
+    // Metronome output: audible on the device output only.
+    const clickBus = ctx.createGain();
+    clickBus.gain.value = metronomeSettings.volume;
+    clickBus.connect(ctx.destination);
+    clickBusRef.current = clickBus;
   }
 
-  function guessExtensionFromMime(mimeType) {
-    if (mimeType && mimeType.toLowerCase().includes("mp4")) return "mp4";
-    return "webm";
+  // Decoded once per track and audio context; null (with a notice) if it can't play.
+  async function loadBackingPlayer() {
+    const ctx = audioContextRef.current;
+    const { trackId } = playAlongSettings;
+    if (!ctx || !trackId) return null;
+    if (ctx.state !== "running") {
+      setNotice("Audio is blocked, so the backing track can't play; recording without it.");
+      return null;
+    }
+    let cached = backingPlayerRef.current;
+    if (cached?.trackId !== trackId || cached.ctx !== ctx) {
+      releaseBackingPlayer();
+      const player = loadBackingTrack(trackId)
+        .then((track) => decodeBackingTrack(ctx, track.blob))
+        .then((buffer) => createBackingPlayer(ctx, buffer));
+      cached = { trackId, ctx, player };
+      backingPlayerRef.current = cached;
+    }
+    try {
+      return await cached.player;
+    } catch {
+      if (backingPlayerRef.current === cached) backingPlayerRef.current = null;
+      setNotice("Couldn't play the backing track (unsupported file?); recording without it.");
+      return null;
+    }
   }
 
-  function triggerDownload(blob, mimeType) {
-    const ext = guessExtensionFromMime(mimeType);
-    const filename = makeTimestampedFilename(ext);
+  function releaseBackingPlayer() {
+    backingTakeRef.current = null;
+    backingPlayerRef.current?.player.then((player) => player.destroy()).catch(() => {});
+    backingPlayerRef.current = null;
+  }
 
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
+  function triggerDownload(blob, mimeType, name) {
+    downloadBlob(blob, makeTakeFilename(name, mimeType));
+  }
 
-    setTimeout(() => URL.revokeObjectURL(url), 1500);
+  /**
+   * Hands a finished recording off to the library (and optionally the
+   * Downloads folder). Falls back to a plain download if storage fails so the
+   * take is never lost. `wav` is the take's WAV sidecar capture and `backing`
+   * its play-along stem, both cut here to the kept part (`startSec` into the
+   * original, `durationMs` long). `avOffsetMs`: the recording profile's A/V
+   * sync correction (see avSync.js); the audio is moved back by as much.
+   */
+  async function finalizeTake({
+    blob,
+    mimeType,
+    recordedAt,
+    durationMs,
+    poster,
+    markers = [],
+    name = makeTakeBaseName(recordedAt),
+    liveUpload = null,
+    wav = null,
+    backing = null,
+    startSec = 0,
+    avOffsetMs = 0
+  }) {
+    if (avOffsetMs) {
+      try {
+        blob = await shiftTakeAudio(blob, mimeType, -avOffsetMs);
+        // What went up while recording isn't corrected; upload it from the Library instead.
+        liveUpload?.abort();
+        liveUpload = null;
+      } catch {
+        setNotice("Couldn't correct this take's A/V sync; it was saved as recorded.");
+      }
+    }
+    const sidecars = { name, recordedAt: recordedAt.getTime(), durationMs, markers };
+    const wavFile = wav ? makeWavFile(wav, { startSec, durationMs }) : null;
+    const backingFile = backing ? makeWavFile(backing, { startSec, durationMs }) : null;
+    if (markers.length) blob = await embedChapters(blob, mimeType, markersToChapters(markers, durationMs));
+    const download = () => {
+      triggerDownload(blob, mimeType, name);
+      downloadMarkerSidecars(sidecars);
+      if (wavFile) downloadBlob(wavFile, makeSidecarFilename(name, "wav"));
+      if (backingFile) downloadBlob(backingFile, makeSidecarFilename(name, "backing.wav"));
+    };
+    let saved = null;
+    try {
+      saved = await library.addTake(
+        { name, createdAt: recordedAt.getTime(), durationMs, mimeType, poster, markers },
+        blob,
+        { wav: wavFile, backing: backingFile }
+      );
+      if (isAutoDownloadEnabled) download();
+    } catch {
+      download();
+      setNotice("Couldn't save the take to the library, so it was downloaded instead.");
+    }
+    // Not awaited: finishing a live upload may wait for the network.
+    if (liveUpload || uploads.isEnabled) uploads.handOff(saved, liveUpload);
+  }
+
+  // Per-camera files skip the review screen; they share the take's start time
+  // and base name ("…-cam1", "…-cam2").
+  async function saveCameraFiles(cameraRecorders, recordedAt, markers, avOffsetMs) {
+    const files = await cameraRecorders.stop();
+    const base = makeTakeBaseName(recordedAt);
+    for (const [i, file] of files.entries()) {
+      if (!file?.blob.size) continue;
+      const seekable = await makeSeekable(file.blob, file.mimeType);
+      await finalizeTake({
+        blob: seekable.blob,
+        mimeType: file.mimeType,
+        recordedAt,
+        durationMs: seekable.durationMs,
+        poster: await posterFromBlob(seekable.blob),
+        markers: shiftMarkers(markers, 0, seekable.durationMs),
+        name: `${base}-cam${i + 1}`,
+        avOffsetMs
+      });
+    }
+  }
+
+  function setReviewEnabled(enabled) {
+    setIsReviewEnabled(enabled);
+    try {
+      localStorage.setItem(REVIEW_KEY, enabled ? "1" : "0");
+    } catch {
+      // ignore
+    }
+  }
+
+  function setAutoDownload(enabled) {
+    setIsAutoDownloadEnabled(enabled);
+    try {
+      localStorage.setItem(AUTO_DOWNLOAD_KEY, enabled ? "1" : "0");
+    } catch {
+      // ignore
+    }
+  }
+
+  // Record raw camera video + raw microphone audio (no WebAudio processing),
+  // unless the user routes the input channels or asked for the click, the
+  // shared screen's audio or the backing track to be mixed into the take.
+  function buildTakeStream(rawStream, videoTrack, backing = null) {
+    let audioTracks = rawStream.getAudioTracks();
+    const ctx = audioContextRef.current;
+    const printClick = metronomeSettings.printToRecording && clickBusRef.current;
+    const screenAudioTrack = screenSettings.includeAudio ? screenStreamRef.current?.getAudioTracks()[0] : null;
+    const backingSend = playAlongSettings.mode === "mix" ? backing?.send : null;
+    // A suspended context would record silence, so the raw track is safer then.
+    const isRouted = Boolean(audioRouterRef.current) && ctx?.state === "running";
+    if (audioRouting.enabled && !isRouted) {
+      setNotice("Input routing couldn't start (audio is blocked), so this take records the raw input.");
+    }
+    if ((printClick || screenAudioTrack || isRouted || backingSend) && ctx && micSourceRef.current) {
+      const mix = ctx.createMediaStreamDestination();
+      micSourceRef.current.connect(mix);
+      if (printClick) clickBusRef.current.connect(mix);
+      if (screenAudioTrack) {
+        // If sharing stops mid-take this source just goes silent.
+        const gain = ctx.createGain();
+        gain.gain.value = screenSettings.audioLevel;
+        ctx.createMediaStreamSource(new MediaStream([screenAudioTrack])).connect(gain);
+        gain.connect(mix);
+        screenAudioGainRef.current = gain;
+      }
+      if (backingSend) {
+        backingSend.connect(mix);
+        backingSendRef.current = backingSend;
+      }
+      recordMixRef.current = mix;
+      audioTracks = mix.stream.getAudioTracks();
+    }
+    // With overlays, a second camera or a shared screen, the composited canvas
+    // is recorded instead of the camera.
+    const recordedVideoTrack = compositorRef.current?.stream.getVideoTracks()[0] || videoTrack;
+    return { stream: new MediaStream([recordedVideoTrack, ...audioTracks]), audioTracks };
   }
 
-  async function startRecording() {
+  /**
+   * `preRoll` (sound-activated takes): a running pre-roll segment to carry on
+   * as the take, plus `keepFromSec`, where the kept part starts in it.
+   */
+  async function startRecording({ preRoll = null } = {}) {
     setError("");
+    let offStopped = null;
 
     try {
       if (!supportsMediaRecorder) {
@@ -334,79 +1050,125 @@ export default function VideoRecorder() {
       const videoTrack = rawStream.getVideoTracks()[0];
       if (!videoTrack) throw new Error("No camera track available.");
 
-      // Ensure audio graph exists + meter can run (some browsers require a user gesture to start audio)
-      await enableAudioMeter();
-
-      // Record raw camera video + raw microphone audio (no WebAudio processing).
-      const composedStream = new MediaStream([videoTrack, ...rawStream.getAudioTracks()]);
-
-      const mimeType = pickMimeType();
-
-      // Attempt highest possible bitrate, fallback to >= 2.5Mbps
-      const bitrateAttempts = [
-        { videoBitsPerSecond: 12_000_000, audioBitsPerSecond: 192_000 },
-        { videoBitsPerSecond: 8_000_000, audioBitsPerSecond: 160_000 },
-        { videoBitsPerSecond: 5_000_000, audioBitsPerSecond: 128_000 },
-        { videoBitsPerSecond: 2_500_000, audioBitsPerSecond: 128_000 } // minimum requirement
-      ];
-
-      let recorder = null;
-      let chosenMime = mimeType;
-
-      for (const attempt of bitrateAttempts) {
-        try {
-          recorder = new MediaRecorder(composedStream, {
-            mimeType: chosenMime || undefined,
-            videoBitsPerSecond: attempt.videoBitsPerSecond,
-            audioBitsPerSecond: attempt.audioBitsPerSecond
+      const profile = profiles.activeProfile;
+      let takeStream = null;
+      let audioTracks = [];
+      let backing = null;
+
+      if (!preRoll) {
+        // Ensure audio graph exists + meter can run (some browsers require a user gesture to start audio)
+        await enableAudioMeter();
+        // Decoded before the count-in, so it can start with the first frame.
+        if (playAlongSettings.enabled) backing = await loadBackingPlayer();
+
+        const shouldRecord = await runCountIn();
+        if (!shouldRecord) return;
+
+        const take = buildTakeStream(rawStream, videoTrack, backing);
+        takeStream = take.stream;
+        audioTracks = take.audioTracks;
+
+        // Started before the recorder so it has the first frame; cut to it on stop.
+        if (profile.wavSidecar !== "off") {
+          wavSidecarRef.current = await startWavSidecar(rawStream.getAudioTracks()[0], {
+            format: profile.wavSidecar,
+            context: audioContextRef.current
+          }).catch(() => {
+            setNotice("Couldn't start the WAV sidecar; this take only has its compressed audio.");
+            return null;
           });
-          break;
-        } catch {
-          recorder = null;
         }
       }
 
-      if (!recorder) {
-        recorder = new MediaRecorder(composedStream, { mimeType: chosenMime || undefined });
+      // Mirror chunks to IndexedDB so the take survives a crash or reload.
+      // Recording still works (memory only) if storage is unavailable.
+      const crashCopy = storageSink({
+        saveToLibrary: false,
+        onUnavailable: (reason) =>
+          setNotice(
+            reason === "blocked"
+              ? "Crash protection is unavailable (storage blocked); this take is only kept in memory."
+              : "Couldn't write the take to storage (disk full?); it is only kept in memory now."
+          )
+      });
+      const sinks = [crashCopy];
+
+      // Sound-activated takes are cut after recording, so they go up from the Library instead.
+      const uploadTarget = uploadTargetOf(uploadSettings);
+      let uploader = null;
+      if (uploadTarget && uploadSettings.whileRecording && !preRoll) {
+        // Finished (or cancelled) after review, not when the take stops.
+        uploader = uploadSink(uploadTarget, { deferFinish: true });
+        sinks.push(uploader);
       }
 
-      recorderRef.current = recorder;
-      chunksRef.current = [];
-
-      recorder.ondataavailable = (ev) => {
-        if (ev.data && ev.data.size > 0) chunksRef.current.push(ev.data);
-      };
-
-      recorder.onerror = () => {
-        setError("Recording error occurred. Please try again.");
-      };
-
-      recorder.onstop = () => {
-        stopTimer();
-        setIsRecording(false);
-
-        const finalMime = chosenMime || recorder.mimeType || "";
-        const blob = new Blob(chunksRef.current, { type: finalMime || "video/webm" });
-        chunksRef.current = [];
-
-        triggerDownload(blob, finalMime);
-      };
+      offStopped = engine.on("stopped", (result) => {
+        offStopped();
+        // A discarded take's upload is left to the sink, which cancels it.
+        const liveUpload = result.discarded ? null : uploader?.takeLiveUpload();
+        handleTakeStopped(result, { preRoll, crashCopy, liveUpload, avOffsetMs: profile.avOffsetMs });
+      });
+      const started = engine.start({ stream: takeStream, profile, sinks, adopt: preRoll });
+      const { recorder, chosenMime } = started;
+      if (started.isEngineFallback) {
+        setNotice("WebCodecs isn't available in this browser; recording with MediaRecorder instead.");
+      }
 
-      // NOTE: Timeslicing (e.g. start(250)) produces fragmented outputs that we then
-      // concatenate into a single Blob. This is usually fine for WebM, but MP4
-      // fragmentation/concatenation is unreliable across browsers (especially mobile)
-      // and can lead to broken timestamps → staggered audio and pitch shifts.
-      //
-      // For MP4, record as one contiguous segment to preserve correct timing.
-      const isMp4 = (chosenMime || recorder.mimeType || "").toLowerCase().includes("mp4");
-      if (isMp4) {
-        recorder.start();
-      } else {
-        recorder.start(250); // steady chunking for WebM (and other formats)
+      // Per-camera files would lack the pre-roll, so sound-activated takes skip them.
+      const secondTrack = secondStreamRef.current?.getVideoTracks()[0];
+      if (secondTrack && cameraLayout.separateFiles && !preRoll) {
+        cameraRecordersRef.current = startCameraRecorders([videoTrack, secondTrack], audioTracks, {
+          mimeType: chosenMime || pickMimeType(profile.mimeType),
+          videoBitsPerSecond: profile.videoBitsPerSecond || WEBCODECS_DEFAULT_BITRATES.videoBitsPerSecond,
+          audioBitsPerSecond: profile.audioBitsPerSecond || WEBCODECS_DEFAULT_BITRATES.audioBitsPerSecond
+        });
       }
+      compositorRef.current?.setRecordingStart(performance.now());
+      takeStartRef.current = preRoll ? preRoll.startedAtMs : performance.now();
+      wavSidecarRef.current?.markStart(takeStartRef.current);
+      if (backing) {
+        const latency = measureLatency(audioContextRef.current, rawStream.getAudioTracks()[0]);
+        const leadSec = backing.start({
+          volume: playAlongSettings.volume,
+          mixLevel: playAlongSettings.mixLevel,
+          latencySec: latency.totalSec,
+          videoStartMs: takeStartRef.current
+        });
+        backingTakeRef.current = { player: backing, leadSec, exportStem: playAlongSettings.exportStem };
+        setPlayAlongLatency(latency);
+      }
+      markersRef.current = [];
+      wasOverRef.current = false;
+      setMarkerCount(0);
+      setLastMarker(null);
+      resetLoudness(); // integrated loudness and max true peak cover this take
       setIsRecording(true);
       startTimer();
+      startHealthMonitor(recorder, profile);
+
+      const actual = videoTrack.getSettings?.() || {};
+      setNegotiated({
+        width: actual.width,
+        height: actual.height,
+        frameRate: actual.frameRate,
+        mimeType: recorder.mimeType || chosenMime,
+        videoBitsPerSecond: recorder.videoBitsPerSecond,
+        audioBitsPerSecond: recorder.audioBitsPerSecond
+      });
     } catch (e) {
+      // A take the engine already started is dropped, so its sinks abort.
+      offStopped?.();
+      if (engine.isRecording) engine.stop({ discard: true });
+      compositorRef.current?.setRecordingStart(null);
+      takeStartRef.current = null;
+      backingTakeRef.current?.player.stop();
+      backingTakeRef.current = null;
+      healthMonitorRef.current?.stop();
+      healthMonitorRef.current = null;
+      cameraRecordersRef.current?.stop();
+      cameraRecordersRef.current = null;
+      wavSidecarRef.current?.abort();
+      wavSidecarRef.current = null;
       cleanupAudioGraph();
       setIsRecording(false);
       stopTimer();
@@ -415,14 +1177,421 @@ export default function VideoRecorder() {
     }
   }
 
-  function stopRecording() {
+  // The engine's "stopped" for a take started above; `discarded` is a hands-free retake.
+  async function handleTakeStopped(result, { preRoll, crashCopy, liveUpload, avOffsetMs }) {
+    stopTimer();
+    setIsRecording(false);
+    healthMonitorRef.current?.stop();
+    healthMonitorRef.current = null;
+    releaseRecordMix();
+    compositorRef.current?.setRecordingStart(null);
+    takeStartRef.current = null;
+    const markers = markersRef.current;
+    markersRef.current = [];
+    const startedAt = result.recordedAt;
+    const cameraRecorders = cameraRecordersRef.current;
+    cameraRecordersRef.current = null;
+    if (cameraRecorders && !result.discarded) saveCameraFiles(cameraRecorders, startedAt, markers, avOffsetMs);
+    else cameraRecorders?.stop();
+    const wavSidecar = wavSidecarRef.current;
+    wavSidecarRef.current = null;
+    const backingTake = backingTakeRef.current;
+    backingTakeRef.current = null;
+    backingTake?.player.stop();
+
+    // The engine already dropped the crash copy and the live upload.
+    if (result.discarded) {
+      wavSidecar?.abort();
+      setIsRetakeQueued(true);
+      return;
+    }
+
+    const wav = wavSidecar ? await wavSidecar.stop().catch(() => null) : null;
+
+    const poster = await capturePoster(videoRef.current);
+    const seekable = await makeSeekable(result.blob, result.mimeType);
+    const durationMs = seekable.durationMs ?? Date.now() - startedAt.getTime();
+    const backing = backingTake?.exportStem
+      ? renderBackingStem(backingTake.player.buffer, { leadSec: backingTake.leadSec, durationMs })
+      : null;
+    let take = {
+      blob: seekable.blob,
+      mimeType: result.mimeType,
+      recordedAt: startedAt,
+      durationMs,
+      poster,
+      markers: shiftMarkers(markers, 0, durationMs),
+      crashCopy,
+      liveUpload,
+      wav,
+      backing,
+      avOffsetMs
+    };
+    if (preRoll?.keepFromSec > 0) take = await trimPreRoll(take, preRoll.keepFromSec);
+
+    // Sound-activated takes skip the review screen; nobody is at the controls.
+    if (isReviewEnabled && !preRoll) {
+      // The crash copy stays on disk until the take is kept or discarded.
+      setReview(take);
+      return;
+    }
+    await finalizeTake(take);
+    take.crashCopy.release();
+  }
+
+  /**
+   * Records the A/V sync calibration clip (see SyncCalibration.jsx) through
+   * the same path as a take, with the active profile. Flash cues get a beep
+   * scheduled to leave the speakers as the screen turns white.
+   */
+  async function recordCalibrationClip({ method, onCue, onFlash }) {
+    const rawStream = streamRef.current;
+    const videoTrack = rawStream?.getVideoTracks()[0];
+    if (!videoTrack) throw new Error("Camera/microphone is not initialized.");
+    await enableAudioMeter();
+    const ctx = audioContextRef.current;
+    if (method === "flash" && ctx?.state !== "running") {
+      throw new Error("The flash test needs audio output, which couldn't start.");
+    }
+
+    const timers = [];
+    const beeps = [];
     try {
-      if (recorderRef.current && recorderRef.current.state !== "inactive") {
-        recorderRef.current.stop();
+      const { stream } = buildTakeStream(rawStream, videoTrack);
+      engine.start({ stream, profile: profiles.activeProfile, sinks: [] });
+      const startMs = performance.now();
+      const outputSec = method === "flash" ? measureLatency(ctx).outputSec : 0;
+      for (const [i, cueSec] of CALIBRATION_CUES_SEC.entries()) {
+        const atMs = startMs + cueSec * 1000;
+        if (method === "clap") {
+          timers.push(setTimeout(() => onCue(i), cueSec * 1000));
+          continue;
+        }
+        timers.push(setTimeout(() => onFlash(true), cueSec * 1000));
+        timers.push(setTimeout(() => onFlash(false), cueSec * 1000 + 150));
+        const beep = ctx.createOscillator();
+        const gain = ctx.createGain();
+        beep.frequency.value = 1000;
+        gain.gain.value = 0.8;
+        beep.connect(gain);
+        gain.connect(ctx.destination);
+        const when = contextTimeAt(ctx, atMs) - outputSec;
+        beep.start(when);
+        beep.stop(when + 0.06);
+        beeps.push({ beep, gain });
+      }
+      await new Promise((resolve) => timers.push(setTimeout(resolve, CALIBRATION_LENGTH_SEC * 1000)));
+      const result = await engine.stop();
+      const seekable = await makeSeekable(result.blob, result.mimeType);
+      return { blob: seekable.blob, mimeType: result.mimeType };
+    } finally {
+      for (const t of timers) clearTimeout(t);
+      for (const { beep, gain } of beeps) {
+        beep.disconnect();
+        gain.disconnect();
       }
+      onCue(null);
+      onFlash(false);
+      if (engine.isRecording) engine.stop({ discard: true });
+      releaseRecordMix();
+    }
+  }
+
+  async function recoverSession(session) {
+    try {
+      const seekable = await makeSeekable(await loadSessionBlob(session), session.mimeType);
+      const poster = await posterFromBlob(seekable.blob);
+      await finalizeTake({
+        blob: seekable.blob,
+        mimeType: session.mimeType,
+        recordedAt: new Date(session.startedAt),
+        durationMs: seekable.durationMs,
+        poster
+      });
+      await deleteSession(session.id);
+      setRecoverableSessions((list) => list.filter((s) => s.id !== session.id));
+    } catch (e) {
+      setError(e?.message || "Failed to recover the unfinished recording.");
+    }
+  }
+
+  function startHealthMonitor(recorder, profile) {
+    const inputs = [
+      ...(streamRef.current?.getVideoTracks() || []).map((track) => ({ track, name: "Camera" })),
+      ...(secondStreamRef.current?.getVideoTracks() || []).map((track) => ({ track, name: "Second camera" })),
+      ...(streamRef.current?.getAudioTracks() || []).map((track) => ({ track, name: "Microphone" }))
+    ];
+    const videoBps =
+      recorder.videoBitsPerSecond || profile.videoBitsPerSecond || WEBCODECS_DEFAULT_BITRATES.videoBitsPerSecond;
+    const audioBps =
+      recorder.audioBitsPerSecond || profile.audioBitsPerSecond || WEBCODECS_DEFAULT_BITRATES.audioBitsPerSecond;
+    setHealthEvents([]);
+    healthMonitorRef.current = createHealthMonitor({
+      inputs,
+      bytesPerSecond: (videoBps + audioBps) / 8,
+      onEvent: (event) => handlersRef.current.onHealthEvent(event)
+    });
+  }
+
+  function logHealth(message, severity = "warn") {
+    setHealthEvents((list) => [...list, { message, severity }]);
+  }
+
+  function handleHealthEvent(event) {
+    const time = formatDuration(event.atMs);
+    switch (event.type) {
+      case "track-ended":
+        addMarker(`${event.name} disconnected`, "warning");
+        logHealth(`${event.name} disconnected at ${time}. The take was stopped and saved up to there.`, "error");
+        stopRecording();
+        break;
+      case "track-muted":
+        addMarker(`${event.name} stalled`, "warning");
+        logHealth(
+          `${event.name} stopped delivering ${event.kind === "video" ? "frames" : "audio"} at ${time} (another app may be using it).`
+        );
+        break;
+      case "track-unmuted":
+        logHealth(`${event.name} came back at ${time}.`);
+        break;
+      case "hidden":
+        addMarker("App in background", "warning");
+        break;
+      case "visible":
+        logHealth(
+          `The app was in the background from ${formatDuration(event.atMs - event.awayMs)} for ${Math.round(event.awayMs / 1000)} s; the picture may freeze there.`
+        );
+        break;
+      case "storage-low":
+        logHealth(`Storage is running low: about ${formatDuration(event.remainingSec * 1000)} of recording left.`);
+        break;
+      case "storage-critical":
+        addMarker("Storage full", "warning");
+        logHealth(`Storage was almost full at ${time}. The take was stopped and saved.`, "error");
+        stopRecording();
+        break;
+      case "wake-lock-failed":
+        logHealth("Couldn't keep the screen awake (battery saver?); the device may lock mid-take.");
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Sound-activated takes begin where their pre-roll segment began; cut them to
+  // the pre-roll before the trigger (at the keyframe before it, so a little
+  // more may stay).
+  async function trimPreRoll(take, keepFromSec) {
+    try {
+      const result = await trimTake(take.blob, take.mimeType, {
+        startSec: keepFromSec,
+        endSec: take.durationMs / 1000
+      });
+      return {
+        ...take,
+        blob: result.blob,
+        durationMs: result.durationMs,
+        recordedAt: new Date(take.recordedAt.getTime() + result.startSec * 1000),
+        markers: shiftMarkers(take.markers, result.startSec, result.durationMs)
+      };
+    } catch {
+      setNotice("Couldn't cut the sound-activated take to its pre-roll, so it was saved with the whole segment.");
+      return take; // keep the whole segment rather than lose the take
+    }
+  }
+
+  async function keepReviewedTake(result) {
+    const take = review;
+    setReview(null);
+    // A trimmed take differs from what went up while recording; upload it from the Library instead.
+    const isTrimmed = result.blob !== take.blob;
+    if (isTrimmed) take.liveUpload?.abort();
+    await finalizeTake({
+      ...take,
+      ...result,
+      markers: shiftMarkers(take.markers, result.startSec, result.durationMs),
+      liveUpload: isTrimmed ? null : take.liveUpload
+    });
+    take.crashCopy.release();
+  }
+
+  function discardReviewedTake() {
+    review.liveUpload?.abort();
+    review.crashCopy.release();
+    setReview(null);
+  }
+
+  function retake() {
+    discardReviewedTake();
+    startRecording();
+  }
+
+  async function armSoundTrigger() {
+    setError("");
+    await enableAudioMeter();
+    if (audioContextRef.current?.state !== "running") {
+      setError("Sound-activated recording needs the audio meter, which couldn't start.");
+      return;
+    }
+    setIsArmed(true); // the effect below starts the pre-roll
+  }
+
+  function disarmSoundTrigger() {
+    setIsArmed(false);
+    stopPreRoll();
+    if (isRecording) stopRecording();
+    else releaseRecordMix();
+  }
+
+  function startPreRoll() {
+    const rawStream = streamRef.current;
+    const videoTrack = rawStream?.getVideoTracks()[0];
+    if (!videoTrack) throw new Error("Camera/microphone is not initialized.");
+    const profile = profiles.activeProfile;
+    const take = buildTakeStream(rawStream, videoTrack);
+    preRollRef.current = createPreRollBuffer(
+      () => {
+        // Frequent keyframes, so the head can be trimmed close to the pre-roll.
+        const next = createMediaRecorder(take.stream, profile, { keyFrameIntervalMs: 1000 });
+        if (next.isEngineFallback) {
+          setNotice("WebCodecs isn't available in this browser; recording with MediaRecorder instead.");
+        }
+        startMediaRecorder(next.recorder, next.chosenMime);
+        return next;
+      },
+      { preRollSec: soundTriggerSettings.preRollSec, onError: (e) => handlersRef.current.onPreRollError(e) }
+    );
+    soundTriggerRef.current = createSoundTrigger(soundTriggerSettings, {
+      onStart: (atMs) => handlersRef.current.onSoundStart(atMs),
+      onStop: () => handlersRef.current.onSoundStop()
+    });
+  }
+
+  function stopPreRoll() {
+    soundTriggerRef.current = null;
+    preRollRef.current?.destroy();
+    preRollRef.current = null;
+  }
+
+  function handleSoundStart(atMs) {
+    const segment = preRollRef.current?.claim();
+    preRollRef.current = null;
+    if (!segment) return;
+    const keepFromMs = atMs - soundTriggerSettings.preRollSec * 1000 - segment.startedAtMs;
+    startRecording({ preRoll: { ...segment, keepFromSec: Math.max(0, keepFromMs / 1000) } });
+  }
+
+  function handlePreRollError(e) {
+    stopPreRoll();
+    releaseRecordMix();
+    setIsArmed(false);
+    setError(e?.message || "Sound-activated recording stopped.");
+  }
+
+  function updateSoundTriggerSettings(patch) {
+    const next = normalizeSoundTriggerSettings({ ...soundTriggerSettings, ...patch });
+    setSoundTriggerSettings(next);
+    saveSoundTriggerSettings(next);
+  }
+
+  function updateAudioRouting(patch) {
+    const next = normalizeAudioRouting({ ...audioRouting, ...patch });
+    setAudioRouting(next);
+    saveAudioRouting(next);
+    // On/off changes what is asked of the mic, so it is reopened; trim and pan apply live.
+    if (next.enabled !== audioRouting.enabled) initMedia(undefined, undefined, next);
+    else audioRouterRef.current?.update(next);
+  }
+
+  function updatePlayAlongSettings(patch) {
+    const next = normalizePlayAlongSettings({ ...playAlongSettings, ...patch });
+    setPlayAlongSettings(next);
+    savePlayAlongSettings(next);
+    backingTakeRef.current?.player.setLevels(next);
+  }
+
+  function updateUploadSettings(patch) {
+    const next = normalizeUploadSettings({ ...uploadSettings, ...patch });
+    setUploadSettings(next);
+    saveUploadSettings(next);
+  }
+
+  function updateReplaySettings(patch) {
+    const next = normalizeReplaySettings({ ...replaySettings, ...patch });
+    setReplaySettings(next);
+    saveReplaySettings(next);
+  }
+
+  async function saveReplay() {
+    const buffer = replayBufferRef.current;
+    if (!buffer) return;
+    setIsSavingReplay(true);
+    try {
+      const replay = await buffer.save();
+      await finalizeTake({ ...replay, poster: await posterFromBlob(replay.blob) });
+      setNotice(`Saved the last ${formatDuration(replay.durationMs)} to the Library.`);
+    } catch (e) {
+      setError(e?.message || "Failed to save the replay buffer.");
+    } finally {
+      setIsSavingReplay(false);
+    }
+  }
+
+  // Shortcuts and pedals go through the same paths as the buttons.
+  function runHotkeyAction(id) {
+    if (id === "fullscreen") {
+      toggleFullscreen();
+    } else if (id === "marker") {
+      addMarker("Marker");
+    } else if (id === "toggleRecording") {
+      if (canStop) stopRecording();
+      else if (canStart && !review) startRecording();
+    } else if (id === "retake") {
+      if (review) {
+        retake();
+      } else if (isRecording) {
+        stopRecording({ discard: true });
+      }
+    }
+  }
+
+  function handleHotkey(e) {
+    const action = actionForKey(hotkeys, e);
+    if (!action) return;
+    e.preventDefault(); // e.g. Space must not also click the focused button
+    runHotkeyAction(action);
+  }
+
+  function handleMidiPress(press) {
+    if (learningMidi) {
+      updateHotkeys(bindMidi(hotkeys, learningMidi, press));
+      setLearningMidi(null);
+      return;
+    }
+    const action = actionForMidi(hotkeys, press);
+    if (action) runHotkeyAction(action);
+  }
+
+  function updateHotkeys(next) {
+    setHotkeys(next);
+    saveHotkeys(next);
+    if (!next.midiEnabled) setLearningMidi(null);
+  }
+
+  async function discardSession(session) {
+    try {
+      await deleteSession(session.id);
     } catch {
       // ignore
     }
+    setRecoverableSessions((list) => list.filter((s) => s.id !== session.id));
+  }
+
+  // `discard`: hands-free retake — drop the running take and start again.
+  function stopRecording({ discard = false } = {}) {
+    if (cancelCountIn()) return;
+    engine.stop({ discard });
+    cameraRecordersRef.current?.stop();
   }
 
   useEffect(() => {
@@ -430,19 +1599,129 @@ export default function VideoRecorder() {
 
     return () => {
       stopTimer();
-      try {
-        if (recorderRef.current && recorderRef.current.state !== "inactive") {
-          recorderRef.current.stop();
-        }
-      } catch {
-        // ignore
-      }
+      engine.stop();
       cleanupAudioGraph();
       cleanupStreamOnly();
+      endScreenShare();
+      compositorRef.current?.destroy();
+      compositorRef.current = null;
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Starting or ending a screen share (including from the browser's own
+  // "Stop sharing" button) re-points the compositor.
+  useEffect(() => {
+    if (streamRef.current) attachPreview();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isScreenSharing]);
+
+  useEffect(() => {
+    let cancelled = false;
+    listUnfinishedSessions()
+      .then((sessions) => {
+        if (!cancelled) setRecoverableSessions(sessions);
+      })
+      .catch((e) => {
+        if (!cancelled && e?.name === "BlockedError") setNotice(e.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    handlersRef.current = {
+      onKeyDown: handleHotkey,
+      onMidiPress: handleMidiPress,
+      onSoundStart: handleSoundStart,
+      onSoundStop: stopRecording,
+      onPreRollError: handlePreRollError,
+      onHealthEvent: handleHealthEvent,
+      onLevel: handleLevel
+    };
+  });
+
+  useEffect(() => {
+    const offLevel = engine.on("level", (level) => handlersRef.current.onLevel(level));
+    const offError = engine.on("error", ({ during }) => {
+      if (during === "recording") setError("Recording error occurred. Please try again.");
+    });
+    return () => {
+      offLevel();
+      offError();
+    };
+  }, [engine]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => handlersRef.current.onKeyDown(e);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (!hotkeys.midiEnabled || !isMidiSupported()) return undefined;
+    let midi = null;
+    let cancelled = false;
+    openMidiInputs((press) => handlersRef.current.onMidiPress(press), setMidiInputs)
+      .then((m) => {
+        if (cancelled) m.close();
+        else midi = m;
+      })
+      .catch(() => {
+        if (!cancelled) setNotice("MIDI access was blocked, so the foot controller can't be used.");
+      });
+    return () => {
+      cancelled = true;
+      midi?.close();
+      setMidiInputs([]);
+    };
+  }, [hotkeys.midiEnabled]);
+
+  // The replay buffer runs on the raw camera + mic whenever they are live,
+  // alongside any take, and starts over when the inputs or profile change.
+  useEffect(() => {
+    const stream = streamRef.current;
+    if (!replaySettings.enabled || !isReady || !stream || !isReplayBufferSupported()) return undefined;
+    const profile = profiles.activeProfile;
+    const buffer = createReplayBuffer(stream, {
+      minutes: replaySettings.minutes,
+      maxMb: replaySettings.maxMb,
+      container: profile.webCodecsContainer,
+      frameRate: getResolutionPreset(profile.resolutionId).frameRate,
+      videoBitsPerSecond: profile.videoBitsPerSecond || WEBCODECS_DEFAULT_BITRATES.videoBitsPerSecond,
+      audioBitsPerSecond: profile.audioBitsPerSecond || WEBCODECS_DEFAULT_BITRATES.audioBitsPerSecond,
+      onError: (e) => {
+        if (replayBufferRef.current === buffer) replayBufferRef.current = null;
+        buffer.destroy();
+        setNotice(`The replay buffer stopped${e?.message ? ` (${e.message})` : ""}.`);
+      }
+    });
+    replayBufferRef.current = buffer;
+    return () => {
+      if (replayBufferRef.current === buffer) replayBufferRef.current = null;
+      buffer.destroy();
+    };
+  }, [replaySettings, isReady, profiles.activeProfile]);
+
+  // Armed: (re)start the pre-roll whenever no take is running.
+  useEffect(() => {
+    if (!isArmed || isRecording || preRollRef.current) return;
+    try {
+      startPreRoll();
+    } catch (e) {
+      setIsArmed(false);
+      setError(e?.message || "Failed to arm sound-activated recording.");
+    }
+  }, [isArmed, isRecording]);
+
+  // A hands-free retake starts the next take once the dropped one has stopped.
+  useEffect(() => {
+    if (!isRetakeQueued || isRecording) return;
+    setIsRetakeQueued(false);
+    startRecording();
+  }, [isRetakeQueued, isRecording]);
+
   useEffect(() => {
     function onFsChange() {
       setIsFullscreen(Boolean(document.fullscreenElement));
@@ -468,8 +1747,16 @@ export default function VideoRecorder() {
     }
   }
 
-  const canStart = isReady && !isRecording && !isInitializing && supportsMediaRecorder;
-  const canStop = isRecording;
+  const isCountingIn = countInBeat !== null;
+  const canStart =
+    isReady &&
+    !isRecording &&
+    !isCountingIn &&
+    !isInitializing &&
+    !isArmed &&
+    !isSyncCalibrationOpen &&
+    supportsMediaRecorder;
+  const canStop = isRecording || isCountingIn;
   const rmsPct = Math.max(0, Math.min(100, rms * 100));
   const peakPct = Math.max(0, Math.min(100, peak * 100));
 
@@ -484,8 +1771,34 @@ export default function VideoRecorder() {
           playsInline
           muted
         />
+        {isEditingOverlays && compositorRef.current && (
+          <OverlayEditor
+            compositor={compositorRef.current}
+            settings={overlaySettings}
+            inset={(isDualCamera || isScreenSharing) && cameraLayout.layout === "pip" ? cameraLayout.inset : null}
+            fitMode={previewFitMode}
+            onChange={updateOverlaySettings}
+            onInsetChange={(inset) => updateCameraLayout({ inset })}
+            onDone={() => setIsEditingOverlays(false)}
+          />
+        )}
         {/* Vignette for better contrast */}
         <div className="pointer-events-none absolute inset-0 bg-gradient-to-b from-black/55 via-black/10 to-black/60" />
+        {/* Metronome beat flash (for players without headphones) */}
+        {beatFlash && (
+          <div
+            className={`pointer-events-none absolute inset-0 ring-8 ring-inset ${
+              beatFlash === "accent" ? "ring-emerald-400/70" : "ring-white/35"
+            }`}
+          />
+        )}
+        {isCountingIn && countInBeat > 0 && (
+          <div className="pointer-events-none absolute inset-0 flex items-center justify-center">
+            <div className="text-9xl font-black tabular-nums text-white/85 drop-shadow-[0_0_24px_rgba(0,0,0,0.6)]">
+              {countInBeat}
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Top overlay */}
@@ -526,6 +1839,30 @@ export default function VideoRecorder() {
                 {isFullscreen ? "Exit Full screen" : "Full screen"}
               </button>
             </div>
+            <button
+              onClick={() => setIsLibraryOpen(true)}
+              className="rounded-xl bg-white/10 px-3 py-2 text-sm font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15"
+              type="button"
+            >
+              Library{library.takes.length > 0 ? ` (${library.takes.length})` : ""}
+            </button>
+            {(uploads.isEnabled || uploads.entries.length > 0) && (
+              <button
+                onClick={() => setIsUploadQueueOpen(true)}
+                className="rounded-xl bg-white/10 px-3 py-2 text-sm font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15"
+                type="button"
+              >
+                Uploads{uploads.pendingCount > 0 ? ` (${uploads.pendingCount})` : ""}
+              </button>
+            )}
+            <button
+              onClick={() => setIsSettingsOpen((v) => !v)}
+              className="rounded-xl bg-white/10 px-3 py-2 text-sm font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15"
+              type="button"
+              aria-expanded={isSettingsOpen}
+            >
+              Settings
+            </button>
             {isRecording ? (
               <div className="inline-flex items-center gap-2 rounded-full bg-red-500/15 px-3 py-1 text-sm font-semibold text-red-200 ring-1 ring-red-500/30">
                 <span className="relative inline-flex h-2.5 w-2.5">
@@ -536,17 +1873,272 @@ export default function VideoRecorder() {
               </div>
             ) : (
               <div className="rounded-full bg-white/10 px-3 py-1 text-sm text-neutral-200 ring-1 ring-white/10">
-                {isInitializing ? "Starting…" : isReady ? "Ready" : "Not ready"}
+                {isCountingIn
+                  ? "Count-in…"
+                  : isInitializing
+                    ? "Starting…"
+                    : isArmed
+                      ? "Armed — waiting for sound"
+                      : isReady
+                        ? "Ready"
+                        : "Not ready"}
               </div>
             )}
           </div>
         </div>
       </div>
 
+      {/* Notice banner (device hot-plug, fallbacks, storage) */}
+      {notice && (
+        <div className="absolute inset-x-0 top-16 z-10 px-4">
+          <div className="mx-auto flex max-w-3xl items-start justify-between gap-3 rounded-2xl bg-amber-500/15 p-3 text-sm text-amber-100 ring-1 ring-amber-500/30 backdrop-blur">
+            <div>{notice}</div>
+            <div className="flex shrink-0 items-center gap-2">
+              {!isRecording && (
+                <button
+                  onClick={() => {
+                    setNotice("");
+                    initMedia();
+                  }}
+                  disabled={isInitializing}
+                  className="rounded-lg bg-white/10 px-2 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 disabled:opacity-50"
+                  type="button"
+                >
+                  Retry
+                </button>
+              )}
+              <button
+                onClick={() => setNotice("")}
+                className="rounded-lg bg-white/10 px-2 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15"
+                type="button"
+              >
+                Dismiss
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Unfinished takes from a previous session */}
+      {recoverableSessions.length > 0 && !isRecording && (
+        <div className="absolute inset-0 z-20 flex items-center justify-center p-4">
+          <div className="w-full max-w-lg rounded-2xl bg-neutral-900/90 p-5 ring-1 ring-white/10 backdrop-blur">
+            <div className="text-base font-semibold text-neutral-100">Unfinished recording found</div>
+            <div className="mt-2 text-sm text-neutral-300">
+              The app closed before these takes were saved. Recover them into the library or discard them.
+            </div>
+            <ul className="mt-4 space-y-2">
+              {recoverableSessions.map((session) => (
+                <li
+                  key={session.id}
+                  className="flex items-center justify-between gap-3 rounded-xl bg-white/5 p-3 ring-1 ring-white/10"
+                >
+                  <div className="text-sm text-neutral-200">
+                    <div className="font-medium">{new Date(session.startedAt).toLocaleString()}</div>
+                    <div className="text-xs text-neutral-400">{formatBytes(session.size)}</div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => discardSession(session)}
+                      className="rounded-xl bg-white/10 px-3 py-2 text-sm font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15"
+                      type="button"
+                    >
+                      Discard
+                    </button>
+                    <button
+                      onClick={() => recoverSession(session)}
+                      className="rounded-xl bg-emerald-500 px-3 py-2 text-sm font-bold text-emerald-950 transition hover:bg-emerald-400"
+                      type="button"
+                    >
+                      Recover
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {/* Take library */}
+      {isLibraryOpen && <TakeLibrary library={library} onClose={() => setIsLibraryOpen(false)} onError={setError} />}
+
+      {/* Upload queue */}
+      {isUploadQueueOpen && <UploadQueue uploads={uploads} onClose={() => setIsUploadQueueOpen(false)} />}
+
+      {/* Post-recording review */}
+      {review && (
+        <ReviewScreen
+          key={review.recordedAt.getTime()}
+          take={review}
+          frameRate={getResolutionPreset(profiles.activeProfile.resolutionId).frameRate}
+          onKeep={keepReviewedTake}
+          onRetake={retake}
+          onDiscard={discardReviewedTake}
+          onError={setError}
+        />
+      )}
+
+      {/* A/V sync calibration */}
+      {isSyncCalibrationOpen && (
+        <SyncCalibration
+          profile={profiles.activeProfile}
+          frameRate={getResolutionPreset(profiles.activeProfile.resolutionId).frameRate}
+          onRecord={recordCalibrationClip}
+          onSave={(avOffsetMs) => {
+            profiles.updateActiveProfile({ avOffsetMs });
+            setIsSyncCalibrationOpen(false);
+          }}
+          onClose={() => setIsSyncCalibrationOpen(false)}
+        />
+      )}
+
+      {/* Settings drawer */}
+      {isSettingsOpen && (
+        <div className="absolute bottom-0 right-0 top-16 z-20 w-full max-w-sm overflow-y-auto p-4">
+          <div className="space-y-3 rounded-2xl bg-neutral-900/90 p-4 ring-1 ring-white/10 backdrop-blur">
+            <div className="flex items-center justify-between">
+              <div className="text-base font-semibold text-neutral-100">Settings</div>
+              <button
+                onClick={() => setIsSettingsOpen(false)}
+                className="rounded-lg bg-white/10 px-2 py-1 text-xs font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15"
+                type="button"
+              >
+                Close
+              </button>
+            </div>
+            <DeviceSettings
+              videoInputs={devices.videoInputs}
+              audioInputs={devices.audioInputs}
+              prefs={devices.prefs}
+              disabled={isRecording || isInitializing}
+              onSelect={selectDevices}
+              separateCameraFiles={cameraLayout.separateFiles}
+              onSeparateCameraFilesChange={(separateFiles) => updateCameraLayout({ separateFiles })}
+            />
+            <CameraControls
+              capabilities={videoCapabilities}
+              settings={liveVideoSettings}
+              values={cameraControls}
+              disabled={isInitializing}
+              onChange={updateCameraControl}
+              onReset={resetCameraControls}
+              onAllowPanTiltZoom={isPanTiltZoomAsked || isRecording ? null : allowPanTiltZoom}
+            />
+            <AudioRoutingSettings
+              routing={audioRouting}
+              channelCount={inputChannels}
+              disabled={isRecording || isCountingIn || isInitializing}
+              onChange={updateAudioRouting}
+            />
+            <RecordingProfileSettings
+              profiles={profiles}
+              supportedMimeTypes={supportedMimeTypes}
+              capabilities={videoCapabilities}
+              liveSettings={liveVideoSettings}
+              disabled={isRecording || isCountingIn || isInitializing}
+              onProfileChange={applyRecordingProfile}
+              onCalibrateSync={() => {
+                setIsSettingsOpen(false);
+                setIsSyncCalibrationOpen(true);
+              }}
+            />
+            <OverlaySettings
+              settings={overlaySettings}
+              isRecording={isRecording || isCountingIn}
+              onChange={updateOverlaySettings}
+              onEditLayout={() => {
+                setIsSettingsOpen(false);
+                setIsEditingOverlays(true);
+              }}
+              onError={setError}
+            />
+            <MetronomeSettings
+              settings={metronomeSettings}
+              isRunning={isMetronomeRunning}
+              isRecording={isRecording || isCountingIn}
+              onChange={updateMetronomeSettings}
+              onToggle={toggleMetronome}
+            />
+            <PlayAlongSettings
+              settings={playAlongSettings}
+              tracks={backingTracks.tracks}
+              latency={playAlongLatency}
+              isRecording={isRecording || isCountingIn}
+              onChange={updatePlayAlongSettings}
+              onAddTrack={backingTracks.addTrack}
+              onRemoveTrack={backingTracks.removeTrack}
+              onError={setError}
+            />
+            <SoundTriggerSettings
+              settings={soundTriggerSettings}
+              isArmed={isArmed}
+              onChange={updateSoundTriggerSettings}
+            />
+            <ReplayBufferSettings
+              settings={replaySettings}
+              isSupported={isReplayBufferSupported()}
+              onChange={updateReplaySettings}
+            />
+            <UploadSettings settings={uploadSettings} onChange={updateUploadSettings} />
+            <HotkeySettings
+              settings={hotkeys}
+              isMidiSupported={isMidiSupported()}
+              midiInputs={midiInputs}
+              learningMidi={learningMidi}
+              onChange={updateHotkeys}
+              onLearnMidi={setLearningMidi}
+            />
+            <div className="rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
+              <div className="text-sm font-semibold text-neutral-100">Takes</div>
+              <label className="mt-3 flex items-center gap-2 text-sm text-neutral-200">
+                <input type="checkbox" checked={isReviewEnabled} onChange={(e) => setReviewEnabled(e.target.checked)} />
+                Review and trim each take before saving
+              </label>
+              <label className="mt-2 flex items-center gap-2 text-sm text-neutral-200">
+                <input
+                  type="checkbox"
+                  checked={isAutoDownloadEnabled}
+                  onChange={(e) => setAutoDownload(e.target.checked)}
+                />
+                Also download each take automatically
+              </label>
+              <div className="mt-1 text-[11px] text-neutral-400">Takes are always kept in the Library.</div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Bottom overlay controls */}
       <div className="absolute inset-x-0 bottom-0 z-10 p-4 pb-6">
         <div className="mx-auto w-full max-w-3xl">
           <div className="rounded-2xl bg-black/45 p-4 ring-1 ring-white/10 backdrop-blur">
+            {isScreenSharing && (
+              <ScreenShareControls
+                settings={screenSettings}
+                hasAudio={Boolean(screenStreamRef.current?.getAudioTracks().length)}
+                isRecording={isRecording}
+                onChange={updateScreenSettings}
+                onStop={endScreenShare}
+              />
+            )}
+            {healthEvents.length > 0 && (
+              <RecordingHealthBanner
+                events={healthEvents}
+                isRecording={isRecording}
+                onDismiss={() => setHealthEvents([])}
+              />
+            )}
+            {isRecording && <MarkerBar count={markerCount} lastMarker={lastMarker} onAdd={addMarker} />}
+            {(isDualCamera || isScreenSharing) && (
+              <CameraLayoutSwitcher
+                layout={cameraLayout.layout}
+                swap={cameraLayout.swap}
+                isRecording={isRecording}
+                onChange={updateCameraLayout}
+                onMoveInset={() => setIsEditingOverlays(true)}
+              />
+            )}
             {/* Audio controls */}
             {isReady && (
               <div className="mb-4 rounded-2xl bg-white/5 p-3 ring-1 ring-white/10">
@@ -558,6 +2150,18 @@ export default function VideoRecorder() {
                         CLIP
                       </span>
                     )}
+                    <button
+                      type="button"
+                      onClick={toggleTuner}
+                      className={`rounded-full px-2 py-0.5 font-semibold ring-1 transition ${
+                        isTunerOpen
+                          ? "bg-emerald-500/20 text-emerald-200 ring-emerald-400/30 hover:bg-emerald-500/30"
+                          : "bg-white/10 text-neutral-100 ring-white/10 hover:bg-white/15"
+                      }`}
+                      aria-pressed={isTunerOpen}
+                    >
+                      Tuner
+                    </button>
                     {!isAudioMeterEnabled && (
                       <button
                         type="button"
@@ -571,46 +2175,75 @@ export default function VideoRecorder() {
                   </div>
                 </div>
 
-                <div className="mt-3 space-y-2">
-                  <div className="flex items-center justify-between gap-3 text-xs text-neutral-300">
-                    <div className="font-medium">Level (RMS)</div>
-                    <div className="tabular-nums">
-                      {formatDb(ampToDbfs(rms))} dBFS • Peak {formatDb(ampToDbfs(peak))} dBFS
+                {loudness ? (
+                  <LoudnessMeter
+                    report={loudness}
+                    view={meterView}
+                    onViewChange={changeMeterView}
+                    onReset={resetLoudness}
+                  />
+                ) : (
+                  <div className="mt-3 space-y-2">
+                    <div className="flex items-center justify-between gap-3 text-xs text-neutral-300">
+                      <div className="font-medium">Level (RMS)</div>
+                      <div className="tabular-nums">
+                        {formatDb(ampToDbfs(rms))} dBFS • Peak {formatDb(ampToDbfs(peak))} dBFS
+                      </div>
                     </div>
-                  </div>
 
-                  <div className="relative">
-                    <Progress.Root
-                      value={rmsPct}
-                      className="relative h-2 w-full overflow-hidden rounded-full bg-white/10 ring-1 ring-white/10"
-                    >
-                      <Progress.Indicator
-                        className="h-full w-full origin-left bg-emerald-400/80"
-                        style={{ transform: `translateX(-${100 - rmsPct}%)` }}
+                    <div className="relative">
+                      <Progress.Root
+                        value={rmsPct}
+                        className="relative h-2 w-full overflow-hidden rounded-full bg-white/10 ring-1 ring-white/10"
+                      >
+                        <Progress.Indicator
+                          className="h-full w-full origin-left bg-emerald-400/80"
+                          style={{ transform: `translateX(-${100 - rmsPct}%)` }}
+                        />
+                      </Progress.Root>
+                      {/* Peak marker */}
+                      <div
+                        className="pointer-events-none absolute -top-1 bottom-[-4px] w-[2px] rounded bg-white/70 shadow-[0_0_12px_rgba(255,255,255,0.35)]"
+                        style={{ left: `${peakPct}%` }}
                       />
-                    </Progress.Root>
-                    {/* Peak marker */}
-                    <div
-                      className="pointer-events-none absolute -top-1 bottom-[-4px] w-[2px] rounded bg-white/70 shadow-[0_0_12px_rgba(255,255,255,0.35)]"
-                      style={{ left: `${peakPct}%` }}
-                    />
-                    {/* Clip zone hint */}
-                    <div className="pointer-events-none absolute inset-y-0 right-0 w-[8%] rounded-r-full bg-red-500/10" />
-                  </div>
+                      {/* Clip zone hint */}
+                      <div className="pointer-events-none absolute inset-y-0 right-0 w-[8%] rounded-r-full bg-red-500/10" />
+                    </div>
 
-                  <div className="mt-3">
-                    <div className="mt-2 text-[11px] text-neutral-400">
-                      Tip: aim for peaks around -6 to -3 dBFS to avoid clipping.
+                    <div className="mt-3">
+                      <div className="mt-2 text-[11px] text-neutral-400">
+                        Tip: aim for peaks around -6 to -3 dBFS to avoid clipping.
+                      </div>
                     </div>
                   </div>
-                </div>
+                )}
+
+                {isTunerOpen && isAudioMeterEnabled && <Tuner analyserRef={analyserRef} />}
               </div>
             )}
 
             <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
               <div className="text-sm text-neutral-200">
-                <div className="font-medium">1080p attempt • Raw mic audio • Auto-download</div>
-                <div className="mt-0.5 text-xs text-neutral-400">If MP4 isn’t supported, it saves as WebM.</div>
+                <div className="font-medium">
+                  {getResolutionPreset(profiles.activeProfile.resolutionId).label} attempt • Raw mic audio •{" "}
+                  {isAutoDownloadEnabled ? "Library + download" : "Saved to Library"}
+                </div>
+                {isRecording && negotiated ? (
+                  <div className="mt-0.5 text-xs tabular-nums text-neutral-400">
+                    Got {negotiated.width}×{negotiated.height}
+                    {negotiated.frameRate ? ` @ ${Math.round(negotiated.frameRate)} fps` : ""} •{" "}
+                    {describeMimeType(negotiated.mimeType)} • {formatBitrate(negotiated.videoBitsPerSecond)} /{" "}
+                    {formatBitrate(negotiated.audioBitsPerSecond)}
+                  </div>
+                ) : (
+                  <div className="mt-0.5 text-xs text-neutral-400">
+                    {profiles.activeProfile.engine === "webcodecs"
+                      ? `WebCodecs • ${profiles.activeProfile.webCodecsContainer === "webm" ? "WebM" : "MP4"} • constant ${getResolutionPreset(profiles.activeProfile.resolutionId).frameRate} fps`
+                      : profiles.activeProfile.mimeType
+                        ? `${describeMimeType(pickMimeType(profiles.activeProfile.mimeType))} • ${formatBitrate(profiles.activeProfile.videoBitsPerSecond)}`
+                        : "If MP4 isn’t supported, it saves as WebM."}
+                  </div>
+                )}
               </div>
 
               <div className="flex items-center gap-3">
@@ -625,13 +2258,25 @@ export default function VideoRecorder() {
                   </button>
                 )}
                 <button
-                  onClick={initMedia}
+                  onClick={() => initMedia()}
                   disabled={isRecording || isInitializing}
                   className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 disabled:cursor-not-allowed disabled:opacity-50"
                 >
                   Retry
                 </button>
 
+                {isScreenCaptureSupported() && !isScreenSharing && (
+                  <button
+                    onClick={startScreenShare}
+                    disabled={!isReady || isRecording || isCountingIn}
+                    className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 disabled:cursor-not-allowed disabled:opacity-50"
+                    title="Add a screen, window or tab (sheet music, DAW) next to the camera"
+                    type="button"
+                  >
+                    Share screen
+                  </button>
+                )}
+
                 <button
                   onClick={() => setPreviewFitMode((m) => (m === "contain" ? "cover" : "contain"))}
                   className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 sm:hidden"
@@ -649,9 +2294,36 @@ export default function VideoRecorder() {
                   {isFullscreen ? "Exit Full screen" : "Full screen"}
                 </button>
 
-                {!isRecording ? (
+                {replaySettings.enabled && isReplayBufferSupported() && (
+                  <button
+                    onClick={saveReplay}
+                    disabled={!isReady || isSavingReplay}
+                    className="rounded-xl bg-white/10 px-4 py-2 text-sm font-semibold text-neutral-100 ring-1 ring-white/10 transition hover:bg-white/15 disabled:cursor-not-allowed disabled:opacity-50"
+                    title={`Keep the last ${formatDuration(replaySettings.minutes * 60_000)} as a take`}
+                    type="button"
+                  >
+                    {isSavingReplay ? "Saving…" : "Save that!"}
+                  </button>
+                )}
+
+                <button
+                  onClick={isArmed ? disarmSoundTrigger : armSoundTrigger}
+                  disabled={!isArmed && !canStart}
+                  className={`rounded-xl px-4 py-2 text-sm font-semibold ring-1 transition disabled:cursor-not-allowed disabled:opacity-50 ${
+                    isArmed
+                      ? "bg-amber-500/20 text-amber-100 ring-amber-400/30 hover:bg-amber-500/30"
+                      : "bg-white/10 text-neutral-100 ring-white/10 hover:bg-white/15"
+                  }`}
+                  title="Record automatically when you start playing"
+                  aria-pressed={isArmed}
+                  type="button"
+                >
+                  {isArmed ? "Disarm" : "Arm"}
+                </button>
+
+                {!isRecording && !isCountingIn ? (
                   <button
-                    onClick={startRecording}
+                    onClick={() => startRecording()}
                     disabled={!canStart}
                     className="rounded-xl bg-emerald-500 px-5 py-2 text-sm font-bold text-emerald-950 shadow-sm transition hover:bg-emerald-400 disabled:cursor-not-allowed disabled:opacity-50"
                   >
@@ -659,11 +2331,11 @@ export default function VideoRecorder() {
                   </button>
                 ) : (
                   <button
-                    onClick={stopRecording}
+                    onClick={() => stopRecording()}
                     disabled={!canStop}
                     className="rounded-xl bg-red-500 px-5 py-2 text-sm font-bold text-red-950 shadow-sm transition hover:bg-red-400 disabled:cursor-not-allowed disabled:opacity-50"
                   >
-                    Stop Recording
+                    {isCountingIn ? "Cancel count-in" : "Stop Recording"}
                   </button>
                 )}
               </div>
@@ -693,7 +2365,7 @@ export default function VideoRecorder() {
                 Dismiss
               </button>
               <button
-                onClick={initMedia}
+                onClick={() => initMedia()}
                 className="rounded-xl bg-emerald-500 px-4 py-2 text-sm font-bold text-emerald-950 transition hover:bg-emerald-400"
               >
                 Retry setup
@@ -0,0 +1,155 @@
+/**
+ * Optional input routing for multi-channel audio interfaces: pick which
+ * input channels are recorded, set each one's trim and pan, and record their
+ * stereo mix instead of the raw track. E.g. guitar on input 1 and a vocal mic
+ * on input 2 both end up in the middle rather than one per side.
+ *
+ * Off by default, and then the mic track is recorded untouched. When on, the
+ * device is opened asking for all of its channels (browsers otherwise often
+ * deliver a mono downmix), and the meters show the routed mix. The WAV
+ * sidecar and the replay buffer keep the raw track.
+ *
+ * Pan uses a 0 dB-centre balance law: centred, a channel is at full level on
+ * both sides (a mono input mapped to both); panning turns the other side down.
+ */
+
+const STORAGE_KEY = "hfr.audioRouting";
+
+export const MAX_INPUT_CHANNELS = 8;
+export const TRIM_MIN_DB = -24;
+export const TRIM_MAX_DB = 24;
+
+export const DEFAULT_CHANNEL_ROUTING = {
+  record: true,
+  pan: 0, // -1 (left) … 1 (right)
+  trimDb: 0
+};
+
+export const DEFAULT_AUDIO_ROUTING = {
+  enabled: false,
+  channels: [] // per input channel; missing ones use DEFAULT_CHANNEL_ROUTING
+};
+
+export function loadAudioRouting() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return normalizeAudioRouting(parsed);
+  } catch {
+    return normalizeAudioRouting({});
+  }
+}
+
+export function saveAudioRouting(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore
+  }
+}
+
+function clamp(v, min, max, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+function normalizeChannel(c) {
+  const d = DEFAULT_CHANNEL_ROUTING;
+  return {
+    record: c?.record === undefined ? d.record : Boolean(c.record),
+    pan: clamp(c?.pan, -1, 1, d.pan),
+    trimDb: clamp(c?.trimDb, TRIM_MIN_DB, TRIM_MAX_DB, d.trimDb)
+  };
+}
+
+export function normalizeAudioRouting(s) {
+  return {
+    enabled: Boolean(s.enabled),
+    channels: (Array.isArray(s.channels) ? s.channels : []).slice(0, MAX_INPUT_CHANNELS).map(normalizeChannel)
+  };
+}
+
+export function channelRouting(routing, index) {
+  return routing.channels[index] || DEFAULT_CHANNEL_ROUTING;
+}
+
+/** `routing` with input channel `index` patched (channels before it filled with defaults). */
+export function withChannelRouting(routing, index, patch) {
+  const channels = Array.from({ length: Math.max(routing.channels.length, index + 1) }, (_, i) =>
+    channelRouting(routing, i)
+  );
+  channels[index] = { ...channels[index], ...patch };
+  return normalizeAudioRouting({ ...routing, channels });
+}
+
+/** Left/right gains for a pan position (0 dB-centre balance law). */
+export function panGains(pan) {
+  return { left: Math.min(1, 1 - pan), right: Math.min(1, 1 + pan) };
+}
+
+/** "C", "L40", "R100" */
+export function formatPan(pan) {
+  const pct = Math.round(Math.abs(pan) * 100);
+  if (pct === 0) return "C";
+  return `${pan < 0 ? "L" : "R"}${pct}`;
+}
+
+/** How many channels the mic track delivers (1 if the browser doesn't say). */
+export function inputChannelCount(track) {
+  return Math.max(1, Math.min(MAX_INPUT_CHANNELS, track?.getSettings?.().channelCount || 1));
+}
+
+/**
+ * Builds the routing stage: `source` → one trim + pan strip per input
+ * channel → stereo `output`. `update` applies new settings with a short ramp
+ * (safe mid-take); the channel count is fixed for the router's lifetime.
+ */
+export function createAudioRouter(ctx, source, channelCount, routing) {
+  const splitter = ctx.createChannelSplitter(channelCount);
+  const output = ctx.createChannelMerger(2);
+  source.connect(splitter);
+
+  const strips = Array.from({ length: channelCount }, (_, i) => {
+    const trim = ctx.createGain();
+    const left = ctx.createGain();
+    const right = ctx.createGain();
+    splitter.connect(trim, i);
+    trim.connect(left);
+    trim.connect(right);
+    left.connect(output, 0, 0);
+    right.connect(output, 0, 1);
+    return { trim, left, right };
+  });
+
+  function apply(next, timeConstant) {
+    const t = ctx.currentTime;
+    strips.forEach((strip, i) => {
+      const ch = channelRouting(next, i);
+      const { left, right } = panGains(ch.pan);
+      strip.trim.gain.setTargetAtTime(ch.record ? 10 ** (ch.trimDb / 20) : 0, t, timeConstant);
+      strip.left.gain.setTargetAtTime(left, t, timeConstant);
+      strip.right.gain.setTargetAtTime(right, t, timeConstant);
+    });
+  }
+
+  apply(routing, 0);
+
+  return {
+    output,
+    channelCount,
+    update: (next) => apply(next, 0.01),
+    destroy() {
+      try {
+        source.disconnect(splitter);
+        splitter.disconnect();
+        for (const strip of strips) {
+          strip.trim.disconnect();
+          strip.left.disconnect();
+          strip.right.disconnect();
+        }
+        output.disconnect();
+      } catch {
+        // ignore; the context may already be closed
+      }
+    }
+  };
+}
@@ -0,0 +1,102 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createAudioRouter, formatPan, normalizeAudioRouting, panGains, withChannelRouting } from "./audioRouting.js";
+
+// Records connections and the last value each gain was set to.
+function fakeContext() {
+  const node = (kind) => ({
+    kind,
+    connections: [],
+    connect(target, output = 0, input = 0) {
+      this.connections.push({ target, output, input });
+    },
+    disconnect() {
+      this.connections = [];
+    }
+  });
+  return {
+    currentTime: 0,
+    createChannelSplitter: (n) => ({ ...node("splitter"), outputs: n }),
+    createChannelMerger: (n) => ({ ...node("merger"), inputs: n }),
+    createGain() {
+      const gain = node("gain");
+      gain.gain = {
+        value: 1,
+        setTargetAtTime(v) {
+          this.value = v;
+        }
+      };
+      return gain;
+    }
+  };
+}
+
+describe("routing settings", () => {
+  it("defaults to off, the raw path", () => {
+    assert.deepEqual(normalizeAudioRouting({}), { enabled: false, channels: [] });
+  });
+
+  it("clamps pan and trim and fills channels up to the one changed", () => {
+    const routing = withChannelRouting(normalizeAudioRouting({ enabled: true }), 1, { pan: 3, trimDb: -40 });
+
+    assert.equal(routing.channels.length, 2);
+    assert.deepEqual(routing.channels[0], { record: true, pan: 0, trimDb: 0 });
+    assert.deepEqual(routing.channels[1], { record: true, pan: 1, trimDb: -24 });
+  });
+});
+
+describe("pan", () => {
+  it("keeps a centred input at full level on both sides", () => {
+    assert.deepEqual(panGains(0), { left: 1, right: 1 });
+    assert.deepEqual(panGains(-1), { left: 1, right: 0 });
+    assert.deepEqual(panGains(0.5), { left: 0.5, right: 1 });
+  });
+
+  it("formats positions", () => {
+    assert.equal(formatPan(0), "C");
+    assert.equal(formatPan(-0.4), "L40");
+    assert.equal(formatPan(1), "R100");
+  });
+});
+
+describe("createAudioRouter", () => {
+  it("splits the input into a trim and pan strip per channel, merged to stereo", () => {
+    const ctx = fakeContext();
+    const source = { connections: [], connect: (target) => source.connections.push(target) };
+    const routing = normalizeAudioRouting({
+      enabled: true,
+      channels: [
+        { pan: -0.5, trimDb: 6 },
+        { record: false, trimDb: 0 }
+      ]
+    });
+
+    const router = createAudioRouter(ctx, source, 2, routing);
+
+    const [splitter] = source.connections;
+    assert.equal(splitter.outputs, 2);
+    const strips = splitter.connections.map(({ target, output }) => {
+      const [left, right] = target.connections.map((c) => c.target);
+      return { output, trim: target, left, right };
+    });
+    assert.deepEqual(
+      strips.map((s) => s.output),
+      [0, 1]
+    );
+    assert.ok(Math.abs(strips[0].trim.gain.value - 10 ** (6 / 20)) < 1e-9);
+    assert.equal(strips[0].left.gain.value, 1);
+    assert.equal(strips[0].right.gain.value, 0.5);
+    assert.equal(strips[1].trim.gain.value, 0);
+    assert.deepEqual(
+      strips[0].left.connections.map((c) => [c.target, c.input]),
+      [[router.output, 0]]
+    );
+    assert.deepEqual(
+      strips[0].right.connections.map((c) => [c.target, c.input]),
+      [[router.output, 1]]
+    );
+
+    router.update(withChannelRouting(routing, 1, { record: true }));
+    assert.equal(strips[1].trim.gain.value, 1);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * A/V sync calibration. A short clip is recorded with the current profile
+ * while the player claps on camera a few times, or while the app flashes the
+ * screen and beeps. Each clap or beep is found in the clip's audio (a sharp
+ * rise above the noise floor) and matched with the visual event next to it
+ * (a jump in frame difference), both on the file's own timeline. The median
+ * of the differences is the profile's `avOffsetMs`: how late the audio lands
+ * in its takes (negative: early).
+ *
+ * Takes are corrected by moving their audio when they are finalized
+ * (`shiftTakeAudio` in takeTrim.js), losslessly. The WAV sidecar and the
+ * play-along stem are aligned on their own and aren't moved.
+ *
+ * A flash is found to within a frame. A clap is less exact: the frame taken
+ * is the one where the hands move fastest, just before they meet.
+ */
+
+export const MAX_AV_OFFSET_MS = 500;
+
+export const CALIBRATION_METHODS = [
+  { id: "flash", label: "Screen flash + beep" },
+  { id: "clap", label: "Clap on camera" }
+];
+
+// Cue times in the calibration clip; the gaps keep events from being mixed up.
+export const CALIBRATION_CUES_SEC = [1.5, 3, 4.5];
+export const CALIBRATION_LENGTH_SEC = 6;
+
+const ENVELOPE_SEC = 0.001;
+const MIN_EVENT_GAP_SEC = 0.5;
+const MIN_VISUAL_DIFF = 0.03; // mean luma change (0…1) that counts as an event
+const LUMA_WIDTH = 32;
+const LUMA_HEIGHT = 18;
+
+export function clampAvOffset(ms) {
+  const n = Math.round(Number(ms));
+  return Number.isFinite(n) ? Math.max(-MAX_AV_OFFSET_MS, Math.min(MAX_AV_OFFSET_MS, n)) : 0;
+}
+
+/** "in sync", "audio 40 ms late", "audio 25 ms early" */
+export function formatAvOffset(ms) {
+  if (!ms) return "in sync";
+  return `audio ${Math.abs(ms)} ms ${ms > 0 ? "late" : "early"}`;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Times (seconds from the first sample) where the level jumps well above the
+ * noise floor: claps, beeps. Events closer than `minGapSec` count as one.
+ */
+export function findAudioOnsets(samples, sampleRate, { minGapSec = MIN_EVENT_GAP_SEC } = {}) {
+  const windowSize = Math.max(1, Math.round(sampleRate * ENVELOPE_SEC));
+  const envelope = new Float32Array(Math.ceil(samples.length / windowSize));
+  for (let w = 0; w < envelope.length; w += 1) {
+    let max = 0;
+    const end = Math.min(samples.length, (w + 1) * windowSize);
+    for (let i = w * windowSize; i < end; i += 1) max = Math.max(max, Math.abs(samples[i]));
+    envelope[w] = max;
+  }
+  if (envelope.length === 0) return [];
+
+  const peak = Math.max(...envelope);
+  if (!(peak > 0)) return [];
+  const threshold = Math.max(median(envelope) * 8, peak * 0.3);
+
+  const onsets = [];
+  let last = -Infinity;
+  for (let w = 0; w < envelope.length; w += 1) {
+    if (envelope[w] < threshold || (w > 0 && envelope[w - 1] >= threshold)) continue;
+    let i = w * windowSize;
+    while (Math.abs(samples[i]) < threshold) i += 1;
+    const t = i / sampleRate;
+    if (t - last >= minGapSec) onsets.push(t);
+    last = t;
+  }
+  return onsets;
+}
+
+/**
+ * Mean absolute luma change (0…1) of each frame against the one before it,
+ * from `[{ timeSec, luma }]` in display order.
+ */
+export function frameDifferences(frames) {
+  const diffs = [];
+  for (let f = 1; f < frames.length; f += 1) {
+    const a = frames[f - 1].luma;
+    const b = frames[f].luma;
+    let sum = 0;
+    for (let i = 0; i < b.length; i += 1) sum += Math.abs(b[i] - a[i]);
+    diffs.push({ timeSec: frames[f].timeSec, diff: sum / b.length / 255 });
+  }
+  return diffs;
+}
+
+/**
+ * The visual event within `MAX_AV_OFFSET_MS` of `aroundSec`: for a flash the
+ * first frame of the jump, for a clap the frame with the most motion. Null if
+ * nothing changes enough.
+ */
+export function findVisualOnset(diffs, aroundSec, method) {
+  const range = MAX_AV_OFFSET_MS / 1000;
+  const near = diffs.filter((d) => Math.abs(d.timeSec - aroundSec) <= range);
+  const max = Math.max(0, ...near.map((d) => d.diff));
+  if (max < MIN_VISUAL_DIFF) return null;
+  const frame = method === "flash" ? near.find((d) => d.diff >= max / 2) : near.find((d) => d.diff === max);
+  return frame.timeSec;
+}
+
+/**
+ * Pairs audio onsets with visual events (both in seconds on the file's
+ * timeline). Resolves to null if no pair was found.
+ *
+ * @returns {{ offsetMs: number, spreadMs: number, events: { audioSec, videoSec }[] } | null}
+ */
+export function measureAvOffset(audioOnsets, diffs, method) {
+  const events = [];
+  for (const audioSec of audioOnsets) {
+    const videoSec = findVisualOnset(diffs, audioSec, method);
+    if (videoSec !== null) events.push({ audioSec, videoSec });
+  }
+  if (events.length === 0) return null;
+  const offsets = events.map((e) => (e.audioSec - e.videoSec) * 1000);
+  return {
+    offsetMs: clampAvOffset(median(offsets)),
+    spreadMs: Math.round(Math.max(...offsets) - Math.min(...offsets)),
+    events
+  };
+}
+
+function waitFor(target, event, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("Timed out reading the calibration clip.")), timeoutMs);
+    target.addEventListener(
+      event,
+      () => {
+        clearTimeout(timer);
+        resolve();
+      },
+      { once: true }
+    );
+    target.addEventListener("error", () => reject(new Error("Couldn't play the calibration clip.")), { once: true });
+  });
+}
+
+/**
+ * Every frame of a short clip as a small luma image, `[{ timeSec, luma }]`,
+ * timed by the frames' own timestamps. Played at half speed so frames aren't
+ * skipped; seeks frame by frame without `requestVideoFrameCallback`.
+ */
+export async function readLumaFrames(blob, frameRate = 30) {
+  const url = URL.createObjectURL(blob);
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  video.src = url;
+  const canvas = document.createElement("canvas");
+  canvas.width = LUMA_WIDTH;
+  canvas.height = LUMA_HEIGHT;
+  const g = canvas.getContext("2d", { willReadFrequently: true });
+  const frames = [];
+
+  function grab(timeSec) {
+    g.drawImage(video, 0, 0, LUMA_WIDTH, LUMA_HEIGHT);
+    const { data } = g.getImageData(0, 0, LUMA_WIDTH, LUMA_HEIGHT);
+    const luma = new Float32Array(LUMA_WIDTH * LUMA_HEIGHT);
+    for (let i = 0; i < luma.length; i += 1) {
+      luma[i] = 0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2];
+    }
+    frames.push({ timeSec, luma });
+  }
+
+  try {
+    await waitFor(video, "loadeddata", 10_000);
+    const duration = Number.isFinite(video.duration) ? video.duration : CALIBRATION_LENGTH_SEC;
+    if (video.requestVideoFrameCallback) {
+      const onFrame = (_, meta) => {
+        grab(meta.mediaTime);
+        video.requestVideoFrameCallback(onFrame);
+      };
+      video.requestVideoFrameCallback(onFrame);
+      video.playbackRate = 0.5;
+      const ended = waitFor(video, "ended", duration * 2000 + 10_000);
+      await video.play();
+      await ended;
+    } else {
+      for (let t = 0; t < duration; t += 1 / frameRate) {
+        const seeked = waitFor(video, "seeked", 3000);
+        video.currentTime = t;
+        await seeked;
+        grab(video.currentTime);
+      }
+    }
+    return frames;
+  } finally {
+    video.pause();
+    video.removeAttribute("src");
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Measures a recorded calibration clip (see `measureAvOffset`). Decoded audio
+ * starts at the audio track's first timestamp, `audioStartSec` (see
+ * `readTrackStarts` in takeTrim.js), so that is added back to put it on the
+ * same timeline as the frames.
+ */
+export async function analyzeCalibrationClip(blob, { method, frameRate, audioStartSec }) {
+  const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!Offline) throw new Error("This browser can't decode audio for the calibration.");
+  const audio = await new Offline(1, 1, 48_000).decodeAudioData(await blob.arrayBuffer());
+  const onsets = findAudioOnsets(audio.getChannelData(0), audio.sampleRate).map((t) => t + audioStartSec);
+  const frames = await readLumaFrames(blob, frameRate);
+  return measureAvOffset(onsets, frameDifferences(frames), method);
+}
@@ -0,0 +1,95 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { clampAvOffset, findAudioOnsets, findVisualOnset, formatAvOffset, measureAvOffset } from "./avSync.js";
+
+// Low noise with a short burst at each of `atSec`.
+function clicks(atSec, { sampleRate = 8000, lengthSec = 3 } = {}) {
+  const samples = new Float32Array(sampleRate * lengthSec);
+  for (let i = 0; i < samples.length; i += 1) samples[i] = (i % 2 ? 1 : -1) * 0.001;
+  for (const t of atSec) {
+    const from = Math.round(t * sampleRate);
+    for (let i = from; i < from + 80; i += 1) samples[i] = 0.9;
+  }
+  return samples;
+}
+
+// Frame differences at 50 fps: quiet, except the `[timeSec, diff]` events.
+function diffsWith(events, lengthSec = 3) {
+  const byFrame = new Map(events.map(([t, diff]) => [Math.round(t * 50), diff]));
+  return Array.from({ length: lengthSec * 50 }, (_, f) => ({ timeSec: f / 50, diff: byFrame.get(f) ?? 0.005 }));
+}
+
+describe("findAudioOnsets", () => {
+  it("finds each burst above the noise floor", () => {
+    const onsets = findAudioOnsets(clicks([0.5, 1.5, 2.5]), 8000);
+
+    assert.deepEqual(onsets, [0.5, 1.5, 2.5]);
+  });
+
+  it("counts bursts closer than the minimum gap as one", () => {
+    assert.deepEqual(findAudioOnsets(clicks([0.5, 0.7]), 8000), [0.5]);
+  });
+
+  it("finds nothing in silence", () => {
+    assert.deepEqual(findAudioOnsets(new Float32Array(8000), 8000), []);
+  });
+});
+
+describe("findVisualOnset", () => {
+  it("takes the first frame of a flash", () => {
+    const diffs = diffsWith([
+      [1, 0.3],
+      [1.02, 0.5]
+    ]);
+
+    assert.equal(findVisualOnset(diffs, 1.04, "flash"), 1);
+  });
+
+  it("takes the frame with the most motion for a clap", () => {
+    const diffs = diffsWith([
+      [1, 0.1],
+      [1.02, 0.2],
+      [1.04, 0.05]
+    ]);
+
+    assert.equal(findVisualOnset(diffs, 1.1, "clap"), 1.02);
+  });
+
+  it("ignores changes too small or too far away", () => {
+    assert.equal(findVisualOnset(diffsWith([[1, 0.01]]), 1, "flash"), null);
+    assert.equal(findVisualOnset(diffsWith([[2, 0.5]]), 1, "flash"), null);
+  });
+});
+
+describe("measureAvOffset", () => {
+  it("takes the median of the matched events", () => {
+    const diffs = diffsWith([
+      [0.5, 0.5],
+      [1.5, 0.5],
+      [2.5, 0.5]
+    ]);
+    const result = measureAvOffset([0.54, 1.56, 2.54], diffs, "flash");
+
+    assert.equal(result.offsetMs, 40);
+    assert.equal(result.spreadMs, 20);
+    assert.equal(result.events.length, 3);
+  });
+
+  it("is null when no event has a visual match", () => {
+    assert.equal(measureAvOffset([0.5], diffsWith([]), "flash"), null);
+  });
+});
+
+describe("A/V offsets", () => {
+  it("clamps and rounds", () => {
+    assert.equal(clampAvOffset(12.4), 12);
+    assert.equal(clampAvOffset(-900), -500);
+    assert.equal(clampAvOffset("abc"), 0);
+  });
+
+  it("describes which way the audio is off", () => {
+    assert.equal(formatAvOffset(0), "in sync");
+    assert.equal(formatAvOffset(40), "audio 40 ms late");
+    assert.equal(formatAvOffset(-25), "audio 25 ms early");
+  });
+});
@@ -0,0 +1,22 @@
+const READ_WINDOW = 1 << 20;
+
+/**
+ * Random-access reads from a Blob through a sliding window, so parsers can
+ * walk large takes without loading them into memory.
+ */
+export function createBlobReader(blob, windowSize = READ_WINDOW) {
+  let start = 0;
+  let buf = new Uint8Array(0);
+
+  /** Bytes [pos, pos + len), shorter at EOF. The view is only valid until the next call. */
+  async function bytes(pos, len) {
+    if (pos < start || pos + len > start + buf.length) {
+      const end = Math.min(blob.size, pos + Math.max(len, windowSize));
+      buf = new Uint8Array(await blob.slice(pos, end).arrayBuffer());
+      start = pos;
+    }
+    return buf.subarray(pos - start, pos - start + len);
+  }
+
+  return { size: blob.size, bytes };
+}
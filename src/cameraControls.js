@@ -0,0 +1,153 @@
+/**
+ * Camera controls: focus, exposure, white balance, zoom, pan/tilt, torch and
+ * image adjustments, as far as the open camera's `getCapabilities()` lists
+ * them. They apply live through `applyConstraints` and are saved per camera
+ * `deviceId`, then restored whenever that camera opens.
+ *
+ * Only what the user changed is saved. Manual values (focus distance,
+ * exposure time, color temperature) need their mode on "manual", so they are
+ * applied together with it; each group goes in its own `advanced` set, so one
+ * the camera refuses doesn't take the others with it.
+ *
+ * Pan, tilt and zoom need a permission of their own, asked for when the
+ * camera opens (see `buildMediaConstraints` in recorder.js): only once the
+ * user wants them, or when the camera has saved values for them.
+ */
+
+const STORAGE_KEY = "hfr.cameraControls";
+
+/** `mode`: the mode a manual value belongs to. */
+export const CAMERA_CONTROLS = [
+  { key: "focusMode", label: "Focus", type: "mode" },
+  { key: "focusDistance", label: "Focus distance", type: "range", mode: "focusMode" },
+  { key: "exposureMode", label: "Exposure", type: "mode" },
+  { key: "exposureTime", label: "Exposure time", type: "range", mode: "exposureMode" },
+  { key: "exposureCompensation", label: "Exposure compensation", type: "range" },
+  { key: "whiteBalanceMode", label: "White balance", type: "mode" },
+  { key: "colorTemperature", label: "Color temperature", type: "range", mode: "whiteBalanceMode" },
+  { key: "zoom", label: "Zoom", type: "range" },
+  { key: "pan", label: "Pan", type: "range" },
+  { key: "tilt", label: "Tilt", type: "range" },
+  { key: "brightness", label: "Brightness", type: "range" },
+  { key: "contrast", label: "Contrast", type: "range" },
+  { key: "saturation", label: "Saturation", type: "range" },
+  { key: "sharpness", label: "Sharpness", type: "range" },
+  { key: "torch", label: "Torch", type: "toggle" }
+];
+
+function readAll() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/** What was saved for a camera (unchecked; see `normalizeCameraControls`). */
+export function loadCameraControls(deviceId) {
+  const saved = readAll()[deviceId];
+  return saved && typeof saved === "object" ? saved : {};
+}
+
+const PAN_TILT_ZOOM = ["pan", "tilt", "zoom"];
+
+/** Whether `values` set pan, tilt or zoom, which the camera has to be opened for. */
+export function needsPanTiltZoom(values) {
+  return PAN_TILT_ZOOM.some((key) => values?.[key] !== undefined);
+}
+
+/** Saves a camera's values; empty ones forget it. */
+export function saveCameraControls(deviceId, values) {
+  const all = readAll();
+  if (Object.keys(values).length) all[deviceId] = values;
+  else delete all[deviceId];
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch {
+    // ignore
+  }
+}
+
+function isRange(cap) {
+  return Number.isFinite(cap?.min) && Number.isFinite(cap?.max) && cap.max > cap.min;
+}
+
+// Browsers report torch as `true` or as the values it can take.
+function hasTorch(cap) {
+  return cap === true || (Array.isArray(cap) && cap.includes(true));
+}
+
+/**
+ * The controls a camera offers, each with its capability: `modes` for a mode,
+ * `{ min, max, step }` for a range.
+ */
+export function availableControls(capabilities) {
+  if (!capabilities) return [];
+  return CAMERA_CONTROLS.flatMap((c) => {
+    const cap = capabilities[c.key];
+    if (c.type === "mode") return Array.isArray(cap) && cap.length ? [{ ...c, modes: cap }] : [];
+    if (c.type === "range") {
+      if (!isRange(cap)) return [];
+      return [{ ...c, min: cap.min, max: cap.max, step: cap.step > 0 ? cap.step : (cap.max - cap.min) / 100 }];
+    }
+    return hasTorch(cap) ? [c] : [];
+  });
+}
+
+/** Saved values this camera supports, clamped to its ranges. */
+export function normalizeCameraControls(values, capabilities) {
+  const next = {};
+  for (const c of availableControls(capabilities)) {
+    const v = values?.[c.key];
+    if (v === undefined) continue;
+    if (c.type === "mode") {
+      if (c.modes.includes(v)) next[c.key] = v;
+    } else if (c.type === "range") {
+      const n = Number(v);
+      if (Number.isFinite(n)) next[c.key] = Math.max(c.min, Math.min(c.max, n));
+    } else {
+      next[c.key] = Boolean(v);
+    }
+  }
+  return next;
+}
+
+/**
+ * `values` with one control changed. Setting a manual value switches its mode
+ * to "manual"; leaving "manual" drops the manual values.
+ */
+export function withCameraControl(values, key, value) {
+  const next = { ...values, [key]: value };
+  const control = CAMERA_CONTROLS.find((c) => c.key === key);
+  if (control?.mode) next[control.mode] = "manual";
+  if (control?.type === "mode" && value !== "manual") {
+    for (const c of CAMERA_CONTROLS) if (c.mode === key) delete next[c.key];
+  }
+  return next;
+}
+
+/** The `advanced` constraint sets for `values`: a mode with its manual values, else one per control. */
+export function buildCameraConstraints(values) {
+  const sets = new Map();
+  for (const c of CAMERA_CONTROLS) {
+    if (values[c.key] === undefined) continue;
+    const group = c.mode || c.key;
+    sets.set(group, { ...sets.get(group), [c.key]: values[c.key] });
+  }
+  return [...sets.values()];
+}
+
+/**
+ * Values that put a camera back the way it opened (`settings`, from
+ * `getSettings()` before anything saved was applied): automatic modes where
+ * it has them.
+ */
+export function cameraDefaults(capabilities, settings) {
+  const next = {};
+  for (const c of availableControls(capabilities)) {
+    if (c.type === "mode" && c.modes.includes("continuous")) next[c.key] = "continuous";
+    else if (settings?.[c.key] !== undefined && !c.mode) next[c.key] = settings[c.key];
+  }
+  return normalizeCameraControls(next, capabilities);
+}
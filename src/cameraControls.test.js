@@ -0,0 +1,80 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  availableControls,
+  buildCameraConstraints,
+  cameraDefaults,
+  needsPanTiltZoom,
+  normalizeCameraControls,
+  withCameraControl
+} from "./cameraControls.js";
+
+const capabilities = {
+  width: { min: 1, max: 1920 },
+  focusMode: ["continuous", "manual"],
+  focusDistance: { min: 0, max: 1, step: 0.01 },
+  zoom: { min: 1, max: 4, step: 0 },
+  brightness: { min: 0, max: 0 },
+  torch: true
+};
+
+describe("availableControls", () => {
+  it("lists only what the camera offers, in panel order", () => {
+    const controls = availableControls(capabilities);
+
+    assert.deepEqual(
+      controls.map((c) => c.key),
+      ["focusMode", "focusDistance", "zoom", "torch"]
+    );
+    assert.deepEqual(controls[0].modes, ["continuous", "manual"]);
+    assert.equal(controls[2].step, 0.03);
+  });
+
+  it("is empty without capabilities", () => {
+    assert.deepEqual(availableControls(null), []);
+  });
+});
+
+describe("normalizeCameraControls", () => {
+  it("drops unsupported values and clamps ranges", () => {
+    const values = { focusMode: "single-shot", focusDistance: 3, zoom: 2, contrast: 50, torch: 1 };
+
+    assert.deepEqual(normalizeCameraControls(values, capabilities), { focusDistance: 1, zoom: 2, torch: true });
+  });
+});
+
+describe("withCameraControl", () => {
+  it("switches the mode to manual for a manual value", () => {
+    assert.deepEqual(withCameraControl({}, "focusDistance", 0.4), { focusDistance: 0.4, focusMode: "manual" });
+  });
+
+  it("drops the manual values when leaving manual", () => {
+    const values = { focusMode: "manual", focusDistance: 0.4, zoom: 2 };
+
+    assert.deepEqual(withCameraControl(values, "focusMode", "continuous"), { focusMode: "continuous", zoom: 2 });
+  });
+});
+
+describe("buildCameraConstraints", () => {
+  it("keeps a mode with its manual values and the rest apart", () => {
+    const sets = buildCameraConstraints({ zoom: 2, focusDistance: 0.4, focusMode: "manual", torch: false });
+
+    assert.deepEqual(sets, [{ focusMode: "manual", focusDistance: 0.4 }, { zoom: 2 }, { torch: false }]);
+  });
+});
+
+describe("cameraDefaults", () => {
+  it("goes back to automatic modes and the values the camera opened with", () => {
+    const settings = { focusMode: "manual", focusDistance: 0.2, zoom: 1, torch: false };
+
+    assert.deepEqual(cameraDefaults(capabilities, settings), { focusMode: "continuous", zoom: 1, torch: false });
+  });
+});
+
+describe("needsPanTiltZoom", () => {
+  it("is true only with a saved pan, tilt or zoom", () => {
+    assert.equal(needsPanTiltZoom({ zoom: 2 }), true);
+    assert.equal(needsPanTiltZoom({ focusMode: "manual", focusDistance: 0.4 }), false);
+    assert.equal(needsPanTiltZoom(undefined), false);
+  });
+});
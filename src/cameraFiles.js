@@ -0,0 +1,53 @@
+/**
+ * "Separate file per camera" for two-camera takes: one extra MediaRecorder per
+ * camera alongside the composited take.
+ *
+ * All recorders are started back to back with the main one and the files are
+ * saved under the take's start time, so they line up in an editor. Each file
+ * carries the same audio as the take to make syncing by waveform possible too.
+ * The files are kept in memory only (no crash recovery).
+ */
+export function startCameraRecorders(videoTracks, audioTracks, { mimeType, videoBitsPerSecond, audioBitsPerSecond }) {
+  const recorders = videoTracks.map((track) => {
+    const stream = new MediaStream([track, ...audioTracks]);
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, {
+        mimeType: mimeType || undefined,
+        videoBitsPerSecond,
+        audioBitsPerSecond
+      });
+    } catch {
+      recorder = new MediaRecorder(stream, { mimeType: mimeType || undefined });
+    }
+
+    const chunks = [];
+    recorder.ondataavailable = (ev) => {
+      if (ev.data?.size) chunks.push(ev.data);
+    };
+    const done = new Promise((resolve) => {
+      recorder.onstop = () => {
+        const type = recorder.mimeType || mimeType || "video/webm";
+        resolve({ blob: new Blob(chunks, { type }), mimeType: type });
+      };
+      recorder.onerror = () => resolve(null);
+    });
+    return { recorder, done };
+  });
+
+  for (const { recorder } of recorders) recorder.start();
+
+  return {
+    /** Resolves to one `{ blob, mimeType }` per camera (null where it failed). */
+    stop() {
+      for (const { recorder } of recorders) {
+        try {
+          if (recorder.state !== "inactive") recorder.stop();
+        } catch {
+          // ignore
+        }
+      }
+      return Promise.all(recorders.map((r) => r.done));
+    }
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * How two sources (a second camera or a shared screen) share the recorded
+ * frame with the main camera (see compositor.js).
+ *
+ * The output keeps the main camera's resolution. The picture-in-picture
+ * inset is stored like the overlays: top-left corner and width as fractions
+ * of the frame. `swap` puts the second source in the main cell.
+ */
+
+const STORAGE_KEY = "hfr.cameraLayout";
+
+export const CAMERA_LAYOUTS = [
+  { id: "sideBySide", label: "Side by side" },
+  { id: "pip", label: "Picture in picture" },
+  { id: "stacked", label: "Stacked" }
+];
+
+export const DEFAULT_CAMERA_LAYOUT = {
+  layout: "pip",
+  inset: { x: 0.66, y: 0.62, w: 0.3 },
+  swap: false,
+  separateFiles: false // also save each camera as its own file
+};
+
+export function loadCameraLayout() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return normalizeCameraLayout(parsed);
+  } catch {
+    return normalizeCameraLayout({});
+  }
+}
+
+export function saveCameraLayout(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore
+  }
+}
+
+function clamp(v, min, max, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+export function normalizeCameraLayout(s) {
+  const d = DEFAULT_CAMERA_LAYOUT;
+  const w = clamp(s.inset?.w, 0.1, 0.6, d.inset.w);
+  return {
+    layout: CAMERA_LAYOUTS.some((l) => l.id === s.layout) ? s.layout : d.layout,
+    inset: {
+      x: clamp(s.inset?.x, 0, 1 - w, Math.min(d.inset.x, 1 - w)),
+      y: clamp(s.inset?.y, 0, 1, d.inset.y),
+      w
+    },
+    swap: Boolean(s.swap),
+    separateFiles: Boolean(s.separateFiles)
+  };
+}
+
+/**
+ * Pixel cells for [main, second] in a W×H frame. `insetAspect` is the inset
+ * source's height/width, so the inset isn't cropped.
+ */
+export function layoutCells({ layout, inset }, W, H, insetAspect = 9 / 16) {
+  if (layout === "sideBySide") {
+    const half = Math.round(W / 2);
+    return [
+      { x: 0, y: 0, w: half, h: H },
+      { x: half, y: 0, w: W - half, h: H }
+    ];
+  }
+  if (layout === "stacked") {
+    const half = Math.round(H / 2);
+    return [
+      { x: 0, y: 0, w: W, h: half },
+      { x: 0, y: half, w: W, h: H - half }
+    ];
+  }
+  const w = inset.w * W;
+  const h = Math.min(H, w * insetAspect);
+  return [
+    { x: 0, y: 0, w: W, h: H },
+    { x: inset.x * W, y: Math.min(inset.y * H, H - h), w, h }
+  ];
+}
@@ -0,0 +1,288 @@
+import { DEFAULT_OVERLAY_SETTINGS, OVERLAY_IDS, formatTimecode } from "./overlays.js";
+import { DEFAULT_CAMERA_LAYOUT, layoutCells } from "./cameraLayout.js";
+
+function createSourceVideo() {
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  return video;
+}
+
+/**
+ * Canvas compositing stage: draws the camera(s) plus overlays into a canvas
+ * whose `captureStream()` is what gets previewed and recorded.
+ *
+ * Notes:
+ * - Frames are drawn on each new frame of the main camera
+ *   (`requestVideoFrameCallback`), falling back to a timer, so the output
+ *   follows its cadence. A second source is drawn with whatever frame it has.
+ * - The canvas takes the main camera's resolution; overlays scale with it.
+ *   Cameras fill their cell (cropped, mirrored if asked); a shared screen is
+ *   letterboxed and never mirrored.
+ * - Layout changes apply on the next frame, so a switch while recording is a
+ *   hard cut in the take.
+ * - `getOverlayRects()` reports where each overlay (and the picture-in-picture
+ *   inset) was last drawn, as fractions of the frame, so the on-preview editor
+ *   can put handles on them.
+ */
+export function createCompositor({ frameRate = 30 } = {}) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 1280;
+  canvas.height = 720;
+  const g = canvas.getContext("2d", { alpha: false });
+
+  const videos = [createSourceVideo(), createSourceVideo()];
+  const video = videos[0]; // main camera; drives the frame clock
+
+  let settings = DEFAULT_OVERLAY_SETTINGS;
+  let cameraLayout = DEFAULT_CAMERA_LAYOUT;
+  let sourceCount = 0;
+  let sourceKinds = []; // "camera" | "screen", per source
+  let logo = null;
+  let logoSrc = "";
+  let recordingStartedAt = null;
+  let rects = {};
+  let frameHandle = null;
+  let destroyed = false;
+
+  const stream = canvas.captureStream(frameRate);
+
+  /**
+   * Main camera first; a second stream (camera or shared screen) turns on the
+   * two-source layouts.
+   */
+  function setSources(mediaStreams, kinds = []) {
+    sourceCount = 0;
+    sourceKinds = kinds;
+    videos.forEach((v, i) => {
+      const track = mediaStreams[i]?.getVideoTracks()[0];
+      v.srcObject = track ? new MediaStream([track]) : null;
+      if (track) {
+        sourceCount += 1;
+        v.play().catch(() => {});
+      }
+    });
+    // A pending frame callback belongs to the old source and may never fire.
+    cancelScheduled();
+    if (!destroyed) schedule();
+  }
+
+  function setSettings(next) {
+    settings = next;
+    const src = next.watermark.logo;
+    if (src !== logoSrc) {
+      logoSrc = src;
+      logo = null;
+      if (src) {
+        const img = new Image();
+        img.onload = () => {
+          if (logoSrc === src) logo = img;
+        };
+        img.src = src;
+      }
+    }
+  }
+
+  function setLayout(next) {
+    cameraLayout = next;
+  }
+
+  /** `performance.now()` when recording started, or null to show a zeroed timecode. */
+  function setRecordingStart(t) {
+    recordingStartedAt = t;
+  }
+
+  function drawText(text, x, y, px, { weight = 600, color = "#fff" } = {}) {
+    g.font = `${weight} ${px}px ui-sans-serif, system-ui, sans-serif`;
+    g.textBaseline = "top";
+    g.fillStyle = color;
+    g.shadowColor = "rgba(0, 0, 0, 0.6)";
+    g.shadowBlur = px * 0.25;
+    g.fillText(text, x, y);
+    g.shadowBlur = 0;
+    return g.measureText(text).width;
+  }
+
+  function drawWatermark(o, W, H) {
+    const x = o.x * W;
+    const y = o.y * H;
+    if (logo) {
+      const h = o.size * H;
+      const w = (logo.naturalWidth / logo.naturalHeight) * h;
+      g.drawImage(logo, x, y, w, h);
+      return { w, h };
+    }
+    if (!o.text) return null;
+    const px = o.size * H * 0.5;
+    const w = drawText(o.text, x, y, px, { weight: 700 });
+    return { w, h: px * 1.2 };
+  }
+
+  function drawLowerThird(o, W, H) {
+    if (!o.title && !o.artist) return null;
+    const titlePx = o.size * H;
+    const artistPx = titlePx * 0.65;
+    const pad = titlePx * 0.45;
+    g.font = `700 ${titlePx}px ui-sans-serif, system-ui, sans-serif`;
+    const titleW = o.title ? g.measureText(o.title).width : 0;
+    g.font = `500 ${artistPx}px ui-sans-serif, system-ui, sans-serif`;
+    const artistW = o.artist ? g.measureText(o.artist).width : 0;
+
+    const w = Math.max(titleW, artistW) + pad * 2 + pad * 0.4;
+    const h = (o.title ? titlePx * 1.15 : 0) + (o.artist ? artistPx * 1.25 : 0) + pad * 1.4;
+    const x = o.x * W;
+    const y = o.y * H;
+
+    g.fillStyle = "rgba(10, 10, 10, 0.6)";
+    g.beginPath();
+    if (g.roundRect) g.roundRect(x, y, w, h, pad * 0.5);
+    else g.rect(x, y, w, h);
+    g.fill();
+    g.fillStyle = "rgb(52, 211, 153)";
+    g.fillRect(x, y, pad * 0.4, h);
+
+    let ty = y + pad * 0.7;
+    if (o.title) {
+      drawText(o.title, x + pad * 1.4, ty, titlePx, { weight: 700 });
+      ty += titlePx * 1.15;
+    }
+    if (o.artist) drawText(o.artist, x + pad * 1.4, ty, artistPx, { weight: 500, color: "#d4d4d4" });
+    return { w, h };
+  }
+
+  function drawTimecode(o, W, H) {
+    const elapsed = recordingStartedAt === null ? 0 : performance.now() - recordingStartedAt;
+    const px = o.size * H;
+    const text = formatTimecode(elapsed, frameRate);
+    g.font = `600 ${px}px ui-monospace, SFMono-Regular, Menlo, monospace`;
+    const w = g.measureText(text).width + px * 0.6;
+    const x = o.x * W;
+    const y = o.y * H;
+    g.fillStyle = "rgba(10, 10, 10, 0.55)";
+    g.fillRect(x, y, w, px * 1.5);
+    g.fillStyle = recordingStartedAt === null ? "#e5e5e5" : "#fca5a5";
+    g.textBaseline = "top";
+    g.fillText(text, x + px * 0.3, y + px * 0.25);
+    return { w, h: px * 1.5 };
+  }
+
+  const drawers = { watermark: drawWatermark, lowerThird: drawLowerThird, timecode: drawTimecode };
+
+  // Cameras fill the cell, cropping the excess (object-fit: cover); a shared
+  // screen is fitted whole (contain) so no sheet music or tab is cut off.
+  function drawSource(index, cell) {
+    const source = videos[index];
+    if (source.readyState < 2 || !source.videoWidth) return;
+    const isScreen = sourceKinds[index] === "screen";
+    const sW = source.videoWidth;
+    const sH = source.videoHeight;
+    g.save();
+    g.beginPath();
+    g.rect(cell.x, cell.y, cell.w, cell.h);
+    g.clip();
+    if (isScreen) {
+      const scale = Math.min(cell.w / sW, cell.h / sH);
+      const w = sW * scale;
+      const h = sH * scale;
+      g.drawImage(source, cell.x + (cell.w - w) / 2, cell.y + (cell.h - h) / 2, w, h);
+    } else {
+      const scale = Math.max(cell.w / sW, cell.h / sH);
+      const sw = cell.w / scale;
+      const sh = cell.h / scale;
+      if (settings.mirror) {
+        g.translate(cell.x * 2 + cell.w, 0);
+        g.scale(-1, 1);
+      }
+      g.drawImage(source, (sW - sw) / 2, (sH - sh) / 2, sw, sh, cell.x, cell.y, cell.w, cell.h);
+    }
+    g.restore();
+  }
+
+  function draw() {
+    if (video.videoWidth && (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight)) {
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+    }
+    const W = canvas.width;
+    const H = canvas.height;
+    const nextRects = {};
+
+    g.save();
+    g.globalAlpha = 1;
+    g.fillStyle = "#000";
+    g.fillRect(0, 0, W, H);
+    g.restore();
+    if (sourceCount > 1) {
+      // `swap` puts the second source in the main cell (e.g. the score big, the player inset).
+      const [main, other] = cameraLayout.swap ? [1, 0] : [0, 1];
+      const inset = videos[other];
+      const insetAspect = inset.videoWidth ? inset.videoHeight / inset.videoWidth : undefined;
+      const cells = layoutCells(cameraLayout, W, H, insetAspect);
+      drawSource(main, cells[0]);
+      drawSource(other, cells[1]);
+      if (cameraLayout.layout === "pip") {
+        const c = cells[1];
+        g.save();
+        g.strokeStyle = "rgba(255, 255, 255, 0.85)";
+        g.lineWidth = Math.max(2, H / 360);
+        g.strokeRect(c.x, c.y, c.w, c.h);
+        g.restore();
+        nextRects.inset = { x: c.x / W, y: c.y / H, w: c.w / W, h: c.h / H };
+      }
+    } else {
+      drawSource(0, { x: 0, y: 0, w: W, h: H });
+    }
+
+    for (const id of settings.enabled ? OVERLAY_IDS : []) {
+      const o = settings[id];
+      if (!o.enabled) continue;
+      g.save();
+      g.globalAlpha = o.opacity;
+      const size = drawers[id](o, W, H);
+      g.restore();
+      if (size) nextRects[id] = { x: o.x, y: o.y, w: size.w / W, h: size.h / H };
+    }
+    rects = nextRects;
+  }
+
+  function tick() {
+    if (destroyed) return;
+    draw();
+    schedule();
+  }
+
+  function schedule() {
+    if (video.requestVideoFrameCallback && video.srcObject) {
+      frameHandle = { kind: "rvfc", id: video.requestVideoFrameCallback(tick) };
+    } else {
+      frameHandle = { kind: "timer", id: setTimeout(tick, 1000 / frameRate) };
+    }
+  }
+
+  function cancelScheduled() {
+    if (frameHandle?.kind === "rvfc") video.cancelVideoFrameCallback?.(frameHandle.id);
+    if (frameHandle?.kind === "timer") clearTimeout(frameHandle.id);
+    frameHandle = null;
+  }
+
+  function destroy() {
+    destroyed = true;
+    cancelScheduled();
+    for (const track of stream.getTracks()) track.stop();
+    for (const v of videos) v.srcObject = null;
+  }
+
+  schedule();
+
+  return {
+    canvas,
+    stream,
+    frameRate,
+    setSources,
+    setSettings,
+    setLayout,
+    setRecordingStart,
+    getOverlayRects: () => rects,
+    destroy
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Hands-free control: keyboard shortcuts and MIDI footswitch mappings for a
+ * few actions. Keys are stored as `KeyboardEvent.code` (layout-independent);
+ * MIDI bindings as `{ type: "cc" | "note" | "pc", channel, number }` (see
+ * midiInput.js). Each key or MIDI control drives at most one action.
+ */
+
+const STORAGE_KEY = "hfr.hotkeys";
+
+export const HOTKEY_ACTIONS = [
+  { id: "toggleRecording", label: "Start / stop recording" },
+  { id: "marker", label: "Drop a marker" },
+  { id: "retake", label: "Retake" },
+  { id: "fullscreen", label: "Full screen" }
+];
+
+export const DEFAULT_HOTKEYS = {
+  keys: { toggleRecording: "Space", marker: "KeyM", retake: "KeyR", fullscreen: "KeyF" },
+  midiEnabled: false,
+  midi: {} // actionId → binding; nothing until learned
+};
+
+export function loadHotkeys() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return normalizeHotkeys(parsed);
+  } catch {
+    return normalizeHotkeys({});
+  }
+}
+
+export function saveHotkeys(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore
+  }
+}
+
+function normalizeMidiBinding(b) {
+  if (!b || !["cc", "note", "pc"].includes(b.type)) return null;
+  const channel = Math.round(Number(b.channel));
+  const number = Math.round(Number(b.number));
+  if (!(channel >= 1 && channel <= 16) || !(number >= 0 && number <= 127)) return null;
+  return { type: b.type, channel, number };
+}
+
+export function normalizeHotkeys(s) {
+  const keys = {};
+  const midi = {};
+  for (const { id } of HOTKEY_ACTIONS) {
+    const key = s.keys && id in s.keys ? s.keys[id] : DEFAULT_HOTKEYS.keys[id];
+    keys[id] = typeof key === "string" && key ? key : null;
+    midi[id] = normalizeMidiBinding(s.midi?.[id]);
+  }
+  return { keys, midiEnabled: Boolean(s.midiEnabled), midi };
+}
+
+function sameMidi(a, b) {
+  return Boolean(a && b) && a.type === b.type && a.channel === b.channel && a.number === b.number;
+}
+
+/** Settings with `code` on `actionId` (taken off any other action), or cleared with null. */
+export function bindKey(settings, actionId, code) {
+  const keys = { ...settings.keys };
+  for (const id of Object.keys(keys)) if (code && keys[id] === code) keys[id] = null;
+  keys[actionId] = code;
+  return { ...settings, keys };
+}
+
+export function bindMidi(settings, actionId, binding) {
+  const midi = { ...settings.midi };
+  for (const id of Object.keys(midi)) if (sameMidi(midi[id], binding)) midi[id] = null;
+  midi[actionId] = binding ? normalizeMidiBinding(binding) : null;
+  return { ...settings, midi };
+}
+
+function isTypingTarget(target) {
+  if (!target) return false;
+  const tag = target.tagName;
+  return target.isContentEditable || tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT";
+}
+
+/** The action for a keydown, or null (modifiers, auto-repeat and text fields are left alone). */
+export function actionForKey(settings, event) {
+  if (event.repeat || event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) return null;
+  return HOTKEY_ACTIONS.find(({ id }) => settings.keys[id] === event.code)?.id ?? null;
+}
+
+export function actionForMidi(settings, message) {
+  return HOTKEY_ACTIONS.find(({ id }) => sameMidi(settings.midi[id], message))?.id ?? null;
+}
+
+/** "M", "Space", "F5", "Numpad 1"… */
+export function describeKey(code) {
+  if (!code) return "—";
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  if (code.startsWith("Numpad")) return `Numpad ${code.slice(6)}`;
+  if (code.startsWith("Arrow")) return `${code.slice(5)} arrow`;
+  return code;
+}
+
+export function describeMidiBinding(b) {
+  if (!b) return "—";
+  const kind = b.type === "cc" ? "CC" : b.type === "note" ? "Note" : "Program";
+  return `${kind} ${b.number} · ch ${b.channel}`;
+}
@@ -0,0 +1,73 @@
+/**
+ * Main-thread side of the loudness / true-peak / spectrum meter. The
+ * measuring happens in loudnessMeterWorklet.js; this wires it into the audio
+ * graph and forwards its reports.
+ *
+ * Each report: `{ channels: [{ rms, peak, truePeak }], momentary, shortTerm,
+ * integrated, maxTruePeak, isOver, spectrum }` — levels are linear amplitudes,
+ * loudness is in LUFS (null until there is enough audio), `spectrum` is
+ * per-band dBFS (or null while the spectrum view is off).
+ */
+
+export const METER_VIEWS = [
+  { id: "meters", label: "Meters" },
+  { id: "spectrum", label: "Spectrum" },
+  { id: "spectrogram", label: "Spectrogram" }
+];
+
+export function isLoudnessMeterSupported(ctx) {
+  return typeof AudioWorkletNode !== "undefined" && Boolean(ctx?.audioWorklet);
+}
+
+/**
+ * @param {AudioContext} ctx
+ * @param {AudioNode} source - mic input (mono or stereo; one meter per channel)
+ * @param {(report: object) => void} onReport - called ~20 times a second
+ */
+export async function createLoudnessMeter(ctx, source, onReport) {
+  await ctx.audioWorklet.addModule(new URL("./loudnessMeterWorklet.js", import.meta.url));
+  const node = new AudioWorkletNode(ctx, "loudness-meter", {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [1],
+    channelCountMode: "max" // keep the interface's own channel count
+  });
+  node.port.onmessage = (e) => onReport(e.data);
+
+  // The node only runs while it is pulled, so feed it into a muted sink.
+  const sink = ctx.createGain();
+  sink.gain.value = 0;
+  source.connect(node);
+  node.connect(sink);
+  sink.connect(ctx.destination);
+
+  return {
+    /** Restarts integrated loudness and the max true peak (e.g. at the start of a take). */
+    reset() {
+      node.port.postMessage({ type: "reset" });
+    },
+    setSpectrumEnabled(enabled) {
+      node.port.postMessage({ type: "spectrum", enabled });
+    },
+    destroy() {
+      node.port.onmessage = null;
+      try {
+        source.disconnect(node);
+        node.disconnect();
+        sink.disconnect();
+      } catch {
+        // ignore; the context may already be closed
+      }
+    }
+  };
+}
+
+export function ampToDb(amp) {
+  return Number.isFinite(amp) && amp > 0 ? 20 * Math.log10(amp) : Number.NEGATIVE_INFINITY;
+}
+
+/** "-14.2", or "—" before there's a reading. */
+export function formatLoudness(value) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return "—";
+  return value.toFixed(1);
+}
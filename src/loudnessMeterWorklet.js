@@ -0,0 +1,325 @@
+/* global sampleRate, registerProcessor, AudioWorkletProcessor */
+
+/**
+ * Audio-thread side of the level meter (see loudnessMeter.js). Measuring here
+ * keeps the numbers independent of requestAnimationFrame timing and of
+ * background-tab throttling; the UI only displays what is posted.
+ *
+ * - Loudness per ITU-R BS.1770-4 / EBU R128: K-weighting, 100 ms sub-blocks,
+ *   momentary (400 ms), short-term (3 s) and gated integrated (absolute gate
+ *   at -70 LUFS, relative gate at -10 LU), channel weights of 1 (L/R).
+ * - True peak from 4× oversampling with a 48-tap windowed-sinc interpolator.
+ * - Per-channel RMS / sample peak / true peak for each 50 ms report.
+ * - Optional log-frequency spectrum (2048-point FFT of the channel sum).
+ *
+ * This file is loaded with `audioWorklet.addModule()` as-is (no bundling), so
+ * it must not import anything.
+ */
+
+const REPORT_HZ = 20;
+const OVERSAMPLE = 4;
+const TAPS_PER_PHASE = 12;
+const OVER_HOLD_SEC = 0.9;
+
+const FFT_SIZE = 2048;
+const SPECTRUM_BANDS = 96;
+const SPECTRUM_MIN_HZ = 20;
+
+// Gating histogram: 0.1 LU bins from -70 to +30 LUFS (as in libebur128).
+const HIST_MIN = -70;
+const HIST_STEP = 0.1;
+const HIST_BINS = 1000;
+
+function energyToLufs(energy) {
+  return energy > 0 ? -0.691 + 10 * Math.log10(energy) : Number.NEGATIVE_INFINITY;
+}
+
+/** BS.1770 K-weighting as two biquads (high shelf, then RLB high-pass) for `fs`. */
+function kWeighting(fs) {
+  let K = Math.tan((Math.PI * 1681.974450955533) / fs);
+  let Q = 0.7071752369554196;
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + (Vb * K) / Q + K * K) / a0,
+    b1: (2 * (K * K - Vh)) / a0,
+    b2: (Vh - (Vb * K) / Q + K * K) / a0,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  K = Math.tan((Math.PI * 38.13547087602444) / fs);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = { b0: 1, b1: -2, b2: 1, a1: (2 * (K * K - 1)) / a0, a2: (1 - K / Q + K * K) / a0 };
+  return [shelf, highPass];
+}
+
+/** Polyphase interpolator: `phases[p][k]` multiplies x[n - k] for output phase p. */
+function interpolationPhases() {
+  const N = OVERSAMPLE * TAPS_PER_PHASE;
+  const center = (N - 1) / 2;
+  const phases = Array.from({ length: OVERSAMPLE }, () => new Float32Array(TAPS_PER_PHASE));
+  for (let n = 0; n < N; n += 1) {
+    const t = (n - center) / OVERSAMPLE;
+    const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+    const w = 0.42 - 0.5 * Math.cos((2 * Math.PI * n) / (N - 1)) + 0.08 * Math.cos((4 * Math.PI * n) / (N - 1));
+    phases[n % OVERSAMPLE][Math.floor(n / OVERSAMPLE)] = sinc * w;
+  }
+  // Unity gain per phase so a full-scale DC input reads 0 dBTP.
+  for (const taps of phases) {
+    const sum = taps.reduce((a, b) => a + b, 0);
+    for (let k = 0; k < taps.length; k += 1) taps[k] /= sum;
+  }
+  return phases;
+}
+
+function createChannelState() {
+  return {
+    z: new Float64Array(4), // biquad state: shelf z1, z2, high-pass z1, z2
+    history: new Float32Array(TAPS_PER_PHASE),
+    historyPos: 0,
+    weightedSum: 0, // K-weighted sum of squares in the current sub-block
+    sumSq: 0,
+    peak: 0,
+    truePeak: 0
+  };
+}
+
+/** In-place iterative radix-2 FFT. */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i += 1) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    const wr = Math.cos(ang);
+    const wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < len / 2; k += 1) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        const nr = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = nr;
+      }
+    }
+  }
+}
+
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.filters = kWeighting(sampleRate);
+    this.phases = interpolationPhases();
+    this.subBlockLength = Math.round(sampleRate / 10);
+    this.reportLength = Math.round(sampleRate / REPORT_HZ);
+    this.channels = [];
+    this.subBlockPos = 0;
+    this.reportPos = 0;
+    this.subBlocks = new Float64Array(30); // summed channel energy of the last 3 s
+    this.subBlockCount = 0;
+    this.overHoldSamples = 0;
+    this.spectrumEnabled = false;
+    this.spectrumBuffer = new Float32Array(FFT_SIZE);
+    this.spectrumPos = 0;
+    this.window = Float32Array.from(
+      { length: FFT_SIZE },
+      (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FFT_SIZE - 1))
+    );
+    this.resetIntegrated();
+
+    this.port.onmessage = (e) => {
+      if (e.data?.type === "reset") this.resetIntegrated();
+      if (e.data?.type === "spectrum") this.spectrumEnabled = Boolean(e.data.enabled);
+    };
+  }
+
+  resetIntegrated() {
+    this.histCount = new Uint32Array(HIST_BINS);
+    this.histEnergy = new Float64Array(HIST_BINS);
+    this.gatedCount = 0;
+    this.gatedEnergy = 0;
+    this.maxTruePeak = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) return true;
+    const channelCount = Math.min(2, input.length);
+    if (this.channels.length !== channelCount) {
+      this.channels = Array.from({ length: channelCount }, createChannelState);
+    }
+
+    const frames = input[0].length;
+    const [s, h] = this.filters;
+    for (let i = 0; i < frames; i += 1) {
+      let mono = 0;
+      for (let c = 0; c < channelCount; c += 1) {
+        const st = this.channels[c];
+        const x = input[c][i];
+        mono += x;
+
+        // K-weighting (transposed direct form II).
+        const z = st.z;
+        const y1 = s.b0 * x + z[0];
+        z[0] = s.b1 * x - s.a1 * y1 + z[1];
+        z[1] = s.b2 * x - s.a2 * y1;
+        const y2 = h.b0 * y1 + z[2];
+        z[2] = h.b1 * y1 - h.a1 * y2 + z[3];
+        z[3] = h.b2 * y1 - h.a2 * y2;
+        st.weightedSum += y2 * y2;
+
+        const ax = Math.abs(x);
+        st.sumSq += x * x;
+        if (ax > st.peak) st.peak = ax;
+
+        // True peak: every oversampled point between the last 12 inputs. The
+        // phases fall between the samples, so the samples themselves count too.
+        if (ax > st.truePeak) st.truePeak = ax;
+        st.history[st.historyPos] = x;
+        st.historyPos = (st.historyPos + 1) % TAPS_PER_PHASE;
+        for (let p = 0; p < OVERSAMPLE; p += 1) {
+          const taps = this.phases[p];
+          let acc = 0;
+          let idx = st.historyPos;
+          for (let k = TAPS_PER_PHASE - 1; k >= 0; k -= 1) {
+            acc += taps[k] * st.history[idx];
+            idx = (idx + 1) % TAPS_PER_PHASE;
+          }
+          const a = Math.abs(acc);
+          if (a > st.truePeak) st.truePeak = a;
+        }
+      }
+
+      if (this.spectrumEnabled) {
+        this.spectrumBuffer[this.spectrumPos] = mono / channelCount;
+        this.spectrumPos = (this.spectrumPos + 1) % FFT_SIZE;
+      }
+
+      this.subBlockPos += 1;
+      if (this.subBlockPos >= this.subBlockLength) this.endSubBlock();
+      this.reportPos += 1;
+      if (this.reportPos >= this.reportLength) this.report();
+    }
+    return true;
+  }
+
+  endSubBlock() {
+    let energy = 0;
+    for (const st of this.channels) {
+      energy += st.weightedSum / this.subBlockLength;
+      st.weightedSum = 0;
+    }
+    this.subBlockPos = 0;
+    this.subBlocks[this.subBlockCount % this.subBlocks.length] = energy;
+    this.subBlockCount += 1;
+
+    // Gating blocks are 400 ms with 75% overlap, i.e. one per sub-block.
+    if (this.subBlockCount < 4) return;
+    const block = this.meanEnergy(4);
+    const lufs = energyToLufs(block);
+    if (lufs <= HIST_MIN) return;
+    const bin = Math.min(HIST_BINS - 1, Math.floor((lufs - HIST_MIN) / HIST_STEP));
+    this.histCount[bin] += 1;
+    this.histEnergy[bin] += block;
+    this.gatedCount += 1;
+    this.gatedEnergy += block;
+  }
+
+  meanEnergy(count) {
+    let sum = 0;
+    for (let i = 1; i <= count; i += 1) {
+      sum += this.subBlocks[(this.subBlockCount - i) % this.subBlocks.length];
+    }
+    return sum / count;
+  }
+
+  integrated() {
+    if (!this.gatedCount) return null;
+    const relativeGate = energyToLufs(this.gatedEnergy / this.gatedCount) - 10;
+    let count = 0;
+    let energy = 0;
+    for (let i = 0; i < HIST_BINS; i += 1) {
+      if (HIST_MIN + (i + 0.5) * HIST_STEP < relativeGate) continue;
+      count += this.histCount[i];
+      energy += this.histEnergy[i];
+    }
+    return count ? energyToLufs(energy / count) : null;
+  }
+
+  spectrum() {
+    const re = new Float32Array(FFT_SIZE);
+    const im = new Float32Array(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i += 1) {
+      re[i] = this.spectrumBuffer[(this.spectrumPos + i) % FFT_SIZE] * this.window[i];
+    }
+    fft(re, im);
+
+    // Log-spaced bands; each takes the strongest bin it covers.
+    const bands = new Float32Array(SPECTRUM_BANDS);
+    const nyquist = sampleRate / 2;
+    const binHz = sampleRate / FFT_SIZE;
+    const ratio = nyquist / SPECTRUM_MIN_HZ;
+    for (let b = 0; b < SPECTRUM_BANDS; b += 1) {
+      const lo = Math.floor((SPECTRUM_MIN_HZ * ratio ** (b / SPECTRUM_BANDS)) / binHz);
+      const hi = Math.max(lo + 1, Math.floor((SPECTRUM_MIN_HZ * ratio ** ((b + 1) / SPECTRUM_BANDS)) / binHz));
+      let max = 0;
+      for (let k = lo; k < hi && k < FFT_SIZE / 2; k += 1) {
+        const mag = re[k] * re[k] + im[k] * im[k];
+        if (mag > max) max = mag;
+      }
+      // dBFS for a full-scale sine through the Hann window.
+      bands[b] = 10 * Math.log10(max + 1e-20) - 20 * Math.log10(FFT_SIZE / 4);
+    }
+    return bands;
+  }
+
+  report() {
+    this.reportPos = 0;
+    let isOver = false;
+    const channels = this.channels.map((st) => {
+      const level = { rms: Math.sqrt(st.sumSq / this.reportLength), peak: st.peak, truePeak: st.truePeak };
+      if (st.truePeak > this.maxTruePeak) this.maxTruePeak = st.truePeak;
+      if (st.truePeak >= 1 || st.peak >= 0.999) isOver = true;
+      st.sumSq = 0;
+      st.peak = 0;
+      st.truePeak = 0;
+      return level;
+    });
+    if (isOver) this.overHoldSamples = OVER_HOLD_SEC * sampleRate;
+    else this.overHoldSamples = Math.max(0, this.overHoldSamples - this.reportLength);
+
+    const spectrum = this.spectrumEnabled ? this.spectrum() : null;
+    this.port.postMessage(
+      {
+        channels,
+        momentary: this.subBlockCount >= 4 ? energyToLufs(this.meanEnergy(4)) : null,
+        shortTerm: this.subBlockCount >= 30 ? energyToLufs(this.meanEnergy(30)) : null,
+        integrated: this.integrated(),
+        maxTruePeak: this.maxTruePeak,
+        isOver: this.overHoldSamples > 0,
+        spectrum
+      },
+      spectrum ? [spectrum.buffer] : []
+    );
+  }
+}
+
+registerProcessor("loudness-meter", LoudnessMeterProcessor);
@@ -0,0 +1,183 @@
+/**
+ * Metronome scheduled on the Web Audio clock.
+ *
+ * Uses the usual look-ahead pattern: a coarse JS timer wakes up every 25 ms and
+ * schedules every click falling in the next 100 ms at its exact
+ * `AudioContext` time, so timing never depends on timer jitter.
+ */
+
+const STORAGE_KEY = "hfr.metronome";
+const SCHEDULER_INTERVAL_MS = 25;
+const LOOKAHEAD_SEC = 0.1;
+
+export const DEFAULT_METRONOME_SETTINGS = {
+  bpm: 100,
+  beatsPerBar: 4,
+  beatUnit: 4,
+  subdivision: 1, // clicks per beat
+  accentDownbeat: true,
+  countInBars: 1,
+  volume: 0.8,
+  printToRecording: false
+};
+
+export function loadMetronomeSettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return normalizeMetronomeSettings({ ...DEFAULT_METRONOME_SETTINGS, ...parsed });
+  } catch {
+    return { ...DEFAULT_METRONOME_SETTINGS };
+  }
+}
+
+export function saveMetronomeSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore
+  }
+}
+
+function clampInt(v, min, max, fallback) {
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+export function normalizeMetronomeSettings(s) {
+  const d = DEFAULT_METRONOME_SETTINGS;
+  return {
+    bpm: clampInt(s.bpm, 20, 300, d.bpm),
+    beatsPerBar: clampInt(s.beatsPerBar, 1, 16, d.beatsPerBar),
+    beatUnit: [2, 4, 8, 16].includes(Number(s.beatUnit)) ? Number(s.beatUnit) : d.beatUnit,
+    subdivision: clampInt(s.subdivision, 1, 4, d.subdivision),
+    accentDownbeat: Boolean(s.accentDownbeat),
+    countInBars: clampInt(s.countInBars, 0, 4, d.countInBars),
+    volume: Math.max(0, Math.min(1, Number.isFinite(Number(s.volume)) ? Number(s.volume) : d.volume)),
+    printToRecording: Boolean(s.printToRecording)
+  };
+}
+
+/**
+ * One beat (one click without subdivision) in seconds. `bpm` counts quarter
+ * notes, so the beat unit scales it: at 120, a 6/8 bar clicks eighths at 0.25 s
+ * and a 2/2 bar halves at 1 s.
+ */
+export function secondsPerBeat(settings) {
+  return (60 / settings.bpm) * (4 / settings.beatUnit);
+}
+
+/**
+ * Creates a metronome that plays into `output` (an AudioNode on `ctx`).
+ *
+ * `onTick({ time, bar, beat, sub, isDownbeat, isAccent })` is called when a
+ * click is *scheduled* (up to LOOKAHEAD_SEC early); use `msUntil(time)` to
+ * line up visuals with the audible click.
+ */
+export function createMetronome(ctx, output, { onTick } = {}) {
+  let settings = { ...DEFAULT_METRONOME_SETTINGS };
+  let timer = null;
+  let nextTime = 0;
+  let tickIndex = 0;
+  let endTime = Infinity;
+  const scheduled = new Set(); // { osc, time }
+
+  function playClick(time, kind) {
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    const level = kind === "accent" ? 1 : kind === "beat" ? 0.7 : 0.35;
+    osc.frequency.value = kind === "accent" ? 1760 : kind === "beat" ? 1320 : 880;
+
+    env.gain.setValueAtTime(0, time);
+    env.gain.linearRampToValueAtTime(level, time + 0.001);
+    env.gain.exponentialRampToValueAtTime(0.0001, time + 0.035);
+
+    osc.connect(env);
+    env.connect(output);
+    osc.start(time);
+    osc.stop(time + 0.05);
+
+    const entry = { osc, time };
+    scheduled.add(entry);
+    osc.onended = () => {
+      scheduled.delete(entry);
+      env.disconnect();
+    };
+  }
+
+  function schedule() {
+    const interval = secondsPerBeat(settings) / settings.subdivision;
+    while (nextTime < ctx.currentTime + LOOKAHEAD_SEC && nextTime < endTime) {
+      const sub = tickIndex % settings.subdivision;
+      const beatIndex = Math.floor(tickIndex / settings.subdivision);
+      const beat = beatIndex % settings.beatsPerBar;
+      const bar = Math.floor(beatIndex / settings.beatsPerBar);
+      const isDownbeat = sub === 0 && beat === 0;
+      const isAccent = isDownbeat && settings.accentDownbeat;
+
+      playClick(nextTime, isAccent ? "accent" : sub === 0 ? "beat" : "sub");
+      onTick?.({ time: nextTime, bar, beat, sub, isDownbeat, isAccent });
+
+      nextTime += interval;
+      tickIndex += 1;
+    }
+    if (nextTime >= endTime) halt();
+  }
+
+  function halt() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    get isRunning() {
+      return Boolean(timer);
+    },
+
+    setSettings(next) {
+      settings = normalizeMetronomeSettings({ ...settings, ...next });
+    },
+
+    /**
+     * Starts clicking with beat 1 of bar 0 at `startAt` (audio clock seconds).
+     */
+    start(startAt = ctx.currentTime + 0.05) {
+      halt();
+      nextTime = startAt;
+      tickIndex = 0;
+      endTime = Infinity;
+      schedule();
+      timer = setInterval(schedule, SCHEDULER_INTERVAL_MS);
+      return startAt;
+    },
+
+    /**
+     * Stops at `atTime` (default: now). Clicks already scheduled after that
+     * point are cancelled so nothing leaks past the stop.
+     */
+    stop(atTime = ctx.currentTime) {
+      endTime = atTime;
+      halt();
+      for (const entry of scheduled) {
+        if (entry.time >= atTime - 0.001) {
+          try {
+            entry.osc.stop();
+          } catch {
+            // not started yet / already stopped
+          }
+        }
+      }
+    },
+
+    /** Schedules a stop at a future audio time without cancelling earlier clicks. */
+    stopAt(atTime) {
+      endTime = atTime;
+      if (nextTime >= endTime) halt();
+    },
+
+    msUntil(time) {
+      return Math.max(0, (time - ctx.currentTime) * 1000);
+    }
+  };
+}
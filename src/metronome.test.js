@@ -0,0 +1,15 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_METRONOME_SETTINGS, normalizeMetronomeSettings, secondsPerBeat } from "./metronome.js";
+
+function settings(patch) {
+  return normalizeMetronomeSettings({ ...DEFAULT_METRONOME_SETTINGS, ...patch });
+}
+
+describe("secondsPerBeat", () => {
+  it("counts the tempo in quarter notes, whatever the beat unit", () => {
+    assert.equal(secondsPerBeat(settings({ bpm: 120, beatUnit: 4 })), 0.5);
+    assert.equal(secondsPerBeat(settings({ bpm: 120, beatUnit: 8 })), 0.25);
+    assert.equal(secondsPerBeat(settings({ bpm: 120, beatUnit: 2 })), 1);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Web MIDI input for footswitches and foot controllers. Listens on every
+ * connected input (including ones plugged in later) and reports presses as
+ * `{ type: "cc" | "note" | "pc", channel, number }`.
+ *
+ * A press is a note-on, a program change, or a CC at 64 or above — so set
+ * latching pedals to momentary, or every other press is a release.
+ */
+
+// Switches bounce and some pedals send the same CC twice per press.
+const DEBOUNCE_MS = 200;
+
+export function isMidiSupported() {
+  return typeof navigator !== "undefined" && typeof navigator.requestMIDIAccess === "function";
+}
+
+/** A press from a raw MIDI message, or null for releases and everything else. */
+export function parseMidiPress(data) {
+  if (!data || data.length < 2) return null;
+  const status = data[0] & 0xf0;
+  const channel = (data[0] & 0x0f) + 1;
+  if (status === 0x90 && data[2] > 0) return { type: "note", channel, number: data[1] };
+  if (status === 0xb0 && data[2] >= 64) return { type: "cc", channel, number: data[1] };
+  if (status === 0xc0) return { type: "pc", channel, number: data[1] };
+  return null;
+}
+
+/**
+ * @param {(press: { type, channel, number }) => void} onPress
+ * @param {(names: string[]) => void} onInputsChange - connected input names
+ * @returns {Promise<{ close(): void }>} rejects if MIDI access is denied
+ */
+export async function openMidiInputs(onPress, onInputsChange) {
+  const access = await navigator.requestMIDIAccess({ sysex: false });
+  const lastPressAt = new Map();
+
+  function onMessage(e) {
+    const press = parseMidiPress(e.data);
+    if (!press) return;
+    const key = `${press.type}:${press.channel}:${press.number}`;
+    const now = performance.now();
+    if (now - (lastPressAt.get(key) ?? -Infinity) < DEBOUNCE_MS) return;
+    lastPressAt.set(key, now);
+    onPress(press);
+  }
+
+  function attach() {
+    const names = [];
+    for (const input of access.inputs.values()) {
+      input.onmidimessage = onMessage;
+      if (input.state === "connected") names.push(input.name || "MIDI input");
+    }
+    onInputsChange(names);
+  }
+
+  access.onstatechange = attach;
+  attach();
+
+  return {
+    close() {
+      access.onstatechange = null;
+      for (const input of access.inputs.values()) input.onmidimessage = null;
+    }
+  };
+}
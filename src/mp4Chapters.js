@@ -0,0 +1,300 @@
+import { createBlobReader } from "./blobReader.js";
+
+/**
+ * MP4 chapters as a Nero `chpl` box in `moov/udta` (read by ffmpeg-based
+ * players and editors, VLC and mp4v2 tools), and track start delays as edit
+ * lists (`edts/elst`).
+ *
+ * Only `moov` (and, for fragmented files, the few fixed-size fields that hold
+ * absolute file offsets) is rewritten; everything else is sliced from the
+ * original Blob. Growing `moov` shifts whatever follows it, so absolute
+ * offsets pointing past it are moved by the same amount: `stco`/`co64` chunk
+ * offsets, explicit `tfhd` base data offsets and `tfra` moof offsets.
+ */
+
+const CONTAINERS = new Set([
+  "moov",
+  "trak",
+  "mdia",
+  "minf",
+  "stbl",
+  "udta",
+  "edts",
+  "dinf",
+  "mvex",
+  "moof",
+  "traf",
+  "mfra"
+]);
+
+function readType(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/** Top-level boxes: `{ type, start, end }`. Returns null on anything malformed. */
+async function scanBoxes(reader) {
+  const boxes = [];
+  let pos = 0;
+  while (pos + 8 <= reader.size) {
+    const head = await reader.bytes(pos, 16);
+    const view = new DataView(head.buffer, head.byteOffset, head.byteLength);
+    let size = view.getUint32(0);
+    const type = readType(head, 4);
+    if (size === 1) size = Number(view.getBigUint64(8));
+    else if (size === 0) size = reader.size - pos;
+    if (size < 8 || pos + size > reader.size) return null;
+    boxes.push({ type, start: pos, end: pos + size });
+    pos += size;
+  }
+  return boxes;
+}
+
+/** Children of a fully loaded box body (`bytes` = the box, header included). */
+function* childBoxes(bytes, headerSize = 8) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = headerSize;
+  while (pos + 8 <= bytes.length) {
+    const size = view.getUint32(pos);
+    if (size < 8 || pos + size > bytes.length) return; // 64-bit sizes don't occur inside moov/moof
+    yield { type: readType(bytes, pos + 4), start: pos, end: pos + size };
+    pos += size;
+  }
+}
+
+function box(type, payload) {
+  const out = new Uint8Array(8 + payload.length);
+  new DataView(out.buffer).setUint32(0, out.length);
+  for (let i = 0; i < 4; i += 1) out[4 + i] = type.charCodeAt(i);
+  out.set(payload, 8);
+  return out;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}
+
+/** `chpl` v1: start times in 100 ns units, titles up to 255 UTF-8 bytes. */
+function chplBox(chapters) {
+  const encoder = new TextEncoder();
+  const entries = chapters.slice(0, 255).map((c) => {
+    const title = encoder.encode(c.title).slice(0, 255);
+    const entry = new Uint8Array(9 + title.length);
+    const view = new DataView(entry.buffer);
+    view.setBigUint64(0, BigInt(Math.round(c.startMs * 1e4)));
+    entry[8] = title.length;
+    entry.set(title, 9);
+    return entry;
+  });
+  const header = new Uint8Array(9);
+  header[0] = 1; // version
+  header[8] = entries.length; // 4 flag bytes and 4 reserved bytes stay zero
+  return box("chpl", concat([header, ...entries]));
+}
+
+/** New moov with `udta/chpl` replaced (or added). */
+function withChapters(moov, chapters) {
+  const parts = [];
+  let hasUdta = false;
+  for (const child of childBoxes(moov)) {
+    const bytes = moov.subarray(child.start, child.end);
+    if (child.type !== "udta") {
+      parts.push(bytes);
+      continue;
+    }
+    hasUdta = true;
+    const kept = [...childBoxes(bytes)].filter((c) => c.type !== "chpl").map((c) => bytes.subarray(c.start, c.end));
+    parts.push(box("udta", concat([...kept, chplBox(chapters)])));
+  }
+  if (!hasUdta) parts.push(box("udta", chplBox(chapters)));
+  return box("moov", concat(parts));
+}
+
+/** Walks containers and calls `visit(type, bytes)` for every leaf box, in place. */
+function visitLeaves(bytes, visit, headerSize = 8) {
+  for (const child of childBoxes(bytes, headerSize)) {
+    const sub = bytes.subarray(child.start, child.end);
+    if (CONTAINERS.has(child.type)) visitLeaves(sub, visit);
+    else visit(child.type, sub);
+  }
+}
+
+function shiftOffsets(bytes, from, delta) {
+  visitLeaves(
+    bytes,
+    (type, b) => {
+      const view = new DataView(b.buffer, b.byteOffset, b.byteLength);
+      if (type === "stco") {
+        const count = view.getUint32(12);
+        for (let i = 0; i < count; i += 1) {
+          const v = view.getUint32(16 + i * 4);
+          if (v >= from) view.setUint32(16 + i * 4, v + delta);
+        }
+      } else if (type === "co64") {
+        const count = view.getUint32(12);
+        for (let i = 0; i < count; i += 1) {
+          const v = Number(view.getBigUint64(16 + i * 8));
+          if (v >= from) view.setBigUint64(16 + i * 8, BigInt(v + delta));
+        }
+      } else if (type === "tfhd") {
+        const flags = view.getUint32(8) & 0xffffff;
+        if (flags & 0x1) {
+          const v = Number(view.getBigUint64(16));
+          if (v >= from) view.setBigUint64(16, BigInt(v + delta));
+        }
+      } else if (type === "tfra") {
+        const version = b[8];
+        const lengths = view.getUint32(16);
+        const count = view.getUint32(20);
+        const skip = ((lengths >> 4) & 3) + 1 + ((lengths >> 2) & 3) + 1 + (lengths & 3) + 1;
+        const wide = version === 1 ? 8 : 4;
+        let pos = 24;
+        for (let i = 0; i < count; i += 1) {
+          const at = pos + wide; // after `time`
+          const v = wide === 8 ? Number(view.getBigUint64(at)) : view.getUint32(at);
+          if (v >= from) {
+            if (wide === 8) view.setBigUint64(at, BigInt(v + delta));
+            else view.setUint32(at, v + delta);
+          }
+          pos += wide * 2 + skip;
+        }
+      }
+    },
+    0
+  );
+}
+
+function readField(view, pos, isWide) {
+  return isWide ? Number(view.getBigUint64(pos)) : view.getUint32(pos);
+}
+
+function writeField(view, pos, isWide, value) {
+  if (isWide) view.setBigUint64(pos, BigInt(value));
+  else view.setUint32(pos, value);
+}
+
+function findChild(bytes, type) {
+  for (const child of childBoxes(bytes)) if (child.type === type) return bytes.subarray(child.start, child.end);
+  return null;
+}
+
+/** `elst` v0: `delay` empty, then the whole media from its start (movie timescale units). */
+function elstBox(delay, duration) {
+  const payload = new Uint8Array(8 + 2 * 12);
+  const view = new DataView(payload.buffer);
+  view.setUint32(4, 2); // entry count; version and flags stay zero
+  view.setUint32(8, delay);
+  view.setInt32(12, -1); // empty edit
+  view.setInt16(16, 1); // media rate
+  view.setUint32(20, duration);
+  view.setInt32(24, 0);
+  view.setInt16(28, 1);
+  return box("elst", payload);
+}
+
+/**
+ * New moov where the first track with `handler` ("soun", "vide") starts
+ * `delaySec` late: an empty edit before it (any edit list it had is
+ * replaced), and the track and movie durations grown to match. Null if there
+ * is no such track.
+ */
+function withTrackDelay(moov, handler, delaySec) {
+  const mvhd = findChild(moov, "mvhd")?.slice();
+  if (!mvhd) return null;
+  const mvhdView = new DataView(mvhd.buffer);
+  const isMvhdWide = mvhd[8] === 1;
+  const timescale = mvhdView.getUint32(isMvhdWide ? 28 : 20);
+  const delay = Math.round(delaySec * timescale);
+
+  let isFound = false;
+  let movieDuration = readField(mvhdView, isMvhdWide ? 32 : 24, isMvhdWide);
+  const parts = [];
+  for (const child of childBoxes(moov)) {
+    const bytes = moov.subarray(child.start, child.end);
+    if (child.type === "mvhd") {
+      parts.push(mvhd);
+      continue;
+    }
+    const mdia = child.type === "trak" ? findChild(bytes, "mdia") : null;
+    const hdlr = mdia && findChild(mdia, "hdlr");
+    if (isFound || !hdlr || readType(hdlr, 16) !== handler) {
+      parts.push(bytes);
+      continue;
+    }
+    isFound = true;
+    const trakParts = [];
+    for (const c of childBoxes(bytes)) {
+      if (c.type === "edts") continue;
+      if (c.type !== "tkhd") {
+        trakParts.push(bytes.subarray(c.start, c.end));
+        continue;
+      }
+      const tkhd = bytes.slice(c.start, c.end);
+      const view = new DataView(tkhd.buffer);
+      const isWide = tkhd[8] === 1;
+      const duration = readField(view, isWide ? 36 : 28, isWide);
+      writeField(view, isWide ? 36 : 28, isWide, duration + delay);
+      movieDuration = Math.max(movieDuration, duration + delay);
+      trakParts.push(tkhd, box("edts", elstBox(delay, duration)));
+    }
+    parts.push(box("trak", concat(trakParts)));
+  }
+  if (!isFound) return null;
+  writeField(mvhdView, isMvhdWide ? 32 : 24, isMvhdWide, movieDuration);
+  return box("moov", concat(parts));
+}
+
+/**
+ * Copy of an MP4 Blob with its moov replaced by `rewrite(moov)`; resolves to
+ * null when the file can't be parsed or `rewrite` returns null.
+ */
+async function rewriteMoov(blob, rewrite) {
+  const reader = createBlobReader(blob);
+  const boxes = await scanBoxes(reader);
+  const moovBox = boxes?.find((b) => b.type === "moov");
+  if (!moovBox) return null;
+
+  const oldMoov = (await reader.bytes(moovBox.start, moovBox.end - moovBox.start)).slice();
+  if (new DataView(oldMoov.buffer).getUint32(0) === 1) return null; // 64-bit moov header
+  const moov = rewrite(oldMoov);
+  if (!moov) return null;
+  const delta = moov.length - oldMoov.length;
+  shiftOffsets(moov, moovBox.end, delta);
+
+  const parts = [];
+  for (const b of boxes) {
+    if (b === moovBox) {
+      parts.push(moov);
+    } else if (b.start > moovBox.start && (b.type === "moof" || b.type === "mfra") && delta !== 0) {
+      // Small boxes that may hold absolute offsets into the shifted data.
+      const bytes = (await reader.bytes(b.start, b.end - b.start)).slice();
+      shiftOffsets(bytes, moovBox.end, delta);
+      parts.push(bytes);
+    } else {
+      parts.push(blob.slice(b.start, b.end));
+    }
+  }
+  return new Blob(parts, { type: blob.type });
+}
+
+/**
+ * Copy of an MP4 Blob with `[{ startMs, title }]` as Nero chapters. Resolves
+ * to null when the file can't be parsed.
+ */
+export function setMp4Chapters(blob, chapters) {
+  return rewriteMoov(blob, (moov) => withChapters(moov, chapters));
+}
+
+/**
+ * Copy of an MP4 Blob whose first `handler` track ("soun", "vide") starts
+ * `delaySec` later, through an edit list. Resolves to null when the file
+ * can't be parsed or has no such track.
+ */
+export function delayMp4Track(blob, handler, delaySec) {
+  return rewriteMoov(blob, (moov) => withTrackDelay(moov, handler, delaySec));
+}
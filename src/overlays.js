@@ -0,0 +1,112 @@
+/**
+ * Overlay settings for the compositing stage (see compositor.js).
+ *
+ * Positions are the overlay's top-left corner as a fraction of the frame, so
+ * they survive resolution changes. `size` is a fraction of the frame height
+ * (logo height, or text height).
+ */
+
+const STORAGE_KEY = "hfr.overlays";
+
+export const OVERLAY_IDS = ["watermark", "lowerThird", "timecode"];
+
+export const OVERLAY_LABELS = {
+  watermark: "Watermark",
+  lowerThird: "Lower third",
+  timecode: "Timecode"
+};
+
+export const DEFAULT_OVERLAY_SETTINGS = {
+  enabled: false, // record the composited canvas instead of the raw camera track
+  mirror: false,
+  watermark: { enabled: false, text: "", logo: "", x: 0.03, y: 0.04, size: 0.1, opacity: 0.8 },
+  lowerThird: { enabled: false, title: "", artist: "", x: 0.04, y: 0.78, size: 0.055, opacity: 0.9 },
+  timecode: { enabled: false, x: 0.8, y: 0.04, size: 0.04, opacity: 0.85 }
+};
+
+export function loadOverlaySettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return normalizeOverlaySettings(parsed);
+  } catch {
+    return normalizeOverlaySettings({});
+  }
+}
+
+export function saveOverlaySettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore (a large logo can exceed the quota; the setting then lasts for this session)
+  }
+}
+
+function clamp(v, min, max, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+function normalizePlacement(s, d) {
+  return {
+    enabled: Boolean(s?.enabled),
+    x: clamp(s?.x, 0, 1, d.x),
+    y: clamp(s?.y, 0, 1, d.y),
+    size: clamp(s?.size, 0.01, 0.5, d.size),
+    opacity: clamp(s?.opacity, 0, 1, d.opacity)
+  };
+}
+
+export function normalizeOverlaySettings(s) {
+  const d = DEFAULT_OVERLAY_SETTINGS;
+  return {
+    enabled: Boolean(s.enabled),
+    mirror: Boolean(s.mirror),
+    watermark: {
+      ...normalizePlacement(s.watermark, d.watermark),
+      text: String(s.watermark?.text || "").slice(0, 80),
+      logo: typeof s.watermark?.logo === "string" && s.watermark.logo.startsWith("data:image/") ? s.watermark.logo : ""
+    },
+    lowerThird: {
+      ...normalizePlacement(s.lowerThird, d.lowerThird),
+      title: String(s.lowerThird?.title || "").slice(0, 120),
+      artist: String(s.lowerThird?.artist || "").slice(0, 120)
+    },
+    timecode: normalizePlacement(s.timecode, d.timecode)
+  };
+}
+
+/**
+ * SMPTE-style HH:MM:SS:FF (non-drop) for an elapsed time.
+ */
+export function formatTimecode(ms, frameRate) {
+  const fps = Math.max(1, Math.round(frameRate));
+  const totalFrames = Math.max(0, Math.floor((ms / 1000) * fps));
+  const ff = totalFrames % fps;
+  const totalSec = Math.floor(totalFrames / fps);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(totalSec / 3600))}:${pad(Math.floor(totalSec / 60) % 60)}:${pad(totalSec % 60)}:${pad(ff)}`;
+}
+
+/**
+ * Downscaled PNG data URL for a logo file, small enough for localStorage.
+ */
+export function readLogoFile(file, maxSize = 512) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL("image/png"));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("That file couldn't be read as an image."));
+    };
+    img.src = url;
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * Pitch detection and note math for the tuner.
+ *
+ * `detectPitch` is a straight YIN implementation (de Cheveigné & Kawahara,
+ * 2002) over one time-domain buffer from the existing AnalyserNode. Half the
+ * buffer is compared against lags up to one period of the lowest pitch, so
+ * the buffer has to grow with the sample rate (see `pitchWindowSize`).
+ */
+
+export const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+export const REFERENCE_PITCHES = [415, 430, 432, 435, 438, 440, 441, 442, 443, 444, 445, 446];
+
+// Strings listed low → high as MIDI note numbers.
+export const TUNING_PRESETS = [
+  { id: "chromatic", name: "Chromatic", notes: [] },
+  { id: "standard", name: "Standard (E A D G B E)", notes: [40, 45, 50, 55, 59, 64] },
+  { id: "half-down", name: "Half step down (E♭)", notes: [39, 44, 49, 54, 58, 63] },
+  { id: "whole-down", name: "Whole step down (D)", notes: [38, 43, 48, 53, 57, 62] },
+  { id: "drop-d", name: "Drop D", notes: [38, 45, 50, 55, 59, 64] },
+  { id: "drop-c", name: "Drop C", notes: [36, 43, 48, 53, 57, 62] },
+  { id: "dadgad", name: "DADGAD", notes: [38, 45, 50, 55, 57, 62] },
+  { id: "open-g", name: "Open G", notes: [38, 43, 50, 55, 59, 62] },
+  { id: "open-d", name: "Open D", notes: [38, 45, 50, 54, 57, 62] },
+  { id: "open-e", name: "Open E", notes: [40, 47, 52, 56, 59, 64] },
+  { id: "seven-string", name: "7-string standard (B)", notes: [35, 40, 45, 50, 55, 59, 64] }
+];
+
+const DEFAULT_MIN_FREQUENCY = 50;
+const LOWEST_TUNING_FREQUENCY = 48; // under 7-string low B (61.7 Hz), even 15 % flat with A4 = 415
+const MAX_ANALYSER_SIZE = 32768;
+
+/**
+ * Smallest AnalyserNode `fftSize` (at least 2048) whose buffer holds two
+ * periods of `minFrequency` at `sampleRate`: 2048 at 44.1/48 kHz, 4096 at
+ * 88.2/96 kHz.
+ */
+export function pitchWindowSize(sampleRate, minFrequency = LOWEST_TUNING_FREQUENCY) {
+  const needed = 2 * (Math.ceil(sampleRate / minFrequency) + 1);
+  let size = 2048;
+  while (size < needed && size < MAX_ANALYSER_SIZE) size *= 2;
+  return size;
+}
+
+/**
+ * Lowest pitch worth looking for with a tuning preset: a little under its
+ * lowest string (chromatic: 50 Hz).
+ */
+export function minFrequencyFor(preset, a4 = 440) {
+  if (!preset.notes.length) return DEFAULT_MIN_FREQUENCY;
+  return Math.max(LOWEST_TUNING_FREQUENCY, midiToFrequency(Math.min(...preset.notes), a4) * 0.85);
+}
+
+export function midiToFrequency(midi, a4 = 440) {
+  return a4 * 2 ** ((midi - 69) / 12);
+}
+
+export function midiToNoteName(midi) {
+  const n = Math.round(midi);
+  return { name: NOTE_NAMES[((n % 12) + 12) % 12], octave: Math.floor(n / 12) - 1 };
+}
+
+/**
+ * Nearest equal-tempered note for a frequency, with the deviation in cents.
+ */
+export function frequencyToNote(frequency, a4 = 440) {
+  const exactMidi = 69 + 12 * Math.log2(frequency / a4);
+  const midi = Math.round(exactMidi);
+  return { midi, ...midiToNoteName(midi), cents: (exactMidi - midi) * 100 };
+}
+
+/**
+ * Deviation in cents of `frequency` from MIDI note `midi`.
+ */
+export function centsFrom(frequency, midi, a4 = 440) {
+  return 1200 * Math.log2(frequency / midiToFrequency(midi, a4));
+}
+
+/**
+ * YIN fundamental-frequency estimate.
+ * Returns `{ frequency, clarity }` (clarity 0..1, higher is cleaner) or null
+ * when the buffer is too quiet or has no clear periodicity.
+ */
+export function detectPitch(
+  buffer,
+  sampleRate,
+  { threshold = 0.15, minFrequency = DEFAULT_MIN_FREQUENCY, maxFrequency = 1400, minRms = 0.01 } = {}
+) {
+  const size = buffer.length;
+  const windowSize = Math.floor(size / 2);
+
+  let sumSq = 0;
+  for (let i = 0; i < size; i += 1) sumSq += buffer[i] * buffer[i];
+  if (Math.sqrt(sumSq / Math.max(1, size)) < minRms) return null;
+
+  const tauMin = Math.max(2, Math.floor(sampleRate / maxFrequency));
+  const tauMax = Math.min(windowSize - 1, Math.ceil(sampleRate / minFrequency));
+  if (tauMax <= tauMin) return null;
+
+  // Difference function + cumulative mean normalisation in one pass.
+  const cmnd = new Float32Array(tauMax + 1);
+  cmnd[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= tauMax; tau += 1) {
+    let d = 0;
+    for (let j = 0; j < windowSize; j += 1) {
+      const delta = buffer[j] - buffer[j + tau];
+      d += delta * delta;
+    }
+    runningSum += d;
+    cmnd[tau] = runningSum > 0 ? (d * tau) / runningSum : 1;
+  }
+
+  // First dip under the threshold, then slide down to its local minimum.
+  let tau = -1;
+  for (let t = tauMin; t <= tauMax; t += 1) {
+    if (cmnd[t] < threshold) {
+      while (t + 1 <= tauMax && cmnd[t + 1] < cmnd[t]) t += 1;
+      tau = t;
+      break;
+    }
+  }
+  if (tau < 0) return null;
+
+  // Parabolic interpolation around the minimum for sub-sample accuracy.
+  let betterTau = tau;
+  if (tau > 1 && tau < tauMax) {
+    const s0 = cmnd[tau - 1];
+    const s1 = cmnd[tau];
+    const s2 = cmnd[tau + 1];
+    const denom = s0 + s2 - 2 * s1;
+    if (denom !== 0) betterTau = tau + (s0 - s2) / (2 * denom);
+  }
+
+  const frequency = sampleRate / betterTau;
+  if (!Number.isFinite(frequency) || frequency < minFrequency || frequency > maxFrequency) return null;
+  return { frequency, clarity: Math.max(0, Math.min(1, 1 - cmnd[tau])) };
+}
@@ -0,0 +1,54 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { TUNING_PRESETS, centsFrom, detectPitch, frequencyToNote, minFrequencyFor, pitchWindowSize } from "./pitch.js";
+
+const LOW_E = 40; // MIDI
+const LOW_B = 35; // 7-string
+
+function sine(frequency, sampleRate, length) {
+  return Float32Array.from({ length }, (_, i) => 0.5 * Math.sin((2 * Math.PI * frequency * i) / sampleRate));
+}
+
+function presetOf(id) {
+  return TUNING_PRESETS.find((p) => p.id === id);
+}
+
+describe("pitchWindowSize", () => {
+  it("grows with the sample rate", () => {
+    assert.equal(pitchWindowSize(44_100), 2048);
+    assert.equal(pitchWindowSize(48_000), 2048);
+    assert.equal(pitchWindowSize(96_000), 4096);
+    assert.equal(pitchWindowSize(192_000), 8192);
+  });
+});
+
+describe("detectPitch", () => {
+  for (const sampleRate of [44_100, 96_000]) {
+    for (const [name, midi, presetId] of [
+      ["low E", LOW_E, "standard"],
+      ["7-string low B", LOW_B, "seven-string"]
+    ]) {
+      it(`finds ${name} at ${sampleRate / 1000} kHz`, () => {
+        const frequency = 440 * 2 ** ((midi - 69) / 12);
+        const buffer = sine(frequency, sampleRate, pitchWindowSize(sampleRate));
+        const result = detectPitch(buffer, sampleRate, { minFrequency: minFrequencyFor(presetOf(presetId)) });
+
+        assert.ok(result, "no pitch found");
+        assert.ok(Math.abs(centsFrom(result.frequency, midi)) < 2, `${result.frequency} Hz`);
+        assert.equal(frequencyToNote(result.frequency).midi, midi);
+      });
+    }
+  }
+
+  it("finds nothing in silence", () => {
+    assert.equal(detectPitch(new Float32Array(2048), 48_000), null);
+  });
+});
+
+describe("minFrequencyFor", () => {
+  it("stays a little under the preset's lowest string", () => {
+    assert.equal(minFrequencyFor(presetOf("chromatic")), 50);
+    const dropC = minFrequencyFor(presetOf("drop-c"));
+    assert.ok(dropC < 65.41 && dropC > 50);
+  });
+});
@@ -0,0 +1,174 @@
+import { contextTimeAt, encodeFrames } from "./wavSidecar.js";
+
+/**
+ * Play-along: a backing track from the app's storage (see recordingStore.js)
+ * played through the shared AudioContext, starting with the take.
+ *
+ * - "headphones": the track only goes to the audio output.
+ * - "mix": it is also mixed into the recorded audio at `mixLevel`.
+ *
+ * Latency: the player hears the track the context's output latency
+ * (`outputLatency` + `baseLatency`) after it is scheduled, and their playing
+ * reaches the recorder after the mic's input latency (its track's `latency`
+ * setting). The recorded performance is late by the sum, so the copy mixed
+ * into the take is delayed by as much, and the exported stem starts that much
+ * later. Latencies a browser doesn't report count as 0.
+ *
+ * The stem (`<name>.backing.wav`, 32-bit float) has the shape of a WAV
+ * sidecar capture, so `makeWavFile` cuts it along with the take.
+ */
+
+const STORAGE_KEY = "hfr.playAlong";
+const MAX_LATENCY_SEC = 1;
+const START_LEAD_SEC = 0.05; // headroom so the first samples aren't scheduled in the past
+const STEM_CHUNK_FRAMES = 1 << 16;
+
+export const PLAY_ALONG_MODES = [
+  { id: "headphones", label: "Headphones only" },
+  { id: "mix", label: "Headphones + mixed into the take" }
+];
+
+export const DEFAULT_PLAY_ALONG_SETTINGS = {
+  enabled: false,
+  trackId: null,
+  mode: "headphones",
+  volume: 0.8, // what you hear
+  mixLevel: 0.5, // level in the recorded audio ("mix" mode)
+  exportStem: true
+};
+
+export function loadPlayAlongSettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return normalizePlayAlongSettings(parsed);
+  } catch {
+    return normalizePlayAlongSettings({});
+  }
+}
+
+export function savePlayAlongSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore
+  }
+}
+
+function clamp(v, min, max, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+export function normalizePlayAlongSettings(s) {
+  const d = DEFAULT_PLAY_ALONG_SETTINGS;
+  return {
+    enabled: Boolean(s.enabled),
+    trackId: typeof s.trackId === "string" && s.trackId ? s.trackId : null,
+    mode: PLAY_ALONG_MODES.some((m) => m.id === s.mode) ? s.mode : d.mode,
+    volume: clamp(s.volume, 0, 1, d.volume),
+    mixLevel: clamp(s.mixLevel, 0, 1, d.mixLevel),
+    exportStem: s.exportStem === undefined ? d.exportStem : Boolean(s.exportStem)
+  };
+}
+
+/** `{ outputSec, inputSec, totalSec }` to compensate for, as the browser reports them. */
+export function measureLatency(ctx, micTrack) {
+  const outputSec = (ctx.outputLatency || 0) + (ctx.baseLatency || 0);
+  const inputSec = micTrack?.getSettings?.().latency || 0;
+  return { outputSec, inputSec, totalSec: Math.min(MAX_LATENCY_SEC, outputSec + inputSec) };
+}
+
+export async function decodeBackingTrack(ctx, blob) {
+  return ctx.decodeAudioData(await blob.arrayBuffer());
+}
+
+/**
+ * Plays a decoded backing track. `send` carries it, latency-delayed, into a
+ * recording mix; nothing is recorded unless it is connected.
+ */
+export function createBackingPlayer(ctx, buffer) {
+  const monitor = ctx.createGain();
+  const delay = ctx.createDelay(MAX_LATENCY_SEC);
+  const send = ctx.createGain();
+  monitor.connect(ctx.destination);
+  delay.connect(send);
+  let source = null;
+
+  function stop() {
+    if (!source) return;
+    try {
+      source.stop();
+      source.disconnect();
+    } catch {
+      // ignore; already stopped
+    }
+    source = null;
+  }
+
+  return {
+    buffer,
+    send,
+
+    /**
+     * Plays the track from the top, right away. `videoStartMs`: the take's
+     * first frame (`performance.now()` time). Returns `leadSec`: where the
+     * track's start falls in the recorded performance, for `renderBackingStem`.
+     */
+    start({ volume, mixLevel, latencySec, videoStartMs }) {
+      stop();
+      monitor.gain.value = volume;
+      send.gain.value = mixLevel;
+      delay.delayTime.value = latencySec;
+      source = ctx.createBufferSource();
+      source.buffer = buffer;
+      source.connect(monitor);
+      source.connect(delay);
+      const when = ctx.currentTime + START_LEAD_SEC;
+      source.start(when);
+      return when - contextTimeAt(ctx, videoStartMs) + latencySec;
+    },
+
+    setLevels({ volume, mixLevel }) {
+      monitor.gain.setTargetAtTime(volume, ctx.currentTime, 0.02);
+      send.gain.setTargetAtTime(mixLevel, ctx.currentTime, 0.02);
+    },
+
+    stop,
+
+    destroy() {
+      stop();
+      monitor.disconnect();
+      delay.disconnect();
+      send.disconnect();
+    }
+  };
+}
+
+/**
+ * The backing track as it lines up with the take: `leadSec` of silence (if
+ * negative, that much of the track is skipped), then the track, no longer
+ * than `durationMs`.
+ */
+export function renderBackingStem(buffer, { leadSec, durationMs }) {
+  const rate = buffer.sampleRate;
+  const total = Math.round((durationMs / 1000) * rate);
+  const lead = Math.round(leadSec * rate);
+  const silence = Math.min(total, Math.max(0, lead));
+  const from = Math.min(buffer.length, Math.max(0, -lead));
+  const to = Math.min(buffer.length, from + total - silence);
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+
+  const parts = [new ArrayBuffer(silence * 4 * channels.length)];
+  for (let i = from; i < to; i += STEM_CHUNK_FRAMES) {
+    const end = Math.min(to, i + STEM_CHUNK_FRAMES);
+    const block = channels.map((ch) => ch.subarray(i, end));
+    parts.push(encodeFrames(block, "float32"));
+  }
+  return {
+    format: "float32",
+    sampleRate: rate,
+    channelCount: channels.length,
+    data: new Blob(parts),
+    frames: silence + Math.max(0, to - from)
+  };
+}
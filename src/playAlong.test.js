@@ -0,0 +1,63 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { measureLatency, normalizePlayAlongSettings, renderBackingStem } from "./playAlong.js";
+
+// A mono AudioBuffer stand-in whose samples count up from 1.
+function fakeBuffer(length, sampleRate = 1000) {
+  const data = Float32Array.from({ length }, (_, i) => i + 1);
+  return { sampleRate, length, numberOfChannels: 1, getChannelData: () => data };
+}
+
+async function samplesOf(stem) {
+  return Array.from(new Float32Array(await stem.data.arrayBuffer()));
+}
+
+describe("play-along settings", () => {
+  it("defaults to off, headphones only", () => {
+    const settings = normalizePlayAlongSettings({});
+    assert.equal(settings.enabled, false);
+    assert.equal(settings.trackId, null);
+    assert.equal(settings.mode, "headphones");
+    assert.equal(settings.exportStem, true);
+  });
+
+  it("clamps levels and drops unknown modes", () => {
+    const settings = normalizePlayAlongSettings({ mode: "speakers", volume: 2, mixLevel: -1 });
+    assert.equal(settings.mode, "headphones");
+    assert.equal(settings.volume, 1);
+    assert.equal(settings.mixLevel, 0);
+  });
+});
+
+describe("measureLatency", () => {
+  it("adds the output and mic latencies, counting unreported ones as 0", () => {
+    const ctx = { baseLatency: 0.005, outputLatency: 0.02 };
+    const mic = { getSettings: () => ({ latency: 0.01 }) };
+
+    assert.ok(Math.abs(measureLatency(ctx, mic).totalSec - 0.035) < 1e-9);
+    assert.equal(measureLatency({}, { getSettings: () => ({}) }).totalSec, 0);
+  });
+});
+
+describe("renderBackingStem", () => {
+  it("pads the start with silence when the track starts after the first frame", async () => {
+    const stem = renderBackingStem(fakeBuffer(10), { leadSec: 0.002, durationMs: 6 });
+
+    assert.equal(stem.format, "float32");
+    assert.equal(stem.frames, 6);
+    assert.deepEqual(await samplesOf(stem), [0, 0, 1, 2, 3, 4]);
+  });
+
+  it("skips the part of the track played before the first frame", async () => {
+    const stem = renderBackingStem(fakeBuffer(10), { leadSec: -0.003, durationMs: 4 });
+
+    assert.deepEqual(await samplesOf(stem), [4, 5, 6, 7]);
+  });
+
+  it("ends with the track when the take runs longer", async () => {
+    const stem = renderBackingStem(fakeBuffer(3), { leadSec: 0.001, durationMs: 10 });
+
+    assert.equal(stem.frames, 4);
+    assert.deepEqual(await samplesOf(stem), [0, 1, 2, 3]);
+  });
+});
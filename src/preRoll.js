@@ -0,0 +1,79 @@
+/**
+ * Rolling pre-roll for sound-activated takes. While armed, the take stream is
+ * already being recorded in short segments; when the trigger fires, the
+ * segment that reaches furthest back is handed over to become the take, and
+ * its head is trimmed off afterwards (keyframe trim, see takeTrim.js).
+ *
+ * Encoded files can't be cut at the front and kept growing, so segments are
+ * rotated instead: every `segmentSec` a fresh recorder starts, and the old
+ * one is dropped once the new one alone covers `preRollSec`. At most two
+ * recorders run at a time, and only during that overlap.
+ */
+
+const TICK_MS = 250;
+
+/**
+ * @param {() => { recorder, chosenMime }} startRecorder - creates and starts a
+ *   recorder on the take stream (MediaRecorder or the WebCodecs engine)
+ * @returns {{ claim(): object | null, destroy(): void }}
+ */
+export function createPreRollBuffer(startRecorder, { preRollSec, segmentSec = Math.max(15, preRollSec * 3), onError }) {
+  const segments = []; // oldest first
+  let timer = null;
+
+  function startSegment() {
+    const { recorder, chosenMime } = startRecorder();
+    const segment = { recorder, chosenMime, chunks: [], startedAtMs: performance.now(), startedAt: new Date() };
+    recorder.ondataavailable = (ev) => {
+      if (ev.data && ev.data.size > 0) segment.chunks.push(ev.data);
+    };
+    segments.push(segment);
+  }
+
+  function drop(segment) {
+    segment.recorder.ondataavailable = null;
+    segment.recorder.onstop = null;
+    try {
+      if (segment.recorder.state !== "inactive") segment.recorder.stop();
+    } catch {
+      // ignore
+    }
+  }
+
+  function tick() {
+    const now = performance.now();
+    try {
+      if (now - segments[segments.length - 1].startedAtMs >= segmentSec * 1000) startSegment();
+    } catch (e) {
+      destroy();
+      onError?.(e);
+      return;
+    }
+    while (segments.length > 1 && now - segments[1].startedAtMs >= preRollSec * 1000) drop(segments.shift());
+  }
+
+  function destroy() {
+    clearInterval(timer);
+    timer = null;
+    for (const s of segments.splice(0)) drop(s);
+  }
+
+  startSegment();
+  timer = setInterval(tick, TICK_MS);
+
+  return {
+    /**
+     * Stops rotating and returns the oldest running segment `{ recorder,
+     * chosenMime, chunks, startedAtMs, startedAt }`. It keeps collecting into
+     * `chunks` until the caller installs its own `ondataavailable`.
+     */
+    claim() {
+      clearInterval(timer);
+      timer = null;
+      const [keep, ...rest] = segments.splice(0);
+      for (const s of rest) drop(s);
+      return keep || null;
+    },
+    destroy
+  };
+}
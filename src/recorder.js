@@ -0,0 +1,452 @@
+import {
+  DEFAULT_PROFILE,
+  WEBCODECS_DEFAULT_BITRATES,
+  buildBitrateAttempts,
+  getResolutionPreset,
+  pickMimeType
+} from "./recordingProfiles.js";
+import { createWebCodecsRecorder, isWebCodecsRecordingSupported } from "./webCodecsRecorder.js";
+import { fixWebmMetadata, isWebmMimeType } from "./webmFixup.js";
+
+/**
+ * Headless recording engine, independent of React: opens the camera and
+ * mic, records takes with MediaRecorder (or the WebCodecs engine), reports
+ * input levels and hands finished takes to output sinks. VideoRecorder.jsx is
+ * one consumer; a kiosk or another UI can drive it directly:
+ *
+ *   const recorder = createRecorder({ sinks: [storageSink(), downloadSink()] });
+ *   recorder.on("stopped", (take) => show(take));
+ *   await recorder.open();
+ *   recorder.start({ profile });
+ *   // …
+ *   await recorder.stop();
+ *
+ * Events (`on(type, listener)` returns a function that unsubscribes):
+ * - "statechange" `{ state, previous }`: "idle" → "opening" → "ready" →
+ *   "recording" → "stopping" → "ready", and "idle" again after `close`.
+ * - "level" `{ rms, peak, atMs }`: linear 0–1, every animation frame between
+ *   `startLevels` and `stopLevels`.
+ * - "chunk" `{ data, seq }`: each non-empty chunk of the running take, as
+ *   `ondataavailable` delivers it.
+ * - "error" `{ error, during }`: failures nobody can catch — "recording" (the
+ *   recorder's own error event; the take isn't stopped by it) or the name of
+ *   the sink that threw. `open` and `start` throw instead.
+ * - "stopped" `{ blob, mimeType, recordedAt, durationMs, discarded }`, once
+ *   per take, before the sinks finish.
+ *
+ * Sinks (see recorderSinks.js) are plain objects `{ name, start?(info),
+ * chunk?(data, seq), finish?(take, outputs), abort?() }`. `start` gets
+ * `{ mimeType, startedAt }`. After "stopped", `finish` runs sink by sink and
+ * its result lands in `outputs[name]` for the sinks after it; discarded
+ * takes get `abort` instead. `stop()` resolves once they are done.
+ */
+
+export function buildVideoSizeConstraints(profile) {
+  // Ideal values only: the browser may downscale to what the camera can do.
+  const preset = getResolutionPreset(profile.resolutionId);
+  return {
+    width: { ideal: preset.width },
+    height: { ideal: preset.height },
+    frameRate: { ideal: preset.frameRate, max: Math.max(60, preset.frameRate) }
+  };
+}
+
+/**
+ * `audioChannelCount`: ask for that many mic channels (for input routing, see
+ * audioRouting.js); left out, the browser picks, which keeps the raw default.
+ * `panTiltZoom`: ask for pan/tilt/zoom control too (see cameraControls.js).
+ * Browsers ask the user for that separately, so only when it will be used;
+ * cameras without it open as usual.
+ */
+export function buildMediaConstraints(
+  { videoDeviceId, audioDeviceId },
+  profile,
+  { audioChannelCount, panTiltZoom = false } = {}
+) {
+  const video = buildVideoSizeConstraints(profile);
+  if (videoDeviceId) video.deviceId = { exact: videoDeviceId };
+  else video.facingMode = "user";
+  if (panTiltZoom) Object.assign(video, { pan: true, tilt: true, zoom: true });
+
+  const audio = {
+    // Request "raw" mic without browser processing.
+    // Note: Some mobile browsers may not honor all of these.
+    echoCancellation: false,
+    noiseSuppression: false,
+    autoGainControl: false
+  };
+  if (audioDeviceId) audio.deviceId = { exact: audioDeviceId };
+  if (audioChannelCount) audio.channelCount = { ideal: audioChannelCount };
+
+  return { video, audio };
+}
+
+/**
+ * A recorder for `stream` per the profile: the WebCodecs engine when asked
+ * for and available, else MediaRecorder at the best bitrate it accepts.
+ * `isEngineFallback`: WebCodecs was asked for but isn't available.
+ */
+export function createMediaRecorder(stream, profile, { keyFrameIntervalMs } = {}) {
+  const useWebCodecs = profile.engine === "webcodecs" && isWebCodecsRecordingSupported();
+  const isEngineFallback = profile.engine === "webcodecs" && !useWebCodecs;
+
+  let recorder = null;
+  let chosenMime = "";
+
+  if (useWebCodecs) {
+    // Constant frame rate encode + our own muxer; the recorder reports the
+    // final codec string once the encoders are configured.
+    recorder = createWebCodecsRecorder(stream, {
+      container: profile.webCodecsContainer,
+      frameRate: getResolutionPreset(profile.resolutionId).frameRate,
+      videoBitsPerSecond: profile.videoBitsPerSecond || WEBCODECS_DEFAULT_BITRATES.videoBitsPerSecond,
+      audioBitsPerSecond: profile.audioBitsPerSecond || WEBCODECS_DEFAULT_BITRATES.audioBitsPerSecond
+    });
+  } else {
+    chosenMime = pickMimeType(profile.mimeType);
+
+    // Attempt the profile's bitrate (or the highest possible), fallback to >= 2.5Mbps
+    const bitrateAttempts = buildBitrateAttempts(profile);
+
+    for (const attempt of bitrateAttempts) {
+      try {
+        recorder = new MediaRecorder(stream, {
+          mimeType: chosenMime || undefined,
+          videoBitsPerSecond: attempt.videoBitsPerSecond,
+          audioBitsPerSecond: attempt.audioBitsPerSecond,
+          videoKeyFrameIntervalDuration: keyFrameIntervalMs // Chromium only; ignored elsewhere
+        });
+        break;
+      } catch {
+        recorder = null;
+      }
+    }
+
+    if (!recorder) {
+      recorder = new MediaRecorder(stream, { mimeType: chosenMime || undefined });
+    }
+  }
+  return { recorder, chosenMime, isEngineFallback };
+}
+
+// NOTE: Timeslicing (e.g. start(250)) produces fragmented outputs that we then
+// concatenate into a single Blob. This is usually fine for WebM, but MP4
+// fragmentation/concatenation is unreliable across browsers (especially mobile)
+// and can lead to broken timestamps → staggered audio and pitch shifts.
+//
+// For MP4, record as one contiguous segment to preserve correct timing.
+// The trade-off is that MP4 takes only reach crash storage when they stop;
+// the WebCodecs engine is the crash-safe way to record MP4.
+// (The WebCodecs engine always streams append-only fragments and ignores the timeslice.)
+export function startMediaRecorder(recorder, chosenMime) {
+  const isMp4 = (chosenMime || recorder.mimeType || "").toLowerCase().includes("mp4");
+  if (isMp4) {
+    recorder.start();
+  } else {
+    recorder.start(250); // steady chunking for WebM (and other formats)
+  }
+}
+
+// Live WebM has no Duration or Cues; write them so players and editors can seek.
+export async function makeSeekable(blob, mimeType) {
+  if (!isWebmMimeType(mimeType)) return { blob, durationMs: null };
+  try {
+    return await fixWebmMetadata(blob);
+  } catch {
+    return { blob, durationMs: null };
+  }
+}
+
+function measureLevel(analyser, floatBuf, byteBuf) {
+  let peak = 0;
+  let sumSq = 0;
+  if (floatBuf) {
+    analyser.getFloatTimeDomainData(floatBuf);
+    for (let i = 0; i < floatBuf.length; i += 1) {
+      const v = floatBuf[i];
+      const av = Math.abs(v);
+      if (av > peak) peak = av;
+      sumSq += v * v;
+    }
+  } else {
+    analyser.getByteTimeDomainData(byteBuf);
+    for (let i = 0; i < byteBuf.length; i += 1) {
+      const v = (byteBuf[i] - 128) / 128;
+      const av = Math.abs(v);
+      if (av > peak) peak = av;
+      sumSq += v * v;
+    }
+  }
+  return { rms: Math.sqrt(sumSq / Math.max(1, analyser.fftSize)), peak };
+}
+
+/**
+ * @param {{ sinks?: object[] }} options - default sinks for every take
+ */
+export function createRecorder({ sinks: defaultSinks = [] } = {}) {
+  const listeners = new Map(); // type -> Set
+  let state = "idle";
+  let stream = null;
+  let take = null; // the running take
+  let levels = null; // { frame, cancel, context }
+
+  function emit(type, detail) {
+    for (const listener of [...(listeners.get(type) || [])]) {
+      try {
+        listener(detail);
+      } catch (error) {
+        // A throwing listener shouldn't break the engine (or the other listeners).
+        if (type !== "error") emit("error", { error, during: type });
+      }
+    }
+  }
+
+  function setState(next) {
+    if (next === state) return;
+    const previous = state;
+    state = next;
+    emit("statechange", { state, previous });
+  }
+
+  function callSinks(sinks, method, ...args) {
+    for (const sink of sinks) {
+      try {
+        sink[method]?.(...args);
+      } catch (error) {
+        emit("error", { error, during: sink.name || method });
+      }
+    }
+  }
+
+  async function finishTake(t) {
+    if (t.isFinished) return;
+    t.isFinished = true;
+    if (take === t) take = null;
+    const mimeType = t.chosenMime || t.recorder.mimeType || "";
+    const result = {
+      blob: new Blob(t.chunks, { type: mimeType || "video/webm" }),
+      mimeType,
+      recordedAt: t.startedAt,
+      durationMs: Date.now() - t.startedAt.getTime(),
+      discarded: t.discard
+    };
+    t.chunks = [];
+    setState(stream ? "ready" : "idle");
+    emit("stopped", result);
+
+    const outputs = {};
+    if (result.discarded) {
+      callSinks(t.sinks, "abort");
+    } else {
+      for (const sink of t.sinks) {
+        if (!sink.finish) continue;
+        try {
+          outputs[sink.name] = await sink.finish(result, outputs);
+        } catch (error) {
+          emit("error", { error, during: sink.name });
+        }
+      }
+    }
+    t.resolve({ ...result, outputs });
+  }
+
+  function stopLevels() {
+    if (!levels) return;
+    levels.cancel(levels.frame);
+    levels.context?.close().catch(() => {});
+    levels = null;
+  }
+
+  /**
+   * Stops the camera and mic and the level meter. A running take is left
+   * to the recorder, which ends it when its tracks end.
+   */
+  function close() {
+    stopLevels();
+    if (stream) {
+      for (const track of stream.getTracks()) track.stop();
+      stream = null;
+    }
+    if (!take) setState("idle");
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+
+    /** The opened camera + mic stream (null until `open`). */
+    get stream() {
+      return stream;
+    },
+
+    /** True from `start` until the take's "stopped". */
+    get isRecording() {
+      return Boolean(take);
+    },
+
+    on(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(listener);
+      return () => listeners.get(type)?.delete(listener);
+    },
+
+    /**
+     * Opens the camera and mic with the raw-audio constraints. A saved device
+     * that is gone (or held by another app) falls back to the system
+     * defaults; `usedDefaults` says so. Replaces a previously opened stream.
+     * `options`: see `buildMediaConstraints`.
+     *
+     * @returns {Promise<{ stream: MediaStream, usedDefaults: boolean }>}
+     */
+    async open(selection = {}, profile = DEFAULT_PROFILE, options = {}) {
+      close();
+      setState("opening");
+      try {
+        if (!navigator.mediaDevices?.getUserMedia) {
+          throw new Error("Your browser does not support camera/microphone access (getUserMedia).");
+        }
+        let usedDefaults = false;
+        let opened;
+        try {
+          opened = await navigator.mediaDevices.getUserMedia(buildMediaConstraints(selection, profile, options));
+        } catch (e) {
+          const usedSavedDevice = Boolean(selection.videoDeviceId || selection.audioDeviceId);
+          const isDeviceProblem = ["OverconstrainedError", "NotFoundError", "NotReadableError"].includes(e?.name);
+          if (!usedSavedDevice || !isDeviceProblem) throw e;
+
+          opened = await navigator.mediaDevices.getUserMedia(
+            buildMediaConstraints({ videoDeviceId: "", audioDeviceId: "" }, profile, options)
+          );
+          usedDefaults = true;
+        }
+        stream = opened;
+        setState("ready");
+        return { stream, usedDefaults };
+      } catch (e) {
+        setState("idle");
+        throw e;
+      }
+    },
+
+    close,
+
+    /**
+     * Starts a take.
+     *
+     * @param {object} options
+     * @param {MediaStream} [options.stream] - what to record; defaults to the opened stream
+     * @param {object} [options.profile] - see recordingProfiles.js
+     * @param {object[]} [options.sinks] - this take's sinks instead of the defaults
+     * @param {object} [options.adopt] - an already running `{ recorder, chosenMime, chunks, startedAt }`
+     *   to carry on as the take (see preRoll.js); its chunks so far are replayed
+     * @returns {{ recorder, chosenMime: string, mimeType: string, startedAt: Date, isEngineFallback: boolean }}
+     */
+    start({
+      stream: source = stream,
+      profile = DEFAULT_PROFILE,
+      keyFrameIntervalMs,
+      sinks = defaultSinks,
+      adopt = null
+    } = {}) {
+      if (take) throw new Error("A take is already being recorded.");
+      if (!source && !adopt) throw new Error("Camera/microphone is not initialized.");
+
+      const { recorder, chosenMime, isEngineFallback } = adopt
+        ? { ...adopt, isEngineFallback: false }
+        : createMediaRecorder(source, profile, { keyFrameIntervalMs });
+      const t = { recorder, chosenMime, startedAt: adopt?.startedAt || new Date(), chunks: [], seq: 0, sinks };
+      t.done = new Promise((resolve) => {
+        t.resolve = resolve;
+      });
+      take = t;
+
+      callSinks(sinks, "start", { mimeType: chosenMime || recorder.mimeType, startedAt: t.startedAt });
+      const handleData = (ev) => {
+        if (!ev.data || ev.data.size === 0) return;
+        t.chunks.push(ev.data);
+        const seq = t.seq;
+        t.seq += 1;
+        callSinks(sinks, "chunk", ev.data, seq);
+        emit("chunk", { data: ev.data, seq });
+      };
+      recorder.ondataavailable = handleData;
+      // Whatever the adopted recorder has buffered so far (in the same tick, so nothing falls in between).
+      if (adopt) for (const data of adopt.chunks) handleData({ data });
+
+      recorder.onerror = (ev) => {
+        emit("error", { error: ev?.error || new Error("Recording error occurred."), during: "recording" });
+      };
+      recorder.onstop = () => finishTake(t);
+
+      try {
+        if (!adopt) startMediaRecorder(recorder, chosenMime);
+      } catch (e) {
+        take = null;
+        callSinks(sinks, "abort");
+        throw e;
+      }
+      setState("recording");
+      return {
+        recorder,
+        chosenMime,
+        mimeType: chosenMime || recorder.mimeType,
+        startedAt: t.startedAt,
+        isEngineFallback
+      };
+    },
+
+    /**
+     * Stops the take; `discard` drops it (sinks get `abort`). Resolves to the
+     * take with the sinks' `outputs`, or null if nothing was recording.
+     */
+    stop({ discard = false } = {}) {
+      const t = take;
+      if (!t) return Promise.resolve(null);
+      t.discard = t.discard || discard;
+      setState("stopping");
+      try {
+        if (t.recorder.state !== "inactive") t.recorder.stop();
+        else finishTake(t);
+      } catch {
+        finishTake(t);
+      }
+      return t.done;
+    },
+
+    /**
+     * Emits "level" for `analyser`, or for the opened stream's mic through an
+     * analyser of its own if none is given.
+     */
+    startLevels(analyser = null) {
+      stopLevels();
+      let context = null;
+      if (!analyser) {
+        const AudioCtx = globalThis.AudioContext || globalThis.webkitAudioContext;
+        if (!AudioCtx || !stream?.getAudioTracks().length) return false;
+        context = new AudioCtx();
+        analyser = context.createAnalyser();
+        analyser.fftSize = 2048;
+        context.createMediaStreamSource(stream).connect(analyser);
+      }
+      const hasFloat = typeof analyser.getFloatTimeDomainData === "function";
+      const floatBuf = hasFloat ? new Float32Array(analyser.fftSize) : null;
+      const byteBuf = hasFloat ? null : new Uint8Array(analyser.fftSize);
+      const raf = typeof requestAnimationFrame === "function";
+      const schedule = raf ? requestAnimationFrame : (fn) => setTimeout(fn, 50);
+      const cancel = raf ? cancelAnimationFrame : clearTimeout;
+
+      const current = { frame: null, cancel, context };
+      const tick = () => {
+        if (levels !== current) return;
+        emit("level", { ...measureLevel(analyser, floatBuf, byteBuf), atMs: performance.now() });
+        current.frame = schedule(tick);
+      };
+      levels = current;
+      current.frame = schedule(tick);
+      return true;
+    },
+
+    stopLevels
+  };
+}
@@ -0,0 +1,657 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_PROFILE } from "./recordingProfiles.js";
+import { createRecorder } from "./recorder.js";
+import { downloadSink, storageSink, uploadSink } from "./recorderSinks.js";
+import { makeTakeBaseName } from "./takeFiles.js";
+import { listUnfinishedSessions, listUploads, loadSessionBlob } from "./recordingStore.js";
+
+// Stand-ins for the browser's capture APIs: just enough surface for recorder.js.
+
+class FakeTrack {
+  constructor(kind) {
+    this.kind = kind;
+    this.readyState = "live";
+  }
+
+  stop() {
+    this.readyState = "ended";
+  }
+}
+
+class FakeMediaStream {
+  constructor(tracks = [new FakeTrack("video"), new FakeTrack("audio")]) {
+    this.tracks = tracks;
+  }
+
+  getTracks() {
+    return this.tracks;
+  }
+
+  getVideoTracks() {
+    return this.tracks.filter((t) => t.kind === "video");
+  }
+
+  getAudioTracks() {
+    return this.tracks.filter((t) => t.kind === "audio");
+  }
+}
+
+class FakeMediaRecorder {
+  static supportedTypes = ["video/webm;codecs=vp9,opus", "video/webm"];
+  static maxVideoBitsPerSecond = Infinity;
+  static instances = [];
+
+  static isTypeSupported(type) {
+    return FakeMediaRecorder.supportedTypes.includes(type);
+  }
+
+  constructor(stream, options = {}) {
+    if (options.videoBitsPerSecond > FakeMediaRecorder.maxVideoBitsPerSecond) {
+      throw new Error("NotSupportedError");
+    }
+    this.stream = stream;
+    this.options = options;
+    this.mimeType = options.mimeType || "video/webm";
+    this.state = "inactive";
+    this.timeslice = undefined;
+    FakeMediaRecorder.instances.push(this);
+  }
+
+  start(timeslice) {
+    this.state = "recording";
+    this.timeslice = timeslice;
+  }
+
+  /** Test helper: what the browser would deliver to ondataavailable. */
+  deliver(text) {
+    this.ondataavailable?.({ data: new Blob([text]) });
+  }
+
+  stop() {
+    this.state = "inactive";
+    this.deliver("tail");
+    queueMicrotask(() => this.onstop?.());
+  }
+}
+
+function fakeGetUserMedia(behaviour = () => new FakeMediaStream()) {
+  const calls = [];
+  return {
+    calls,
+    getUserMedia: async (constraints) => {
+      calls.push(constraints);
+      return behaviour(constraints, calls.length);
+    }
+  };
+}
+
+function compareKeys(a, b) {
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+      const c = compareKeys(a[i], b[i]);
+      if (c) return c;
+    }
+    return a.length - b.length;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+class FakeKeyRange {
+  static bound(lower, upper) {
+    return new FakeKeyRange(lower, upper);
+  }
+
+  constructor(lower, upper) {
+    this.lower = lower;
+    this.upper = upper;
+  }
+
+  includes(key) {
+    return compareKeys(this.lower, key) <= 0 && compareKeys(key, this.upper) <= 0;
+  }
+}
+
+// In-memory IndexedDB with the calls recordingStore.js makes. Requests
+// succeed on the next microtask, transactions complete on the next timer.
+class FakeIndexedDB {
+  stores = new Map(); // name -> { keyPath, records: Map(JSON key -> [key, value]) }
+
+  open() {
+    const req = {};
+    setTimeout(() => {
+      req.result = this.connection();
+      if (!this.stores.size) req.onupgradeneeded?.();
+      req.onsuccess?.();
+    });
+    return req;
+  }
+
+  /** Test helper: the keys in a store. */
+  keys(name) {
+    return [...(this.stores.get(name)?.records.values() || [])].map(([key]) => key);
+  }
+
+  connection() {
+    const { stores } = this;
+    const request = (result) => {
+      const req = { result };
+      queueMicrotask(() => req.onsuccess?.());
+      return req;
+    };
+    const objectStore = (name) => {
+      const { keyPath, records } = stores.get(name);
+      const matching = (query) =>
+        [...records.values()]
+          .filter(([key]) => (query instanceof FakeKeyRange ? query.includes(key) : !query || !compareKeys(key, query)))
+          .sort(([a], [b]) => compareKeys(a, b));
+      return {
+        put(value, key = value[keyPath]) {
+          records.set(JSON.stringify(key), [key, value]);
+          return request(key);
+        },
+        delete(query) {
+          for (const [key] of matching(query)) records.delete(JSON.stringify(key));
+          return request(undefined);
+        },
+        get: (key) => request(matching(key)[0]?.[1]),
+        getAll: (query) => request(matching(query).map(([, value]) => value))
+      };
+    };
+    return {
+      objectStoreNames: { contains: (name) => stores.has(name) },
+      createObjectStore(name, { keyPath } = {}) {
+        stores.set(name, { keyPath, records: new Map() });
+      },
+      transaction() {
+        const tx = { objectStore };
+        setTimeout(() => tx.oncomplete?.());
+        return tx;
+      },
+      close() {}
+    };
+  }
+}
+
+// A tus server that keeps what each upload received; `refuse` answers 403 to everything.
+function fakeTusServer({ refuse = false } = {}) {
+  const uploads = new Map(); // url -> Blob
+  const requests = [];
+  return {
+    uploads,
+    requests,
+    fetch: async (url, { method, body }) => {
+      requests.push(method);
+      if (refuse) return new Response(null, { status: 403 });
+      if (method === "POST") {
+        const location = `${url}/${uploads.size + 1}`;
+        uploads.set(location, new Blob([]));
+        return new Response(null, { status: 201, headers: { Location: location } });
+      }
+      if (method === "PATCH") uploads.set(url, new Blob([uploads.get(url), body]));
+      const offset = String(uploads.get(url)?.size ?? 0);
+      return new Response(null, { status: method === "DELETE" ? 204 : 200, headers: { "Upload-Offset": offset } });
+    }
+  };
+}
+
+async function until(condition, what) {
+  for (let i = 0; i < 200; i += 1) {
+    const value = await condition();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  throw new Error(`Timed out waiting for ${what}.`);
+}
+
+function deviceError(name) {
+  return Object.assign(new Error(name), { name });
+}
+
+function collect(recorder, type) {
+  const events = [];
+  recorder.on(type, (detail) => events.push(detail));
+  return events;
+}
+
+async function readText(blob) {
+  return new TextDecoder().decode(await blob.arrayBuffer());
+}
+
+let mediaDevices;
+
+beforeEach(() => {
+  FakeMediaRecorder.instances = [];
+  FakeMediaRecorder.maxVideoBitsPerSecond = Infinity;
+  FakeMediaRecorder.supportedTypes = ["video/webm;codecs=vp9,opus", "video/webm"];
+  mediaDevices = fakeGetUserMedia();
+  globalThis.window = globalThis;
+  globalThis.MediaRecorder = FakeMediaRecorder;
+  globalThis.MediaStream = FakeMediaStream;
+  Object.defineProperty(globalThis, "navigator", {
+    value: { mediaDevices },
+    configurable: true,
+    writable: true
+  });
+});
+
+afterEach(() => {
+  delete globalThis.MediaRecorder;
+  delete globalThis.MediaStream;
+  delete globalThis.window;
+});
+
+describe("open", () => {
+  it("asks for the raw mic and reports the state changes", async () => {
+    const recorder = createRecorder();
+    const states = collect(recorder, "statechange");
+
+    const { stream, usedDefaults } = await recorder.open({}, DEFAULT_PROFILE);
+
+    assert.equal(recorder.stream, stream);
+    assert.equal(usedDefaults, false);
+    assert.deepEqual(
+      states.map((s) => s.state),
+      ["opening", "ready"]
+    );
+    const { audio, video } = mediaDevices.calls[0];
+    assert.equal(audio.echoCancellation, false);
+    assert.equal(audio.noiseSuppression, false);
+    assert.equal(audio.autoGainControl, false);
+    assert.equal(audio.channelCount, undefined);
+    assert.equal(video.facingMode, "user");
+  });
+
+  it("asks for more mic channels when told to", async () => {
+    const recorder = createRecorder();
+
+    await recorder.open({}, DEFAULT_PROFILE, { audioChannelCount: 8 });
+
+    assert.deepEqual(mediaDevices.calls[0].audio.channelCount, { ideal: 8 });
+  });
+
+  it("asks for pan/tilt/zoom only when told to", async () => {
+    const recorder = createRecorder();
+
+    await recorder.open({}, DEFAULT_PROFILE);
+    await recorder.open({}, DEFAULT_PROFILE, { panTiltZoom: true });
+
+    assert.equal(mediaDevices.calls[0].video.pan, undefined);
+    assert.equal(mediaDevices.calls[0].video.zoom, undefined);
+    assert.equal(mediaDevices.calls[1].video.pan, true);
+    assert.equal(mediaDevices.calls[1].video.zoom, true);
+  });
+
+  it("falls back to the default devices when a saved one is gone", async () => {
+    navigator.mediaDevices = fakeGetUserMedia((constraints, n) => {
+      if (n === 1) throw deviceError("OverconstrainedError");
+      return new FakeMediaStream();
+    });
+    const recorder = createRecorder();
+
+    const { usedDefaults } = await recorder.open({ videoDeviceId: "cam-2", audioDeviceId: "" });
+
+    assert.equal(usedDefaults, true);
+    const [first, second] = navigator.mediaDevices.calls;
+    assert.deepEqual(first.video.deviceId, { exact: "cam-2" });
+    assert.equal(second.video.deviceId, undefined);
+  });
+
+  it("rethrows a denied permission and goes back to idle", async () => {
+    navigator.mediaDevices = fakeGetUserMedia(() => {
+      throw deviceError("NotAllowedError");
+    });
+    const recorder = createRecorder();
+
+    await assert.rejects(recorder.open({ videoDeviceId: "cam-2" }), { name: "NotAllowedError" });
+    assert.equal(recorder.state, "idle");
+    assert.equal(navigator.mediaDevices.calls.length, 1);
+  });
+
+  it("stops the previous stream's tracks when reopened or closed", async () => {
+    const recorder = createRecorder();
+    const { stream: first } = await recorder.open();
+    await recorder.open();
+    assert.ok(first.getTracks().every((t) => t.readyState === "ended"));
+
+    const { stream: second } = await recorder.open();
+    recorder.close();
+    assert.ok(second.getTracks().every((t) => t.readyState === "ended"));
+    assert.equal(recorder.state, "idle");
+    assert.equal(recorder.stream, null);
+  });
+});
+
+describe("takes", () => {
+  it("emits chunks in order and a stopped take with the whole recording", async () => {
+    const recorder = createRecorder();
+    await recorder.open();
+    const chunks = collect(recorder, "chunk");
+    const stopped = collect(recorder, "stopped");
+    const states = collect(recorder, "statechange");
+
+    const { recorder: media, mimeType } = recorder.start({ profile: DEFAULT_PROFILE });
+    assert.equal(recorder.isRecording, true);
+    media.deliver("a");
+    media.deliver("");
+    media.deliver("b");
+    const take = await recorder.stop();
+
+    assert.deepEqual(
+      chunks.map((c) => c.seq),
+      [0, 1, 2]
+    );
+    assert.equal(stopped.length, 1);
+    assert.equal(await readText(take.blob), "abtail");
+    assert.equal(take.mimeType, mimeType);
+    assert.equal(take.discarded, false);
+    assert.ok(take.recordedAt instanceof Date);
+    assert.equal(recorder.isRecording, false);
+    assert.deepEqual(
+      states.map((s) => s.state),
+      ["recording", "stopping", "ready"]
+    );
+  });
+
+  it("uses WebM with a timeslice and MP4 as one segment", async () => {
+    const recorder = createRecorder();
+    await recorder.open();
+
+    recorder.start();
+    assert.equal(FakeMediaRecorder.instances[0].timeslice, 250);
+    await recorder.stop();
+
+    FakeMediaRecorder.supportedTypes = ["video/mp4"];
+    const chunks = [];
+    recorder.on("chunk", ({ seq }) => chunks.push(seq));
+    recorder.start();
+    const media = FakeMediaRecorder.instances[1];
+    assert.equal(media.options.mimeType, "video/mp4");
+    assert.equal(media.timeslice, undefined);
+    const take = await recorder.stop();
+
+    // The whole MP4 arrives in one chunk when it stops.
+    assert.deepEqual(chunks, [0]);
+    assert.equal(await take.blob.text(), "tail");
+  });
+
+  it("steps down the bitrate ladder until the browser accepts one", async () => {
+    FakeMediaRecorder.maxVideoBitsPerSecond = 6_000_000;
+    const recorder = createRecorder();
+    await recorder.open();
+
+    recorder.start({ profile: DEFAULT_PROFILE });
+
+    const [media] = FakeMediaRecorder.instances;
+    assert.equal(media.options.videoBitsPerSecond, 5_000_000);
+    assert.equal(media.options.audioBitsPerSecond, 128_000);
+    await recorder.stop();
+  });
+
+  it("falls back to MediaRecorder when WebCodecs isn't available", async () => {
+    const recorder = createRecorder();
+    await recorder.open();
+
+    const { isEngineFallback } = recorder.start({ profile: { ...DEFAULT_PROFILE, engine: "webcodecs" } });
+
+    assert.equal(isEngineFallback, true);
+    assert.equal(FakeMediaRecorder.instances.length, 1);
+    await recorder.stop();
+  });
+
+  it("refuses a second take while one is running", async () => {
+    const recorder = createRecorder();
+    await recorder.open();
+    recorder.start();
+
+    assert.throws(() => recorder.start(), /already being recorded/);
+    await recorder.stop();
+  });
+
+  it("carries on an adopted recorder and replays what it buffered", async () => {
+    const recorder = createRecorder();
+    await recorder.open();
+    const media = new FakeMediaRecorder(recorder.stream, { mimeType: "video/webm" });
+    media.start(250);
+    const startedAt = new Date(Date.now() - 5000);
+
+    recorder.start({ adopt: { recorder: media, chosenMime: "video/webm", chunks: [new Blob(["pre"])], startedAt } });
+    media.deliver("-live");
+    const take = await recorder.stop();
+
+    assert.equal(await readText(take.blob), "pre-livetail");
+    assert.equal(take.recordedAt, startedAt);
+    assert.ok(take.durationMs >= 5000);
+  });
+
+  it("reports recorder errors without stopping the take", async () => {
+    const recorder = createRecorder();
+    await recorder.open();
+    const errors = collect(recorder, "error");
+
+    const { recorder: media } = recorder.start();
+    media.onerror({ error: new Error("encoder died") });
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].during, "recording");
+    assert.equal(recorder.isRecording, true);
+    await recorder.stop();
+  });
+});
+
+describe("sinks", () => {
+  function recordingSink(name, calls, finish = () => `${name} done`) {
+    return {
+      name,
+      start: (info) => calls.push([name, "start", info.mimeType]),
+      chunk: (data, seq) => calls.push([name, "chunk", seq]),
+      finish: (take, outputs) => {
+        calls.push([name, "finish", { ...outputs }]);
+        return finish();
+      },
+      abort: () => calls.push([name, "abort"])
+    };
+  }
+
+  it("feed every chunk and finish in order, passing earlier outputs on", async () => {
+    const calls = [];
+    const recorder = createRecorder({ sinks: [recordingSink("storage", calls), recordingSink("upload", calls)] });
+    await recorder.open();
+
+    const { recorder: media } = recorder.start();
+    media.deliver("a");
+    const take = await recorder.stop();
+
+    assert.deepEqual(calls, [
+      ["storage", "start", "video/webm;codecs=vp9,opus"],
+      ["upload", "start", "video/webm;codecs=vp9,opus"],
+      ["storage", "chunk", 0],
+      ["upload", "chunk", 0],
+      ["storage", "chunk", 1],
+      ["upload", "chunk", 1],
+      ["storage", "finish", {}],
+      ["upload", "finish", { storage: "storage done" }]
+    ]);
+    assert.deepEqual(take.outputs, { storage: "storage done", upload: "upload done" });
+  });
+
+  it("emits 'stopped' before the sinks finish", async () => {
+    const order = [];
+    const recorder = createRecorder({ sinks: [{ name: "slow", finish: async () => order.push("finish") }] });
+    recorder.on("stopped", () => order.push("stopped"));
+    await recorder.open();
+
+    recorder.start();
+    await recorder.stop();
+
+    assert.deepEqual(order, ["stopped", "finish"]);
+  });
+
+  it("abort instead of finishing a discarded take", async () => {
+    const calls = [];
+    const recorder = createRecorder();
+    await recorder.open();
+
+    recorder.start({ sinks: [recordingSink("storage", calls)] });
+    const take = await recorder.stop({ discard: true });
+
+    assert.equal(take.discarded, true);
+    assert.deepEqual(calls.at(-1), ["storage", "abort"]);
+    assert.ok(!calls.some(([, method]) => method === "finish"));
+  });
+
+  it("report a failing sink and still run the ones after it", async () => {
+    const calls = [];
+    const broken = recordingSink("download", calls, () => {
+      throw new Error("blocked");
+    });
+    const recorder = createRecorder({ sinks: [broken, recordingSink("upload", calls)] });
+    const errors = collect(recorder, "error");
+    await recorder.open();
+
+    recorder.start();
+    const take = await recorder.stop();
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].during, "download");
+    assert.equal(errors[0].error.message, "blocked");
+    assert.equal(take.outputs.upload, "upload done");
+  });
+});
+
+describe("storageSink and uploadSink", () => {
+  // One database for the file: recordingStore.js keeps its connection open.
+  const indexedDB = new FakeIndexedDB();
+  const target = { endpoint: "https://uploads.test/files", token: "" };
+  let server;
+
+  beforeEach(() => {
+    server = fakeTusServer();
+    globalThis.indexedDB = indexedDB;
+    globalThis.IDBKeyRange = FakeKeyRange;
+    globalThis.fetch = (...args) => server.fetch(...args);
+  });
+
+  afterEach(() => {
+    delete globalThis.indexedDB;
+    delete globalThis.IDBKeyRange;
+    delete globalThis.fetch;
+  });
+
+  it("record the live upload against the take storage saved before it", async () => {
+    const recorder = createRecorder({ sinks: [storageSink(), uploadSink(target)] });
+    await recorder.open();
+
+    const { recorder: media } = recorder.start();
+    media.deliver("a");
+    const take = await recorder.stop();
+
+    const { storage, upload } = take.outputs;
+    assert.equal(upload.size, 5);
+    assert.equal(await readText(server.uploads.get(upload.uploadUrl)), "atail");
+    const entry = (await listUploads()).find((e) => e.takeId === storage.id);
+    assert.equal(entry.status, "done");
+    assert.equal(entry.uploadUrl, upload.uploadUrl);
+  });
+
+  it("queue the stored take when the live upload fails", async () => {
+    server = fakeTusServer({ refuse: true });
+    const recorder = createRecorder({ sinks: [storageSink(), uploadSink(target)] });
+    await recorder.open();
+
+    recorder.start();
+    const take = await recorder.stop();
+
+    assert.equal(take.outputs.upload, null);
+    const entry = await until(
+      async () => (await listUploads()).find((e) => e.takeId === take.outputs.storage.id && e.status === "failed"),
+      "the queued upload"
+    );
+    assert.equal(entry.error, "The upload server refused the new upload (HTTP 403).");
+    assert.deepEqual(server.requests, ["POST", "POST"]); // live, then from the queue
+  });
+
+  it("leave a deferred take's live upload and crash copy to the caller", async () => {
+    const crashCopy = storageSink({ saveToLibrary: false });
+    const uploader = uploadSink(target, { deferFinish: true });
+    const recorder = createRecorder({ sinks: [crashCopy, uploader] });
+    let liveUpload = null;
+    recorder.on("stopped", () => {
+      liveUpload = uploader.takeLiveUpload();
+    });
+    await recorder.open();
+
+    const { recorder: media } = recorder.start();
+    media.deliver("a");
+    media.deliver("b");
+    const take = await recorder.stop();
+
+    assert.deepEqual(take.outputs, { storage: null, upload: null });
+    // Chunks are mirrored in the background; the last one lands last.
+    const sessionId = await until(() => indexedDB.keys("chunks").find(([, seq]) => seq === 2)?.[0], "the crash copy");
+    const session = (await listUnfinishedSessions()).find((s) => s.id === sessionId);
+    assert.equal(await readText(await loadSessionBlob(session)), "abtail");
+
+    const finished = await liveUpload.finish();
+    assert.equal(await readText(server.uploads.get(finished.uploadUrl)), "abtail");
+    crashCopy.release();
+    await until(async () => !(await listUnfinishedSessions()).some((s) => s.id === session.id), "the release");
+  });
+});
+
+describe("downloadSink", () => {
+  let events;
+
+  beforeEach(() => {
+    events = [];
+    globalThis.document = {
+      body: { appendChild() {} },
+      createElement: () => ({
+        click() {
+          events.push(this.download);
+        },
+        remove() {}
+      })
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.document;
+  });
+
+  it("downloads the take under its start time, after the sinks before it", async () => {
+    const storage = { name: "storage", finish: () => events.push("storage") };
+    const recorder = createRecorder({ sinks: [storage, downloadSink()] });
+    await recorder.open();
+
+    recorder.start();
+    const take = await recorder.stop();
+
+    assert.deepEqual(events, ["storage", `${makeTakeBaseName(take.recordedAt)}.webm`]);
+  });
+});
+
+describe("levels", () => {
+  it("emits rms and peak from the analyser until stopped", async () => {
+    const analyser = {
+      fftSize: 4,
+      getFloatTimeDomainData(buf) {
+        buf.set([0.5, -0.5, 0.5, -1]);
+      }
+    };
+    const recorder = createRecorder();
+    const level = new Promise((resolve) => recorder.on("level", resolve));
+
+    recorder.startLevels(analyser);
+    const { rms, peak } = await level;
+    recorder.stopLevels();
+
+    assert.equal(peak, 1);
+    assert.ok(Math.abs(rms - Math.sqrt(1.75 / 4)) < 1e-6);
+  });
+
+  it("doesn't start without an analyser or a mic to build one from", () => {
+    const recorder = createRecorder();
+    assert.equal(recorder.startLevels(), false);
+  });
+});
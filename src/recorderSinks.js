@@ -0,0 +1,163 @@
+import { makeSeekable } from "./recorder.js";
+import { appendChunk, createSession, deleteSession, saveTake } from "./recordingStore.js";
+import { downloadBlob, makeTakeBaseName, makeTakeFilename, posterFromBlob } from "./takeFiles.js";
+import {
+  createLiveUpload,
+  enqueueUpload,
+  processUploadQueue,
+  recordFinishedUpload,
+  requestBackgroundRetry
+} from "./uploadQueue.js";
+
+/**
+ * Output sinks for the headless recorder (see recorder.js for the sink
+ * shape). Order matters: `uploadSink` picks up the library take that
+ * `storageSink` saved, so list storage first.
+ */
+
+/**
+ * Crash-safe storage: every chunk is mirrored to IndexedDB while recording
+ * (see recordingStore.js), and when the take stops it is saved to the
+ * library — seek index and poster included — and the mirror is dropped.
+ * `finish` returns the library take.
+ *
+ * - `saveToLibrary: false` keeps only the mirror, for callers that hand the
+ *   take off themselves (VideoRecorder does, after review); call `release()`
+ *   once they have.
+ * - `onUnavailable(reason)`: "blocked" (storage refused the session; the take
+ *   is only in memory) or "write" (a chunk write failed, e.g. disk full, and
+ *   mirroring stopped — a gap would make the recovered file unplayable).
+ */
+export function storageSink({ saveToLibrary = true, onUnavailable } = {}) {
+  let current = null; // { session: Promise, persisted: Promise, failed }
+
+  function release(state = current) {
+    if (!state) return;
+    state.session.then((session) => session && state.persisted.then(() => deleteSession(session.id))).catch(() => {});
+  }
+
+  return {
+    name: "storage",
+
+    start({ mimeType, startedAt }) {
+      current = {
+        session: createSession({ mimeType, startedAt: startedAt.getTime() }).catch(() => {
+          onUnavailable?.("blocked");
+          return null;
+        }),
+        persisted: Promise.resolve(),
+        failed: false
+      };
+    },
+
+    chunk(data, seq) {
+      const state = current;
+      if (!state || state.failed) return;
+      state.persisted = state.persisted
+        .then(async () => {
+          const session = await state.session;
+          if (session && !state.failed) await appendChunk(session.id, seq, data);
+        })
+        .catch(() => {
+          if (state.failed) return;
+          state.failed = true;
+          onUnavailable?.("write");
+        });
+    },
+
+    async finish(take) {
+      const state = current;
+      if (!saveToLibrary) return null;
+      const seekable = await makeSeekable(take.blob, take.mimeType);
+      const saved = await saveTake(
+        {
+          name: makeTakeBaseName(take.recordedAt),
+          createdAt: take.recordedAt.getTime(),
+          durationMs: seekable.durationMs ?? take.durationMs,
+          mimeType: take.mimeType,
+          poster: await posterFromBlob(seekable.blob).catch(() => null)
+        },
+        seekable.blob
+      );
+      release(state);
+      return saved;
+    },
+
+    abort() {
+      release();
+    },
+
+    /** Drops the crash copy of the last take once its writes have settled. */
+    release() {
+      release();
+    }
+  };
+}
+
+/** Downloads each take (made seekable first) under its timestamped name. */
+export function downloadSink() {
+  return {
+    name: "download",
+
+    async finish(take) {
+      const seekable = await makeSeekable(take.blob, take.mimeType);
+      downloadBlob(seekable.blob, makeTakeFilename(makeTakeBaseName(take.recordedAt), take.mimeType));
+    }
+  };
+}
+
+/**
+ * Uploads each take to a tus server (see uploadQueue.js). With
+ * `whileRecording`, chunks go up as they are recorded; otherwise, or if that
+ * doesn't finish, the library take saved by `storageSink` is queued (and
+ * resumes after restarts). Without a storage sink a failed live upload is
+ * reported as an error. `finish` returns `{ uploadUrl, size }` when the live
+ * upload completed, else null.
+ *
+ * With `deferFinish`, `finish` leaves the take alone: the caller takes the
+ * open live upload with `takeLiveUpload()` and finishes or cancels it later
+ * (VideoRecorder does, after review).
+ */
+export function uploadSink(target, { whileRecording = true, deferFinish = false } = {}) {
+  let live = null;
+
+  return {
+    name: "upload",
+
+    start({ mimeType, startedAt }) {
+      live = whileRecording ? createLiveUpload(target, { name: makeTakeBaseName(startedAt), mimeType }) : null;
+    },
+
+    chunk(data) {
+      live?.append(data);
+    },
+
+    async finish(take, outputs) {
+      if (deferFinish) return null;
+      const current = live;
+      live = null;
+      const finished = current ? await current.finish() : null;
+      const saved = outputs.storage;
+      if (finished) {
+        if (saved) await recordFinishedUpload(saved, target, finished);
+        return finished;
+      }
+      if (!saved) throw new Error("The upload didn't finish, and there is no stored copy to retry from.");
+      await enqueueUpload(saved, target);
+      processUploadQueue().then((result) => result?.pending && requestBackgroundRetry());
+      return null;
+    },
+
+    abort() {
+      live?.abort();
+      live = null;
+    },
+
+    /** The running take's live upload (null without one), no longer the sink's to finish or abort. */
+    takeLiveUpload() {
+      const current = live;
+      live = null;
+      return current;
+    }
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Watches a running take for the things that quietly ruin long sessions and
+ * reports them as events; the caller decides what to do (see VideoRecorder).
+ *
+ * - Holds a Screen Wake Lock, taken again when the page comes back (the
+ *   browser drops it whenever the page is hidden).
+ * - Input tracks: `ended` (unplugged, or the device was taken away) and
+ *   `mute`/`unmute` (no data for a while, e.g. another app grabbed the camera).
+ * - Page visibility: mobile browsers may pause capture in the background.
+ * - Storage: projects how much more can be recorded from
+ *   `navigator.storage.estimate()` and the take's bitrate.
+ *
+ * Events: `{ type, atMs, ... }` with `atMs` from the start of the take —
+ * "track-ended" / "track-muted" / "track-unmuted" `{ kind, name }`, "hidden",
+ * "visible" `{ awayMs }`, "storage-low" / "storage-critical"
+ * `{ remainingSec }`, "wake-lock-failed".
+ */
+
+const STORAGE_POLL_MS = 15_000;
+export const STORAGE_WARN_SEC = 5 * 60;
+export const STORAGE_STOP_SEC = 30;
+
+/**
+ * Seconds of recording left. Every further second costs twice: once in the
+ * crash copy while recording and once more when the take is saved to the
+ * library — and the part already recorded still has to be saved too.
+ */
+export function projectRemainingSec({ usage, quota }, bytesPerSecond, recordedSec) {
+  if (!quota || !bytesPerSecond) return Infinity;
+  const free = quota - usage - bytesPerSecond * recordedSec;
+  return Math.max(0, free / (2 * bytesPerSecond));
+}
+
+export async function estimateRemainingSec(bytesPerSecond, recordedSec = 0) {
+  try {
+    const estimate = await navigator.storage?.estimate?.();
+    return estimate ? projectRemainingSec(estimate, bytesPerSecond, recordedSec) : Infinity;
+  } catch {
+    return Infinity;
+  }
+}
+
+/**
+ * @param {{ track: MediaStreamTrack, name: string }[]} inputs - what to watch, with display names
+ * @param {number} bytesPerSecond - the take's total bitrate / 8
+ * @param {(event: object) => void} onEvent
+ * @returns {{ stop(): void }}
+ */
+export function createHealthMonitor({ inputs, bytesPerSecond, onEvent }) {
+  const startedAt = performance.now();
+  const at = () => Math.round(performance.now() - startedAt);
+  const cleanups = [];
+  let wakeLock = null;
+  let hiddenAt = null;
+  let storageLevel = "ok"; // "ok" | "low" | "critical"; each is reported once
+  let stopped = false;
+
+  async function acquireWakeLock() {
+    if (!navigator.wakeLock || wakeLock || document.visibilityState !== "visible") return;
+    try {
+      const lock = await navigator.wakeLock.request("screen");
+      if (stopped) {
+        lock.release().catch(() => {});
+        return;
+      }
+      wakeLock = lock;
+      lock.addEventListener("release", () => {
+        if (wakeLock === lock) wakeLock = null;
+      });
+    } catch {
+      onEvent({ type: "wake-lock-failed", atMs: at() }); // e.g. battery saver
+    }
+  }
+
+  for (const { track, name } of inputs) {
+    const kind = track.kind;
+    const onEnded = () => onEvent({ type: "track-ended", atMs: at(), kind, name });
+    const onMute = () => onEvent({ type: "track-muted", atMs: at(), kind, name });
+    const onUnmute = () => onEvent({ type: "track-unmuted", atMs: at(), kind, name });
+    track.addEventListener("ended", onEnded);
+    track.addEventListener("mute", onMute);
+    track.addEventListener("unmute", onUnmute);
+    cleanups.push(() => {
+      track.removeEventListener("ended", onEnded);
+      track.removeEventListener("mute", onMute);
+      track.removeEventListener("unmute", onUnmute);
+    });
+    // Already dead before we started watching.
+    if (track.readyState === "ended") queueMicrotask(onEnded);
+  }
+
+  function onVisibilityChange() {
+    if (document.visibilityState === "hidden") {
+      hiddenAt = at();
+      onEvent({ type: "hidden", atMs: hiddenAt });
+    } else {
+      if (hiddenAt !== null) onEvent({ type: "visible", atMs: at(), awayMs: at() - hiddenAt });
+      hiddenAt = null;
+      acquireWakeLock();
+    }
+  }
+  document.addEventListener("visibilitychange", onVisibilityChange);
+  cleanups.push(() => document.removeEventListener("visibilitychange", onVisibilityChange));
+
+  async function checkStorage() {
+    const remainingSec = await estimateRemainingSec(bytesPerSecond, at() / 1000);
+    if (stopped) return;
+    if (remainingSec <= STORAGE_STOP_SEC && storageLevel !== "critical") {
+      storageLevel = "critical";
+      onEvent({ type: "storage-critical", atMs: at(), remainingSec });
+    } else if (remainingSec <= STORAGE_WARN_SEC && storageLevel === "ok") {
+      storageLevel = "low";
+      onEvent({ type: "storage-low", atMs: at(), remainingSec });
+    }
+  }
+  const storageTimer = setInterval(checkStorage, STORAGE_POLL_MS);
+  cleanups.push(() => clearInterval(storageTimer));
+
+  acquireWakeLock();
+  checkStorage();
+
+  return {
+    stop() {
+      stopped = true;
+      for (const cleanup of cleanups) cleanup();
+      wakeLock?.release().catch(() => {});
+      wakeLock = null;
+    }
+  };
+}
@@ -0,0 +1,201 @@
+import { WAV_SIDECAR_FORMATS } from "./wavSidecar.js";
+import { clampAvOffset } from "./avSync.js";
+
+/**
+ * Recording profiles: resolution/frame rate, container+codec and bitrates.
+ *
+ * A profile field left at its "auto" value (empty mimeType, null bitrate)
+ * keeps the recorder's built-in behaviour: MP4 first, then WebM, and the
+ * 12 → 2.5 Mbps bitrate fallback ladder.
+ *
+ * `engine` picks MediaRecorder (default) or the WebCodecs pipeline; the latter
+ * uses `webCodecsContainer` instead of `mimeType`.
+ *
+ * `wavSidecar` ("off", "pcm24" or "float32") adds a lossless WAV of the mic
+ * next to each take (see wavSidecar.js).
+ *
+ * `avOffsetMs` is how late the audio lands in this profile's takes, from the
+ * sync calibration (see avSync.js); takes are corrected by it when saved.
+ */
+
+const STORAGE_KEY = "hfr.recordingProfiles";
+
+// Prefer mp4 if supported, then WebM fallbacks. Order matters for "auto".
+export const MIME_TYPE_CANDIDATES = [
+  "video/mp4;codecs=avc1.42E01E,mp4a.40.2",
+  "video/mp4;codecs=avc1.640028,mp4a.40.2",
+  "video/mp4;codecs=hvc1,mp4a.40.2",
+  "video/mp4;codecs=av01,opus",
+  "video/mp4",
+  "video/webm;codecs=vp9,opus",
+  "video/webm;codecs=av1,opus",
+  "video/webm;codecs=vp8,opus",
+  "video/webm;codecs=h264,opus",
+  "video/webm"
+];
+
+// Candidates tried when the profile says "auto" (the original fallback order).
+const AUTO_MIME_TYPES = [
+  "video/mp4;codecs=avc1.42E01E,mp4a.40.2",
+  "video/mp4",
+  "video/webm;codecs=vp9,opus",
+  "video/webm;codecs=vp8,opus",
+  "video/webm"
+];
+
+export const RESOLUTION_PRESETS = [
+  { id: "720p30", label: "720p30", width: 1280, height: 720, frameRate: 30 },
+  { id: "720p60", label: "720p60", width: 1280, height: 720, frameRate: 60 },
+  { id: "1080p30", label: "1080p30", width: 1920, height: 1080, frameRate: 30 },
+  { id: "1080p60", label: "1080p60", width: 1920, height: 1080, frameRate: 60 },
+  { id: "1440p30", label: "1440p30", width: 2560, height: 1440, frameRate: 30 },
+  { id: "2160p30", label: "4K30", width: 3840, height: 2160, frameRate: 30 }
+];
+
+export const VIDEO_BITRATES = [2_500_000, 5_000_000, 8_000_000, 12_000_000, 16_000_000, 25_000_000, 40_000_000];
+export const AUDIO_BITRATES = [128_000, 160_000, 192_000, 256_000, 320_000];
+
+// Attempt highest possible bitrate, fallback to >= 2.5Mbps
+const BITRATE_LADDER = [
+  { videoBitsPerSecond: 12_000_000, audioBitsPerSecond: 192_000 },
+  { videoBitsPerSecond: 8_000_000, audioBitsPerSecond: 160_000 },
+  { videoBitsPerSecond: 5_000_000, audioBitsPerSecond: 128_000 },
+  { videoBitsPerSecond: 2_500_000, audioBitsPerSecond: 128_000 } // minimum requirement
+];
+
+export const ENGINES = [
+  { id: "mediarecorder", label: "MediaRecorder (browser)" },
+  { id: "webcodecs", label: "WebCodecs (constant frame rate)" }
+];
+
+export const WEBCODECS_CONTAINERS = [
+  { id: "mp4", label: "Fragmented MP4 (H.264 / AAC)" },
+  { id: "webm", label: "WebM (VP9 / Opus)" }
+];
+
+// Used by the WebCodecs engine when the profile leaves bitrates on auto.
+export const WEBCODECS_DEFAULT_BITRATES = { videoBitsPerSecond: 12_000_000, audioBitsPerSecond: 192_000 };
+
+export const DEFAULT_PROFILE = {
+  id: "default",
+  name: "Default",
+  engine: "mediarecorder",
+  webCodecsContainer: "mp4",
+  resolutionId: "1080p30",
+  mimeType: "",
+  videoBitsPerSecond: null,
+  audioBitsPerSecond: null,
+  wavSidecar: "off",
+  avOffsetMs: 0
+};
+
+function isTypeSupported(t) {
+  try {
+    return Boolean(window.MediaRecorder && window.MediaRecorder.isTypeSupported(t));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Candidate MIME types this browser's MediaRecorder accepts.
+ */
+export function listSupportedMimeTypes() {
+  return MIME_TYPE_CANDIDATES.filter(isTypeSupported);
+}
+
+/**
+ * Profile's MIME type if this browser supports it, else the first supported
+ * auto candidate (or "" to let the browser choose).
+ */
+export function pickMimeType(preferred = "") {
+  if (preferred && isTypeSupported(preferred)) return preferred;
+  return AUTO_MIME_TYPES.find(isTypeSupported) || "";
+}
+
+export function getResolutionPreset(id) {
+  return RESOLUTION_PRESETS.find((p) => p.id === id) || RESOLUTION_PRESETS.find((p) => p.id === "1080p30");
+}
+
+/**
+ * Whether a camera's `getCapabilities()` allows a preset. Unknown
+ * capabilities (Firefox, Safari) count as supported; the browser will then
+ * just give the closest it can.
+ */
+export function isPresetSupported(preset, capabilities) {
+  if (!capabilities) return true;
+  const { width, height, frameRate } = capabilities;
+  if (width?.max && width.max < preset.width) return false;
+  if (height?.max && height.max < preset.height) return false;
+  if (frameRate?.max && frameRate.max + 0.5 < preset.frameRate) return false;
+  return true;
+}
+
+/**
+ * MediaRecorder bitrate options to try, best first. A fixed profile bitrate
+ * is tried first, then the default ladder below it.
+ */
+export function buildBitrateAttempts(profile) {
+  const { videoBitsPerSecond, audioBitsPerSecond } = profile;
+  if (!videoBitsPerSecond && !audioBitsPerSecond) return BITRATE_LADDER;
+
+  const attempts = [];
+  if (videoBitsPerSecond) {
+    attempts.push({ videoBitsPerSecond, audioBitsPerSecond: audioBitsPerSecond || 192_000 });
+    for (const step of BITRATE_LADDER) {
+      if (step.videoBitsPerSecond < videoBitsPerSecond) {
+        attempts.push({ ...step, audioBitsPerSecond: audioBitsPerSecond || step.audioBitsPerSecond });
+      }
+    }
+  } else {
+    for (const step of BITRATE_LADDER) attempts.push({ ...step, audioBitsPerSecond });
+  }
+  return attempts;
+}
+
+function normalizeProfile(p) {
+  return {
+    id: String(p.id || ""),
+    name: String(p.name || "Untitled"),
+    engine: ENGINES.some((e) => e.id === p.engine) ? p.engine : DEFAULT_PROFILE.engine,
+    webCodecsContainer: WEBCODECS_CONTAINERS.some((c) => c.id === p.webCodecsContainer)
+      ? p.webCodecsContainer
+      : DEFAULT_PROFILE.webCodecsContainer,
+    resolutionId: getResolutionPreset(p.resolutionId).id,
+    mimeType: typeof p.mimeType === "string" ? p.mimeType : "",
+    videoBitsPerSecond: Number(p.videoBitsPerSecond) > 0 ? Number(p.videoBitsPerSecond) : null,
+    audioBitsPerSecond: Number(p.audioBitsPerSecond) > 0 ? Number(p.audioBitsPerSecond) : null,
+    wavSidecar: WAV_SIDECAR_FORMATS.some((f) => f.id === p.wavSidecar) ? p.wavSidecar : DEFAULT_PROFILE.wavSidecar,
+    avOffsetMs: clampAvOffset(p.avOffsetMs ?? DEFAULT_PROFILE.avOffsetMs)
+  };
+}
+
+export function loadProfiles() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    const stored = Array.isArray(parsed.profiles) ? parsed.profiles.map(normalizeProfile).filter((p) => p.id) : [];
+    const profiles = stored.some((p) => p.id === DEFAULT_PROFILE.id) ? stored : [{ ...DEFAULT_PROFILE }, ...stored];
+    const activeId = profiles.some((p) => p.id === parsed.activeId) ? parsed.activeId : DEFAULT_PROFILE.id;
+    return { profiles, activeId };
+  } catch {
+    return { profiles: [{ ...DEFAULT_PROFILE }], activeId: DEFAULT_PROFILE.id };
+  }
+}
+
+export function saveProfiles(state) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch {
+    // ignore
+  }
+}
+
+export function makeProfileId() {
+  return `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export function formatBitrate(bps) {
+  if (!Number.isFinite(bps) || bps <= 0) return "auto";
+  if (bps >= 1_000_000) return `${(bps / 1_000_000).toFixed(bps % 1_000_000 ? 1 : 0)} Mbps`;
+  return `${Math.round(bps / 1000)} kbps`;
+}
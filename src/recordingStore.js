@@ -0,0 +1,330 @@
+/**
+ * IndexedDB persistence for recordings.
+ *
+ * Sessions: every `MediaRecorder` chunk is written as it arrives, keyed by
+ * `[sessionId, seq]`, so a crash, reload or killed PWA leaves the take on disk.
+ * A session is deleted once the take has been handed off; anything still here
+ * on the next launch is an unfinished take that can be recovered.
+ *
+ * Takes: finished recordings kept in the in-app library. Metadata (including
+ * the small poster image) lives in `takes`; the video itself in `takeFiles`,
+ * so listing the library never touches the large blobs. A take's audio
+ * sidecars are in `takeFiles` too, under `[takeId, kind]`: "wav" (see
+ * wavSidecar.js) and "backing" (the play-along stem, see playAlong.js).
+ *
+ * Backing tracks: audio files added for play-along, blob included.
+ *
+ * Uploads: the queue of takes going to the upload server, keyed by take id
+ * (see uploadQueue.js). The service worker works through it too.
+ *
+ * Every tab and the service worker keep their connection open, so each one
+ * closes it as soon as a newer version of the app asks to upgrade the schema,
+ * and opens it again on next use. If the upgrade is still held up (by a tab
+ * running a version from before this), opening fails with a "BlockedError"
+ * instead of waiting forever.
+ */
+
+const DB_NAME = "hfr-recorder";
+const DB_VERSION = 4;
+
+let dbPromise = null;
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted."));
+  });
+}
+
+export function openDb() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available in this browser."));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    let isBlocked = false;
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("sessions")) {
+        db.createObjectStore("sessions", { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains("chunks")) {
+        // Out-of-line keys: [sessionId, seq]
+        db.createObjectStore("chunks");
+      }
+      if (!db.objectStoreNames.contains("takes")) {
+        db.createObjectStore("takes", { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains("takeFiles")) {
+        // Out-of-line keys: take id
+        db.createObjectStore("takeFiles");
+      }
+      if (!db.objectStoreNames.contains("uploads")) {
+        db.createObjectStore("uploads", { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains("backingTracks")) {
+        db.createObjectStore("backingTracks", { keyPath: "id" });
+      }
+    };
+    req.onblocked = () => {
+      isBlocked = true;
+      const error = new Error(
+        "The app's storage can't be upgraded while another tab runs an older version of it. Close the other tabs and reload."
+      );
+      error.name = "BlockedError";
+      reject(error);
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Opened after all, once the old connections went away; the next call opens again.
+      if (isBlocked) {
+        db.close();
+        return;
+      }
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+function chunkRange(sessionId) {
+  return IDBKeyRange.bound([sessionId, 0], [sessionId, Number.MAX_SAFE_INTEGER]);
+}
+
+const SIDECAR_KINDS = ["wav", "backing"];
+
+function sidecarKey(takeId, kind) {
+  return [takeId, kind];
+}
+
+function makeId() {
+  if (crypto?.randomUUID) return crypto.randomUUID();
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+export async function createSession({ mimeType, startedAt = Date.now() }) {
+  const db = await openDb();
+  const session = { id: makeId(), mimeType: mimeType || "", startedAt };
+
+  // Best effort: ask the browser not to evict our data under storage pressure.
+  navigator.storage?.persist?.().catch(() => {});
+
+  const tx = db.transaction("sessions", "readwrite");
+  tx.objectStore("sessions").put(session);
+  await transactionDone(tx);
+  return session;
+}
+
+export async function appendChunk(sessionId, seq, blob) {
+  const db = await openDb();
+  const tx = db.transaction("chunks", "readwrite");
+  tx.objectStore("chunks").put(blob, [sessionId, seq]);
+  await transactionDone(tx);
+}
+
+export async function deleteSession(sessionId) {
+  const db = await openDb();
+  const tx = db.transaction(["sessions", "chunks"], "readwrite");
+  tx.objectStore("sessions").delete(sessionId);
+  tx.objectStore("chunks").delete(chunkRange(sessionId));
+  await transactionDone(tx);
+}
+
+/**
+ * Sessions left behind by a previous page load, with their on-disk size.
+ * Sessions that never received a chunk are removed instead of returned.
+ */
+export async function listUnfinishedSessions() {
+  const db = await openDb();
+  const sessions = await requestToPromise(db.transaction("sessions").objectStore("sessions").getAll());
+
+  const result = [];
+  for (const session of sessions) {
+    const chunks = await requestToPromise(
+      db.transaction("chunks").objectStore("chunks").getAll(chunkRange(session.id))
+    );
+    if (!chunks.length) {
+      await deleteSession(session.id).catch(() => {});
+      continue;
+    }
+    const size = chunks.reduce((sum, b) => sum + (b?.size || 0), 0);
+    result.push({ ...session, chunkCount: chunks.length, size });
+  }
+  return result.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+export async function loadSessionBlob(session) {
+  const db = await openDb();
+  // getAll on a key range returns values in key order, i.e. by seq.
+  const chunks = await requestToPromise(
+    db.transaction("chunks").objectStore("chunks").getAll(chunkRange(session.id))
+  );
+  return new Blob(chunks, { type: session.mimeType || "video/webm" });
+}
+
+/**
+ * Adds a finished recording to the library.
+ * `meta`: { name, createdAt, durationMs, mimeType, poster? }
+ * `sidecars`: { wav?, backing? } audio files kept with the take
+ */
+export async function saveTake(meta, blob, sidecars = {}) {
+  const db = await openDb();
+  const take = {
+    id: makeId(),
+    name: meta.name,
+    createdAt: meta.createdAt ?? Date.now(),
+    durationMs: meta.durationMs ?? null,
+    mimeType: meta.mimeType || blob.type || "",
+    size: blob.size,
+    poster: meta.poster || null,
+    markers: meta.markers || [], // see takeMarkers.js
+    wavSize: sidecars.wav ? sidecars.wav.size : null,
+    backingSize: sidecars.backing ? sidecars.backing.size : null
+  };
+
+  navigator.storage?.persist?.().catch(() => {});
+
+  const tx = db.transaction(["takes", "takeFiles"], "readwrite");
+  tx.objectStore("takes").put(take);
+  tx.objectStore("takeFiles").put(blob, take.id);
+  for (const kind of SIDECAR_KINDS) {
+    if (sidecars[kind]) tx.objectStore("takeFiles").put(sidecars[kind], sidecarKey(take.id, kind));
+  }
+  await transactionDone(tx);
+  return take;
+}
+
+export async function listTakes() {
+  const db = await openDb();
+  const takes = await requestToPromise(db.transaction("takes").objectStore("takes").getAll());
+  return takes.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function loadTakeBlob(takeId) {
+  const db = await openDb();
+  const blob = await requestToPromise(db.transaction("takeFiles").objectStore("takeFiles").get(takeId));
+  if (!blob) throw new Error("This take's video file is missing from storage.");
+  return blob;
+}
+
+/** `kind`: "wav" | "backing" */
+export async function loadTakeSidecar(takeId, kind) {
+  const db = await openDb();
+  const blob = await requestToPromise(
+    db.transaction("takeFiles").objectStore("takeFiles").get(sidecarKey(takeId, kind))
+  );
+  if (!blob) throw new Error("This take's audio file is missing from storage.");
+  return blob;
+}
+
+export async function updateTake(takeId, patch) {
+  const db = await openDb();
+  const tx = db.transaction("takes", "readwrite");
+  const store = tx.objectStore("takes");
+  const take = await requestToPromise(store.get(takeId));
+  if (!take) throw new Error("Take not found.");
+  const next = { ...take, ...patch, id: take.id };
+  store.put(next);
+  await transactionDone(tx);
+  return next;
+}
+
+export async function deleteTake(takeId) {
+  const db = await openDb();
+  const tx = db.transaction(["takes", "takeFiles", "uploads"], "readwrite");
+  tx.objectStore("takes").delete(takeId);
+  tx.objectStore("takeFiles").delete(takeId);
+  for (const kind of SIDECAR_KINDS) tx.objectStore("takeFiles").delete(sidecarKey(takeId, kind));
+  tx.objectStore("uploads").delete(takeId);
+  await transactionDone(tx);
+}
+
+export async function putUpload(entry) {
+  const db = await openDb();
+  const tx = db.transaction("uploads", "readwrite");
+  tx.objectStore("uploads").put(entry);
+  await transactionDone(tx);
+  return entry;
+}
+
+export async function listUploads() {
+  const db = await openDb();
+  const uploads = await requestToPromise(db.transaction("uploads").objectStore("uploads").getAll());
+  return uploads.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/** Returns the updated entry, or null if it was removed in the meantime. */
+export async function updateUpload(id, patch) {
+  const db = await openDb();
+  const tx = db.transaction("uploads", "readwrite");
+  const store = tx.objectStore("uploads");
+  const entry = await requestToPromise(store.get(id));
+  if (!entry) return null;
+  const next = { ...entry, ...patch, id, updatedAt: Date.now() };
+  store.put(next);
+  await transactionDone(tx);
+  return next;
+}
+
+export async function deleteUpload(id) {
+  const db = await openDb();
+  const tx = db.transaction("uploads", "readwrite");
+  tx.objectStore("uploads").delete(id);
+  await transactionDone(tx);
+}
+
+/** Adds an audio file for play-along. */
+export async function saveBackingTrack(file) {
+  const db = await openDb();
+  const track = {
+    id: makeId(),
+    name: file.name || "Backing track",
+    mimeType: file.type || "",
+    size: file.size,
+    addedAt: Date.now(),
+    blob: file
+  };
+  navigator.storage?.persist?.().catch(() => {});
+  const tx = db.transaction("backingTracks", "readwrite");
+  tx.objectStore("backingTracks").put(track);
+  await transactionDone(tx);
+  return track;
+}
+
+export async function listBackingTracks() {
+  const db = await openDb();
+  const tracks = await requestToPromise(db.transaction("backingTracks").objectStore("backingTracks").getAll());
+  return tracks.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function loadBackingTrack(id) {
+  const db = await openDb();
+  const track = await requestToPromise(db.transaction("backingTracks").objectStore("backingTracks").get(id));
+  if (!track) throw new Error("The backing track is missing from storage.");
+  return track;
+}
+
+export async function deleteBackingTrack(id) {
+  const db = await openDb();
+  const tx = db.transaction("backingTracks", "readwrite");
+  tx.objectStore("backingTracks").delete(id);
+  await transactionDone(tx);
+}
@@ -0,0 +1,199 @@
+import { ArrayBufferTarget as Mp4ArrayBufferTarget, Muxer as Mp4Muxer } from "mp4-muxer";
+import { ArrayBufferTarget as WebmArrayBufferTarget, Muxer as WebmMuxer } from "webm-muxer";
+import { createWebCodecsRecorder, isWebCodecsRecordingSupported } from "./webCodecsRecorder.js";
+
+/**
+ * Always-on replay buffer ("save that!"): the camera and mic are encoded
+ * continuously with the WebCodecs engine, and the last `minutes` of encoded
+ * chunks are kept in memory. Saving muxes a copy of the window into a normal
+ * file while the buffer keeps running.
+ *
+ * Chunks are kept per GOP (a keyframe and the frames up to the next one; the
+ * engine puts a keyframe every 2 s), and old GOPs are only dropped whole, so
+ * the window always starts on a keyframe. Audio before the first kept
+ * keyframe goes with it. `maxMb` caps memory: past it, old GOPs are dropped
+ * even if the window is shorter.
+ */
+
+const STORAGE_KEY = "hfr.replayBuffer";
+
+export const REPLAY_MINUTES = [0.5, 1, 2, 5, 10];
+export const REPLAY_MEMORY_CAPS_MB = [150, 300, 500, 1000];
+
+export const DEFAULT_REPLAY_SETTINGS = {
+  enabled: false,
+  minutes: 2,
+  maxMb: 500
+};
+
+export function loadReplaySettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return normalizeReplaySettings(parsed);
+  } catch {
+    return normalizeReplaySettings({});
+  }
+}
+
+export function saveReplaySettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore
+  }
+}
+
+export function normalizeReplaySettings(s) {
+  const d = DEFAULT_REPLAY_SETTINGS;
+  const minutes = Number(s.minutes);
+  const maxMb = Number(s.maxMb);
+  return {
+    enabled: Boolean(s.enabled),
+    minutes: REPLAY_MINUTES.includes(minutes) ? minutes : d.minutes,
+    maxMb: REPLAY_MEMORY_CAPS_MB.includes(maxMb) ? maxMb : d.maxMb
+  };
+}
+
+export function isReplayBufferSupported() {
+  return isWebCodecsRecordingSupported();
+}
+
+function createMuxer(container, target, { video, audio, width, height, frameRate }) {
+  const audioOptions = audio && {
+    codec: audio.muxerCodec,
+    numberOfChannels: audio.config.numberOfChannels,
+    sampleRate: audio.config.sampleRate
+  };
+  if (container === "webm") {
+    return new WebmMuxer({
+      target,
+      video: { codec: video.muxerCodec, width, height, frameRate },
+      audio: audioOptions,
+      firstTimestampBehavior: "permissive"
+    });
+  }
+  return new Mp4Muxer({
+    target,
+    video: { codec: video.muxerCodec, width, height, frameRate },
+    audio: audioOptions,
+    fastStart: "in-memory",
+    firstTimestampBehavior: "cross-track-offset"
+  });
+}
+
+/**
+ * @param {MediaStream} stream - camera + mic (tracks are cloned, not consumed)
+ * @returns {{ bufferedSec(): number, save(): Promise<{ blob, mimeType, durationMs, recordedAt }>, destroy(): void }}
+ */
+export function createReplayBuffer(
+  stream,
+  { minutes, maxMb, container = "mp4", frameRate, videoBitsPerSecond, audioBitsPerSecond, onError }
+) {
+  const windowUs = minutes * 60e6;
+  const maxBytes = maxMb * 1024 * 1024;
+
+  let tracks = null; // encoder configs, once known
+  let videoMeta = null; // first decoderConfig of each track; the muxer needs it
+  let audioMeta = null;
+  const gops = []; // [{ startUs, chunks, bytes }], oldest first
+  let audio = []; // [{ chunk, timestampUs }]
+  let bytes = 0;
+  let last = null; // { timestampUs, wallMs } of the newest video chunk
+
+  function prune() {
+    while (gops.length > 1 && (last.timestampUs - gops[1].startUs >= windowUs || bytes > maxBytes)) {
+      bytes -= gops.shift().bytes;
+    }
+    const firstUs = gops[0].startUs;
+    let drop = 0;
+    while (drop < audio.length && audio[drop].timestampUs < firstUs) {
+      bytes -= audio[drop].chunk.byteLength;
+      drop += 1;
+    }
+    if (drop > 0) audio = audio.slice(drop);
+  }
+
+  const sink = {
+    configure(info) {
+      tracks = info;
+    },
+    video(chunk, meta) {
+      if (meta?.decoderConfig && !videoMeta) videoMeta = meta;
+      if (chunk.type === "key") gops.push({ startUs: chunk.timestamp, chunks: [], bytes: 0 });
+      const gop = gops[gops.length - 1];
+      if (!gop) return;
+      gop.chunks.push(chunk);
+      gop.bytes += chunk.byteLength;
+      bytes += chunk.byteLength;
+      last = { timestampUs: chunk.timestamp + (chunk.duration ?? 0), wallMs: Date.now() };
+      prune();
+    },
+    audio(chunk, meta, timestampUs) {
+      if (meta?.decoderConfig && !audioMeta) audioMeta = meta;
+      if (gops.length === 0) return;
+      audio.push({ chunk, timestampUs });
+      bytes += chunk.byteLength;
+    }
+  };
+
+  const recorder = createWebCodecsRecorder(stream, {
+    container,
+    frameRate,
+    videoBitsPerSecond,
+    audioBitsPerSecond,
+    sink
+  });
+  recorder.onerror = (e) => onError?.(e.error);
+  recorder.start();
+
+  return {
+    bufferedSec() {
+      return gops.length && last ? (last.timestampUs - gops[0].startUs) / 1e6 : 0;
+    },
+
+    /** Muxes the current window into a file; the buffer keeps running. */
+    async save() {
+      if (!tracks || gops.length === 0) throw new Error("Nothing has been buffered yet.");
+      const videoChunks = gops.flatMap((g) => g.chunks);
+      const baseUs = gops[0].startUs;
+      const endUs = last.timestampUs;
+      const audioChunks = audio.filter((a) => a.timestampUs < endUs);
+      const recordedAt = new Date(last.wallMs - (endUs - baseUs) / 1000);
+
+      const target = container === "webm" ? new WebmArrayBufferTarget() : new Mp4ArrayBufferTarget();
+      const muxer = createMuxer(container, target, tracks);
+      // Interleave by time, as the muxers expect.
+      let v = 0;
+      let a = 0;
+      while (v < videoChunks.length || a < audioChunks.length) {
+        const nextVideoUs = v < videoChunks.length ? videoChunks[v].timestamp : Infinity;
+        if (a < audioChunks.length && tracks.audio && audioChunks[a].timestampUs < nextVideoUs) {
+          const { chunk, timestampUs } = audioChunks[a];
+          muxer.addAudioChunk(chunk, a === 0 ? audioMeta : undefined, timestampUs - baseUs);
+          a += 1;
+        } else if (v < videoChunks.length) {
+          muxer.addVideoChunk(videoChunks[v], v === 0 ? videoMeta : undefined, nextVideoUs - baseUs);
+          v += 1;
+        } else {
+          break;
+        }
+      }
+      muxer.finalize();
+
+      return {
+        blob: new Blob([target.buffer], { type: container === "webm" ? "video/webm" : "video/mp4" }),
+        mimeType: recorder.mimeType,
+        durationMs: Math.round((endUs - baseUs) / 1000),
+        recordedAt
+      };
+    },
+
+    destroy() {
+      recorder.onerror = null;
+      recorder.stop();
+      gops.length = 0;
+      audio = [];
+      bytes = 0;
+    }
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * Screen / window / tab capture (sheet music, tab, DAW) as an extra source for
+ * the compositor. The shared surface takes the second-source slot of the
+ * two-camera layouts (see cameraLayout.js) and is letterboxed, not cropped.
+ *
+ * Shared audio is only offered by some browsers (mostly for tabs) and is
+ * mixed into the take at `audioLevel` when `includeAudio` is on.
+ */
+
+const STORAGE_KEY = "hfr.screenCapture";
+
+export const DEFAULT_SCREEN_CAPTURE_SETTINGS = {
+  includeAudio: true,
+  audioLevel: 0.7 // linear gain
+};
+
+export function loadScreenCaptureSettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return normalizeScreenCaptureSettings(parsed);
+  } catch {
+    return normalizeScreenCaptureSettings({});
+  }
+}
+
+export function saveScreenCaptureSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore
+  }
+}
+
+export function normalizeScreenCaptureSettings(s) {
+  const level = Number(s.audioLevel);
+  return {
+    includeAudio: s.includeAudio === undefined ? DEFAULT_SCREEN_CAPTURE_SETTINGS.includeAudio : Boolean(s.includeAudio),
+    audioLevel: Number.isFinite(level) ? Math.max(0, Math.min(1, level)) : DEFAULT_SCREEN_CAPTURE_SETTINGS.audioLevel
+  };
+}
+
+export function isScreenCaptureSupported() {
+  return typeof navigator !== "undefined" && typeof navigator.mediaDevices?.getDisplayMedia === "function";
+}
+
+/**
+ * Asks the user to pick a screen, window or tab. Rejects with NotAllowedError
+ * if they cancel the picker.
+ */
+export function requestScreenCapture() {
+  return navigator.mediaDevices.getDisplayMedia({
+    video: { frameRate: { ideal: 30 } },
+    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+    selfBrowserSurface: "exclude",
+    surfaceSwitching: "include"
+  });
+}
@@ -0,0 +1,72 @@
+import { ampToDb } from "./loudnessMeter.js";
+
+/**
+ * Sound-activated recording ("arm"): a take starts when the input peak
+ * crosses `thresholdDb` and stops after `silenceSec` below it. The
+ * `preRollSec` before the trigger come from the pre-roll buffer (see
+ * preRoll.js), so the opening note isn't cut off.
+ */
+
+const STORAGE_KEY = "hfr.soundTrigger";
+
+export const DEFAULT_SOUND_TRIGGER_SETTINGS = {
+  thresholdDb: -30, // dBFS peak
+  silenceSec: 4,
+  preRollSec: 3
+};
+
+export function loadSoundTriggerSettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return normalizeSoundTriggerSettings(parsed);
+  } catch {
+    return normalizeSoundTriggerSettings({});
+  }
+}
+
+export function saveSoundTriggerSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore
+  }
+}
+
+function clamp(v, min, max, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+export function normalizeSoundTriggerSettings(s) {
+  const d = DEFAULT_SOUND_TRIGGER_SETTINGS;
+  return {
+    thresholdDb: clamp(s.thresholdDb, -60, -6, d.thresholdDb),
+    silenceSec: clamp(s.silenceSec, 1, 30, d.silenceSec),
+    preRollSec: clamp(s.preRollSec, 0, 10, d.preRollSec)
+  };
+}
+
+/**
+ * Feed it peak levels (linear) as they arrive from the meter; it calls
+ * `onStart(timeMs)` on the first one over the threshold and `onStop()` once
+ * the input has stayed under it for `silenceSec`. After that it ignores
+ * input; the next take gets a fresh trigger.
+ */
+export function createSoundTrigger(settings, { onStart, onStop }) {
+  let state = "armed"; // "armed" | "running" | "done"
+  let lastLoudAtMs = 0;
+
+  return {
+    feed(peak, nowMs) {
+      const isLoud = ampToDb(peak) >= settings.thresholdDb;
+      if (isLoud) lastLoudAtMs = nowMs;
+      if (state === "armed" && isLoud) {
+        state = "running";
+        onStart(nowMs);
+      } else if (state === "running" && nowMs - lastLoudAtMs >= settings.silenceSec * 1000) {
+        state = "done";
+        onStop();
+      }
+    }
+  };
+}
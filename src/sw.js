@@ -0,0 +1,27 @@
+import { cleanupOutdatedCaches, createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { clientsClaim } from "workbox-core";
+import { NavigationRoute, registerRoute } from "workbox-routing";
+import { processUploadQueue, UPLOAD_SYNC_TAG } from "./uploadQueue.js";
+
+/**
+ * Service worker: precaches the app shell for offline use (what the
+ * generated worker did before) and retries queued uploads in the background
+ * when the page asks for it (Background Sync, see uploadQueue.js).
+ */
+
+self.skipWaiting();
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+registerRoute(new NavigationRoute(createHandlerBoundToURL("index.html")));
+
+self.addEventListener("sync", (event) => {
+  if (event.tag !== UPLOAD_SYNC_TAG) return;
+  event.waitUntil(
+    processUploadQueue().then((result) => {
+      // Rejecting makes the browser schedule another attempt later.
+      if (result?.pending) throw new Error(`${result.pending} upload(s) still waiting.`);
+    })
+  );
+});
@@ -0,0 +1,145 @@
+import { capturePoster } from "./takeFiles.js";
+
+/**
+ * Timeline data for the review screen: a level envelope of the take's audio,
+ * dead-air detection on top of it, and a filmstrip of video frames.
+ */
+
+const ANALYSIS_SAMPLE_RATE = 8000; // plenty for levels, and keeps long takes small
+const WINDOW_SEC = 0.02;
+// decodeAudioData holds the whole file and all of its audio, decoded at the
+// file's own rate before resampling (about 23 MB a minute for 48 kHz stereo).
+const MAX_DECODE_BYTES = 100 * 1024 * 1024;
+const MAX_DECODE_SEC = 10 * 60;
+
+/**
+ * RMS and peak per 20 ms window (mono mix). Resolves to null when the take is
+ * too large or too long (`durationSec`, if known) to decode, or the browser
+ * can't decode its audio.
+ *
+ * @returns {Promise<{ windowSec: number, rms: Float32Array, peak: Float32Array, duration: number } | null>}
+ */
+export async function decodeLevels(blob, { durationSec } = {}) {
+  if (blob.size > MAX_DECODE_BYTES || durationSec > MAX_DECODE_SEC) return null;
+  const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!Offline) return null;
+  try {
+    const ctx = new Offline(1, 1, ANALYSIS_SAMPLE_RATE);
+    const audio = await ctx.decodeAudioData(await blob.arrayBuffer());
+    const channels = Array.from({ length: audio.numberOfChannels }, (_, ch) => audio.getChannelData(ch));
+    const windowSize = Math.max(1, Math.round(audio.sampleRate * WINDOW_SEC));
+    const count = Math.ceil(audio.length / windowSize);
+    const rms = new Float32Array(count);
+    const peak = new Float32Array(count);
+
+    for (let w = 0; w < count; w += 1) {
+      const start = w * windowSize;
+      const end = Math.min(audio.length, start + windowSize);
+      let sum = 0;
+      let max = 0;
+      for (let i = start; i < end; i += 1) {
+        let v = 0;
+        for (const data of channels) v += data[i];
+        v /= channels.length;
+        sum += v * v;
+        max = Math.max(max, Math.abs(v));
+      }
+      rms[w] = Math.sqrt(sum / (end - start));
+      peak[w] = max;
+    }
+    return { windowSec: windowSize / audio.sampleRate, rms, peak, duration: audio.duration };
+  } catch {
+    return null;
+  }
+}
+
+function toDb(amp) {
+  return amp > 0 ? 20 * Math.log10(amp) : -120;
+}
+
+/**
+ * Suggested in/out points that cut the quiet lead-in and tail (reaching for the
+ * instrument, walking to the stop button). Playing is detected as a level
+ * well above the take's own noise floor, sustained for `minSoundSec` so a
+ * single click or bump doesn't count.
+ *
+ * @returns {{ startSec: number, endSec: number } | null} null when nothing stands out
+ */
+export function findDeadAir(
+  levels,
+  { marginDb = 15, floorDb = -55, minSoundSec = 0.15, padStartSec = 0.3, padEndSec = 0.75 } = {}
+) {
+  if (!levels || levels.rms.length === 0) return null;
+  const db = Array.from(levels.rms, toDb);
+  const sorted = [...db].sort((a, b) => a - b);
+  const noiseFloor = sorted[Math.floor(sorted.length * 0.1)];
+  const threshold = Math.max(noiseFloor + marginDb, floorDb);
+  const run = Math.max(1, Math.round(minSoundSec / levels.windowSec));
+
+  const isSound = (i) => {
+    for (let k = 0; k < run; k += 1) if (!(db[i + k] > threshold)) return false;
+    return true;
+  };
+  let first = -1;
+  for (let i = 0; i + run <= db.length; i += 1) {
+    if (isSound(i)) {
+      first = i;
+      break;
+    }
+  }
+  if (first < 0) return null;
+  let last = first;
+  for (let i = db.length - run; i >= first; i -= 1) {
+    if (isSound(i)) {
+      last = i + run;
+      break;
+    }
+  }
+
+  return {
+    startSec: Math.max(0, first * levels.windowSec - padStartSec),
+    endSec: Math.min(levels.duration, last * levels.windowSec + padEndSec)
+  };
+}
+
+function seekTo(video, time) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, 3000);
+    video.onseeked = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    video.currentTime = time;
+  });
+}
+
+/**
+ * `count` evenly spaced frames as JPEG Blobs (null where a frame couldn't be
+ * grabbed). Needs a seekable file, so run WebM through the fixup first.
+ */
+export async function captureFilmstrip(blob, duration, count = 10, maxWidth = 160) {
+  const url = URL.createObjectURL(blob);
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  video.src = url;
+  try {
+    await new Promise((resolve, reject) => {
+      video.onloadeddata = resolve;
+      video.onerror = () => reject(new Error("Couldn't load the take."));
+    });
+    const frames = [];
+    for (let i = 0; i < count; i += 1) {
+      await seekTo(video, ((i + 0.5) / count) * duration);
+      frames.push(await capturePoster(video, maxWidth));
+    }
+    return frames;
+  } catch {
+    return [];
+  } finally {
+    video.removeAttribute("src");
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,135 @@
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+/**
+ * `rec-YYYYMMDD-HHMMSS` — the base name every take (and its sidecars) shares.
+ */
+export function makeTakeBaseName(d = new Date()) {
+  const yyyy = d.getFullYear();
+  const mm = pad2(d.getMonth() + 1);
+  const dd = pad2(d.getDate());
+  const hh = pad2(d.getHours());
+  const mi = pad2(d.getMinutes());
+  const ss = pad2(d.getSeconds());
+  return `rec-${yyyy}${mm}${dd}-${hh}${mi}${ss}`;
+}
+
+export function guessExtensionFromMime(mimeType) {
+  if (mimeType && mimeType.toLowerCase().includes("mp4")) return "mp4";
+  return "webm";
+}
+
+/**
+ * Human-readable codec summary, e.g. "MP4 · avc1.42E01E, mp4a.40.2".
+ */
+export function describeMimeType(mimeType) {
+  if (!mimeType) return "Unknown";
+  const [container, ...params] = mimeType.split(";");
+  const containerName = (container.split("/")[1] || container).toUpperCase();
+  const codecsParam = params.map((p) => p.trim()).find((p) => p.toLowerCase().startsWith("codecs="));
+  if (!codecsParam) return containerName;
+  const codecs = codecsParam.slice("codecs=".length).replace(/"/g, "").split(",").join(", ");
+  return `${containerName} · ${codecs}`;
+}
+
+function safeFileStem(name) {
+  return String(name || "").replace(/[\\/:*?"<>|]+/g, "_").trim() || makeTakeBaseName();
+}
+
+/**
+ * Filesystem-safe file name for a take; keeps user renames readable.
+ */
+export function makeTakeFilename(name, mimeType) {
+  return `${safeFileStem(name)}.${guessExtensionFromMime(mimeType)}`;
+}
+
+/**
+ * Sidecar file name next to the take, e.g. `makeSidecarFilename(name, "chapters.vtt")`.
+ */
+export function makeSidecarFilename(name, suffix) {
+  return `${safeFileStem(name)}.${suffix}`;
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1500);
+}
+
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes <= 0) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / 1024 ** i).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
+export function formatDuration(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return "—";
+  const total = Math.round(ms / 1000);
+  const mm = String(Math.floor(total / 60)).padStart(2, "0");
+  const ss = String(total % 60).padStart(2, "0");
+  return `${mm}:${ss}`;
+}
+
+/**
+ * Small JPEG poster from whatever frame a <video> element is showing.
+ * Resolves to null if no frame is available.
+ */
+export function capturePoster(video, maxWidth = 320) {
+  return new Promise((resolve) => {
+    try {
+      if (!video || !video.videoWidth || !video.videoHeight) {
+        resolve(null);
+        return;
+      }
+      const scale = Math.min(1, maxWidth / video.videoWidth);
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+      canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((b) => resolve(b || null), "image/jpeg", 0.75);
+    } catch {
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Poster for a recorded blob (used when no live preview frame exists, e.g. on
+ * crash recovery). Gives up after a few seconds rather than hanging.
+ */
+export function posterFromBlob(blob, maxWidth = 320) {
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(blob);
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = "auto";
+
+    let done = false;
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timeout);
+      video.removeAttribute("src");
+      video.load();
+      URL.revokeObjectURL(url);
+      resolve(result);
+    };
+    const timeout = setTimeout(() => finish(null), 5000);
+
+    video.onloadeddata = () => {
+      video.currentTime = Math.min(0.5, Number.isFinite(video.duration) ? video.duration / 2 : 0.5);
+    };
+    video.onseeked = () => capturePoster(video, maxWidth).then(finish);
+    video.onerror = () => finish(null);
+    video.src = url;
+  });
+}
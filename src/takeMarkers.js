@@ -0,0 +1,110 @@
+import { downloadBlob, makeSidecarFilename } from "./takeFiles.js";
+import { isWebmMimeType, setWebmChapters } from "./webmFixup.js";
+import { setMp4Chapters } from "./mp4Chapters.js";
+import { isMp4MimeType } from "./takeTrim.js";
+
+/**
+ * Markers dropped while recording (plus automatic events such as clipping),
+ * timed in ms from the start of the recorder.
+ *
+ * A marker: `{ timeMs, label, kind }` with kind "marker" (tapped), "clip"
+ * (from the level meter) or "warning" (from the recording health monitor).
+ * When the take is saved they become chapters — a WebVTT sidecar, a JSON
+ * sidecar with every event, and chapters embedded in the MP4/WebM where the
+ * container allows it.
+ */
+
+export const MARKER_PRESETS = ["Verse", "Chorus", "Solo", "Mistake here"];
+
+// Clip events closer than this to the previous chapter stay out of the chapter list.
+const CLIP_CHAPTER_GAP_MS = 2000;
+
+/** Markers relative to a trimmed take that starts `startSec` in and lasts `durationMs`. */
+export function shiftMarkers(markers, startSec, durationMs) {
+  const offset = Math.round((startSec || 0) * 1000);
+  return markers
+    .map((m) => ({ ...m, timeMs: m.timeMs - offset }))
+    .filter((m) => m.timeMs >= 0 && (!Number.isFinite(durationMs) || m.timeMs < durationMs));
+}
+
+/**
+ * Chapter list `[{ startMs, endMs, title }]`: each chapter runs until the next
+ * one (or the end of the take). Adds a leading "Start" chapter when the first
+ * marker isn't at 0, since players expect chapters to cover the whole file.
+ */
+export function markersToChapters(markers, durationMs) {
+  const points = [];
+  for (const m of [...markers].sort((a, b) => a.timeMs - b.timeMs)) {
+    const prev = points[points.length - 1];
+    if (m.kind === "clip" && prev && m.timeMs - prev.timeMs < CLIP_CHAPTER_GAP_MS) continue;
+    points.push({ timeMs: m.timeMs, title: m.label });
+  }
+  if (points.length === 0) return [];
+  if (points[0].timeMs > 0) points.unshift({ timeMs: 0, title: "Start" });
+
+  const end = Number.isFinite(durationMs) ? durationMs : points[points.length - 1].timeMs + 1000;
+  return points.map((p, i) => ({
+    startMs: p.timeMs,
+    endMs: Math.max(p.timeMs + 1, i + 1 < points.length ? points[i + 1].timeMs : end),
+    title: p.title
+  }));
+}
+
+function formatVttTime(ms) {
+  const total = Math.max(0, Math.round(ms));
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  const h = Math.floor(total / 3_600_000);
+  const m = Math.floor(total / 60_000) % 60;
+  const s = Math.floor(total / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(total % 1000, 3)}`;
+}
+
+export function chaptersToWebVtt(chapters) {
+  const cues = chapters.map(
+    (c, i) => `${i + 1}\n${formatVttTime(c.startMs)} --> ${formatVttTime(c.endMs)}\n${c.title.replace(/\n/g, " ")}`
+  );
+  return `WEBVTT\n\n${cues.join("\n\n")}\n`;
+}
+
+export function markersToJson({ name, recordedAt, durationMs, markers }) {
+  return JSON.stringify(
+    {
+      take: name,
+      recordedAt: new Date(recordedAt).toISOString(),
+      durationMs,
+      markers: markers.map((m) => ({ timeMs: m.timeMs, time: formatVttTime(m.timeMs), label: m.label, kind: m.kind }))
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Copy of the take with the chapters embedded (MP4: Nero `chpl`; WebM:
+ * Matroska Chapters). Returns the original blob if the container can't take
+ * them or the file can't be parsed.
+ */
+export async function embedChapters(blob, mimeType, chapters) {
+  if (chapters.length === 0) return blob;
+  try {
+    const out = isWebmMimeType(mimeType)
+      ? await setWebmChapters(blob, chapters)
+      : isMp4MimeType(mimeType)
+        ? await setMp4Chapters(blob, chapters)
+        : null;
+    return out || blob;
+  } catch {
+    return blob;
+  }
+}
+
+/** Downloads `<name>.chapters.vtt` and `<name>.markers.json` next to the video. */
+export function downloadMarkerSidecars({ name, recordedAt, durationMs, markers }) {
+  if (!markers?.length) return;
+  const chapters = markersToChapters(markers, durationMs);
+  downloadBlob(new Blob([chaptersToWebVtt(chapters)], { type: "text/vtt" }), makeSidecarFilename(name, "chapters.vtt"));
+  downloadBlob(
+    new Blob([markersToJson({ name, recordedAt, durationMs, markers })], { type: "application/json" }),
+    makeSidecarFilename(name, "markers.json")
+  );
+}
@@ -0,0 +1,373 @@
+import MP4Box from "mp4box";
+import { Muxer as Mp4Muxer, StreamTarget as Mp4StreamTarget } from "mp4-muxer";
+import { createBlobReader } from "./blobReader.js";
+import { delayMp4Track } from "./mp4Chapters.js";
+import { fixWebmMetadata, isWebmMimeType, readWebmTrackStarts, shiftWebmAudio, trimWebm } from "./webmFixup.js";
+import { createWebCodecsRecorder, isWebCodecsRecordingSupported } from "./webCodecsRecorder.js";
+import { WEBCODECS_DEFAULT_BITRATES, pickMimeType } from "./recordingProfiles.js";
+
+/**
+ * Trimming for the review screen.
+ *
+ * - `trimTake` is lossless: WebM is cut at cluster boundaries in place, MP4 is
+ *   demuxed (metadata only, via mp4box) and the kept samples are remuxed. The
+ *   start snaps back to the previous video keyframe.
+ * - `reencodeTrim` is frame accurate: it plays the range in a hidden <video>
+ *   and records it again, so it takes as long as the trimmed take.
+ *
+ * `shiftTakeAudio` uses the same lossless paths to move the audio against the
+ * video (A/V sync correction, see avSync.js).
+ */
+
+const PARSE_CHUNK = 4 << 20;
+
+const VIDEO_MUXER_CODECS = { avc1: "avc", avc3: "avc", hvc1: "hevc", hev1: "hevc", vp09: "vp9", av01: "av1" };
+const AUDIO_MUXER_CODECS = { mp4a: "aac", opus: "opus", Opus: "opus" };
+
+export function isMp4MimeType(mimeType) {
+  return /^(video|audio)\/mp4/i.test(mimeType || "");
+}
+
+export function canReencodeTrim() {
+  if (typeof document === "undefined" || typeof window === "undefined") return false;
+  const video = document.createElement("video");
+  const canCapture = typeof video.captureStream === "function" || typeof video.mozCaptureStream === "function";
+  return canCapture && ("MediaRecorder" in window || isWebCodecsRecordingSupported());
+}
+
+/**
+ * Lossless trim to [startSec, endSec).
+ *
+ * @returns {Promise<{ blob: Blob, startSec: number, durationMs: number }>}
+ */
+export async function trimTake(blob, mimeType, { startSec, endSec }) {
+  if (isWebmMimeType(mimeType)) {
+    const result = await trimWebm(blob, { startMs: startSec * 1000, endMs: endSec * 1000 });
+    if (!result) throw new Error("Couldn't read this WebM file for trimming.");
+    return { blob: result.blob, startSec: result.startMs / 1000, durationMs: result.durationMs };
+  }
+  if (isMp4MimeType(mimeType)) return trimMp4(blob, { startSec, endSec });
+  throw new Error("Fast trim supports MP4 and WebM takes only; use the exact (re-encode) trim instead.");
+}
+
+function parseMp4(blob) {
+  return new Promise((resolve, reject) => {
+    const file = MP4Box.createFile(false); // sample data is read from the Blob later
+    let info = null;
+    file.onReady = (i) => {
+      info = i;
+    };
+    file.onError = (e) => reject(new Error(`Couldn't read this MP4 file (${e}).`));
+
+    (async () => {
+      for (let pos = 0; pos < blob.size; pos += PARSE_CHUNK) {
+        const end = Math.min(blob.size, pos + PARSE_CHUNK);
+        const buffer = await blob.slice(pos, end).arrayBuffer();
+        buffer.fileStart = pos;
+        file.appendBuffer(buffer, end === blob.size);
+      }
+      file.flush();
+      if (!info) throw new Error("Couldn't find the MP4 metadata (moov) in this take.");
+      resolve({ file, info });
+    })().catch(reject);
+  });
+}
+
+/**
+ * Lossless copy of a take with its audio moved by `shiftMs` against the video
+ * (negative: earlier). Audio moved before the first frame is dropped.
+ */
+export async function shiftTakeAudio(blob, mimeType, shiftMs) {
+  if (isWebmMimeType(mimeType)) {
+    const shifted = await shiftWebmAudio(blob, shiftMs);
+    if (!shifted) throw new Error("Couldn't move the audio of this WebM file.");
+    return shifted;
+  }
+  if (isMp4MimeType(mimeType)) {
+    const result = await trimMp4(blob, { startSec: 0, endSec: Infinity, audioShiftSec: shiftMs / 1000 });
+    return result.blob;
+  }
+  throw new Error("A/V sync correction supports MP4 and WebM takes only.");
+}
+
+/**
+ * First video and audio timestamps of a take in seconds (null for a missing
+ * track), on the timeline players use.
+ */
+export async function readTrackStarts(blob, mimeType) {
+  if (isWebmMimeType(mimeType)) {
+    const starts = await readWebmTrackStarts(blob);
+    if (!starts) throw new Error("Couldn't read this WebM file.");
+    return starts;
+  }
+  if (isMp4MimeType(mimeType)) {
+    const { file, info } = await parseMp4(blob);
+    const startOf = (track) => {
+      const trak = track && file.getTrackById(track.id);
+      const samples = trak ? trak.samples.slice(0, 16) : [];
+      if (!samples.length) return null;
+      return editListStartSec(trak, info.timescale) + Math.min(...samples.map((s) => s.cts)) / samples[0].timescale;
+    };
+    return { videoSec: startOf(info.videoTracks[0]), audioSec: startOf(info.audioTracks[0]) };
+  }
+  throw new Error("Only MP4 and WebM takes can be read.");
+}
+
+// Where a track's media time 0 lands on the movie timeline, per its edit list.
+function editListStartSec(trak, movieTimescale) {
+  let sec = 0;
+  for (const entry of trak.edts?.elst?.entries || []) {
+    if (entry.media_time !== -1) return sec - entry.media_time / trak.mdia.mdhd.timescale;
+    sec += entry.segment_duration / movieTimescale; // empty edit
+  }
+  return sec;
+}
+
+function codecPrefix(codec) {
+  return String(codec || "").split(".")[0];
+}
+
+function videoDescription(trak) {
+  const entry = trak.mdia.minf.stbl.stsd.entries[0];
+  const box = entry.avcC || entry.hvcC || entry.vpcC || entry.av1C;
+  if (!box) return undefined;
+  const stream = new MP4Box.DataStream(undefined, 0, MP4Box.DataStream.BIG_ENDIAN);
+  box.write(stream);
+  return new Uint8Array(stream.buffer, 8); // skip the box header
+}
+
+function audioDescription(trak) {
+  const entry = trak.mdia.minf.stbl.stsd.entries[0];
+  return entry.esds?.esd?.descs?.[0]?.descs?.[0]?.data; // AudioSpecificConfig
+}
+
+/**
+ * Collects StreamTarget output. mp4-muxer patches the mdat size once at the
+ * end, so writes before the current end overwrite what was already kept.
+ */
+function createOutputCollector() {
+  const parts = []; // { position, data }
+  let end = 0;
+
+  function onData(data, position) {
+    let offset = 0;
+    if (position < end) {
+      for (const part of parts) {
+        const from = Math.max(position, part.position);
+        const to = Math.min(position + data.length, part.position + part.data.length);
+        if (from < to) part.data.set(data.subarray(from - position, to - position), from - part.position);
+      }
+      offset = Math.min(data.length, end - position);
+    }
+    if (offset < data.length) {
+      parts.push({ position: position + offset, data: data.slice(offset) });
+      end = position + data.length;
+    }
+  }
+
+  function toBlob(type) {
+    return new Blob(
+      parts.map((p) => p.data),
+      { type }
+    );
+  }
+
+  return { onData, toBlob };
+}
+
+// `audioShiftSec` moves the audio against the video (see shiftTakeAudio).
+async function trimMp4(blob, { startSec, endSec, audioShiftSec = 0 }) {
+  const { file, info } = await parseMp4(blob);
+  const videoInfo = info.videoTracks[0];
+  const audioInfo = info.audioTracks[0];
+  if (!videoInfo) throw new Error("This take has no video track.");
+
+  const videoCodec = VIDEO_MUXER_CODECS[codecPrefix(videoInfo.codec)];
+  const audioCodec = audioInfo ? AUDIO_MUXER_CODECS[codecPrefix(audioInfo.codec)] : null;
+  if (!videoCodec || (audioInfo && !audioCodec)) {
+    throw new Error(`Fast trim can't copy ${videoInfo.codec}${audioInfo ? ` / ${audioInfo.codec}` : ""} streams.`);
+  }
+
+  const videoTrak = file.getTrackById(videoInfo.id);
+  const videoSamples = videoTrak.samples;
+  const seconds = (s, t) => t / s.timescale;
+  const audioSeconds = (s, t) => seconds(s, t) + audioShiftSec;
+
+  // Start on the last keyframe at or before the in point.
+  let first = 0;
+  videoSamples.forEach((s, i) => {
+    if (s.is_sync && seconds(s, s.cts) <= startSec) first = i;
+  });
+  const origin = seconds(videoSamples[first], videoSamples[first].cts);
+
+  const kept = [];
+  for (const s of videoSamples.slice(first)) {
+    if (seconds(s, s.cts) >= endSec) continue; // B-frames: keep scanning in decode order
+    kept.push({ track: "video", sample: s });
+  }
+  if (audioInfo) {
+    for (const s of file.getTrackById(audioInfo.id).samples) {
+      const t = audioSeconds(s, s.cts);
+      if (t >= origin && t < endSec) kept.push({ track: "audio", sample: s });
+    }
+  }
+  // File order keeps the reads sequential; each track stays in decode order.
+  kept.sort((a, b) => a.sample.offset - b.sample.offset);
+
+  const output = createOutputCollector();
+  const muxer = new Mp4Muxer({
+    target: new Mp4StreamTarget({ onData: output.onData }),
+    video: { codec: videoCodec, width: videoInfo.video.width, height: videoInfo.video.height },
+    audio: audioInfo && {
+      codec: audioCodec,
+      numberOfChannels: audioInfo.audio.channel_count,
+      sampleRate: audioInfo.audio.sample_rate
+    },
+    fastStart: false,
+    firstTimestampBehavior: "offset"
+  });
+
+  const us = (s, t) => Math.round(seconds(s, t) * 1e6) - Math.round(origin * 1e6);
+  const audioUs = (s, t) => Math.round(audioSeconds(s, t) * 1e6) - Math.round(origin * 1e6);
+  const videoMeta = { decoderConfig: { codec: videoInfo.codec, description: videoDescription(videoTrak) } };
+  const audioMeta = audioInfo && {
+    decoderConfig: {
+      codec: audioInfo.codec,
+      sampleRate: audioInfo.audio.sample_rate,
+      numberOfChannels: audioInfo.audio.channel_count,
+      description: audioDescription(file.getTrackById(audioInfo.id))
+    }
+  };
+
+  const reader = createBlobReader(blob, PARSE_CHUNK);
+  let durationUs = 0;
+  let audioStartUs = Infinity;
+  let sentVideoMeta = false;
+  let sentAudioMeta = false;
+  for (const { track, sample: s } of kept) {
+    const data = (await reader.bytes(s.offset, s.size)).slice();
+    const duration = Math.round((s.duration / s.timescale) * 1e6);
+    const timestamp = track === "video" ? us(s, s.cts) : audioUs(s, s.cts);
+    durationUs = Math.max(durationUs, timestamp + duration);
+    if (track === "video") {
+      muxer.addVideoChunkRaw(
+        data,
+        s.is_sync ? "key" : "delta",
+        timestamp,
+        duration,
+        sentVideoMeta ? undefined : videoMeta,
+        Math.round(((s.cts - s.dts) / s.timescale) * 1e6)
+      );
+      sentVideoMeta = true;
+    } else {
+      audioStartUs = Math.min(audioStartUs, timestamp);
+      muxer.addAudioChunkRaw(data, "key", timestamp, duration, sentAudioMeta ? undefined : audioMeta);
+      sentAudioMeta = true;
+    }
+  }
+  muxer.finalize();
+
+  // The muxer starts each track at 0 and writes no edit list, so a later
+  // audio start (kept audio never starts before the video) is put back with one.
+  let trimmed = output.toBlob(blob.type || "video/mp4");
+  if (Number.isFinite(audioStartUs) && audioStartUs > 0) {
+    trimmed = await delayMp4Track(trimmed, "soun", audioStartUs / 1e6);
+    if (!trimmed) throw new Error("Couldn't write the audio start into the trimmed MP4.");
+  }
+  return { blob: trimmed, startSec: origin, durationMs: Math.round(durationUs / 1000) };
+}
+
+function once(target, event, timeoutMs = 10_000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for the take to load (${event}).`)), timeoutMs);
+    target.addEventListener(
+      event,
+      () => {
+        clearTimeout(timer);
+        resolve();
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Frame-accurate trim by playing [startSec, endSec) and recording it again,
+ * with the WebCodecs engine where available (same container as the take).
+ *
+ * @returns {Promise<{ blob: Blob, mimeType: string, durationMs: number }>}
+ */
+export async function reencodeTrim(blob, mimeType, { startSec, endSec, frameRate = 30, onProgress }) {
+  const url = URL.createObjectURL(blob);
+  const video = document.createElement("video");
+  video.playsInline = true;
+  video.preload = "auto";
+  video.src = url;
+
+  const ctx = new AudioContext();
+  try {
+    await once(video, "loadedmetadata");
+    // Audio goes to the recorder only (not the speakers) through Web Audio.
+    const audioOut = ctx.createMediaStreamDestination();
+    ctx.createMediaElementSource(video).connect(audioOut);
+    await ctx.resume();
+
+    video.currentTime = startSec;
+    await once(video, "seeked");
+
+    const captured = video.captureStream ? video.captureStream() : video.mozCaptureStream();
+    const stream = new MediaStream([...captured.getVideoTracks(), ...audioOut.stream.getAudioTracks()]);
+
+    const container = isWebmMimeType(mimeType) ? "webm" : "mp4";
+    const recorder = isWebCodecsRecordingSupported()
+      ? createWebCodecsRecorder(stream, { container, frameRate, ...WEBCODECS_DEFAULT_BITRATES })
+      : new MediaRecorder(stream, {
+          mimeType: pickMimeType(mimeType) || undefined,
+          ...WEBCODECS_DEFAULT_BITRATES
+        });
+
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      recorder.ondataavailable = (ev) => {
+        if (ev.data?.size) chunks.push(ev.data);
+      };
+      recorder.onerror = (ev) => reject(ev.error || new Error("Re-encoding failed."));
+      recorder.onstop = resolve;
+    });
+
+    const stop = () => {
+      if (recorder.state === "inactive") return;
+      video.pause();
+      recorder.stop();
+    };
+    const watch = () => {
+      const t = video.currentTime;
+      onProgress?.(Math.min(1, (t - startSec) / (endSec - startSec)));
+      if (t >= endSec || video.ended) stop();
+      else if (video.requestVideoFrameCallback) video.requestVideoFrameCallback(watch);
+      else requestAnimationFrame(watch);
+    };
+    video.addEventListener("ended", stop, { once: true });
+
+    recorder.start();
+    await video.play();
+    watch();
+    await finished;
+
+    const outMime = recorder.mimeType || pickMimeType(mimeType) || mimeType;
+    let out = new Blob(chunks, { type: outMime });
+    let durationMs = Math.round((endSec - startSec) * 1000);
+    if (isWebmMimeType(outMime)) {
+      const fixed = await fixWebmMetadata(out);
+      out = fixed.blob;
+      durationMs = fixed.durationMs ?? durationMs;
+    }
+    return { blob: out, mimeType: outMime, durationMs };
+  } finally {
+    video.pause();
+    video.removeAttribute("src");
+    video.load();
+    URL.revokeObjectURL(url);
+    ctx.close().catch(() => {});
+  }
+}
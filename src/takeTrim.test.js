@@ -0,0 +1,57 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ArrayBufferTarget, Muxer } from "mp4-muxer";
+import { readTrackStarts, shiftTakeAudio } from "./takeTrim.js";
+
+// avcC with a stand-in SPS/PPS, and AAC-LC 48 kHz stereo: enough for the
+// boxes to parse; the samples are never decoded.
+const AVC_CONFIG = new Uint8Array([1, 0x42, 0, 0x1e, 0xff, 0xe1, 0, 4, 0x67, 0x42, 0, 0x1e, 1, 0, 2, 0x68, 0xce]);
+const AAC_CONFIG = new Uint8Array([0x11, 0x90]);
+const AAC_FRAME_US = (1024 / 48_000) * 1e6;
+
+// A 1 s take: 30 fps video (a keyframe each second) and AAC audio, both from 0.
+function makeMp4() {
+  const target = new ArrayBufferTarget();
+  const muxer = new Muxer({
+    target,
+    video: { codec: "avc", width: 64, height: 36 },
+    audio: { codec: "aac", numberOfChannels: 2, sampleRate: 48_000 },
+    fastStart: false
+  });
+  const video = { decoderConfig: { codec: "avc1.42001e", description: AVC_CONFIG } };
+  const audio = {
+    decoderConfig: { codec: "mp4a.40.2", sampleRate: 48_000, numberOfChannels: 2, description: AAC_CONFIG }
+  };
+  for (let i = 0; i < 30; i += 1) {
+    const us = Math.round((i * 1e6) / 30);
+    muxer.addVideoChunkRaw(new Uint8Array(100).fill(i), i === 0 ? "key" : "delta", us, 33_333, i ? undefined : video);
+  }
+  for (let i = 0; i < 46; i += 1) {
+    const us = Math.round(i * AAC_FRAME_US);
+    muxer.addAudioChunkRaw(new Uint8Array(20).fill(i), "key", us, Math.round(AAC_FRAME_US), i ? undefined : audio);
+  }
+  muxer.finalize();
+  return new Blob([target.buffer], { type: "video/mp4" });
+}
+
+describe("shiftTakeAudio (MP4)", () => {
+  it("delays the audio through an edit list", async () => {
+    const shifted = await shiftTakeAudio(makeMp4(), "video/mp4", 100);
+    const starts = await readTrackStarts(shifted, "video/mp4");
+
+    assert.equal(starts.videoSec, 0);
+    assert.ok(Math.abs(starts.audioSec - 0.1) < 0.002, `audio starts at ${starts.audioSec}`);
+  });
+
+  it("moves the audio earlier, dropping what falls before the first frame", async () => {
+    const shifted = await shiftTakeAudio(makeMp4(), "video/mp4", -50);
+    const starts = await readTrackStarts(shifted, "video/mp4");
+
+    // The first audio frame left starts 3 × 21.3 ms − 50 ms in.
+    assert.equal(starts.videoSec, 0);
+    assert.ok(
+      Math.abs(starts.audioSec - (3 * AAC_FRAME_US - 50_000) / 1e6) < 0.002,
+      `audio starts at ${starts.audioSec}`
+    );
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Minimal tus 1.0 client (https://tus.io/protocols/resumable-upload) on
+ * `fetch`: creation (with deferred length for uploads that start while
+ * recording), offset lookup, PATCH and termination. Works in the page and in
+ * the service worker.
+ *
+ * `target`: `{ endpoint, token }`. The token is sent as a Bearer
+ * `Authorization` header. The server has to allow CORS for this app's origin
+ * and expose `Location` and `Upload-Offset` (tusd does with its defaults).
+ *
+ * Errors carry `status` (the HTTP status, absent for network failures); see
+ * `isRetryableUploadError`.
+ */
+
+const TUS_VERSION = "1.0.0";
+
+function headers(target, extra = {}) {
+  return {
+    "Tus-Resumable": TUS_VERSION,
+    ...(target.token ? { Authorization: `Bearer ${target.token}` } : {}),
+    ...extra
+  };
+}
+
+function toBase64(text) {
+  let binary = "";
+  for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function encodeMetadata(metadata) {
+  return Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([key, value]) => `${key} ${toBase64(String(value))}`)
+    .join(",");
+}
+
+async function send(url, init, what) {
+  let res;
+  try {
+    res = await fetch(url, { ...init, cache: "no-store" });
+  } catch {
+    throw new Error(`Couldn't reach the upload server (${what}).`);
+  }
+  if (!res.ok) {
+    throw Object.assign(new Error(`The upload server refused the ${what} (HTTP ${res.status}).`), {
+      status: res.status
+    });
+  }
+  return res;
+}
+
+function readOffset(res) {
+  const offset = Number(res.headers.get("Upload-Offset"));
+  if (!Number.isFinite(offset) || offset < 0) {
+    throw Object.assign(new Error("The upload server didn't report an upload offset."), { status: res.status });
+  }
+  return offset;
+}
+
+/** Network failures, server errors and offset conflicts are worth another try; other 4xx are not. */
+export function isRetryableUploadError(error) {
+  const status = error?.status;
+  return !status || status >= 500 || [408, 409, 423, 429].includes(status);
+}
+
+/**
+ * Creates an upload and returns its URL. Without `size` the length is
+ * deferred (the server must support `creation-defer-length`) and declared
+ * by the last PATCH.
+ */
+export async function createUpload(target, { size = null, metadata = {} }) {
+  const res = await send(
+    target.endpoint,
+    {
+      method: "POST",
+      headers: headers(target, {
+        ...(size === null ? { "Upload-Defer-Length": "1" } : { "Upload-Length": String(size) }),
+        "Upload-Metadata": encodeMetadata(metadata)
+      })
+    },
+    "new upload"
+  );
+  const location = res.headers.get("Location");
+  if (!location) throw new Error("The upload server didn't return an upload URL.");
+  return new URL(location, target.endpoint).href;
+}
+
+/** How many bytes of the upload the server already has. 404/410 mean it expired. */
+export async function getUploadOffset(uploadUrl, target) {
+  const res = await send(uploadUrl, { method: "HEAD", headers: headers(target) }, "offset check");
+  return readOffset(res);
+}
+
+/**
+ * Sends `body` at `offset` and returns the new offset. `length` declares the
+ * total size of a deferred-length upload (on its last PATCH).
+ */
+export async function patchUpload(uploadUrl, target, offset, body, { length } = {}) {
+  const res = await send(
+    uploadUrl,
+    {
+      method: "PATCH",
+      headers: headers(target, {
+        "Upload-Offset": String(offset),
+        "Content-Type": "application/offset+octet-stream",
+        ...(length !== undefined ? { "Upload-Length": String(length) } : {})
+      }),
+      body
+    },
+    "upload data"
+  );
+  return readOffset(res);
+}
+
+/** Best effort: servers without the termination extension let it expire instead. */
+export async function terminateUpload(uploadUrl, target) {
+  try {
+    await send(uploadUrl, { method: "DELETE", headers: headers(target) }, "cancellation");
+  } catch {
+    // ignore
+  }
+}
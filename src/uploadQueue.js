@@ -0,0 +1,328 @@
+import { deleteUpload, listUploads, loadTakeBlob, putUpload, updateUpload } from "./recordingStore.js";
+import { makeTakeFilename } from "./takeFiles.js";
+import { createUpload, getUploadOffset, isRetryableUploadError, patchUpload, terminateUpload } from "./tusClient.js";
+
+/**
+ * Uploading takes to a self-hosted tus server.
+ *
+ * - Queue: library takes waiting to go up, persisted in IndexedDB with their
+ *   upload URL and confirmed offset, so an upload resumes where it stopped
+ *   after a network drop, a reload or an app restart. Entries carry the
+ *   endpoint and token because the service worker (which retries in the
+ *   background via Background Sync) can't read localStorage.
+ * - Live upload: while recording, the recorder's chunks are sent as they
+ *   arrive, with the length declared at the end. The server gets the take as
+ *   recorded; the seek index and chapters written afterwards only go into the
+ *   library copy. If the take is trimmed, the live upload fails, or it can't
+ *   finish in time, it is cancelled and the library take is queued instead.
+ *
+ * Only one context (tab or service worker) works through the queue at a time
+ * (Web Locks).
+ *
+ * Entry statuses: "queued" | "uploading" | "waiting" (retry later) |
+ * "failed" (needs the user, e.g. a wrong token) | "done".
+ */
+
+const STORAGE_KEY = "hfr.upload";
+const LOCK_NAME = "hfr-upload-queue";
+export const UPLOAD_SYNC_TAG = "hfr-upload";
+const CHUNK_BYTES = 8 * 1024 * 1024;
+const PENDING = ["queued", "uploading", "waiting"];
+
+export const DEFAULT_UPLOAD_SETTINGS = {
+  enabled: false,
+  endpoint: "",
+  token: "",
+  whileRecording: true
+};
+
+export function loadUploadSettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return normalizeUploadSettings(parsed);
+  } catch {
+    return normalizeUploadSettings({});
+  }
+}
+
+export function saveUploadSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore
+  }
+}
+
+export function normalizeUploadSettings(s) {
+  const d = DEFAULT_UPLOAD_SETTINGS;
+  return {
+    enabled: Boolean(s.enabled),
+    endpoint: typeof s.endpoint === "string" ? s.endpoint.trim() : d.endpoint,
+    token: typeof s.token === "string" ? s.token.trim() : d.token,
+    whileRecording: s.whileRecording === undefined ? d.whileRecording : Boolean(s.whileRecording)
+  };
+}
+
+export function isValidEndpoint(endpoint) {
+  try {
+    return ["http:", "https:"].includes(new URL(endpoint).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/** The `{ endpoint, token }` to upload to, or null while uploading is off or unusable. */
+export function uploadTargetOf(settings) {
+  if (!settings.enabled || !isValidEndpoint(settings.endpoint)) return null;
+  return { endpoint: settings.endpoint, token: settings.token };
+}
+
+export function isPendingUpload(entry) {
+  return PENDING.includes(entry.status);
+}
+
+function takeMetadata({ name, mimeType }) {
+  return { filename: makeTakeFilename(name, mimeType), filetype: mimeType, name };
+}
+
+function newEntry(take, target, patch) {
+  const now = Date.now();
+  return {
+    id: take.id,
+    takeId: take.id,
+    name: take.name,
+    mimeType: take.mimeType,
+    size: take.size,
+    endpoint: target.endpoint,
+    token: target.token,
+    uploadUrl: null,
+    offset: 0,
+    status: "queued",
+    error: "",
+    createdAt: now,
+    updatedAt: now,
+    ...patch
+  };
+}
+
+/** Queues a library take (as returned by `saveTake`). */
+export function enqueueUpload(take, target) {
+  return putUpload(newEntry(take, target));
+}
+
+/** Records a take whose live upload already completed. */
+export function recordFinishedUpload(take, target, { uploadUrl, size }) {
+  return putUpload(newEntry(take, target, { uploadUrl, offset: size, size, status: "done" }));
+}
+
+/** Puts an entry back in the queue with the current target (e.g. after fixing the token). */
+export function retryUpload(entry, target) {
+  const sameServer = entry.endpoint === target.endpoint;
+  return updateUpload(entry.id, {
+    endpoint: target.endpoint,
+    token: target.token,
+    uploadUrl: sameServer ? entry.uploadUrl : null,
+    offset: sameServer ? entry.offset : 0,
+    status: "queued",
+    error: ""
+  });
+}
+
+/** Drops an entry; an unfinished upload is cancelled on the server. */
+export async function removeUpload(entry) {
+  await deleteUpload(entry.id);
+  if (entry.uploadUrl && entry.status !== "done") terminateUpload(entry.uploadUrl, entry);
+}
+
+let localRun = null; // fallback for browsers without Web Locks (one tab at a time)
+
+function withQueueLock(fn) {
+  if (typeof navigator !== "undefined" && navigator.locks) {
+    // ifAvailable: another tab or the service worker is already on it.
+    return navigator.locks.request(LOCK_NAME, { ifAvailable: true }, (lock) => (lock ? fn() : null));
+  }
+  if (localRun) return Promise.resolve(null);
+  localRun = fn().finally(() => {
+    localRun = null;
+  });
+  return localRun;
+}
+
+async function uploadEntry(entry, onProgress) {
+  let blob;
+  try {
+    blob = await loadTakeBlob(entry.takeId);
+  } catch (e) {
+    return updateUpload(entry.id, { status: "failed", error: e?.message || "The take's file is missing." });
+  }
+
+  const target = { endpoint: entry.endpoint, token: entry.token };
+  let { uploadUrl, offset } = entry;
+  try {
+    if (uploadUrl) {
+      try {
+        offset = await getUploadOffset(uploadUrl, target);
+      } catch (e) {
+        if (isRetryableUploadError(e)) throw e;
+        uploadUrl = null; // expired or gone; start over
+      }
+    }
+    if (!uploadUrl) {
+      uploadUrl = await createUpload(target, { size: blob.size, metadata: takeMetadata(entry) });
+      offset = 0;
+    }
+
+    let current = await updateUpload(entry.id, { uploadUrl, offset, size: blob.size, status: "uploading", error: "" });
+    while (current && offset < blob.size) {
+      onProgress?.(current);
+      offset = await patchUpload(uploadUrl, target, offset, blob.slice(offset, offset + CHUNK_BYTES));
+      current = await updateUpload(entry.id, { offset });
+    }
+    // null: removed from the queue while uploading.
+    if (!current) return null;
+    current = await updateUpload(entry.id, { status: "done", completedAt: Date.now() });
+    onProgress?.(current);
+    return current;
+  } catch (e) {
+    const current = await updateUpload(entry.id, {
+      uploadUrl,
+      offset,
+      status: isRetryableUploadError(e) ? "waiting" : "failed",
+      error: e?.message || "Upload failed."
+    });
+    if (current) onProgress?.(current);
+    return current;
+  }
+}
+
+/**
+ * Works through the queue, one take at a time, trying each pending entry
+ * once. Resolves to `{ pending }` (entries still waiting), or null if
+ * another context is already running the queue.
+ *
+ * @param {{ onProgress?: (entry: object) => void }} options
+ */
+export function processUploadQueue({ onProgress } = {}) {
+  return withQueueLock(async () => {
+    const tried = new Set();
+    for (;;) {
+      // Re-read each time: entries may have been added or removed meanwhile.
+      const next = (await listUploads()).find((e) => isPendingUpload(e) && !tried.has(e.id));
+      if (!next) break;
+      tried.add(next.id);
+      await uploadEntry(next, onProgress);
+    }
+    const pending = (await listUploads()).filter(isPendingUpload).length;
+    return { pending };
+  });
+}
+
+/** Asks the service worker to retry when the browser is back online (Background Sync; Chromium only). */
+export async function requestBackgroundRetry() {
+  try {
+    const registration = await navigator.serviceWorker?.ready;
+    await registration?.sync?.register(UPLOAD_SYNC_TAG);
+    return Boolean(registration?.sync);
+  } catch {
+    return false;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Uploads a take while it is being recorded. `append` every chunk from
+ * `ondataavailable`; `finish` once recording stopped and the take is kept.
+ * Network drops are retried with backoff (resuming at the offset the server
+ * confirms); once finishing, a few failed attempts in a row give up so the
+ * queue can take over.
+ *
+ * @returns {{ append(blob: Blob): void, finish(): Promise<{ uploadUrl, size } | null>, abort(): void }}
+ */
+export function createLiveUpload(target, { name, mimeType }) {
+  let uploadUrl = null;
+  let backlog = new Blob([]); // appended, not yet confirmed by the server
+  let offset = 0; // confirmed bytes; where `backlog` starts
+  let total = 0;
+  let isFinal = false; // no more chunks; the last PATCH declares the length
+  let isDone = false;
+  let state = "running"; // "running" | "failed" | "aborted"
+  let needsResync = false;
+  let loop = null;
+
+  const hasWork = () => state === "running" && !isDone && (!uploadUrl || needsResync || backlog.size > 0 || isFinal);
+
+  async function step() {
+    if (!uploadUrl) {
+      uploadUrl = await createUpload(target, { metadata: takeMetadata({ name, mimeType }) });
+      return;
+    }
+    if (needsResync) {
+      const confirmed = await getUploadOffset(uploadUrl, target);
+      backlog = backlog.slice(confirmed - offset);
+      offset = confirmed;
+      needsResync = false;
+      return;
+    }
+    const body = backlog.slice(0, CHUNK_BYTES);
+    const isLast = isFinal && body.size === backlog.size;
+    const confirmed = await patchUpload(uploadUrl, target, offset, body, isLast ? { length: total } : {});
+    backlog = backlog.slice(confirmed - offset);
+    offset = confirmed;
+    if (isLast && offset === total) isDone = true;
+  }
+
+  async function drain() {
+    let retryMs = 1000;
+    let finalFailures = 0;
+    while (hasWork()) {
+      try {
+        await step();
+        retryMs = 1000;
+        finalFailures = 0;
+      } catch (e) {
+        if (!isRetryableUploadError(e) || (isFinal && ++finalFailures >= 3)) {
+          state = "failed";
+          break;
+        }
+        needsResync = Boolean(uploadUrl);
+        await sleep(retryMs);
+        retryMs = Math.min(retryMs * 2, 30_000);
+      }
+    }
+  }
+
+  function kick() {
+    if (loop) return;
+    loop = drain().finally(() => {
+      loop = null;
+      if (hasWork()) kick();
+    });
+  }
+
+  kick();
+
+  return {
+    append(blob) {
+      if (state !== "running" || isFinal) return;
+      backlog = new Blob([backlog, blob]);
+      total += blob.size;
+      kick();
+    },
+
+    async finish() {
+      isFinal = true;
+      kick();
+      while (loop) await loop;
+      if (isDone) return { uploadUrl, size: total };
+      if (uploadUrl) terminateUpload(uploadUrl, target);
+      return null;
+    },
+
+    abort() {
+      if (state !== "running") return;
+      state = "aborted";
+      Promise.resolve(loop).then(() => uploadUrl && terminateUpload(uploadUrl, target));
+    }
+  };
+}
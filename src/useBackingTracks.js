@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useState } from "react";
+import { deleteBackingTrack, listBackingTracks, saveBackingTrack } from "./recordingStore.js";
+
+/**
+ * Backing tracks kept in IndexedDB for play-along.
+ *
+ * Notes:
+ * - Files are stored as picked; whether the browser can decode one only shows
+ *   when it is first played.
+ * - All mutations refresh the list.
+ */
+export function useBackingTracks() {
+  const [tracks, setTracks] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setTracks(await listBackingTracks());
+    } catch {
+      setTracks([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const addTrack = useCallback(
+    async (file) => {
+      const track = await saveBackingTrack(file);
+      await refresh();
+      return track;
+    },
+    [refresh]
+  );
+
+  const removeTrack = useCallback(
+    async (id) => {
+      await deleteBackingTrack(id);
+      await refresh();
+    },
+    [refresh]
+  );
+
+  return { tracks, addTrack, removeTrack };
+}
@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const STORAGE_KEY = "hfr.inputDevices";
+
+/**
+ * Saved camera/mic choice. Empty strings mean "browser default" (for the
+ * second camera: none).
+ */
+export function loadDevicePrefs() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    const str = (v) => (typeof v === "string" ? v : "");
+    return {
+      videoDeviceId: str(parsed.videoDeviceId),
+      audioDeviceId: str(parsed.audioDeviceId),
+      secondVideoDeviceId: str(parsed.secondVideoDeviceId)
+    };
+  } catch {
+    return { videoDeviceId: "", audioDeviceId: "", secondVideoDeviceId: "" };
+  }
+}
+
+function saveDevicePrefs(prefs) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+  } catch {
+    // ignore; private mode / quota
+  }
+}
+
+function toInputList(devices, kind) {
+  let n = 0;
+  return devices
+    .filter((d) => d.kind === kind && d.deviceId)
+    .map((d) => {
+      n += 1;
+      const fallback = kind === "videoinput" ? `Camera ${n}` : `Microphone ${n}`;
+      return { deviceId: d.deviceId, groupId: d.groupId, label: d.label || fallback };
+    });
+}
+
+/**
+ * Lists camera/microphone inputs and keeps the user's preferred pair.
+ *
+ * Notes:
+ * - Labels stay empty until the page has media permission, so call `refresh()`
+ *   again after getUserMedia succeeds.
+ * - `onDeviceChange({ added, removed })` fires on hot-plug (USB interfaces,
+ *   webcams) after the lists have been updated.
+ */
+export function useMediaDevices({ onDeviceChange } = {}) {
+  const [videoInputs, setVideoInputs] = useState([]);
+  const [audioInputs, setAudioInputs] = useState([]);
+  const [prefs, setPrefs] = useState(loadDevicePrefs);
+
+  const knownRef = useRef(null); // Map<deviceId, input> from the last enumeration
+  const onDeviceChangeRef = useRef(onDeviceChange);
+  onDeviceChangeRef.current = onDeviceChange;
+
+  const refresh = useCallback(async ({ notify = false } = {}) => {
+    if (!navigator.mediaDevices?.enumerateDevices) return;
+    let devices = [];
+    try {
+      devices = await navigator.mediaDevices.enumerateDevices();
+    } catch {
+      return;
+    }
+
+    const video = toInputList(devices, "videoinput").map((d) => ({ ...d, kind: "videoinput" }));
+    const audio = toInputList(devices, "audioinput").map((d) => ({ ...d, kind: "audioinput" }));
+    setVideoInputs(video);
+    setAudioInputs(audio);
+
+    const next = new Map([...video, ...audio].map((d) => [d.deviceId, d]));
+    const prev = knownRef.current;
+    knownRef.current = next;
+
+    if (!notify || !prev) return;
+    const added = [...next.values()].filter((d) => !prev.has(d.deviceId));
+    const removed = [...prev.values()].filter((d) => !next.has(d.deviceId));
+    if (added.length || removed.length) {
+      onDeviceChangeRef.current?.({ added, removed });
+    }
+  }, []);
+
+  useEffect(() => {
+    const md = navigator.mediaDevices;
+    if (!md) return undefined;
+
+    refresh();
+    const onChange = () => refresh({ notify: true });
+    md.addEventListener?.("devicechange", onChange);
+    return () => md.removeEventListener?.("devicechange", onChange);
+  }, [refresh]);
+
+  const updatePrefs = useCallback((patch) => {
+    const next = { ...loadDevicePrefs(), ...patch };
+    saveDevicePrefs(next);
+    setPrefs(next);
+    return next;
+  }, []);
+
+  return {
+    videoInputs,
+    audioInputs,
+    prefs,
+    updatePrefs,
+    refresh
+  };
+}
@@ -0,0 +1,18 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Object URL for a Blob, revoked when the Blob changes or on unmount.
+ */
+export function useObjectUrl(blob) {
+  const [url, setUrl] = useState("");
+  useEffect(() => {
+    if (!blob) {
+      setUrl("");
+      return undefined;
+    }
+    const u = URL.createObjectURL(blob);
+    setUrl(u);
+    return () => URL.revokeObjectURL(u);
+  }, [blob]);
+  return url;
+}
@@ -0,0 +1,71 @@
+import { useCallback, useState } from "react";
+import { DEFAULT_PROFILE, loadProfiles, makeProfileId, saveProfiles } from "./recordingProfiles.js";
+
+/**
+ * Named recording profiles persisted in localStorage.
+ *
+ * Notes:
+ * - Edits apply to the active profile directly; `saveProfileAs` clones it.
+ * - The built-in "Default" profile can be edited but not deleted.
+ * - Every mutation returns the resulting active profile so callers can apply it
+ *   right away without waiting for a re-render.
+ */
+export function useRecordingProfiles() {
+  const [state, setState] = useState(loadProfiles);
+
+  const activeProfile = state.profiles.find((p) => p.id === state.activeId) || state.profiles[0];
+
+  const commit = useCallback((next) => {
+    saveProfiles(next);
+    setState(next);
+    return next.profiles.find((p) => p.id === next.activeId) || next.profiles[0];
+  }, []);
+
+  const selectProfile = useCallback(
+    (id) => {
+      const current = loadProfiles();
+      if (!current.profiles.some((p) => p.id === id)) return null;
+      return commit({ ...current, activeId: id });
+    },
+    [commit]
+  );
+
+  const updateActiveProfile = useCallback(
+    (patch) => {
+      const current = loadProfiles();
+      const profiles = current.profiles.map((p) => (p.id === current.activeId ? { ...p, ...patch, id: p.id } : p));
+      return commit({ ...current, profiles });
+    },
+    [commit]
+  );
+
+  const saveProfileAs = useCallback(
+    (name) => {
+      const current = loadProfiles();
+      const source = current.profiles.find((p) => p.id === current.activeId) || DEFAULT_PROFILE;
+      const profile = { ...source, id: makeProfileId(), name: name.trim() || "Untitled" };
+      return commit({ profiles: [...current.profiles, profile], activeId: profile.id });
+    },
+    [commit]
+  );
+
+  const deleteProfile = useCallback(
+    (id) => {
+      if (id === DEFAULT_PROFILE.id) return null;
+      const current = loadProfiles();
+      const profiles = current.profiles.filter((p) => p.id !== id);
+      const activeId = current.activeId === id ? DEFAULT_PROFILE.id : current.activeId;
+      return commit({ profiles, activeId });
+    },
+    [commit]
+  );
+
+  return {
+    profiles: state.profiles,
+    activeProfile,
+    selectProfile,
+    updateActiveProfile,
+    saveProfileAs,
+    deleteProfile
+  };
+}
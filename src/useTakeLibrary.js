@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useState } from "react";
+import { deleteTake, listTakes, loadTakeBlob, loadTakeSidecar, saveTake, updateTake } from "./recordingStore.js";
+
+/**
+ * React view of the take library in IndexedDB plus a storage usage summary.
+ *
+ * Notes:
+ * - `storage` comes from `navigator.storage.estimate()` and covers the whole
+ *   origin (library, crash-recovery sessions, service worker cache).
+ * - All mutations refresh the list and the estimate.
+ */
+export function useTakeLibrary() {
+  const [takes, setTakes] = useState([]);
+  const [storage, setStorage] = useState(null); // { usage, quota } | null
+  const [isLoading, setIsLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      setTakes(await listTakes());
+    } catch {
+      setTakes([]);
+    } finally {
+      setIsLoading(false);
+    }
+    try {
+      const estimate = await navigator.storage?.estimate?.();
+      setStorage(estimate ? { usage: estimate.usage ?? 0, quota: estimate.quota ?? 0 } : null);
+    } catch {
+      setStorage(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const addTake = useCallback(
+    async (meta, blob, sidecars) => {
+      const take = await saveTake(meta, blob, sidecars);
+      await refresh();
+      return take;
+    },
+    [refresh]
+  );
+
+  const renameTake = useCallback(
+    async (takeId, name) => {
+      await updateTake(takeId, { name });
+      await refresh();
+    },
+    [refresh]
+  );
+
+  const removeTake = useCallback(
+    async (takeId) => {
+      await deleteTake(takeId);
+      await refresh();
+    },
+    [refresh]
+  );
+
+  return {
+    takes,
+    storage,
+    isLoading,
+    refresh,
+    addTake,
+    renameTake,
+    removeTake,
+    loadTakeBlob,
+    loadTakeSidecar
+  };
+}
@@ -0,0 +1,138 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { listUploads } from "./recordingStore.js";
+import {
+  enqueueUpload,
+  isPendingUpload,
+  processUploadQueue,
+  recordFinishedUpload,
+  removeUpload,
+  requestBackgroundRetry,
+  retryUpload,
+  uploadTargetOf
+} from "./uploadQueue.js";
+
+const RETRY_MS = 60_000;
+const POLL_MS = 2000;
+
+/**
+ * React view of the upload queue (see uploadQueue.js), and the page side of
+ * running it.
+ *
+ * Notes:
+ * - The queue runs on mount (resuming whatever a previous session left), when
+ *   the browser comes back online, every minute while something is waiting,
+ *   and whenever a take is added. Only while uploading is enabled.
+ * - When entries are still waiting after a run, Background Sync is asked to
+ *   retry from the service worker, so uploads finish after the app is closed.
+ * - Progress of runs in another tab or the service worker is picked up by
+ *   polling IndexedDB while an entry says "uploading".
+ */
+export function useUploadQueue(settings) {
+  const [entries, setEntries] = useState([]);
+  const target = uploadTargetOf(settings);
+  const targetRef = useRef(target);
+
+  useEffect(() => {
+    targetRef.current = target;
+  });
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await listUploads());
+    } catch {
+      setEntries([]);
+    }
+  }, []);
+
+  const run = useCallback(async () => {
+    if (!targetRef.current) return;
+    try {
+      const result = await processUploadQueue({
+        onProgress: (entry) => setEntries((list) => list.map((e) => (e.id === entry.id ? entry : e)))
+      });
+      if (result?.pending) requestBackgroundRetry();
+    } catch {
+      // storage unavailable; nothing to upload from
+    }
+    await refresh();
+  }, [refresh]);
+
+  const isEnabled = Boolean(target);
+  useEffect(() => {
+    refresh();
+    if (!isEnabled) return;
+    run();
+    window.addEventListener("online", run);
+    return () => window.removeEventListener("online", run);
+  }, [isEnabled, refresh, run]);
+
+  const hasWaiting = entries.some((e) => e.status === "waiting" || e.status === "queued");
+  const hasUploading = entries.some((e) => e.status === "uploading");
+  useEffect(() => {
+    if (!isEnabled || !hasWaiting) return;
+    const timer = setInterval(run, RETRY_MS);
+    return () => clearInterval(timer);
+  }, [isEnabled, hasWaiting, run]);
+
+  useEffect(() => {
+    if (!hasUploading) return;
+    const timer = setInterval(refresh, POLL_MS);
+    return () => clearInterval(timer);
+  }, [hasUploading, refresh]);
+
+  /**
+   * Takes over a take that was just saved to the library: completes its live
+   * upload if there is one, otherwise (or if that fails) queues the file.
+   */
+  const handOff = useCallback(
+    async (take, liveUpload) => {
+      const target = targetRef.current;
+      const finished = liveUpload ? await liveUpload.finish() : null;
+      if (!take || !target) return;
+      try {
+        if (finished) await recordFinishedUpload(take, target, finished);
+        else await enqueueUpload(take, target);
+      } catch {
+        return; // storage unavailable
+      }
+      await refresh();
+      if (!finished) run();
+    },
+    [refresh, run]
+  );
+
+  const retry = useCallback(
+    async (entry) => {
+      if (!targetRef.current) return;
+      await retryUpload(entry, targetRef.current);
+      await refresh();
+      run();
+    },
+    [refresh, run]
+  );
+
+  const remove = useCallback(
+    async (entry) => {
+      await removeUpload(entry);
+      await refresh();
+    },
+    [refresh]
+  );
+
+  const clearFinished = useCallback(async () => {
+    for (const entry of entries) {
+      if (entry.status === "done") await removeUpload(entry);
+    }
+    await refresh();
+  }, [entries, refresh]);
+
+  return {
+    entries,
+    pendingCount: entries.filter(isPendingUpload).length,
+    isEnabled,
+    handOff,
+    retry,
+    remove,
+    clearFinished
+  };
+}
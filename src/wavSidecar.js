@@ -0,0 +1,284 @@
+/**
+ * Lossless WAV sidecar: a parallel capture of the raw mic track through an
+ * AudioWorklet (wavSidecarWorklet.js), kept next to the take under the same
+ * base name. The take's own AAC/Opus audio is unchanged; the sidecar is for
+ * mixing, replacing that audio in an editor.
+ *
+ * - Sample rate: the mic's own (from its track settings), captured in a
+ *   dedicated AudioContext at that rate. Where that context can't run or
+ *   can't take the mic, the shared one (at the output device's rate) is used.
+ * - Channels: all of the track's channels, no up/down-mixing.
+ * - Alignment: the file starts at the video's first frame. The recorder's
+ *   start is mapped onto the audio clock; samples before it are dropped and,
+ *   if capture started late, the gap is filled with silence. The device's
+ *   input latency is not compensated.
+ * - WAV tops out at 4 GB (about 4 h of 24-bit stereo at 48 kHz); anything
+ *   past that is cut.
+ * - Kept in memory only (no crash recovery), like per-camera files.
+ */
+
+export const WAV_SIDECAR_FORMATS = [
+  { id: "off", label: "Off" },
+  { id: "pcm24", label: "WAV, 24-bit PCM" },
+  { id: "float32", label: "WAV, 32-bit float" }
+];
+
+// Encoded blocks are gathered into one Blob every ~1 MB, so long takes don't
+// become tens of thousands of tiny parts.
+const FLUSH_BYTES = 1024 * 1024;
+const MAX_HEADER_BYTES = 80;
+const MAX_RIFF_BYTES = 0xffffffff;
+
+// KSDATAFORMAT_SUBTYPE_* GUIDs after their leading format code.
+const SUBTYPE_GUID_TAIL = [0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xaa, 0x00, 0x38, 0x9b, 0x71];
+
+export function isWavSidecarSupported() {
+  return typeof AudioWorkletNode !== "undefined";
+}
+
+function bytesPerSample(format) {
+  return format === "float32" ? 4 : 3;
+}
+
+/**
+ * Interleaves planar Float32 channels into little-endian WAV sample data.
+ * 24-bit samples are clipped to full scale; float samples are kept as-is.
+ */
+export function encodeFrames(channels, format) {
+  const channelCount = channels.length;
+  const frames = channels[0]?.length || 0;
+  const size = bytesPerSample(format);
+  const view = new DataView(new ArrayBuffer(frames * channelCount * size));
+  let pos = 0;
+  for (let i = 0; i < frames; i += 1) {
+    for (let c = 0; c < channelCount; c += 1) {
+      const s = channels[c][i];
+      if (format === "float32") {
+        view.setFloat32(pos, s, true);
+      } else {
+        const clipped = Math.max(-1, Math.min(1, s));
+        const v = Math.round(clipped < 0 ? clipped * 0x800000 : clipped * 0x7fffff);
+        view.setUint8(pos, v & 0xff);
+        view.setUint8(pos + 1, (v >> 8) & 0xff);
+        view.setUint8(pos + 2, (v >> 16) & 0xff);
+      }
+      pos += size;
+    }
+  }
+  return view.buffer;
+}
+
+/**
+ * RIFF/WAVE header for `frames` frames: plain PCM or IEEE float (with its
+ * `fact` chunk), and WAVE_FORMAT_EXTENSIBLE above two channels.
+ */
+export function wavHeader({ format, sampleRate, channelCount, frames }) {
+  const isFloat = format === "float32";
+  const isExtensible = channelCount > 2;
+  const size = bytesPerSample(format);
+  const blockAlign = size * channelCount;
+  const fmtSize = isExtensible ? 40 : isFloat ? 18 : 16;
+  const headerSize = 12 + 8 + fmtSize + (isFloat ? 12 : 0) + 8;
+  const dataBytes = frames * blockAlign;
+
+  const view = new DataView(new ArrayBuffer(headerSize));
+  let pos = 0;
+  const str = (s) => {
+    for (const ch of s) view.setUint8(pos++, ch.charCodeAt(0));
+  };
+  const u16 = (v) => {
+    view.setUint16(pos, v, true);
+    pos += 2;
+  };
+  const u32 = (v) => {
+    view.setUint32(pos, v, true);
+    pos += 4;
+  };
+
+  str("RIFF");
+  u32(headerSize - 8 + dataBytes);
+  str("WAVE");
+  str("fmt ");
+  u32(fmtSize);
+  u16(isExtensible ? 0xfffe : isFloat ? 3 : 1);
+  u16(channelCount);
+  u32(sampleRate);
+  u32(sampleRate * blockAlign);
+  u16(blockAlign);
+  u16(size * 8);
+  if (isExtensible) {
+    u16(22);
+    u16(size * 8);
+    u32(0); // no speaker positions: interface inputs aren't speakers
+    u16(isFloat ? 3 : 1);
+    for (const b of SUBTYPE_GUID_TAIL) view.setUint8(pos++, b);
+  } else if (isFloat) {
+    u16(0);
+  }
+  if (isFloat) {
+    str("fact");
+    u32(4);
+    u32(frames);
+  }
+  str("data");
+  u32(dataBytes);
+  return view.buffer;
+}
+
+/**
+ * The sidecar file for a take. `startSec` / `durationMs` cut it the same way
+ * as the video (e.g. after a review trim), so it stays aligned.
+ *
+ * @param {{ format, sampleRate, channelCount, data: Blob, frames }} audio - from `stop()`
+ */
+export function makeWavFile(audio, { startSec = 0, durationMs = null } = {}) {
+  const blockAlign = bytesPerSample(audio.format) * audio.channelCount;
+  const from = Math.min(audio.frames, Math.max(0, Math.round(startSec * audio.sampleRate)));
+  let frames = audio.frames - from;
+  if (Number.isFinite(durationMs)) frames = Math.min(frames, Math.round((durationMs / 1000) * audio.sampleRate));
+  frames = Math.min(frames, Math.floor((MAX_RIFF_BYTES - MAX_HEADER_BYTES) / blockAlign));
+  const data = audio.data.slice(from * blockAlign, (from + frames) * blockAlign);
+  return new Blob([wavHeader({ ...audio, frames }), data], { type: "audio/wav" });
+}
+
+/**
+ * `perfMs` (a `performance.now()` time) on the context's clock. `currentTime`
+ * is the render clock the worklet's `currentFrame` counts.
+ */
+export function contextTimeAt(ctx, perfMs) {
+  return ctx.currentTime + (perfMs - performance.now()) / 1000;
+}
+
+async function openCaptureContext(track, shared) {
+  const micOnly = new MediaStream([track]);
+  const rate = track.getSettings?.().sampleRate;
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (rate && AudioCtx && shared?.sampleRate !== rate) {
+    let ctx = null;
+    try {
+      ctx = new AudioCtx({ sampleRate: rate });
+      if (ctx.state !== "running") await Promise.race([ctx.resume(), new Promise((r) => setTimeout(r, 500))]);
+      if (ctx.state === "running") return { ctx, source: ctx.createMediaStreamSource(micOnly), isOwnContext: true };
+    } catch {
+      // e.g. Firefox can't connect a mic to a context at another rate
+    }
+    ctx?.close().catch(() => {});
+  }
+  if (!shared) throw new Error("Audio isn't running, so the WAV sidecar can't be recorded.");
+  return { ctx: shared, source: shared.createMediaStreamSource(micOnly), isOwnContext: false };
+}
+
+/**
+ * Starts capturing `track` right away; call `markStart` with the video's
+ * start once the recorder is running.
+ *
+ * @param {MediaStreamTrack} track - the raw mic track
+ * @param {{ format: "pcm24" | "float32", context?: AudioContext }} options -
+ *   `context`: the app's running context, used if a dedicated one can't be
+ */
+export async function startWavSidecar(track, { format, context = null }) {
+  const { ctx, source, isOwnContext } = await openCaptureContext(track, context);
+  const channelCount = Math.max(1, Math.min(32, track.getSettings?.().channelCount || 1));
+
+  let node;
+  try {
+    await ctx.audioWorklet.addModule(new URL("./wavSidecarWorklet.js", import.meta.url));
+    node = new AudioWorkletNode(ctx, "wav-capture", {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [1],
+      channelCount,
+      channelCountMode: "explicit",
+      channelInterpretation: "discrete",
+      processorOptions: { channelCount }
+    });
+  } catch (e) {
+    if (isOwnContext) ctx.close().catch(() => {});
+    throw e;
+  }
+
+  // The node only runs while it is pulled, so feed it into a muted sink.
+  const sink = ctx.createGain();
+  sink.gain.value = 0;
+  source.connect(node);
+  node.connect(sink);
+  sink.connect(ctx.destination);
+
+  const blockAlign = bytesPerSample(format) * channelCount;
+  let data = new Blob([]);
+  let pending = [];
+  let pendingBytes = 0;
+  let frames = 0;
+  let firstFrame = null; // context frame of the first captured sample
+  let startFrame = null; // context frame of the video's first frame
+  let onStopped = null;
+
+  function flush() {
+    if (!pending.length) return;
+    data = new Blob([data, ...pending]);
+    pending = [];
+    pendingBytes = 0;
+  }
+
+  node.port.onmessage = (e) => {
+    if (e.data?.type === "data") {
+      firstFrame ??= e.data.frame;
+      const encoded = encodeFrames(e.data.channels, format);
+      pending.push(encoded);
+      pendingBytes += encoded.byteLength;
+      frames += e.data.channels[0].length;
+      if (pendingBytes >= FLUSH_BYTES) flush();
+    } else if (e.data?.type === "stopped") {
+      onStopped?.();
+    }
+  };
+  node.port.postMessage({ type: "start" });
+
+  function teardown() {
+    node.port.onmessage = null;
+    try {
+      source.disconnect();
+      node.disconnect();
+      sink.disconnect();
+    } catch {
+      // ignore; the context may already be closed
+    }
+    if (isOwnContext) ctx.close().catch(() => {});
+  }
+
+  return {
+    sampleRate: ctx.sampleRate,
+    channelCount,
+
+    /** The video's first frame, as a `performance.now()` time. */
+    markStart(perfMs) {
+      startFrame = Math.round(contextTimeAt(ctx, perfMs) * ctx.sampleRate);
+    },
+
+    /**
+     * Resolves to the capture from the marked start, `{ format, sampleRate,
+     * channelCount, data, frames }` (`data`: sample data without a header, see
+     * `makeWavFile`), or null if no audio came through.
+     */
+    async stop() {
+      await new Promise((resolve) => {
+        onStopped = resolve;
+        node.port.postMessage({ type: "stop" });
+        setTimeout(resolve, 1000); // a suspended context never answers
+      });
+      teardown();
+      flush();
+      if (firstFrame === null) return null;
+      const lead = (startFrame ?? firstFrame) - firstFrame;
+      const aligned =
+        lead >= 0
+          ? data.slice(Math.min(lead, frames) * blockAlign)
+          : new Blob([new ArrayBuffer(-lead * blockAlign), data]);
+      return { format, sampleRate: ctx.sampleRate, channelCount, data: aligned, frames: Math.max(0, frames - lead) };
+    },
+
+    abort() {
+      teardown();
+    }
+  };
+}
@@ -0,0 +1,116 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { encodeFrames, makeWavFile, wavHeader } from "./wavSidecar.js";
+
+function ascii(view, offset, length) {
+  return String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset, length));
+}
+
+function int24(view, offset) {
+  const v = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+  return v & 0x800000 ? v - 0x1000000 : v;
+}
+
+describe("wavHeader", () => {
+  it("writes 24-bit PCM", () => {
+    const view = new DataView(wavHeader({ format: "pcm24", sampleRate: 48000, channelCount: 2, frames: 10 }));
+
+    assert.equal(view.byteLength, 44);
+    assert.equal(ascii(view, 0, 4), "RIFF");
+    assert.equal(view.getUint32(4, true), 36 + 60);
+    assert.equal(ascii(view, 8, 8), "WAVEfmt ");
+    assert.equal(view.getUint16(20, true), 1); // PCM
+    assert.equal(view.getUint16(22, true), 2);
+    assert.equal(view.getUint32(24, true), 48000);
+    assert.equal(view.getUint32(28, true), 48000 * 6);
+    assert.equal(view.getUint16(32, true), 6);
+    assert.equal(view.getUint16(34, true), 24);
+    assert.equal(ascii(view, 36, 4), "data");
+    assert.equal(view.getUint32(40, true), 60);
+  });
+
+  it("writes IEEE float with a fact chunk", () => {
+    const view = new DataView(wavHeader({ format: "float32", sampleRate: 44100, channelCount: 1, frames: 7 }));
+
+    assert.equal(view.getUint32(16, true), 18);
+    assert.equal(view.getUint16(20, true), 3); // IEEE float
+    assert.equal(view.getUint16(34, true), 32);
+    assert.equal(ascii(view, 38, 4), "fact");
+    assert.equal(view.getUint32(46, true), 7);
+    assert.equal(ascii(view, 50, 4), "data");
+    assert.equal(view.getUint32(54, true), 28);
+    assert.equal(view.getUint32(4, true), view.byteLength - 8 + 28);
+  });
+
+  it("uses WAVE_FORMAT_EXTENSIBLE above two channels", () => {
+    const view = new DataView(wavHeader({ format: "pcm24", sampleRate: 96000, channelCount: 4, frames: 1 }));
+
+    assert.equal(view.getUint32(16, true), 40);
+    assert.equal(view.getUint16(20, true), 0xfffe);
+    assert.equal(view.getUint16(36, true), 22);
+    assert.equal(view.getUint16(38, true), 24);
+    assert.equal(view.getUint16(44, true), 1); // PCM subtype
+    assert.equal(ascii(view, 60, 4), "data");
+  });
+});
+
+describe("encodeFrames", () => {
+  it("interleaves channels as little-endian 24-bit, clipping at full scale", () => {
+    const left = Float32Array.from([1, -1, 0.5]);
+    const right = Float32Array.from([0, 2, -0.5]);
+    const view = new DataView(encodeFrames([left, right], "pcm24"));
+
+    assert.equal(view.byteLength, 18);
+    assert.deepEqual(
+      [0, 3, 6, 9, 12, 15].map((o) => int24(view, o)),
+      [0x7fffff, 0, -0x800000, 0x7fffff, Math.round(0.5 * 0x7fffff), -0x400000]
+    );
+  });
+
+  it("keeps float samples as they are", () => {
+    const view = new DataView(encodeFrames([Float32Array.from([0.25, 1.5])], "float32"));
+    assert.equal(view.getFloat32(0, true), 0.25);
+    assert.equal(view.getFloat32(4, true), 1.5);
+  });
+});
+
+describe("makeWavFile", () => {
+  const sampleRate = 1000;
+  const samples = Float32Array.from({ length: 2000 }, (_, i) => i / 2000);
+  const audio = {
+    format: "float32",
+    sampleRate,
+    channelCount: 1,
+    data: new Blob([encodeFrames([samples], "float32")]),
+    frames: samples.length
+  };
+
+  // The samples' byte count and first sample, from the file's data chunk.
+  async function readWav(blob) {
+    const view = new DataView(await blob.arrayBuffer());
+    let pos = 12;
+    while (ascii(view, pos, 4) !== "data") pos += 8 + view.getUint32(pos + 4, true);
+    return { dataBytes: view.getUint32(pos + 4, true), first: view.getFloat32(pos + 8, true) };
+  }
+
+  it("keeps the whole capture by default", async () => {
+    const file = makeWavFile(audio);
+    const { dataBytes, first } = await readWav(file);
+
+    assert.equal(file.type, "audio/wav");
+    assert.equal(dataBytes, 2000 * 4);
+    assert.equal(first, 0);
+  });
+
+  it("cuts to the kept part of a trimmed take", async () => {
+    const { dataBytes, first } = await readWav(makeWavFile(audio, { startSec: 0.5, durationMs: 1000 }));
+
+    assert.equal(dataBytes, 1000 * 4);
+    assert.equal(first, samples[500]);
+  });
+
+  it("never runs past the end of the capture", async () => {
+    const { dataBytes } = await readWav(makeWavFile(audio, { startSec: 1.5, durationMs: 5000 }));
+    assert.equal(dataBytes, 500 * 4);
+  });
+});
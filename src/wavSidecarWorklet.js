@@ -0,0 +1,65 @@
+/* global currentFrame, sampleRate, registerProcessor, AudioWorkletProcessor */
+
+/**
+ * Audio-thread side of the WAV sidecar (see wavSidecar.js). Between "start"
+ * and "stop" it posts the input samples, untouched, in ~100 ms blocks of
+ * planar Float32 data, each with the context frame of its first sample.
+ * Encoding happens on the main thread.
+ *
+ * This file is loaded with `audioWorklet.addModule()` as-is (no bundling), so
+ * it must not import anything.
+ */
+
+class WavCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.channelCount = options.processorOptions?.channelCount || 1;
+    this.blockLength = Math.round(sampleRate / 10);
+    this.isCapturing = false;
+    this.buffers = null;
+    this.blockFrame = 0;
+    this.pos = 0;
+
+    this.port.onmessage = (e) => {
+      if (e.data?.type === "start") this.isCapturing = true;
+      if (e.data?.type === "stop") {
+        this.flush();
+        this.isCapturing = false;
+        this.port.postMessage({ type: "stopped" });
+      }
+    };
+  }
+
+  flush() {
+    if (!this.buffers || this.pos === 0) return;
+    const channels = this.buffers.map((b) => (this.pos === b.length ? b : b.slice(0, this.pos)));
+    this.port.postMessage(
+      { type: "data", frame: this.blockFrame, channels },
+      channels.map((c) => c.buffer)
+    );
+    this.buffers = null;
+    this.pos = 0;
+  }
+
+  process(inputs) {
+    if (!this.isCapturing) return true;
+    // No input channels while the source is silent/inactive: record silence
+    // so the file keeps time with the video.
+    const input = inputs[0] || [];
+    const frames = input[0]?.length || 128;
+    for (let i = 0; i < frames; i += 1) {
+      if (!this.buffers) {
+        this.buffers = Array.from({ length: this.channelCount }, () => new Float32Array(this.blockLength));
+        this.blockFrame = currentFrame + i;
+      }
+      for (let c = 0; c < this.channelCount; c += 1) {
+        this.buffers[c][this.pos] = input[c] ? input[c][i] : 0;
+      }
+      this.pos += 1;
+      if (this.pos === this.blockLength) this.flush();
+    }
+    return true;
+  }
+}
+
+registerProcessor("wav-capture", WavCaptureProcessor);
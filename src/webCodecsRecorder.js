@@ -0,0 +1,388 @@
+import { Muxer as Mp4Muxer, StreamTarget as Mp4StreamTarget } from "mp4-muxer";
+import { Muxer as WebmMuxer, StreamTarget as WebmStreamTarget } from "webm-muxer";
+
+/**
+ * WebCodecs recording engine with a MediaRecorder-shaped surface
+ * (`start`, `stop`, `state`, `mimeType`, `ondataavailable`, `onstop`,
+ * `onerror`) so `startRecording` can use either engine.
+ *
+ * Differences from MediaRecorder:
+ * - Video is re-timed to a constant frame rate: late/duplicate camera frames
+ *   are dropped and short gaps are filled by repeating the previous frame.
+ * - Audio and video share the capture clock; audio is trimmed to the first
+ *   video frame so both tracks start at exactly 0.
+ * - Output is append-only (fragmented MP4, or live-style WebM) and is emitted
+ *   through `ondataavailable` as it is muxed, so nothing piles up in memory
+ *   and crash storage sees the take while it is being recorded.
+ *
+ * Needs `VideoEncoder`, `AudioEncoder` and `MediaStreamTrackProcessor`; check
+ * `isWebCodecsRecordingSupported()` and fall back to MediaRecorder otherwise.
+ *
+ * With a `sink`, encoded chunks go to it instead of a muxer and nothing is
+ * emitted (see replayBuffer.js): `sink.configure({ video, audio, width,
+ * height, frameRate })`, then `sink.video(chunk, meta)` and
+ * `sink.audio(chunk, meta, timestampUs)` with audio on the video timeline.
+ */
+
+const KEYFRAME_INTERVAL_SEC = 2;
+const MAX_ENCODE_QUEUE = 10;
+const MAX_FILL_SEC = 1;
+const FIRST_SAMPLE_TIMEOUT_MS = 4000;
+
+const VIDEO_CODECS = {
+  mp4: [
+    { codec: "avc1.640033", muxerCodec: "avc" }, // High@5.1 (up to 4K)
+    { codec: "avc1.640028", muxerCodec: "avc" }, // High@4.0
+    { codec: "avc1.4d0028", muxerCodec: "avc" },
+    { codec: "avc1.42E01F", muxerCodec: "avc" }
+  ],
+  webm: [
+    { codec: "vp09.00.41.08", muxerCodec: "V_VP9" },
+    { codec: "vp09.00.31.08", muxerCodec: "V_VP9" },
+    { codec: "vp8", muxerCodec: "V_VP8" }
+  ]
+};
+
+const AUDIO_CODECS = {
+  mp4: [
+    { codec: "mp4a.40.2", muxerCodec: "aac" },
+    { codec: "opus", muxerCodec: "opus" }
+  ],
+  webm: [{ codec: "opus", muxerCodec: "A_OPUS" }]
+};
+
+export function isWebCodecsRecordingSupported() {
+  return (
+    typeof window !== "undefined" &&
+    "VideoEncoder" in window &&
+    "AudioEncoder" in window &&
+    "MediaStreamTrackProcessor" in window
+  );
+}
+
+async function pickEncoderConfig(Encoder, candidates, base) {
+  for (const candidate of candidates) {
+    const config = { ...base, codec: candidate.codec };
+    if (candidate.muxerCodec === "avc") config.avc = { format: "avc" };
+    try {
+      const { supported } = await Encoder.isConfigSupported(config);
+      if (supported) return { ...candidate, config };
+    } catch {
+      // try next
+    }
+  }
+  return null;
+}
+
+function readWithTimeout(reader, ms) {
+  return Promise.race([
+    reader.read().then(({ value, done }) => (done ? null : value)),
+    new Promise((resolve) => setTimeout(() => resolve(null), ms))
+  ]);
+}
+
+/**
+ * Copy of `data` starting `skipFrames` in, restamped to `timestamp`.
+ */
+function trimAudioData(data, skipFrames, timestamp) {
+  const frames = data.numberOfFrames - skipFrames;
+  const channels = data.numberOfChannels;
+  const planes = new Float32Array(frames * channels);
+  for (let ch = 0; ch < channels; ch += 1) {
+    data.copyTo(planes.subarray(ch * frames, (ch + 1) * frames), {
+      planeIndex: ch,
+      frameOffset: skipFrames,
+      frameCount: frames,
+      format: "f32-planar"
+    });
+  }
+  return new AudioData({
+    format: "f32-planar",
+    sampleRate: data.sampleRate,
+    numberOfFrames: frames,
+    numberOfChannels: channels,
+    timestamp,
+    data: planes
+  });
+}
+
+export function createWebCodecsRecorder(
+  stream,
+  { container = "mp4", frameRate = 30, videoBitsPerSecond = 8_000_000, audioBitsPerSecond = 192_000, sink = null } = {}
+) {
+  const frameDurationUs = 1e6 / frameRate;
+  const keyframeEverySlots = Math.max(1, Math.round(frameRate * KEYFRAME_INTERVAL_SEC));
+  const maxFillSlots = Math.round(frameRate * MAX_FILL_SEC);
+
+  let videoTrack = null;
+  let audioTrack = null;
+  let videoReader = null;
+  let audioReader = null;
+  let videoEncoder = null;
+  let audioEncoder = null;
+  let muxer = null;
+
+  let t0 = null; // capture timestamp (µs) of the first video frame
+  let lastSlot = -1;
+  let lastKeySlot = -Infinity;
+  let lastFrame = null;
+  let bytesWritten = 0;
+  let stopping = false;
+  let finishing = null;
+
+  const recorder = {
+    state: "inactive",
+    mimeType: container === "webm" ? "video/webm" : "video/mp4",
+    videoBitsPerSecond,
+    audioBitsPerSecond,
+    droppedFrames: 0,
+    duplicatedFrames: 0,
+    ondataavailable: null,
+    onstop: null,
+    onerror: null,
+
+    start() {
+      if (recorder.state !== "inactive") {
+        throw new DOMException("The recorder is already running.", "InvalidStateError");
+      }
+      recorder.state = "recording";
+      run().catch(fail);
+    },
+
+    stop() {
+      if (recorder.state === "inactive") return;
+      finish();
+    }
+  };
+
+  function emit(data, position) {
+    if (position < bytesWritten) {
+      // Append-only output is what makes chunk concatenation valid.
+      fail(new Error("Muxer rewrote earlier output; the file may be corrupt."));
+    }
+    bytesWritten = Math.max(bytesWritten, position + data.byteLength);
+    recorder.ondataavailable?.({ data: new Blob([data], { type: recorder.mimeType }) });
+  }
+
+  function fail(error) {
+    recorder.onerror?.({ error });
+    finish();
+  }
+
+  function encodeVideoAt(source, slot) {
+    if (videoEncoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+      // Encoder can't keep up; skip this slot rather than buffer unboundedly.
+      recorder.droppedFrames += 1;
+      return;
+    }
+    const frame = new VideoFrame(source, {
+      timestamp: Math.round(slot * frameDurationUs),
+      duration: Math.round(frameDurationUs)
+    });
+    const keyFrame = slot - lastKeySlot >= keyframeEverySlots;
+    if (keyFrame) lastKeySlot = slot;
+    videoEncoder.encode(frame, { keyFrame });
+    frame.close();
+  }
+
+  function handleVideoFrame(frame) {
+    const slot = Math.round((frame.timestamp - t0) / frameDurationUs);
+    if (slot <= lastSlot) {
+      frame.close();
+      return;
+    }
+    if (lastFrame && slot - lastSlot <= maxFillSlots) {
+      for (let s = lastSlot + 1; s < slot; s += 1) {
+        encodeVideoAt(lastFrame, s);
+        recorder.duplicatedFrames += 1;
+      }
+    }
+    encodeVideoAt(frame, slot);
+    lastFrame?.close();
+    lastFrame = frame;
+    lastSlot = slot;
+  }
+
+  function handleAudioData(data) {
+    if (!audioEncoder) {
+      data.close();
+      return;
+    }
+    const endUs = data.timestamp + data.duration;
+    if (endUs <= t0) {
+      data.close();
+      return;
+    }
+    if (data.timestamp < t0) {
+      const skip = Math.min(data.numberOfFrames - 1, Math.round(((t0 - data.timestamp) * data.sampleRate) / 1e6));
+      const trimmed = trimAudioData(data, skip, t0);
+      data.close();
+      audioEncoder.encode(trimmed);
+      trimmed.close();
+      return;
+    }
+    audioEncoder.encode(data);
+    data.close();
+  }
+
+  async function pump(reader, handle) {
+    while (!stopping) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      if (stopping) {
+        value.close();
+        break;
+      }
+      handle(value);
+    }
+  }
+
+  let pumps = Promise.resolve();
+
+  async function run() {
+    const srcVideo = stream.getVideoTracks()[0];
+    const srcAudio = stream.getAudioTracks()[0];
+    if (!srcVideo) throw new Error("No camera track available.");
+
+    // Clones so the processors don't compete with the live preview.
+    videoTrack = srcVideo.clone();
+    audioTrack = srcAudio ? srcAudio.clone() : null;
+    const Processor = window.MediaStreamTrackProcessor;
+    videoReader = new Processor({ track: videoTrack }).readable.getReader();
+    audioReader = audioTrack ? new Processor({ track: audioTrack }).readable.getReader() : null;
+
+    const [firstFrame, firstAudio] = await Promise.all([
+      readWithTimeout(videoReader, FIRST_SAMPLE_TIMEOUT_MS),
+      audioReader ? readWithTimeout(audioReader, FIRST_SAMPLE_TIMEOUT_MS) : null
+    ]);
+    // Stopped before the first frame: nothing to record, and nothing wrong.
+    if (stopping) {
+      firstFrame?.close();
+      firstAudio?.close();
+      return;
+    }
+    if (!firstFrame) {
+      firstAudio?.close();
+      throw new Error("The camera didn't deliver any frames.");
+    }
+
+    // Encoders want even dimensions for 4:2:0.
+    const width = firstFrame.displayWidth & ~1;
+    const height = firstFrame.displayHeight & ~1;
+
+    const video = await pickEncoderConfig(window.VideoEncoder, VIDEO_CODECS[container], {
+      width,
+      height,
+      bitrate: videoBitsPerSecond,
+      framerate: frameRate,
+      latencyMode: "quality"
+    });
+    if (!video) throw new Error(`This browser can't encode ${width}×${height} video for ${container.toUpperCase()}.`);
+
+    const audio = firstAudio
+      ? await pickEncoderConfig(window.AudioEncoder, AUDIO_CODECS[container], {
+          sampleRate: firstAudio.sampleRate,
+          numberOfChannels: firstAudio.numberOfChannels,
+          bitrate: audioBitsPerSecond
+        })
+      : null;
+    if (firstAudio && !audio) throw new Error(`This browser can't encode audio for ${container.toUpperCase()}.`);
+    if (stopping) {
+      // Stopped while the configs were being probed.
+      firstFrame.close();
+      firstAudio?.close();
+      return;
+    }
+
+    if (sink) {
+      sink.configure({ video, audio, width, height, frameRate });
+    } else if (container === "webm") {
+      muxer = new WebmMuxer({
+        target: new WebmStreamTarget({ onData: emit }),
+        video: { codec: video.muxerCodec, width, height, frameRate },
+        audio: audio && {
+          codec: audio.muxerCodec,
+          numberOfChannels: audio.config.numberOfChannels,
+          sampleRate: audio.config.sampleRate
+        },
+        streaming: true,
+        firstTimestampBehavior: "permissive"
+      });
+    } else {
+      muxer = new Mp4Muxer({
+        target: new Mp4StreamTarget({ onData: emit }),
+        video: { codec: video.muxerCodec, width, height, frameRate },
+        audio: audio && {
+          codec: audio.muxerCodec,
+          numberOfChannels: audio.config.numberOfChannels,
+          sampleRate: audio.config.sampleRate
+        },
+        fastStart: "fragmented",
+        firstTimestampBehavior: "cross-track-offset"
+      });
+    }
+
+    const codecs = audio ? `${video.codec},${audio.codec}` : video.codec;
+    recorder.mimeType = `video/${container};codecs=${codecs}`;
+
+    videoEncoder = new window.VideoEncoder({
+      output: (chunk, meta) => (sink ? sink.video(chunk, meta) : muxer.addVideoChunk(chunk, meta)),
+      error: fail
+    });
+    videoEncoder.configure(video.config);
+
+    if (audio) {
+      audioEncoder = new window.AudioEncoder({
+        output: (chunk, meta) => {
+          const timestampUs = Math.max(0, chunk.timestamp - t0);
+          if (sink) sink.audio(chunk, meta, timestampUs);
+          else muxer.addAudioChunk(chunk, meta, timestampUs);
+        },
+        error: fail
+      });
+      audioEncoder.configure(audio.config);
+    }
+
+    t0 = firstFrame.timestamp;
+    handleVideoFrame(firstFrame);
+    if (firstAudio) handleAudioData(firstAudio);
+
+    pumps = Promise.all([
+      pump(videoReader, handleVideoFrame),
+      audioReader ? pump(audioReader, handleAudioData) : null
+    ]).catch(fail);
+  }
+
+  function finish() {
+    if (finishing) return finishing;
+    stopping = true;
+    finishing = (async () => {
+      try {
+        await Promise.all([videoReader?.cancel().catch(() => {}), audioReader?.cancel().catch(() => {})]);
+        await pumps;
+        if (videoEncoder?.state === "configured") await videoEncoder.flush();
+        if (audioEncoder?.state === "configured") await audioEncoder.flush();
+        muxer?.finalize();
+      } catch (error) {
+        recorder.onerror?.({ error });
+      } finally {
+        lastFrame?.close();
+        lastFrame = null;
+        for (const enc of [videoEncoder, audioEncoder]) {
+          try {
+            if (enc && enc.state !== "closed") enc.close();
+          } catch {
+            // ignore
+          }
+        }
+        videoTrack?.stop();
+        audioTrack?.stop();
+        recorder.state = "inactive";
+        recorder.onstop?.();
+      }
+    })();
+    return finishing;
+  }
+
+  return recorder;
+}
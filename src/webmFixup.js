@@ -0,0 +1,587 @@
+import { createBlobReader } from "./blobReader.js";
+
+/**
+ * WebM post-processing: write the segment Duration and a Cues (seek) index.
+ * Also lossless trimming and moving the audio against the video (A/V sync
+ * correction, see avSync.js).
+ *
+ * MediaRecorder (and any live-style muxer) writes WebM as it goes, so the
+ * Segment and Clusters have "unknown" sizes, Info has no Duration and there
+ * are no Cues. Editors then show the length as unknown and can't seek.
+ *
+ * `fixWebmMetadata` scans the file in windows (only element headers and block
+ * headers are read) and returns a new Blob made of freshly written metadata
+ * plus slices of the original, so the media data is never copied into memory.
+ *
+ * Output layout: EBML header, Segment { SeekHead, Info (+Duration), Tracks,
+ * other top-level elements, Chapters (if given), Cues, Clusters (with known
+ * sizes) }. Every size and position is written with a fixed 8-byte width, so
+ * the layout can be computed in one pass.
+ */
+
+const ID = {
+  EBML: 0x1a45dfa3,
+  Segment: 0x18538067,
+  SeekHead: 0x114d9b74,
+  Seek: 0x4dbb,
+  SeekID: 0x53ab,
+  SeekPosition: 0x53ac,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackType: 0x83,
+  DefaultDuration: 0x23e383,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  BlockGroup: 0xa0,
+  Block: 0xa1,
+  BlockDuration: 0x9b,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1,
+  Void: 0xec,
+  Tags: 0x1254c367,
+  Chapters: 0x1043a770,
+  EditionEntry: 0x45b9,
+  EditionUID: 0x45bc,
+  EditionFlagDefault: 0x45db,
+  ChapterAtom: 0xb6,
+  ChapterUID: 0x73c4,
+  ChapterTimeStart: 0x91,
+  ChapterTimeEnd: 0x92,
+  ChapterDisplay: 0x80,
+  ChapString: 0x85,
+  ChapLanguage: 0x437c,
+  Attachments: 0x1941a469
+};
+
+// Any of these inside an unknown-sized Cluster means the Cluster has ended.
+const TOP_LEVEL_IDS = new Set([
+  ID.EBML,
+  ID.Segment,
+  ID.SeekHead,
+  ID.Info,
+  ID.Tracks,
+  ID.Cluster,
+  ID.Cues,
+  ID.Tags,
+  ID.Chapters,
+  ID.Attachments
+]);
+
+const MAX_HEADER_BYTES = 12; // 4-byte ID + 8-byte size
+const TRACK_TYPE_VIDEO = 1;
+const TRACK_TYPE_AUDIO = 2;
+
+// Per block in `cluster.blocks`: time, element end, track number, element
+// start, position of its 16-bit relative timecode.
+const BLOCK_FIELDS = 5;
+
+export function isWebmMimeType(mimeType) {
+  return /^(video|audio)\/webm/i.test(mimeType || "");
+}
+
+/** EBML variable-length integer; `keepMarker` for element IDs. */
+function readVint(bytes, offset, keepMarker = false) {
+  const first = bytes[offset];
+  if (first === undefined || first === 0) return null;
+  let length = 1;
+  while (!(first & (0x80 >> (length - 1)))) length += 1;
+  if (offset + length > bytes.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === 0xff >> length;
+  for (let i = 1; i < length; i += 1) {
+    value = value * 256 + bytes[offset + i];
+    if (bytes[offset + i] !== 0xff) allOnes = false;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+function readUint(bytes) {
+  let value = 0;
+  for (const b of bytes) value = value * 256 + b;
+  return value;
+}
+
+async function readHeader(reader, pos) {
+  const bytes = await reader.bytes(pos, MAX_HEADER_BYTES);
+  const id = readVint(bytes, 0, true);
+  if (!id) return null;
+  const size = readVint(bytes, id.length);
+  if (!size) return null;
+  return {
+    id: id.value,
+    start: pos,
+    dataStart: pos + id.length + size.length,
+    size: size.unknown ? null : size.value
+  };
+}
+
+/** Children of a small, fully loaded master element. */
+function* children(bytes) {
+  let pos = 0;
+  while (pos < bytes.length) {
+    const id = readVint(bytes, pos, true);
+    if (!id) return;
+    const size = readVint(bytes, pos + id.length);
+    if (!size || size.unknown) return;
+    const dataStart = pos + id.length + size.length;
+    const end = dataStart + size.value;
+    if (end > bytes.length) return;
+    yield { id: id.value, raw: bytes.subarray(pos, end), data: bytes.subarray(dataStart, end) };
+    pos = end;
+  }
+}
+
+function parseTracks(bytes) {
+  const tracks = [];
+  for (const entry of children(bytes)) {
+    if (entry.id !== ID.TrackEntry) continue;
+    const track = { number: null, type: null, defaultDuration: null };
+    for (const field of children(entry.data)) {
+      if (field.id === ID.TrackNumber) track.number = readUint(field.data);
+      else if (field.id === ID.TrackType) track.type = readUint(field.data);
+      else if (field.id === ID.DefaultDuration) track.defaultDuration = readUint(field.data);
+    }
+    if (track.number !== null) tracks.push(track);
+  }
+  return tracks;
+}
+
+/**
+ * Track number, relative timecode (and where it is in the header) and
+ * keyframe flag from a (Simple)Block header.
+ */
+function parseBlockHeader(bytes) {
+  const track = readVint(bytes, 0);
+  if (!track || bytes.length < track.length + 3) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset + track.length, 3);
+  return { track: track.value, relTime: view.getInt16(0), relTimeAt: track.length, flags: view.getUint8(2) };
+}
+
+/**
+ * Walk one Cluster's children. Stops at the Cluster's end, at the next
+ * top-level element (unknown-sized Clusters) or at a truncated child
+ * (recovered takes), so `bodyEnd` always lands on a complete element.
+ * `complete` is false in the last case.
+ */
+async function scanCluster(reader, header, segmentEnd, stats) {
+  const end = header.size === null ? segmentEnd : Math.min(header.dataStart + header.size, segmentEnd);
+  const cluster = {
+    bodyStart: header.dataStart,
+    bodyEnd: header.dataStart,
+    timecode: 0,
+    timecodeRange: null, // [start, end) of the Timecode element, for trimming
+    keyTime: null,
+    blocks: [], // flat, BLOCK_FIELDS per block, for trimming and shifting
+    complete: false
+  };
+
+  let pos = header.dataStart;
+  while (pos < end) {
+    const child = await readHeader(reader, pos);
+    if (child && TOP_LEVEL_IDS.has(child.id)) {
+      cluster.complete = true;
+      break;
+    }
+    if (!child || child.size === null) break;
+    const childEnd = child.dataStart + child.size;
+    if (childEnd > end) break;
+
+    if (child.id === ID.Timecode) {
+      cluster.timecode = readUint(await reader.bytes(child.dataStart, child.size));
+      cluster.timecodeRange = [child.start, childEnd];
+    } else if (child.id === ID.SimpleBlock) {
+      const block = parseBlockHeader(await reader.bytes(child.dataStart, Math.min(child.size, 12)));
+      if (block) {
+        const relTimePos = child.dataStart + block.relTimeAt;
+        noteBlock(cluster, stats, block, (block.flags & 0x80) !== 0, null, child.start, childEnd, relTimePos);
+      }
+    } else if (child.id === ID.BlockGroup) {
+      const group = await reader.bytes(child.dataStart, child.size);
+      let block = null;
+      let blockStart = null;
+      let duration = null;
+      let isKey = true;
+      for (const field of children(group)) {
+        if (field.id === ID.Block) {
+          block = parseBlockHeader(field.data);
+          blockStart = child.dataStart + field.data.byteOffset - group.byteOffset;
+        } else if (field.id === ID.BlockDuration) duration = readUint(field.data);
+        else if (field.id === 0xfb) isKey = false; // ReferenceBlock
+      }
+      if (block) noteBlock(cluster, stats, block, isKey, duration, child.start, childEnd, blockStart + block.relTimeAt);
+    }
+
+    pos = childEnd;
+    cluster.bodyEnd = pos;
+  }
+  if (pos === end) cluster.complete = true;
+  return cluster;
+}
+
+function noteBlock(cluster, stats, block, isKey, duration, start, end, relTimePos) {
+  const time = cluster.timecode + block.relTime;
+  cluster.blocks.push(time, end, block.track, start, relTimePos);
+  const last = stats.lastTimeByTrack.get(block.track);
+  if (last !== undefined && time > last) stats.lastDeltaByTrack.set(block.track, time - last);
+  stats.lastTimeByTrack.set(block.track, time);
+  stats.endTime = Math.max(stats.endTime, time + (duration || 0));
+
+  if (isKey && cluster.keyTime === null && block.track === stats.cueTrack) cluster.keyTime = time;
+}
+
+async function scan(blob) {
+  const reader = createBlobReader(blob);
+
+  const ebml = await readHeader(reader, 0);
+  if (!ebml || ebml.id !== ID.EBML || ebml.size === null) return null;
+  const segment = await readHeader(reader, ebml.dataStart + ebml.size);
+  if (!segment || segment.id !== ID.Segment) return null;
+  const segmentEnd = segment.size === null ? reader.size : Math.min(segment.dataStart + segment.size, reader.size);
+
+  const result = {
+    headerEnd: ebml.dataStart + ebml.size,
+    infoChildren: null,
+    timecodeScale: 1_000_000,
+    tracks: null,
+    others: [],
+    clusters: []
+  };
+  const stats = { cueTrack: null, endTime: 0, lastTimeByTrack: new Map(), lastDeltaByTrack: new Map() };
+
+  let pos = segment.dataStart;
+  while (pos < segmentEnd) {
+    const header = await readHeader(reader, pos);
+    if (!header) break;
+
+    if (header.id === ID.Cluster) {
+      if (!result.tracks) return null;
+      const cluster = await scanCluster(reader, header, segmentEnd, stats);
+      if (cluster.bodyEnd > cluster.bodyStart) result.clusters.push(cluster);
+      // Truncated or damaged (e.g. recovered after a crash): keep what is complete.
+      if (!cluster.complete) break;
+      pos = cluster.bodyEnd;
+      continue;
+    }
+
+    if (header.size === null) break;
+    const end = header.dataStart + header.size;
+    if (end > segmentEnd) break;
+
+    if (header.id === ID.Info) {
+      const data = await reader.bytes(header.dataStart, header.size);
+      result.infoChildren = [];
+      for (const child of children(data)) {
+        if (child.id === ID.TimecodeScale) result.timecodeScale = readUint(child.data);
+        // Copy, since the reader window is reused.
+        if (child.id !== ID.Duration) result.infoChildren.push(child.raw.slice());
+      }
+    } else if (header.id === ID.Tracks) {
+      const tracks = parseTracks(await reader.bytes(header.dataStart, header.size));
+      const video = tracks.find((t) => t.type === TRACK_TYPE_VIDEO) || tracks[0];
+      if (!video) return null;
+      stats.cueTrack = video.number;
+      result.tracks = { start: header.start, end, list: tracks };
+    } else if (![ID.SeekHead, ID.Cues, ID.Void].includes(header.id)) {
+      // SeekHead and Cues are rewritten and Void is padding; keep anything else.
+      result.others.push({ id: header.id, start: header.start, end });
+    }
+    pos = end;
+  }
+
+  if (!result.infoChildren || !result.tracks || result.clusters.length === 0) return null;
+
+  // Last block's own duration: BlockDuration if given, else the track's
+  // DefaultDuration, else the last frame interval seen on that track.
+  let tail = 0;
+  for (const track of result.tracks.list) {
+    const last = stats.lastTimeByTrack.get(track.number);
+    if (last === undefined) continue;
+    const frame = track.defaultDuration
+      ? track.defaultDuration / result.timecodeScale
+      : stats.lastDeltaByTrack.get(track.number) || 0;
+    tail = Math.max(tail, last + frame);
+  }
+  result.duration = Math.max(stats.endTime, tail);
+  result.cueTrack = stats.cueTrack;
+  return result;
+}
+
+function idBytes(id) {
+  const out = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) out.unshift(v % 256);
+  return out;
+}
+
+function uintBytes(value, length = 8) {
+  const out = new Array(length);
+  let v = value;
+  for (let i = length - 1; i >= 0; i -= 1) {
+    out[i] = v % 256;
+    v = Math.floor(v / 256);
+  }
+  return out;
+}
+
+/** Element header with an 8-byte size field. */
+function elementHeader(id, size) {
+  return [...idBytes(id), 0x01, ...uintBytes(size, 7)];
+}
+
+function element(id, payload) {
+  return [...elementHeader(id, payload.length), ...payload];
+}
+
+function uintElement(id, value) {
+  return element(id, uintBytes(value));
+}
+
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, [...bytes]);
+}
+
+function stringElement(id, text) {
+  return element(id, [...new TextEncoder().encode(text)]);
+}
+
+/** Chapters element for `[{ startMs, endMs, title }]`, times in nanoseconds. */
+function chaptersElement(chapters) {
+  const atoms = chapters.flatMap((c, i) =>
+    element(ID.ChapterAtom, [
+      ...uintElement(ID.ChapterUID, i + 1),
+      ...uintElement(ID.ChapterTimeStart, Math.round(c.startMs * 1e6)),
+      ...uintElement(ID.ChapterTimeEnd, Math.round(c.endMs * 1e6)),
+      ...element(ID.ChapterDisplay, [
+        ...stringElement(ID.ChapString, c.title),
+        ...stringElement(ID.ChapLanguage, "eng")
+      ])
+    ])
+  );
+  return element(ID.Chapters, [
+    ...element(ID.EditionEntry, [...uintElement(ID.EditionUID, 1), ...uintElement(ID.EditionFlagDefault, 1), ...atoms])
+  ]);
+}
+
+function build(blob, parsed) {
+  const info = element(ID.Info, [
+    ...parsed.infoChildren.flatMap((raw) => [...raw]),
+    ...floatElement(ID.Duration, parsed.duration)
+  ]);
+  const tracksSize = parsed.tracks.end - parsed.tracks.start;
+  // New chapters replace any the file already had.
+  const chapters = parsed.chapters?.length ? chaptersElement(parsed.chapters) : [];
+  const others = chapters.length ? parsed.others.filter((o) => o.id !== ID.Chapters) : parsed.others;
+  const othersSize = others.reduce((sum, o) => sum + o.end - o.start, 0);
+  const seekIds = chapters.length ? [ID.Info, ID.Tracks, ID.Chapters, ID.Cues] : [ID.Info, ID.Tracks, ID.Cues];
+
+  // Sizes don't depend on the positions written into them.
+  const seekEntry = (id, position) =>
+    element(ID.Seek, [...element(ID.SeekID, idBytes(id)), ...uintElement(ID.SeekPosition, position)]);
+  const seekHeadSize = element(
+    ID.SeekHead,
+    seekIds.flatMap((id) => seekEntry(id, 0))
+  ).length;
+
+  const cueClusters = parsed.clusters.filter((c) => c.keyTime !== null);
+  const cuePoint = (time, position) =>
+    element(ID.CuePoint, [
+      ...uintElement(ID.CueTime, time),
+      ...element(ID.CueTrackPositions, [
+        ...uintElement(ID.CueTrack, parsed.cueTrack),
+        ...uintElement(ID.CueClusterPosition, position)
+      ])
+    ]);
+  const cuesSize = elementHeader(ID.Cues, 0).length + cueClusters.length * cuePoint(0, 0).length;
+
+  // Positions are relative to the start of the Segment's data.
+  const infoPos = seekHeadSize;
+  const tracksPos = infoPos + info.length;
+  const chaptersPos = tracksPos + tracksSize + othersSize;
+  const cuesPos = chaptersPos + chapters.length;
+  let clusterPos = cuesPos + cuesSize;
+
+  const clusterParts = [];
+  const positions = new Map();
+  for (const cluster of parsed.clusters) {
+    // `edits` replace byte ranges of the body: `[{ from, to, bytes }]`, in order.
+    // Trimmed clusters get a rewritten Timecode; the blocks are relative to it.
+    const edits = [...(cluster.edits || [])];
+    if (cluster.newTimecode !== undefined) {
+      const [from, to] = cluster.timecodeRange;
+      edits.push({ from, to, bytes: uintElement(ID.Timecode, cluster.newTimecode) });
+      edits.sort((a, b) => a.from - b.from);
+    }
+    const body = [];
+    let pos = cluster.bodyStart;
+    for (const edit of edits) {
+      body.push(blob.slice(pos, edit.from), new Uint8Array(edit.bytes));
+      pos = edit.to;
+    }
+    body.push(blob.slice(pos, cluster.bodyEnd));
+    const bodySize = body.reduce((sum, part) => sum + (part.size ?? part.length), 0);
+    const header = new Uint8Array(elementHeader(ID.Cluster, bodySize));
+    positions.set(cluster, clusterPos);
+    clusterParts.push(header, ...body);
+    clusterPos += header.length + bodySize;
+  }
+
+  const seekPositions = { [ID.Info]: infoPos, [ID.Tracks]: tracksPos, [ID.Chapters]: chaptersPos, [ID.Cues]: cuesPos };
+  const seekHead = element(
+    ID.SeekHead,
+    seekIds.flatMap((id) => seekEntry(id, seekPositions[id]))
+  );
+  const cues = element(
+    ID.Cues,
+    cueClusters.flatMap((c) => cuePoint(Math.max(0, c.keyTime), positions.get(c)))
+  );
+
+  return new Blob(
+    [
+      blob.slice(0, parsed.headerEnd),
+      new Uint8Array(elementHeader(ID.Segment, clusterPos)),
+      new Uint8Array(seekHead),
+      new Uint8Array(info),
+      blob.slice(parsed.tracks.start, parsed.tracks.end),
+      ...others.map((o) => blob.slice(o.start, o.end)),
+      new Uint8Array(chapters),
+      new Uint8Array(cues),
+      ...clusterParts
+    ],
+    { type: blob.type }
+  );
+}
+
+/**
+ * Seekable copy of a WebM Blob plus its duration. Returns the input unchanged
+ * (and `durationMs: null`) when it isn't WebM or can't be parsed.
+ */
+export async function fixWebmMetadata(blob) {
+  const parsed = await scan(blob);
+  if (!parsed) return { blob, durationMs: null };
+  return {
+    blob: build(blob, parsed),
+    durationMs: Math.round((parsed.duration * parsed.timecodeScale) / 1e6)
+  };
+}
+
+/**
+ * Copy of a WebM Blob with `[{ startMs, endMs, title }]` written as its
+ * Chapters (replacing any existing ones), so players and editors can jump to
+ * them. Also makes the file seekable. Resolves to null when it can't be parsed.
+ */
+export async function setWebmChapters(blob, chapters) {
+  const parsed = await scan(blob);
+  if (!parsed) return null;
+  return build(blob, { ...parsed, chapters });
+}
+
+/**
+ * Lossless trim of a WebM Blob to [startMs, endMs). The start snaps back to
+ * the nearest cluster that opens on a video keyframe (MediaRecorder and our
+ * muxers start a cluster at every keyframe); the end is cut at block
+ * granularity. Resolves to null when the file can't be parsed.
+ *
+ * @returns {Promise<{ blob: Blob, startMs: number, durationMs: number } | null>}
+ */
+export async function trimWebm(blob, { startMs, endMs }) {
+  const parsed = await scan(blob);
+  if (!parsed) return null;
+  const toTicks = (ms) => (ms * 1e6) / parsed.timecodeScale;
+  const toMs = (ticks) => Math.round((ticks * parsed.timecodeScale) / 1e6);
+  const startTicks = toTicks(startMs);
+  const endTicks = Math.min(toTicks(endMs), parsed.duration);
+
+  let first = 0;
+  parsed.clusters.forEach((c, i) => {
+    if (c.keyTime !== null && c.keyTime <= startTicks && c.timecodeRange) first = i;
+  });
+  const offset = parsed.clusters[first].timecode;
+
+  const clusters = [];
+  for (const cluster of parsed.clusters.slice(first)) {
+    if (cluster.timecode >= endTicks || !cluster.timecodeRange) break;
+    let bodyEnd = null;
+    for (let i = 0; i < cluster.blocks.length; i += BLOCK_FIELDS) {
+      if (cluster.blocks[i] >= endTicks) break;
+      bodyEnd = cluster.blocks[i + 1];
+    }
+    if (bodyEnd === null) break;
+    clusters.push({
+      ...cluster,
+      bodyEnd,
+      newTimecode: cluster.timecode - offset,
+      keyTime: cluster.keyTime === null ? null : cluster.keyTime - offset
+    });
+  }
+  if (clusters.length === 0) return null;
+
+  const duration = endTicks - offset;
+  return {
+    blob: build(blob, { ...parsed, clusters, duration }),
+    startMs: toMs(offset),
+    durationMs: toMs(duration)
+  };
+}
+
+/**
+ * Copy of a WebM Blob with the audio moved by `shiftMs` against the video
+ * (negative: earlier). Only block timecodes are rewritten; audio moved before
+ * the start is dropped. Resolves to null when the file can't be parsed, has
+ * no audio, or a block would land too far from its cluster's timecode.
+ */
+export async function shiftWebmAudio(blob, shiftMs) {
+  const parsed = await scan(blob);
+  if (!parsed) return null;
+  const audio = new Set(parsed.tracks.list.filter((t) => t.type === TRACK_TYPE_AUDIO).map((t) => t.number));
+  if (audio.size === 0) return null;
+  const shift = Math.round((shiftMs * 1e6) / parsed.timecodeScale);
+
+  const clusters = [];
+  for (const cluster of parsed.clusters) {
+    const edits = [];
+    for (let i = 0; i < cluster.blocks.length; i += BLOCK_FIELDS) {
+      const [time, end, track, start, relTimePos] = cluster.blocks.slice(i, i + BLOCK_FIELDS);
+      if (!audio.has(track)) continue;
+      const relTime = time + shift - cluster.timecode;
+      if (time + shift < 0) {
+        edits.push({ from: start, to: end, bytes: [] });
+      } else if (relTime < -0x8000 || relTime > 0x7fff) {
+        return null;
+      } else {
+        edits.push({ from: relTimePos, to: relTimePos + 2, bytes: [(relTime >> 8) & 0xff, relTime & 0xff] });
+      }
+    }
+    clusters.push({ ...cluster, edits });
+  }
+  return build(blob, { ...parsed, clusters, duration: parsed.duration + Math.max(0, shift) });
+}
+
+/**
+ * Time of the first video and audio block in seconds (null for a missing
+ * track). Resolves to null when the file can't be parsed.
+ */
+export async function readWebmTrackStarts(blob) {
+  const parsed = await scan(blob);
+  if (!parsed) return null;
+  const firstOf = (type) => {
+    const numbers = new Set(parsed.tracks.list.filter((t) => t.type === type).map((t) => t.number));
+    for (const cluster of parsed.clusters) {
+      for (let i = 0; i < cluster.blocks.length; i += BLOCK_FIELDS) {
+        if (numbers.has(cluster.blocks[i + 2])) return (cluster.blocks[i] * parsed.timecodeScale) / 1e9;
+      }
+    }
+    return null;
+  };
+  return { videoSec: firstOf(TRACK_TYPE_VIDEO), audioSec: firstOf(TRACK_TYPE_AUDIO) };
+}
@@ -10,10 +10,16 @@ export default defineConfig({
       // keep control of update behavior and keep it explicit.
       injectRegister: null,
       registerType: "autoUpdate",
+      // Our own worker (src/sw.js) so it can retry uploads in the background;
+      // the plugin still injects the precache manifest into it.
+      strategies: "injectManifest",
+      srcDir: "src",
+      filename: "sw.js",
       // Enable PWA behavior on `vite dev` (localhost is treated as secure).
       // This makes it much easier to see the install prompt during development.
       devOptions: {
-        enabled: true
+        enabled: true,
+        type: "module"
       },
       manifest: {
         name: "High-Fidelity Video Recorder",
@@ -35,6 +41,11 @@ export default defineConfig({
       }
     })
   ],
+  build: {
+    // AudioWorklet modules are loaded with addModule(), which not every
+    // browser accepts from a data: URL; keep them as files however small.
+    assetsInlineLimit: (filePath) => (filePath.endsWith("Worklet.js") ? false : undefined)
+  },
   server: {
     port: 5173,
     strictPort: true